@@ -19,8 +19,17 @@ const appState = {
     currentSection: 'overview',
     chatMessages: [],
     approvalRequests: [],
+    documents: [], // Document summaries with the user's relations, from /api/documents
+    projects: [], // Projects the user belongs to, with their role, from /api/projects
+    openDocument: null, // Document shown in the document modal
     fgaPermissions: new Map(), // Cache for FGA permissions
-    tokenVaultTokens: new Map() // Cache for Token Vault tokens
+    tokenVaultTokens: new Map(), // Token Vault status per provider (the tokens stay on the server)
+    calendarEvents: [], // Upcoming events from /api/calendar/events
+    editingEventId: null, // Calendar event loaded into the event form
+    connections: [], // Token Vault providers and whether the user has connected them
+    lastEventId: null, // Last Server-Sent Event received, for replay on reconnect
+    auditCursor: null, // next_cursor of the last /api/audit page
+    auditReloadTimer: null // Pending reload of the open audit trail
 };
 
 // Initialize application
@@ -35,6 +44,9 @@ async function initializeApp() {
             showDashboard();
             await loadUserPermissions();
             await loadTokenVaultTokens();
+            await loadApprovalRequests();
+            connectEventStream();
+            handleConnectionRedirect();
         } else {
             showLandingPage();
         }
@@ -87,37 +99,39 @@ function generateRandomState() {
     return Math.random().toString(36).substr(2, 16);
 }
 
-// Load user permissions from FGA
+// Relations loaded into the permission cache, by object type (lowest relation first)
+const FGA_RELATIONS = {
+    document: ['viewer', 'editor', 'owner'],
+    project: ['member', 'manager', 'owner'],
+    calendar: ['reader', 'writer']
+};
+
+// Load user permissions from FGA: discover accessible objects, then check every relation in one batch
 async function loadUserPermissions() {
     try {
-        // Get permissions for common resources
-        const resources = [
-            'document:project-plan',
-            'document:requirements',
-            'document:architecture',
-            'project:alpha-release',
-            'calendar:team-calendar'
-        ];
+        const discovered = await Promise.all(Object.entries(FGA_RELATIONS).map(async ([type, relations]) => {
+            const params = new URLSearchParams({ type: type, relation: relations[0] });
+            const response = await window.makeAuthenticatedRequest(`/api/fga/objects?${params}`);
+            return response.ok ? (await response.json()).objects : [];
+        }));
         
-        for (const resource of resources) {
-            const relations = ['viewer', 'editor', 'owner'];
-            for (const relation of relations) {
-                const response = await window.makeAuthenticatedRequest('/api/fga/check-access', {
-                    method: 'POST',
-                    body: JSON.stringify({
-                        resource: resource,
-                        relation: relation
-                    })
-                });
-                
-                if (response.ok) {
-                    const data = await response.json();
-                    if (data.allowed) {
-                        const key = `${resource}:${relation}`;
-                        appState.fgaPermissions.set(key, true);
-                    }
-                }
-            }
+        const checks = discovered.flat().flatMap(resource =>
+            FGA_RELATIONS[resource.split(':')[0]].map(relation => ({ resource, relation }))
+        );
+        
+        appState.fgaPermissions.clear();
+        if (checks.length === 0) return;
+        
+        const response = await window.makeAuthenticatedRequest('/api/fga/batch-check', {
+            method: 'POST',
+            body: JSON.stringify({ checks: checks })
+        });
+        
+        if (response.ok) {
+            const data = await response.json();
+            data.results.forEach(result => {
+                appState.fgaPermissions.set(`${result.resource}:${result.relation}`, result.allowed);
+            });
         }
         
         console.log('Loaded FGA permissions:', appState.fgaPermissions);
@@ -126,24 +140,25 @@ async function loadUserPermissions() {
     }
 }
 
-// Load Token Vault tokens
+// Load Token Vault token status for every configured provider
 async function loadTokenVaultTokens() {
     try {
-        // Load Google Calendar token
-        const calendarResponse = await window.makeAuthenticatedRequest('/api/tokens/google-calendar');
-        if (calendarResponse.ok) {
-            const calendarData = await calendarResponse.json();
-            appState.tokenVaultTokens.set('google-calendar', calendarData);
+        const providersResponse = await window.makeAuthenticatedRequest('/api/tokens');
+        if (!providersResponse.ok) {
+            throw new Error('Failed to load Token Vault providers');
         }
         
-        // Load Slack token  
-        const slackResponse = await window.makeAuthenticatedRequest('/api/tokens/slack');
-        if (slackResponse.ok) {
-            const slackData = await slackResponse.json();
-            appState.tokenVaultTokens.set('slack', slackData);
-        }
+        const { providers } = await providersResponse.json();
+        await Promise.all(providers.map(async ({ service }) => {
+            const response = await window.makeAuthenticatedRequest(`/api/tokens/${encodeURIComponent(service)}`);
+            if (response.ok) {
+                const status = await response.json();
+                // expires_in counts from now; keep the absolute expiry so stale entries are ignored
+                appState.tokenVaultTokens.set(service, { ...status, expires_at: Date.now() + status.expires_in * 1000 });
+            }
+        }));
         
-        console.log('Loaded Token Vault tokens:', appState.tokenVaultTokens.keys());
+        console.log('Loaded Token Vault token status:', appState.tokenVaultTokens.keys());
     } catch (error) {
         console.error('Error loading Token Vault tokens:', error);
     }
@@ -155,9 +170,14 @@ function hasPermission(resource, relation) {
     return appState.fgaPermissions.has(key) && appState.fgaPermissions.get(key);
 }
 
-// Get Token Vault token for service
+// Get Token Vault token status for service; expired entries are dropped
 function getTokenVaultToken(service) {
-    return appState.tokenVaultTokens.get(service);
+    const status = appState.tokenVaultTokens.get(service);
+    if (status && status.expires_at <= Date.now()) {
+        appState.tokenVaultTokens.delete(service);
+        return undefined;
+    }
+    return status;
 }
 
 function hideLoginModal() {
@@ -173,9 +193,6 @@ function simulateLogin() {
         hideLoginModal();
         showDashboard();
         
-        // Add security log entry
-        addSecurityLog('User authenticated via Universal Login', 'success', 'OAuth 2.0 flow completed successfully');
-        
         hideLoadingState();
         
         // Show success notification
@@ -215,9 +232,15 @@ function showSection(sectionName) {
     
     // Add specific functionality for each section
     if (sectionName === 'calendar') {
-        simulateTokenVaultAccess();
+        loadCalendarEvents();
+        loadConnections();
     } else if (sectionName === 'documents') {
-        simulateFGACheck();
+        loadDocuments();
+    } else if (sectionName === 'notifications') {
+        loadSlackChannels();
+        loadSlackNotifications();
+    } else if (sectionName === 'security') {
+        loadAuditTrail();
     }
 }
 
@@ -235,12 +258,18 @@ function initializeChat() {
     }
 }
 
-function sendMessage() {
+async function sendMessage() {
     const chatInput = document.getElementById('chat-input');
     const message = chatInput.value.trim();
     
     if (!message) return;
     
+    // Conversation so far, sent as context for the agent
+    const history = appState.chatMessages.map(entry => ({
+        role: entry.type === 'user' ? 'user' : 'assistant',
+        content: entry.content
+    }));
+    
     // Add user message
     const userMessage = {
         type: 'user',
@@ -251,41 +280,35 @@ function sendMessage() {
     
     // Clear input
     chatInput.value = '';
+    renderChatMessages();
     
-    // Simulate AI response
-    setTimeout(() => {
-        const aiResponse = generateAIResponse(message);
-        const assistantMessage = {
-            type: 'assistant', 
-            content: aiResponse,
-            timestamp: new Date()
-        };
-        appState.chatMessages.push(assistantMessage);
-        renderChatMessages();
+    try {
+        const response = await window.makeAuthenticatedRequest('/api/chat', {
+            method: 'POST',
+            body: JSON.stringify({ message, history })
+        });
+        const data = await response.json();
         
-        // Add security log for AI interaction
-        addSecurityLog('AI assistant interaction', 'success', 'Secure AI response generated');
-    }, 1000);
-    
-    renderChatMessages();
-}
+        if (!response.ok) {
+            throw new Error(data.message || 'AI assistant unavailable');
+        }
+        
+        appState.chatMessages.push({
+            type: 'assistant',
+            content: data.reply,
+            timestamp: new Date(data.timestamp)
+        });
 
-function generateAIResponse(userMessage) {
-    const lowerMessage = userMessage.toLowerCase();
-    
-    if (lowerMessage.includes('calendar') || lowerMessage.includes('meeting')) {
-        return "I can help you access calendar events through Auth0's Token Vault. Your Google Calendar integration is secure - no API keys are exposed to the client. Would you like me to show you upcoming meetings?";
-    } else if (lowerMessage.includes('document') || lowerMessage.includes('file')) {
-        return "Document access is controlled by Fine-Grained Authorization (FGA). I can only show you documents based on your permission level. Your current permissions allow access to Architecture Spec (Owner), Security Guidelines (Editor), and API Documentation (Viewer).";
-    } else if (lowerMessage.includes('security') || lowerMessage.includes('auth')) {
-        return "All my operations are secured by Auth0 for AI Agents. This includes Universal Login for user authentication, Token Vault for API access, FGA for document permissions, and CIBA for high-privilege actions. Your security posture is excellent!";
-    } else if (lowerMessage.includes('project') || lowerMessage.includes('status')) {
-        return "You have 2 active projects: 'Auth0 AI Integration' (In Progress) and 'RAG Pipeline Security' (Planning). I can help you manage tasks, schedule meetings, or review documents based on your permissions.";
-    } else if (lowerMessage.includes('team') || lowerMessage.includes('notification')) {
-        return "Team notifications require approval through CIBA (Client Initiated Backchannel Authentication). This ensures human oversight for sensitive operations. Would you like me to request approval for a team notification?";
-    } else {
-        return "I'm here to help with your secure project management needs. I can assist with calendar management (via Token Vault), document access (via FGA), team notifications (via CIBA), and security monitoring. What would you like to explore?";
+    } catch (error) {
+        console.error('Error sending chat message:', error);
+        appState.chatMessages.push({
+            type: 'assistant',
+            content: `Sorry, I couldn't process that request: ${error.message}`,
+            timestamp: new Date()
+        });
     }
+    
+    renderChatMessages();
 }
 
 function renderChatMessages() {
@@ -297,52 +320,360 @@ function renderChatMessages() {
     appState.chatMessages.forEach(message => {
         const messageDiv = document.createElement('div');
         messageDiv.className = `chat-message ${message.type}`;
-        messageDiv.innerHTML = `<strong>${message.type === 'user' ? 'You' : 'AI Assistant'}:</strong> ${message.content}`;
+        
+        // Message text is untrusted (user input and model output), so never parse it as HTML
+        const author = document.createElement('strong');
+        author.textContent = `${message.type === 'user' ? 'You' : 'AI Assistant'}:`;
+        messageDiv.appendChild(author);
+        messageDiv.appendChild(document.createTextNode(` ${message.content}`));
         chatContainer.appendChild(messageDiv);
     });
     
     chatContainer.scrollTop = chatContainer.scrollHeight;
 }
 
-// Token Vault simulation
-function simulateTokenVaultAccess() {
-    addSecurityLog('Token exchange requested for Google Calendar', 'success', 'Access token retrieved from Token Vault');
-    showNotification('Calendar data loaded via Token Vault', 'success');
+// Calendar events, read server-side with the vaulted Google token
+async function loadCalendarEvents() {
+    const list = document.getElementById('calendar-events');
+    const canWrite = hasPermission('calendar:team-calendar', 'writer');
+    document.getElementById('calendar-event-form').classList.toggle('hidden', !canWrite);
+    
+    try {
+        const response = await window.makeAuthenticatedRequest('/api/calendar/events');
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || 'Failed to load calendar events');
+        }
+        
+        appState.calendarEvents = data.events;
+        renderCalendarEvents(canWrite);
+    } catch (error) {
+        console.error('Error loading calendar events:', error);
+        appState.calendarEvents = [];
+        list.textContent = error.message;
+    }
+}
+
+function formatEventTime(event) {
+    if (event.all_day) {
+        return new Date(event.start).toLocaleDateString();
+    }
+    const start = new Date(event.start);
+    const end = new Date(event.end);
+    return `${start.toLocaleDateString()} ${start.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })} - ${end.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`;
 }
 
-// Security logging
-function addSecurityLog(event, status, details) {
-    const logEntry = {
-        timestamp: new Date(),
-        event: event,
-        status: status,
-        details: details
-    };
+function renderCalendarEvents(canWrite) {
+    const list = document.getElementById('calendar-events');
+    list.innerHTML = '';
+    
+    if (appState.calendarEvents.length === 0) {
+        list.textContent = 'No upcoming events.';
+        return;
+    }
+    
+    appState.calendarEvents.forEach(event => {
+        const item = document.createElement('div');
+        item.className = 'event-item';
+        item.innerHTML = `
+            <div class="event-time"></div>
+            <div class="event-details">
+                <h4></h4>
+                <p></p>
+                <small class="text-secondary">Source: Google Calendar via Token Vault</small>
+            </div>
+            ${canWrite ? `
+                <div class="event-actions">
+                    <button class="btn btn--outline btn--sm" data-action="edit">Edit</button>
+                    <button class="btn btn--outline btn--sm" data-action="delete">Delete</button>
+                </div>
+            ` : ''}
+        `;
+        item.querySelector('.event-time').textContent = formatEventTime(event);
+        item.querySelector('h4').textContent = event.title;
+        item.querySelector('p').textContent = event.attendees.length > 0 ? `Attendees: ${event.attendees.join(', ')}` : event.location;
+        if (canWrite) {
+            item.querySelector('[data-action="edit"]').addEventListener('click', () => editCalendarEvent(event));
+            item.querySelector('[data-action="delete"]').addEventListener('click', () => deleteCalendarEvent(event));
+        }
+        list.appendChild(item);
+    });
+}
+
+// ISO time -> value for a datetime-local input, in local time
+function toDateTimeLocal(isoTime) {
+    const date = new Date(isoTime);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+function editCalendarEvent(event) {
+    appState.editingEventId = event.id;
+    document.getElementById('event-title-input').value = event.title;
+    document.getElementById('event-start-input').value = toDateTimeLocal(event.start);
+    document.getElementById('event-end-input').value = toDateTimeLocal(event.end);
+    document.getElementById('event-attendees-input').value = event.attendees.join(', ');
+    document.getElementById('event-save-btn').textContent = 'Save event';
+    document.getElementById('event-cancel-btn').classList.remove('hidden');
+}
+
+function resetCalendarEventForm() {
+    appState.editingEventId = null;
+    ['event-title-input', 'event-start-input', 'event-end-input', 'event-attendees-input'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    document.getElementById('event-save-btn').textContent = 'Add event';
+    document.getElementById('event-cancel-btn').classList.add('hidden');
+}
+
+// Create an event, or update the one being edited (calendar writers)
+async function saveCalendarEvent() {
+    const title = document.getElementById('event-title-input').value.trim();
+    const start = document.getElementById('event-start-input').value;
+    const end = document.getElementById('event-end-input').value;
+    if (!title || !start || !end) {
+        showNotification('Title, start and end are required', 'warning');
+        return;
+    }
     
-    // Add to the security logs display
-    updateSecurityLogs(logEntry);
+    const eventId = appState.editingEventId;
+    try {
+        const response = await window.makeAuthenticatedRequest(eventId ? `/api/calendar/events/${encodeURIComponent(eventId)}` : '/api/calendar/events', {
+            method: eventId ? 'PUT' : 'POST',
+            body: JSON.stringify({
+                title: title,
+                start: new Date(start).toISOString(),
+                end: new Date(end).toISOString(),
+                attendees: document.getElementById('event-attendees-input').value.split(',').map(email => email.trim()).filter(Boolean)
+            })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || 'Failed to save calendar event');
+        }
+        
+        showNotification(`Event "${data.event.title}" ${eventId ? 'updated' : 'created'}`, 'success');
+        resetCalendarEventForm();
+        await loadCalendarEvents();
+    } catch (error) {
+        console.error('Error saving calendar event:', error);
+        showNotification(error.message, 'error');
+    }
 }
 
-function updateSecurityLogs(newLog) {
-    const logsContainer = document.querySelector('.log-entries');
-    if (!logsContainer) return;
+async function deleteCalendarEvent(event) {
+    if (!confirm(`Delete "${event.title}"?`)) return;
     
-    const logDiv = document.createElement('div');
-    logDiv.className = `log-entry ${newLog.status}`;
+    try {
+        const response = await window.makeAuthenticatedRequest(`/api/calendar/events/${encodeURIComponent(event.id)}`, {
+            method: 'DELETE'
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || 'Failed to delete calendar event');
+        }
+        
+        showNotification(`Event "${event.title}" deleted`, 'success');
+        await loadCalendarEvents();
+    } catch (error) {
+        console.error('Error deleting calendar event:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+// Connected accounts: which Token Vault providers the user has connected
+async function loadConnections() {
+    const list = document.getElementById('connections-list');
     
-    logDiv.innerHTML = `
-        <span class="log-time">${newLog.timestamp.toLocaleTimeString()}</span>
-        <span class="log-event">${newLog.event}</span>
-        <span class="log-status ${newLog.status}">${newLog.status}</span>
-    `;
+    try {
+        const response = await window.makeAuthenticatedRequest('/api/connections');
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || 'Failed to load connections');
+        }
+        
+        appState.connections = data.connections;
+        renderConnections();
+    } catch (error) {
+        console.error('Error loading connections:', error);
+        appState.connections = [];
+        list.textContent = error.message;
+        updateCalendarConnectionStatus();
+    }
+}
+
+function renderConnections() {
+    const list = document.getElementById('connections-list');
+    list.innerHTML = '';
     
-    // Add to top of logs
-    logsContainer.insertBefore(logDiv, logsContainer.firstChild);
+    appState.connections.forEach(connection => {
+        const item = document.createElement('div');
+        item.className = 'connection-item';
+        item.innerHTML = `
+            <div class="connection-name">
+                <strong></strong>
+                <span class="connection-scopes"></span>
+            </div>
+            <span class="status ${connection.connected ? 'status--success' : 'status--warning'}">${connection.connected ? 'Connected' : 'Not connected'}</span>
+            ${connection.connected && getTokenVaultToken(connection.service)?.demo ? '<span class="status status--info" title="Issued by a demo or sandbox Token Vault">Demo token</span>' : ''}
+            <button class="btn ${connection.connected ? 'btn--outline' : 'btn--primary'} btn--sm">${connection.connected ? 'Disconnect' : 'Connect'}</button>
+        `;
+        item.querySelector('strong').textContent = connection.display_name;
+        item.querySelector('.connection-scopes').textContent = `Scopes: ${connection.scopes.join(', ')}`;
+        item.querySelector('button').addEventListener('click', () => connection.connected
+            ? disconnectAccount(connection.service)
+            : connectAccount(connection.service));
+        list.appendChild(item);
+    });
     
-    // Keep only last 10 logs
-    while (logsContainer.children.length > 10) {
-        logsContainer.removeChild(logsContainer.lastChild);
+    updateCalendarConnectionStatus();
+}
+
+// The calendar card reflects the Google Calendar connection
+function updateCalendarConnectionStatus() {
+    const badge = document.getElementById('calendar-connection-status');
+    const calendar = appState.connections.find(connection => connection.service === 'google-calendar');
+    
+    badge.className = `status ${calendar?.connected ? 'status--success' : 'status--warning'}`;
+    badge.textContent = calendar?.connected ? 'Google Calendar Connected' : 'Google Calendar Not Connected';
+}
+
+// Send the user through the provider's consent screen
+async function connectAccount(service) {
+    try {
+        const response = await window.makeAuthenticatedRequest(`/api/connections/${encodeURIComponent(service)}/connect`, {
+            method: 'POST'
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || 'Failed to start connection');
+        }
+        
+        window.location.href = data.authorize_url;
+    } catch (error) {
+        console.error('Error connecting account:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+async function disconnectAccount(service) {
+    if (!confirm(`Disconnect ${service}? Stored tokens for it will be revoked.`)) return;
+    
+    try {
+        const response = await window.makeAuthenticatedRequest(`/api/connections/${encodeURIComponent(service)}`, {
+            method: 'DELETE'
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || 'Failed to disconnect account');
+        }
+        
+        appState.tokenVaultTokens.delete(service);
+        showNotification(data.message, 'success');
+        await loadConnections();
+    } catch (error) {
+        console.error('Error disconnecting account:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+// Report the result of a connect flow (the callback redirects with ?connected= or ?connection_error=)
+function handleConnectionRedirect() {
+    const params = new URLSearchParams(window.location.search);
+    const connected = params.get('connected');
+    const failure = params.get('connection_error');
+    if (!connected && !failure) return;
+    
+    if (connected) {
+        showNotification(`${connected} connected`, 'success');
+        loadTokenVaultTokens();
+    } else {
+        showNotification(`Connection failed: ${failure}`, 'error');
     }
+    
+    window.history.replaceState({}, document.title, window.location.pathname);
+    showSection('calendar');
+}
+
+// Security Audit Trail, read from the server's audit log (/api/audit)
+function readAuditFilters() {
+    const params = new URLSearchParams();
+    const fields = { user: 'audit-user-filter', event: 'audit-event-filter', resource: 'audit-resource-filter', outcome: 'audit-outcome-filter' };
+    Object.entries(fields).forEach(([name, id]) => {
+        const value = document.getElementById(id).value.trim();
+        if (value) params.set(name, value);
+    });
+    // datetime-local values are local time; the API expects ISO 8601
+    [['since', 'audit-since-filter'], ['until', 'audit-until-filter']].forEach(([name, id]) => {
+        const value = document.getElementById(id).value;
+        if (value) params.set(name, new Date(value).toISOString());
+    });
+    return params;
+}
+
+// Load the first page (or, with `append`, the next page) of matching audit entries
+async function loadAuditTrail({ append = false } = {}) {
+    const list = document.getElementById('audit-entries');
+    const moreButton = document.getElementById('audit-more-btn');
+    const params = readAuditFilters();
+    if (append && appState.auditCursor) {
+        params.set('cursor', appState.auditCursor);
+    }
+    
+    try {
+        const response = await window.makeAuthenticatedRequest(`/api/audit?${params}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || 'Failed to load audit trail');
+        }
+        
+        if (!append) {
+            list.innerHTML = '';
+        }
+        data.entries.forEach(entry => list.appendChild(renderAuditEntry(entry)));
+        if (list.children.length === 0) {
+            list.textContent = 'No matching audit entries.';
+        }
+        
+        appState.auditCursor = data.next_cursor;
+        moreButton.classList.toggle('hidden', !data.next_cursor);
+        document.getElementById('audit-scope').textContent = data.scope === 'all' ? 'All users' : 'Your events';
+    } catch (error) {
+        console.error('Error loading audit trail:', error);
+        list.textContent = error.message;
+        moreButton.classList.add('hidden');
+    }
+}
+
+// Security events arrive in bursts; reload the open trail once they settle
+function scheduleAuditTrailReload() {
+    clearTimeout(appState.auditReloadTimer);
+    appState.auditReloadTimer = setTimeout(() => loadAuditTrail(), 500);
+}
+
+const AUDIT_OUTCOME_CLASSES = { success: 'success', failure: 'error', denied: 'warning' };
+
+// One audit row; selecting it shows the entry's details and chain hashes
+function renderAuditEntry(entry) {
+    const item = document.createElement('div');
+    item.className = `log-entry ${AUDIT_OUTCOME_CLASSES[entry.outcome]}`;
+    item.innerHTML = `
+        <span class="log-time"></span>
+        <span class="log-event"></span>
+        <span class="log-status ${AUDIT_OUTCOME_CLASSES[entry.outcome]}"></span>
+        <pre class="log-details hidden"></pre>
+    `;
+    item.querySelector('.log-time').textContent = new Date(entry.timestamp).toLocaleString();
+    item.querySelector('.log-event').textContent = entry.resource ? `${entry.event} · ${entry.resource}` : entry.event;
+    item.querySelector('.log-status').textContent = entry.outcome;
+    item.querySelector('.log-details').textContent = JSON.stringify({
+        seq: entry.seq,
+        user: entry.user_id,
+        details: entry.details,
+        hash: entry.hash,
+        prev_hash: entry.prev_hash
+    }, null, 2);
+    item.addEventListener('click', () => item.querySelector('.log-details').classList.toggle('hidden'));
+    return item;
 }
 
 // Code modal functions
@@ -413,91 +744,496 @@ function setupKeyboardListeners() {
     });
 }
 
-// Demo data updates (simulate real-time updates)
-function startDemoUpdates() {
-    // Simulate periodic security updates
-    setInterval(() => {
-        if (appState.isAuthenticated) {
-            const events = [
-                { event: 'Token refresh completed', status: 'success', details: 'Calendar access token refreshed automatically' },
-                { event: 'FGA permission check', status: 'success', details: 'Document access verified' },
-                { event: 'AI agent heartbeat', status: 'success', details: 'All systems operational' }
-            ];
+// Live updates over Server-Sent Events (/api/events)
+// Uses fetch streaming rather than EventSource so the access token can be sent
+// in the Authorization header; Last-Event-ID replays anything missed.
+async function connectEventStream(retryDelay = 1000) {
+    try {
+        const headers = { 'Accept': 'text/event-stream' };
+        if (appState.lastEventId) {
+            headers['Last-Event-ID'] = appState.lastEventId;
+        }
+        
+        const response = await window.makeAuthenticatedRequest('/api/events', { headers });
+        if (!response.ok || !response.body) {
+            throw new Error(`Event stream unavailable (${response.status})`);
+        }
+        
+        retryDelay = 1000;
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
             
-            const randomEvent = events[Math.floor(Math.random() * events.length)];
-            addSecurityLog(randomEvent.event, randomEvent.status, randomEvent.details);
+            buffer += decoder.decode(value, { stream: true });
+            const frames = buffer.split('\n\n');
+            buffer = frames.pop();
+            frames.forEach(handleEventFrame);
+        }
+    } catch (error) {
+        console.warn('Event stream disconnected:', error.message);
+    }
+    
+    // Reconnect with backoff while the user is signed in
+    if (window.appState && window.appState.isAuthenticated) {
+        setTimeout(() => connectEventStream(Math.min(retryDelay * 2, 30000)), retryDelay);
+    }
+}
+
+function handleEventFrame(frame) {
+    const event = { id: null, type: 'message', data: '' };
+    
+    frame.split('\n').forEach(line => {
+        if (line.startsWith('id: ')) event.id = line.slice(4);
+        else if (line.startsWith('event: ')) event.type = line.slice(7);
+        else if (line.startsWith('data: ')) event.data += line.slice(6);
+    });
+    
+    if (!event.data) return; // heartbeat or retry hint
+    if (event.id) appState.lastEventId = event.id;
+    
+    const data = JSON.parse(event.data);
+    
+    if (event.type === 'approval.updated') {
+        applyApprovalUpdate(data.request);
+    } else if (event.type === 'access.granted') {
+        // A grant can imply other relations, so reload rather than patch the cache
+        loadUserPermissions();
+        if (appState.currentSection === 'documents') {
+            loadDocuments();
+        }
+        showNotification(`Access granted: ${data.relation} on ${data.resource}`, 'success');
+    } else if (event.type === 'access.revoked') {
+        loadUserPermissions();
+        if (data.reason === 'expired') {
+            showNotification(`Access expired: ${data.relation} on ${data.resource}`, 'warning');
+        } else {
+            showNotification(`Access revoked: ${data.relation} on ${data.resource}`, 'warning');
+        }
+    } else if (event.type === 'security.event') {
+        if (data.event.startsWith('SLACK_NOTIFICATION_') && appState.currentSection === 'notifications') {
+            loadSlackNotifications();
+        }
+        if (appState.currentSection === 'security') {
+            scheduleAuditTrailReload();
         }
-    }, 30000);
+    }
+}
+
+// Update a single approval request in place
+function applyApprovalUpdate(request) {
+    const index = appState.approvalRequests.findIndex(existing => existing.id === request.id);
+    
+    if (index === -1) {
+        appState.approvalRequests.unshift(request);
+    } else {
+        const previousStatus = appState.approvalRequests[index].status;
+        appState.approvalRequests[index] = request;
+        
+        if (previousStatus !== request.status) {
+            const type = request.status === 'approved' ? 'success' : request.status === 'pending' ? 'info' : 'warning';
+            const reason = request.decision_reason ? `: ${request.decision_reason}` : '';
+            showNotification(`Request ${request.id} ${request.status}${reason}`, type);
+        }
+    }
+    
+    updateApprovalRequestsDisplay();
 }
 
 // Document interaction functions
-async function viewDocument(docId, permission = null) {
+const DOCUMENT_BADGES = {
+    owner: 'Owner',
+    editor: 'Editor',
+    viewer: 'Viewer',
+    'no-access': 'No Access'
+};
+
+// Strongest relation the user holds, used for badges and actions
+function getDocumentAccessLevel(relations) {
+    return ['owner', 'editor', 'viewer'].find(relation => relations.includes(relation)) || 'no-access';
+}
+
+// Load documents and the user's relations on each
+async function loadDocuments() {
     try {
-        // Map docId to resource identifier
-        const resourceMap = {
-            'doc1': 'document:project-plan',
-            'doc2': 'document:requirements', 
-            'doc3': 'document:architecture'
-        };
+        const [response, projectsResponse] = await Promise.all([
+            window.makeAuthenticatedRequest('/api/documents'),
+            window.makeAuthenticatedRequest('/api/projects')
+        ]);
+        if (!response.ok || !projectsResponse.ok) {
+            throw new Error('Failed to load documents');
+        }
         
-        const resource = resourceMap[docId] || `document:${docId}`;
+        const data = await response.json();
+        appState.documents = data.documents;
+        appState.projects = (await projectsResponse.json()).projects;
         
-        // If permission is explicitly passed (legacy), use it
-        if (permission) {
-            if (permission === 'no-access') {
-                showNotification('Access denied: Insufficient permissions', 'error');
-                addSecurityLog('Document access denied', 'error', `User attempted to access restricted document ${docId}`);
-                return;
-            }
+        // Keep the FGA permission cache in step with what the server returned
+        data.documents.forEach(doc => {
+            ['viewer', 'editor', 'owner'].forEach(relation => {
+                appState.fgaPermissions.set(`document:${doc.id}:${relation}`, doc.relations.includes(relation));
+            });
+        });
+        
+        renderDocuments();
+    } catch (error) {
+        console.error('Error loading documents:', error);
+        showNotification('Error loading documents', 'error');
+    }
+}
+
+// Render documents grouped by project
+function renderDocuments() {
+    const container = document.getElementById('documents-list');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    
+    // Projects the user belongs to come first; other documents are grouped at the end
+    const groups = new Map(appState.projects.map(project => [project.id, { project, docs: [] }]));
+    const other = { project: null, docs: [] };
+    appState.documents.forEach(doc => {
+        (groups.get(doc.project) || other).docs.push(doc);
+    });
+    
+    [...groups.values(), other].filter(group => group.project || group.docs.length > 0).forEach(({ project, docs }) => {
+        const projectItem = document.createElement('div');
+        projectItem.className = 'project-item';
+        
+        const heading = document.createElement('h4');
+        heading.textContent = project ? project.name : 'Other Documents';
+        projectItem.appendChild(heading);
+        
+        if (project) {
+            const role = document.createElement('span');
+            role.className = 'status status--info';
+            role.textContent = `Project ${project.role}`;
+            projectItem.appendChild(role);
             
-            showNotification(`Document opened with ${permission} permissions`, 'success');
-            addSecurityLog('Document accessed', 'success', `User accessed document ${docId} with ${permission} permissions`);
-            return;
+            if (project.repositories.length > 0) {
+                projectItem.appendChild(renderProjectGitHub(project));
+            }
         }
         
-        // Check FGA permissions in order of preference
-        let userPermission = null;
-        let permissionLevel = null;
+        const list = document.createElement('div');
+        list.className = 'documents-list';
         
-        if (hasPermission(resource, 'owner')) {
-            userPermission = 'owner';
-            permissionLevel = 'full';
-        } else if (hasPermission(resource, 'editor')) {
-            userPermission = 'editor';
-            permissionLevel = 'edit';
-        } else if (hasPermission(resource, 'viewer')) {
-            userPermission = 'viewer';
-            permissionLevel = 'read-only';
-        } else {
-            // No permission - request access
+        docs.forEach(doc => {
+            const level = getDocumentAccessLevel(doc.relations);
+            const item = document.createElement('div');
+            item.className = `document-item ${level}`;
+            item.innerHTML = `
+                <span class="doc-icon">${level === 'no-access' ? '🚫' : '📄'}</span>
+                <span class="doc-name"></span>
+                <span class="permission-badge ${level}">${DOCUMENT_BADGES[level]}</span>
+                <button class="btn btn--sm ${level === 'viewer' || level === 'no-access' ? 'btn--outline' : 'btn--primary'}">
+                    ${level === 'no-access' ? 'Request Access' : level === 'viewer' ? 'View Only' : level === 'editor' ? 'Edit' : 'Open'}
+                </button>
+            `;
+            item.querySelector('.doc-name').textContent = doc.title;
+            item.querySelector('button').addEventListener('click', () => viewDocument(doc.id));
+            list.appendChild(item);
+        });
+        
+        projectItem.appendChild(list);
+        container.appendChild(projectItem);
+    });
+    
+    if (container.children.length === 0) {
+        container.textContent = 'No documents yet.';
+    }
+}
+
+// Linked repositories with a button to load what is blocking the project
+function renderProjectGitHub(project) {
+    const panel = document.createElement('div');
+    panel.className = 'project-github';
+    panel.innerHTML = `
+        <span class="text-secondary"></span>
+        <button class="btn btn--outline btn--sm">GitHub Blockers</button>
+        <div class="project-github-blockers"></div>
+    `;
+    panel.querySelector('span').textContent = `Repositories: ${project.repositories.join(', ')}`;
+    panel.querySelector('button').addEventListener('click', () => loadProjectBlockers(project.id, panel.querySelector('.project-github-blockers')));
+    return panel;
+}
+
+// Blocker issues and pull requests waiting on review, read server-side with the vaulted GitHub token
+async function loadProjectBlockers(projectId, container) {
+    container.textContent = 'Loading...';
+    
+    try {
+        const response = await window.makeAuthenticatedRequest(`/api/projects/${encodeURIComponent(projectId)}/github/blockers`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || 'Failed to load GitHub blockers');
+        }
+        
+        container.innerHTML = '';
+        const entries = [
+            ...data.issues.map(issue => ({ text: `${issue.repository}#${issue.number} ${issue.title} [${issue.labels.join(', ')}]`, url: issue.url })),
+            ...data.pull_requests.map(pull => ({ text: `PR ${pull.repository}#${pull.number} ${pull.title}${pull.draft ? ' (draft)' : ' (awaiting review)'}`, url: pull.url }))
+        ];
+        if (entries.length === 0) {
+            container.textContent = 'Nothing blocking: no blocker issues or pull requests waiting on review.';
+        }
+        entries.forEach(entry => {
+            const link = document.createElement('a');
+            link.href = entry.url;
+            link.target = '_blank';
+            link.rel = 'noopener';
+            link.textContent = entry.text;
+            container.appendChild(link);
+        });
+    } catch (error) {
+        console.error('Error loading GitHub blockers:', error);
+        container.textContent = error.message;
+    }
+}
+
+// Open a document with the access the user holds, or request access
+async function viewDocument(docId) {
+    try {
+        const summary = appState.documents.find(doc => doc.id === docId);
+        const resource = `document:${docId}`;
+        
+        if (summary && getDocumentAccessLevel(summary.relations) === 'no-access') {
             showNotification('Access denied. Requesting approval...', 'warning');
             await requestDocumentAccess(resource, 'viewer');
             return;
         }
         
-        // Open document with appropriate permissions
-        if (userPermission === 'viewer') {
-            showNotification('Document opened in read-only mode', 'info');
-        } else if (userPermission === 'editor') {
-            showNotification('Document opened with edit permissions', 'success');
-        } else {
-            showNotification('Document opened with full permissions', 'success');
+        const response = await window.makeAuthenticatedRequest(`/api/documents/${encodeURIComponent(docId)}`);
+        
+        if (response.status === 403) {
+            showNotification('Access denied. Requesting approval...', 'warning');
+            await requestDocumentAccess(resource, 'viewer');
+            return;
+        }
+        if (!response.ok) {
+            throw new Error('Failed to open document');
         }
         
-        // Enhanced logging with user profile data from Post-Login Action
-        const userContext = appState.currentUser ? 
-            `User: ${appState.currentUser.name} (${appState.currentUser.loyalty_tier || 'N/A'} tier, Access Level: ${appState.currentUser.access_level || 'N/A'})` :
-            'Unknown user';
-            
-        addSecurityLog('Document accessed', 'success', 
-            `${userContext} accessed ${resource} with ${userPermission} permissions`);
-            
+        const { document: doc } = await response.json();
+        const level = getDocumentAccessLevel(doc.relations);
+        appState.openDocument = doc;
+        
+        document.getElementById('document-modal-heading').textContent = `${doc.title} (${DOCUMENT_BADGES[level]})`;
+        document.getElementById('document-title-input').value = doc.title;
+        document.getElementById('document-content-input').value = doc.content;
+        document.getElementById('document-title-input').readOnly = level === 'viewer';
+        document.getElementById('document-content-input').readOnly = level === 'viewer';
+        document.getElementById('document-save-btn').classList.toggle('hidden', level === 'viewer');
+        document.getElementById('document-delete-btn').classList.toggle('hidden', level !== 'owner');
+        document.getElementById('document-sharing').classList.toggle('hidden', level !== 'owner');
+        document.getElementById('document-modal').classList.remove('hidden');
+        
+        if (level === 'owner') {
+            await loadDocumentSharing(resource);
+        }
     } catch (error) {
         console.error('Error accessing document:', error);
         showNotification('Error accessing document', 'error');
     }
 }
 
+// List direct relations on a document so owners can audit and remove stale sharing
+async function loadDocumentSharing(resource) {
+    const list = document.getElementById('document-sharing-list');
+    list.innerHTML = '';
+    
+    try {
+        const response = await window.makeAuthenticatedRequest(`/api/fga/resources/${encodeURIComponent(resource)}/relations`);
+        if (!response.ok) {
+            throw new Error('Failed to load sharing');
+        }
+        
+        const { relations } = await response.json();
+        const shared = relations.filter(entry => entry.type === 'user');
+        
+        if (shared.length === 0) {
+            list.textContent = 'Not shared with anyone directly.';
+            return;
+        }
+        
+        shared.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'sharing-item';
+            item.innerHTML = `
+                <span class="sharing-user"></span>
+                <span class="permission-badge ${entry.relation}">${entry.relation}</span>
+                ${entry.expires_at ? `<span class="sharing-expiry" title="${entry.expires_at}">${formatRemainingTime(entry.expires_at)}</span>` : ''}
+                <button class="btn btn--outline btn--sm">Revoke</button>
+            `;
+            item.querySelector('.sharing-user').textContent = entry.user;
+            item.querySelector('button').addEventListener('click', () => revokeAccess(resource, entry.relation, entry.user));
+            list.appendChild(item);
+        });
+    } catch (error) {
+        console.error('Error loading document sharing:', error);
+        list.textContent = 'Unable to load sharing.';
+    }
+}
+
+// "expires in 6d 4h" style countdown for a time-bound grant
+function formatRemainingTime(expiresAt) {
+    const remainingMs = new Date(expiresAt).getTime() - Date.now();
+    if (remainingMs <= 0) return 'expiring now';
+    
+    const minutes = Math.floor(remainingMs / 60000);
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    
+    if (days > 0) return `expires in ${days}d ${hours}h`;
+    if (hours > 0) return `expires in ${hours}h ${minutes % 60}m`;
+    return `expires in ${Math.max(1, minutes)}m`;
+}
+
+// Share the open document with another user, optionally for a limited number of days
+async function shareDocument() {
+    const targetUser = document.getElementById('share-user-input').value.trim();
+    const relation = document.getElementById('share-relation-select').value;
+    const days = parseInt(document.getElementById('share-duration-select').value);
+    if (!appState.openDocument || !targetUser) return;
+    const resource = `document:${appState.openDocument.id}`;
+    
+    try {
+        const response = await window.makeAuthenticatedRequest('/api/fga/grant-access', {
+            method: 'POST',
+            body: JSON.stringify({
+                resource: resource,
+                relation: relation,
+                targetUser: targetUser,
+                ...(days && { expires_at: new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString() })
+            })
+        });
+        
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || 'Failed to share document');
+        }
+        
+        showNotification(data.message, 'success');
+        document.getElementById('share-user-input').value = '';
+        await loadDocumentSharing(resource);
+    } catch (error) {
+        console.error('Error sharing document:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+// Revoke a user's relation on a resource (owners and managers)
+async function revokeAccess(resource, relation, targetUser) {
+    if (!confirm(`Revoke ${relation} access on ${resource} from ${targetUser}?`)) return;
+    
+    try {
+        const response = await window.makeAuthenticatedRequest('/api/fga/revoke-access', {
+            method: 'POST',
+            body: JSON.stringify({ resource, relation, targetUser })
+        });
+        
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || 'Failed to revoke access');
+        }
+        
+        showNotification(data.message, 'success');
+        await loadDocumentSharing(resource);
+    } catch (error) {
+        console.error('Error revoking access:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+function hideDocumentModal() {
+    document.getElementById('document-modal').classList.add('hidden');
+    appState.openDocument = null;
+}
+
+// Create a document; the server makes the current user its owner
+async function createDocument() {
+    const titleInput = document.getElementById('new-document-title');
+    const title = titleInput.value.trim();
+    if (!title) return;
+    
+    try {
+        const response = await window.makeAuthenticatedRequest('/api/documents', {
+            method: 'POST',
+            body: JSON.stringify({ title: title, content: '' })
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.message || 'Failed to create document');
+        }
+        
+        const { document: doc } = await response.json();
+        titleInput.value = '';
+        showNotification(`Document "${doc.title}" created`, 'success');
+        
+        await loadDocuments();
+        await viewDocument(doc.id);
+    } catch (error) {
+        console.error('Error creating document:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+// Save edits to the open document (editor or owner)
+async function saveDocument() {
+    const doc = appState.openDocument;
+    if (!doc) return;
+    
+    try {
+        const response = await window.makeAuthenticatedRequest(`/api/documents/${encodeURIComponent(doc.id)}`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                title: document.getElementById('document-title-input').value,
+                content: document.getElementById('document-content-input').value
+            })
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.message || 'Failed to save document');
+        }
+        
+        showNotification('Document saved', 'success');
+        hideDocumentModal();
+        await loadDocuments();
+    } catch (error) {
+        console.error('Error saving document:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+// Delete the open document (owner only)
+async function deleteDocument() {
+    const doc = appState.openDocument;
+    if (!doc || !confirm(`Delete "${doc.title}"? This cannot be undone.`)) return;
+    
+    try {
+        const response = await window.makeAuthenticatedRequest(`/api/documents/${encodeURIComponent(doc.id)}`, {
+            method: 'DELETE'
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.message || 'Failed to delete document');
+        }
+        
+        showNotification('Document deleted', 'success');
+        hideDocumentModal();
+        await loadDocuments();
+    } catch (error) {
+        console.error('Error deleting document:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
 // Request document access through async authorization
 async function requestDocumentAccess(resource, relation) {
     try {
@@ -506,24 +1242,16 @@ async function requestDocumentAccess(resource, relation) {
             body: JSON.stringify({
                 action: 'access_document',
                 resource: resource,
+                relation: relation,
                 justification: `User needs ${relation} access to ${resource} for project work`
             })
         });
         
         if (response.ok) {
             const data = await response.json();
-            showNotification(`Access request submitted (ID: ${data.request_id}). You'll be notified when approved.`, 'info');
+            showNotification(`Access request submitted (ID: ${data.request_id}). Once approved, ${resource} opens from the Documents section.`, 'info');
             
-            // Add to approval requests list
-            appState.approvalRequests.push({
-                id: data.request_id,
-                resource: resource,
-                relation: relation,
-                status: 'pending',
-                timestamp: new Date().toISOString()
-            });
-            
-            updateApprovalRequestsDisplay();
+            await loadApprovalRequests();
         } else {
             throw new Error('Failed to submit access request');
         }
@@ -536,78 +1264,81 @@ async function requestDocumentAccess(resource, relation) {
 // Calendar integration with Token Vault
 async function refreshCalendarData() {
     showLoadingState();
-    
+    await Promise.all([loadCalendarEvents(), loadConnections()]);
+    hideLoadingState();
+}
+
+// Load the user's approval requests from the server
+async function loadApprovalRequests() {
     try {
-        // Get Google Calendar token from Token Vault
-        const calendarToken = getTokenVaultToken('google-calendar');
+        const response = await window.makeAuthenticatedRequest('/api/async-approval');
         
-        if (!calendarToken) {
-            // Token not available, refresh from Token Vault
-            const response = await window.makeAuthenticatedRequest('/api/tokens/google-calendar');
-            
-            if (response.ok) {
-                const tokenData = await response.json();
-                appState.tokenVaultTokens.set('google-calendar', tokenData);
-                
-                hideLoadingState();
-                showNotification('Calendar data refreshed via Token Vault', 'success');
-                addSecurityLog('Calendar sync completed', 'success', 
-                    `Events synchronized from Google Calendar using Token Vault (expires in ${tokenData.expires_in}s)`);
-            } else {
-                throw new Error('Failed to get calendar token');
-            }
-        } else {
-            // Use existing token
-            hideLoadingState();
-            showNotification('Calendar data refreshed via Token Vault', 'success');
-            addSecurityLog('Calendar sync completed', 'success', 
-                'Events synchronized from Google Calendar using cached Token Vault token');
+        if (response.ok) {
+            const data = await response.json();
+            appState.approvalRequests = data.requests;
+            updateApprovalRequestsDisplay();
         }
-        
     } catch (error) {
-        console.error('Error refreshing calendar:', error);
-        hideLoadingState();
-        showNotification('Failed to refresh calendar data', 'error');
-        addSecurityLog('Calendar sync failed', 'error', error.message);
+        console.error('Error loading approval requests:', error);
     }
 }
 
-// Initialize demo updates when authenticated
-document.addEventListener('DOMContentLoaded', function() {
-    startDemoUpdates();
-});
-
 // Update approval requests display
 function updateApprovalRequestsDisplay() {
-    const approvalSection = document.querySelector('#approval-requests');
+    const approvalSection = document.querySelector('#approval-status');
     if (!approvalSection) return;
     
-    const requestsList = approvalSection.querySelector('.requests-list') || 
-                        document.createElement('div');
-    requestsList.className = 'requests-list';
-    requestsList.innerHTML = '';
+    const statusIcons = {
+        pending: '⏳',
+        approved: '✅',
+        denied: '⛔',
+        expired: '⌛',
+        cancelled: '🚫'
+    };
+    
+    approvalSection.innerHTML = '';
     
     appState.approvalRequests.forEach(request => {
         const requestItem = document.createElement('div');
-        requestItem.className = `request-item status-${request.status}`;
+        requestItem.className = `approval-item ${request.status}`;
         requestItem.innerHTML = `
-            <div class="request-header">
-                <span class="request-id">${request.id}</span>
-                <span class="request-status ${request.status}">${request.status}</span>
-            </div>
-            <div class="request-details">
-                <p><strong>Resource:</strong> ${request.resource}</p>
-                <p><strong>Relation:</strong> ${request.relation}</p>
-                <p><strong>Requested:</strong> ${new Date(request.timestamp).toLocaleString()}</p>
+            <span class="approval-icon">${statusIcons[request.status] || '⏳'}</span>
+            <div class="approval-details">
+                <h4></h4>
+                <p>Status: <strong></strong><span class="approval-reason"></span></p>
+                <small></small>
             </div>
+            ${request.status === 'pending' ? '<button class="btn btn--outline btn--sm">Cancel</button>' : ''}
         `;
-        requestsList.appendChild(requestItem);
+        // Action, resource and the approver's reason are user-written: text only
+        requestItem.querySelector('h4').textContent = `${request.action} → ${request.resource}`;
+        requestItem.querySelector('strong').textContent = request.status;
+        requestItem.querySelector('.approval-reason').textContent = request.decision_reason ? ` — ${request.decision_reason}` : '';
+        requestItem.querySelector('small').textContent = `${request.id} · Requested ${new Date(request.created_at).toLocaleString()}`;
+        requestItem.querySelector('button')?.addEventListener('click', () => cancelApprovalRequest(request.id));
+        approvalSection.appendChild(requestItem);
     });
-    
-    if (!approvalSection.contains(requestsList)) {
-        approvalSection.appendChild(requestsList);
-    }
+}
+
+// Cancel a pending approval request
+async function cancelApprovalRequest(requestId) {
+    try {
+        const response = await window.makeAuthenticatedRequest(`/api/async-approval/${requestId}/cancel`, {
+            method: 'POST'
+        });
+        
+        if (response.ok) {
+            showNotification(`Approval request ${requestId} cancelled`, 'info');
+            await loadApprovalRequests();
+        } else {
+            const data = await response.json();
+            showNotification(data.message || 'Unable to cancel request', 'error');
+        }
+    } catch (error) {
+        console.error('Error cancelling approval request:', error);
+        showNotification('Error cancelling approval request', 'error');
     }
+}
 
 // Initialize Auth0 login (replaces simulateLogin)
 function initiateLogin() {
@@ -615,9 +1346,94 @@ function initiateLogin() {
     window.location.href = '/login';
 }
 
+// Slack channels the user's vaulted token can post to
+async function loadSlackChannels() {
+    const select = document.getElementById('slack-channel-select');
+    
+    try {
+        const response = await window.makeAuthenticatedRequest('/api/notifications/slack/channels');
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || 'Failed to load Slack channels');
+        }
+        
+        select.innerHTML = '';
+        data.channels.forEach(channel => {
+            const option = document.createElement('option');
+            option.value = channel.name;
+            option.textContent = `#${channel.name}`;
+            select.appendChild(option);
+        });
+    } catch (error) {
+        console.error('Error loading Slack channels:', error);
+        select.innerHTML = '';
+        const option = document.createElement('option');
+        option.value = '';
+        option.textContent = error.message;
+        select.appendChild(option);
+    }
+}
+
+// The user's Slack notifications with approval status and delivery outcome
+async function loadSlackNotifications() {
+    try {
+        const response = await window.makeAuthenticatedRequest('/api/notifications/slack');
+        if (!response.ok) return;
+        
+        const list = document.getElementById('slack-notifications-list');
+        list.innerHTML = '';
+        (await response.json()).notifications.slice(0, 5).forEach(notification => {
+            const item = document.createElement('div');
+            item.className = 'slack-notification-item';
+            item.innerHTML = '<span></span><span class="status"></span>';
+            const delivered = notification.delivery?.status === 'succeeded';
+            const failed = notification.delivery?.status === 'failed';
+            item.querySelector('span').textContent = notification.message;
+            item.querySelector('.status').textContent = delivered ? 'Sent' : failed ? 'Delivery failed' : notification.status;
+            item.querySelector('.status').classList.add(delivered ? 'status--success' : failed ? 'status--error' : 'status--info');
+            list.appendChild(item);
+        });
+    } catch (error) {
+        console.error('Error loading Slack notifications:', error);
+    }
+}
+
+// Compose a Slack message; it is held until approved, then posted server-side
+async function composeSlackNotification() {
+    const channel = document.getElementById('slack-channel-select').value;
+    const message = document.getElementById('slack-message-input').value.trim();
+    if (!channel || !message) {
+        showNotification('Choose a channel and write a message', 'warning');
+        return;
+    }
+    
+    try {
+        const response = await window.makeAuthenticatedRequest('/api/notifications/slack', {
+            method: 'POST',
+            body: JSON.stringify({ channel, message })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || 'Failed to compose notification');
+        }
+        
+        if (data.channel === 'ciba') {
+            showNotification(`Confirm on your device: "${data.binding_message}"`, 'warning');
+        } else {
+            showNotification(data.message, 'info');
+        }
+        document.getElementById('slack-message-input').value = '';
+        await Promise.all([loadApprovalRequests(), loadSlackNotifications()]);
+    } catch (error) {
+        console.error('Error composing notification:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
 // Logout function
-function logout() {
-    // Redirect to server-side logout endpoint
+async function logout() {
+    // Drop the provider tokens the server cached, then redirect to server-side logout endpoint
+    await window.makeAuthenticatedRequest('/api/tokens', { method: 'DELETE' }).catch(() => null);
     window.location.href = '/logout';
 }
 
@@ -635,17 +1451,14 @@ async function requestApproval(action, resource) {
         
         if (response.ok) {
             const data = await response.json();
-            showNotification(`Approval request submitted (ID: ${data.request_id})`, 'info');
             
-            appState.approvalRequests.push({
-                id: data.request_id,
-                resource: resource || 'system',
-                relation: action,
-                status: 'pending',
-                timestamp: new Date().toISOString()
-            });
+            if (data.channel === 'ciba') {
+                showNotification(`Confirm on your device: "${data.binding_message}"`, 'warning');
+            } else {
+                showNotification(`Approval request submitted (ID: ${data.request_id})`, 'info');
+            }
             
-            updateApprovalRequestsDisplay();
+            await loadApprovalRequests();
         }
     } catch (error) {
         console.error('Error requesting approval:', error);
@@ -662,11 +1475,22 @@ async function requestApproval(action, resource) {
 // window.initiateAuth0Login = initiateAuth0Login; // Removed (handled by SPA client)
 // Do not override SPA logout export
 window.showSection = showSection;
+window.loadAuditTrail = loadAuditTrail;
 window.sendMessage = sendMessage;
 window.requestApproval = requestApproval;
+window.composeSlackNotification = composeSlackNotification;
+window.cancelApprovalRequest = cancelApprovalRequest;
 window.showCodeModal = showCodeModal;
 window.hideCodeModal = hideCodeModal;
 window.viewDocument = viewDocument;
+window.hideDocumentModal = hideDocumentModal;
+window.createDocument = createDocument;
+window.saveDocument = saveDocument;
+window.deleteDocument = deleteDocument;
+window.revokeAccess = revokeAccess;
+window.shareDocument = shareDocument;
 window.refreshCalendarData = refreshCalendarData;
+window.saveCalendarEvent = saveCalendarEvent;
+window.resetCalendarEventForm = resetCalendarEventForm;
 window.hasPermission = hasPermission;
 window.getTokenVaultToken = getTokenVaultToken;
\ No newline at end of file
@@ -10,6 +10,11 @@ async function initAuth0() {
             throw new Error('Auth0 SPA SDK not loaded - createAuth0Client is undefined');
         }
 
+        // Sandbox mode: the server's env.js points the SDK at the local issuer
+        if (window.__ENV__ && window.__ENV__.SANDBOX_MODE) {
+            document.getElementById('sandbox-banner').classList.remove('hidden');
+        }
+
         // Use config from auth0-config.js if available
         const config = window.AUTH0_CONFIG || {
             domain: 'genai-8649882471415737.us.auth0.com',
@@ -26,14 +31,13 @@ async function initAuth0() {
             scope: config.scope
         });
 
+        // auth0-spa-js 1.x option names
         auth0Client = await createAuth0Client({
             domain: config.domain,
-            clientId: config.clientId,
-            authorizationParams: {
-                redirect_uri: config.redirectUri || window.location.origin,
-                audience: config.audience,
-                scope: config.scope
-            }
+            client_id: config.clientId,
+            redirect_uri: config.redirectUri || window.location.origin,
+            audience: config.audience,
+            scope: config.scope
         });
 
         console.log('Auth0 client created successfully:', auth0Client);
@@ -94,10 +98,10 @@ async function logout() {
             console.error('Auth0 client not initialized');
             return;
         }
+        // Drop the provider tokens the server cached for this session
+        await makeAuthenticatedRequest('/api/tokens', { method: 'DELETE' }).catch(() => null);
         await auth0Client.logout({
-            logoutParams: {
-                returnTo: window.location.origin
-            }
+            returnTo: window.location.origin
         });
     } catch (error) {
         console.error('Logout failed:', error);
@@ -5,6 +5,8 @@
 
 require('dotenv').config();
 
+const { loadModel, relationsByType } = require('../src/fga-model');
+
 // Auth0 Basic Configuration
 const AUTH0_CONFIG = {
     domain: process.env.AUTH0_DOMAIN || 'demo.auth0.com',
@@ -19,18 +21,8 @@ const TOKEN_VAULT_CONFIG = {
     clientId: AUTH0_CONFIG.clientId,
     clientSecret: AUTH0_CONFIG.clientSecret,
     vaultUrl: process.env.AUTH0_VAULT_URL || `https://${AUTH0_CONFIG.domain}/oauth/token-vault`,
-    googleCalendar: {
-        scope: 'https://www.googleapis.com/auth/calendar',
-        tokenEndpoint: '/api/tokens/google-calendar'
-    },
-    slack: {
-        scope: 'chat:write,channels:read',
-        tokenEndpoint: '/api/tokens/slack'
-    },
-    github: {
-        scope: 'repo,read:org',
-        tokenEndpoint: '/api/tokens/github'
-    }
+    // Providers by service name; each is served at /api/tokens/<service>
+    providers: require('./token-providers.json')
 };
 
 // Fine-Grained Authorization Configuration
@@ -40,11 +32,8 @@ const FGA_CONFIG = {
     modelId: process.env.FGA_MODEL_ID || null,
     clientId: process.env.FGA_CLIENT_ID || null,
     clientSecret: process.env.FGA_CLIENT_SECRET || null,
-    relations: {
-        document: ['viewer', 'editor', 'owner'],
-        project: ['member', 'manager', 'owner'],
-        calendar: ['reader', 'writer']
-    }
+    // Derived from config/fga-model.json so routes and the model cannot drift apart
+    relations: relationsByType(loadModel())
 };
 
 // Validation function
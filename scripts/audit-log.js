@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+/**
+ * Audit Log Tooling
+ * Verifies and exports the hash-chained audit log written by the server.
+ *
+ *   node scripts/audit-log.js verify [dir]   Check every segment for edits, gaps and reordering
+ *   node scripts/audit-log.js export <csv|jsonl|cef|ocsf> [--since ISO] [--until ISO] [--output file] [--dir dir]
+ *                                            Write entries in a time range for SIEM ingestion
+ *
+ * `dir` defaults to DATA_DIR/audit. `verify` exits non-zero when the chain is
+ * broken. `export` writes to stdout unless --output is given, so status
+ * messages go to stderr.
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const { resolveDataPath } = require('../src/json-file-store');
+const { createAuditLog, verifyAuditLog } = require('../src/audit-log');
+const { EXPORT_FORMATS, writeAuditExport } = require('../src/audit-export');
+
+// Colors for console output
+const colors = {
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    white: '\x1b[37m',
+    reset: '\x1b[0m'
+};
+
+function log(message, color = 'white') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+async function verify(dir = resolveDataPath('audit')) {
+    const result = verifyAuditLog(dir);
+
+    result.errors.forEach(error => {
+        const where = [error.segment, error.line && `line ${error.line}`, error.seq && `seq ${error.seq}`].filter(Boolean).join(', ');
+        log(`❌ ${where}: ${error.error}`, 'red');
+    });
+
+    log(`\n${result.entries} entries in ${result.segments} segments under ${dir}`);
+    log(`Head: seq ${result.head.seq}, hash ${result.head.hash}`);
+    log(result.valid ? '✅ Audit chain is intact' : `❌ Audit chain is broken (${result.errors.length} problems)`, result.valid ? 'green' : 'red');
+    return result.valid;
+}
+
+// Options of `export` as `--name value`, `--name=value` or `-o value`; everything else is positional
+// (util.parseArgs is missing before Node 16.17, which package.json still supports)
+function parseExportArgs(args) {
+    const names = ['since', 'until', 'output', 'dir'];
+    const values = { dir: resolveDataPath('audit') };
+    const positionals = [];
+
+    for (let i = 0; i < args.length; i++) {
+        const match = /^--([a-z]+)(?:=(.*))?$/.exec(args[i]);
+        const name = args[i] === '-o' ? 'output' : match?.[1];
+        if (!name) {
+            positionals.push(args[i]);
+            continue;
+        }
+        if (!names.includes(name)) {
+            throw new Error(`Unknown option '${args[i]}'`);
+        }
+        const value = match?.[2] !== undefined ? match[2] : args[++i];
+        if (value === undefined) {
+            throw new Error(`Option '--${name}' needs a value`);
+        }
+        values[name] = value;
+    }
+
+    return { positionals, values };
+}
+
+async function exportLog(...args) {
+    const { positionals: [format], values } = parseExportArgs(args);
+
+    if (!EXPORT_FORMATS[format]) {
+        throw new Error(`Choose an export format: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+    ['since', 'until'].forEach(field => {
+        if (values[field] !== undefined && isNaN(Date.parse(values[field]))) {
+            throw new Error(`--${field} must be an ISO 8601 date-time`);
+        }
+    });
+
+    const out = values.output ? fs.openSync(values.output, 'w') : process.stdout.fd;
+    try {
+        const count = writeAuditExport({
+            entries: createAuditLog({ dir: values.dir }).readAll(),
+            format: format,
+            since: values.since,
+            until: values.until,
+            write: chunk => fs.writeSync(out, chunk)
+        });
+        console.error(`${colors.green}✅ Exported ${count} entries as ${format}${values.output ? ` to ${values.output}` : ''}${colors.reset}`);
+    } finally {
+        if (values.output) {
+            fs.closeSync(out);
+        }
+    }
+    return true;
+}
+
+const COMMANDS = { verify, export: exportLog };
+
+async function main(command, ...args) {
+    if (!COMMANDS[command]) {
+        log(`Usage: node scripts/audit-log.js <${Object.keys(COMMANDS).join('|')}> [options]`, 'yellow');
+        return false;
+    }
+    return COMMANDS[command](...args);
+}
+
+// Run if called directly
+if (require.main === module) {
+    main(...process.argv.slice(2))
+        .then(ok => { process.exitCode = ok ? 0 : 1; })
+        .catch(error => {
+            log(`❌ ${error.message}`, 'red');
+            process.exitCode = 1;
+        });
+}
+
+module.exports = {
+    verify,
+    exportLog
+};
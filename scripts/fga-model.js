@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+
+/**
+ * FGA Model Tooling
+ * Validates, tests, uploads and seeds the authorization model in
+ * config/fga-model.json.
+ *
+ *   node scripts/fga-model.js validate   Check the model, seed tuples and model tests offline
+ *   node scripts/fga-model.js test       Run config/fga-model-tests.json against the local engine
+ *   node scripts/fga-model.js upload     Write the model to FGA_STORE_ID and set FGA_MODEL_ID in .env
+ *   node scripts/fga-model.js seed       Write the starter tuples from config/fga-tuples.json
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { createLocalFgaClient } = require('../src/fga-local-engine');
+const {
+    TUPLES_PATH,
+    MODEL_TESTS_PATH,
+    createFgaClientFromEnv,
+    loadModel,
+    validateModel,
+    runModelTests
+} = require('../src/fga-model');
+
+// FGA accepts at most 100 tuples per write
+const WRITE_CHUNK_SIZE = 100;
+
+// Colors for console output
+const colors = {
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    cyan: '\x1b[36m',
+    white: '\x1b[37m',
+    reset: '\x1b[0m'
+};
+
+function log(message, color = 'white') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function loadSeedTuples() {
+    return JSON.parse(fs.readFileSync(TUPLES_PATH, 'utf8')).tuples;
+}
+
+function requireClient() {
+    const client = createFgaClientFromEnv();
+    if (!client) {
+        throw new Error('FGA_STORE_ID, FGA_CLIENT_ID and FGA_CLIENT_SECRET must be set');
+    }
+    return client;
+}
+
+// Replace KEY=... in an env file, or append it
+function setEnvValue(filePath, key, value) {
+    const content = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : '';
+    const line = `${key}=${value}`;
+    const pattern = new RegExp(`^${key}=.*$`, 'm');
+
+    const updated = pattern.test(content)
+        ? content.replace(pattern, line)
+        : `${content}${content && !content.endsWith('\n') ? '\n' : ''}${line}\n`;
+
+    fs.writeFileSync(filePath, updated);
+}
+
+async function runTests() {
+    const { tests } = JSON.parse(fs.readFileSync(MODEL_TESTS_PATH, 'utf8'));
+    const results = await runModelTests(loadModel(), tests);
+
+    results.forEach(result => {
+        log(`${result.passed ? '✅' : '❌'} ${result.name}`, result.passed ? 'green' : 'red');
+        result.failures.forEach(failure => log(`   ${failure}`, 'red'));
+    });
+
+    const failed = results.filter(result => !result.passed).length;
+    log(`\n${results.length - failed}/${results.length} model tests passed`, failed ? 'red' : 'green');
+    return failed === 0;
+}
+
+async function validate() {
+    const errors = validateModel(loadModel());
+    if (errors.length > 0) {
+        errors.forEach(error => log(`❌ ${error}`, 'red'));
+        return false;
+    }
+    log('✅ Model is valid', 'green');
+
+    try {
+        await createLocalFgaClient({ model: loadModel() }).write({ writes: loadSeedTuples() });
+        log('✅ Seed tuples match the model', 'green');
+    } catch (error) {
+        log(`❌ Seed tuples: ${error.message}`, 'red');
+        return false;
+    }
+
+    return runTests();
+}
+
+async function upload() {
+    if (!(await validate())) {
+        throw new Error('Fix the model before uploading');
+    }
+
+    const { type_definitions, schema_version, conditions } = loadModel();
+    const response = await requireClient().writeAuthorizationModel({ type_definitions, schema_version, conditions });
+    const modelId = response.authorization_model_id;
+
+    setEnvValue(path.join(process.cwd(), '.env'), 'FGA_MODEL_ID', modelId);
+    log(`\n✅ Uploaded model ${modelId} to store ${process.env.FGA_STORE_ID}; FGA_MODEL_ID updated in .env`, 'green');
+    return true;
+}
+
+// Write seed tuples the store does not already hold, so seeding can be re-run
+async function seed() {
+    const client = requireClient();
+    const missing = [];
+
+    for (const tuple of loadSeedTuples()) {
+        const { tuples } = await client.read(tuple);
+        if (tuples.length === 0) {
+            missing.push(tuple);
+        }
+    }
+
+    for (let i = 0; i < missing.length; i += WRITE_CHUNK_SIZE) {
+        await client.write({ writes: missing.slice(i, i + WRITE_CHUNK_SIZE) });
+    }
+
+    log(`✅ Seeded ${missing.length} tuples (${loadSeedTuples().length - missing.length} already present)`, 'green');
+    return true;
+}
+
+const COMMANDS = { validate, test: runTests, upload, seed };
+
+async function main(command) {
+    if (!COMMANDS[command]) {
+        log(`Usage: node scripts/fga-model.js <${Object.keys(COMMANDS).join('|')}>`, 'yellow');
+        return false;
+    }
+    return COMMANDS[command]();
+}
+
+// Run if called directly
+if (require.main === module) {
+    main(process.argv[2])
+        .then(ok => { process.exitCode = ok ? 0 : 1; })
+        .catch(error => {
+            log(`❌ ${error.message}`, 'red');
+            process.exitCode = 1;
+        });
+}
+
+module.exports = {
+    setEnvValue,
+    validate,
+    upload,
+    seed
+};
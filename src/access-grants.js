@@ -0,0 +1,65 @@
+/**
+ * Access Grants
+ * Grants and revocations made on behalf of a user, shared by /api/fga and the
+ * agent's grant_access tool so both apply the same rules: the relation must
+ * be one the resource type defines, and project roles are changed under the
+ * membership rules of src/project-members.js (only owners appoint managers
+ * and owners, a project keeps an owner, roles are never time-bound).
+ */
+
+const { HttpError } = require('./errors');
+
+function projectIdOf(object) {
+    return /^project:(.+)$/.exec(object)?.[1] || null;
+}
+
+function createAccessGrants({ authorizer, relations, members }) {
+    // Only relations the resource type defines may be granted or revoked
+    function requireRelation(object, relation) {
+        const type = object.split(':')[0];
+        if (!relations[type]) {
+            throw new HttpError(400, 'Invalid request', `Unknown resource type: ${type}`);
+        }
+        if (!relations[type].includes(relation)) {
+            throw new HttpError(400, 'Invalid request', `Relation must be one of: ${relations[type].join(', ')}`);
+        }
+    }
+
+    // Grant `relation` on `object` to `targetUserId`; returns { source, alreadyGranted, expiresAt }
+    async function grant({ actorId, targetUserId, relation, object, expiresAt }) {
+        requireRelation(object, relation);
+
+        const projectId = projectIdOf(object);
+        if (!projectId) {
+            return authorizer.grant({ actorId, targetUserId, relation, object, expiresAt });
+        }
+
+        if (expiresAt !== undefined && expiresAt !== null) {
+            throw new HttpError(400, 'Invalid request', 'Project roles cannot be time-bound');
+        }
+        const { previousRole, source } = await members.setRole({ actorId, projectId, userId: targetUserId, role: relation });
+        return { source: source, alreadyGranted: previousRole === relation, expiresAt: null };
+    }
+
+    // Revoke `relation` on `object` from `targetUserId`; returns { source }
+    async function revoke({ actorId, targetUserId, relation, object }) {
+        requireRelation(object, relation);
+
+        const projectId = projectIdOf(object);
+        if (!projectId) {
+            return authorizer.revoke({ actorId, targetUserId, relation, object });
+        }
+
+        const { source } = await members.removeRole({ actorId, projectId, userId: targetUserId, role: relation });
+        return { source };
+    }
+
+    return {
+        grant,
+        revoke
+    };
+}
+
+module.exports = {
+    createAccessGrants
+};
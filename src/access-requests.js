@@ -0,0 +1,81 @@
+/**
+ * Access Requests
+ * `access_document` approval requests ask for a relation on a resource for the
+ * requester. They are validated when filed and, once approved by someone who
+ * owns or manages the resource, the requested tuple is written through the
+ * authorizer; the grant event tells the requester's dashboard to reload its
+ * permissions. Ownership and management are never requested this way.
+ */
+
+const { HttpError } = require('./errors');
+const { MANAGE_RELATIONS, PARENT_RELATION } = require('./authorization');
+
+const ACCESS_REQUEST_ACTION = 'access_document';
+const DEFAULT_ACCESS_RELATION = 'viewer';
+
+// Validate the requested object and relation against the model's relations;
+// returns the request details with the relation filled in. Ownership and
+// management are granted, not requested, and the object must be one someone
+// can manage: its type defines owner or manager, or it is attached to a project.
+async function validateAccessRequest({ resource, details = {} }, relations, authorizer) {
+    const type = /^([a-z_]+):[^\s]+$/.exec(resource || '')?.[1];
+    if (!type || !relations[type]) {
+        throw new HttpError(400, 'Invalid request', 'Access requests need a resource like document:project-plan');
+    }
+
+    const relation = details.relation || DEFAULT_ACCESS_RELATION;
+    const requestable = relations[type].filter(name => !MANAGE_RELATIONS.includes(name));
+    if (!requestable.includes(relation)) {
+        throw new HttpError(400, 'Invalid request', `Relation must be one of: ${requestable.join(', ')}`);
+    }
+
+    if (!relations[type].some(name => MANAGE_RELATIONS.includes(name))) {
+        const { tuples } = await authorizer.readTuples(resource, { relation: PARENT_RELATION });
+        if (tuples.length === 0) {
+            throw new HttpError(400, 'Invalid request', `${resource} is not part of a project, so no one can approve access to it`);
+        }
+    }
+
+    return { ...details, relation };
+}
+
+// Refuse an approval from someone who cannot grant the access, before the decision is recorded
+async function checkAccessApprover(request, approverId, authorizer) {
+    if (!(await authorizer.canManage(approverId, request.resource))) {
+        throw new HttpError(403, 'Insufficient permissions', `Only owners and managers of ${request.resource} can approve access to it`);
+    }
+}
+
+// Write the requested tuple when an access request is approved
+function registerAccessProvisioning({ approvalActions, authorizer, logSecurityEvent }) {
+    approvalActions.register(ACCESS_REQUEST_ACTION, async request => {
+        const relation = request.details?.relation || DEFAULT_ACCESS_RELATION;
+
+        const result = await authorizer.provision({
+            approverId: request.decided_by,
+            targetUserId: request.user_id,
+            relation: relation,
+            object: request.resource
+        });
+
+        logSecurityEvent('ACCESS_GRANTED', request.decided_by, {
+            resource: request.resource,
+            relation: relation,
+            targetUser: request.user_id,
+            requestId: request.id
+        });
+
+        return {
+            resource: request.resource,
+            relation: relation,
+            already_granted: !!result.alreadyGranted
+        };
+    });
+}
+
+module.exports = {
+    ACCESS_REQUEST_ACTION,
+    validateAccessRequest,
+    checkAccessApprover,
+    registerAccessProvisioning
+};
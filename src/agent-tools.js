@@ -0,0 +1,255 @@
+/**
+ * AI Agent Tools
+ * Each tool runs as the user who prompted the agent and goes through the same
+ * Token Vault, FGA, retrieval and async-approval services as the REST routes. Provider
+ * tokens are used server-side only and never appear in tool results.
+ */
+
+const { TEAM_CALENDAR, createCalendarClient } = require('./calendar-client');
+const { GITHUB_ISSUE_ACTION } = require('./project-github');
+
+const DOCUMENT_RELATIONS = ['owner', 'editor', 'viewer'];
+
+function createAgentTools({ authorizer, grants, getTokenVaultToken, approvalRequester, retriever, projectGitHub = null, calendarApiUrl, http, calendarClient = createCalendarClient({ apiUrl: calendarApiUrl, http }) }) {
+    const getCalendarEvents = {
+        name: 'get_calendar_events',
+        description: "List the user's upcoming calendar events. Requires reader access to the team calendar and a connected Google Calendar account.",
+        parameters: {
+            type: 'object',
+            properties: {
+                max_results: { type: 'integer', description: 'Maximum number of events to return', default: 5 }
+            }
+        },
+        async execute(args, { user }) {
+            const access = await authorizer.check(user.id, 'reader', TEAM_CALENDAR);
+            if (!access.allowed) {
+                return { error: `You do not have reader access to ${TEAM_CALENDAR}` };
+            }
+
+            const token = await getTokenVaultToken(user.id, 'google-calendar');
+            if (!token.success) {
+                return { error: token.message || 'Google Calendar is not connected' };
+            }
+
+            const events = await calendarClient.listEvents(token.access_token, { maxResults: args.max_results || 5 });
+
+            return {
+                events: events,
+                summary: events.length === 0
+                    ? 'You have no upcoming calendar events.'
+                    : `Upcoming events:\n${events.map(event => `- ${event.title} (${event.start})`).join('\n')}`
+            };
+        }
+    };
+
+    const checkDocumentAccess = {
+        name: 'check_document_access',
+        description: 'Check which relations (owner, editor, viewer) the user holds on a document, e.g. document:project-plan.',
+        parameters: {
+            type: 'object',
+            properties: {
+                document: { type: 'string', description: 'Document object id, e.g. document:project-plan' }
+            },
+            required: ['document']
+        },
+        async execute(args, { user }) {
+            const document = args.document.startsWith('document:') ? args.document : `document:${args.document}`;
+            const relations = [];
+
+            for (const relation of DOCUMENT_RELATIONS) {
+                if ((await authorizer.check(user.id, relation, document)).allowed) {
+                    relations.push(relation);
+                }
+            }
+
+            return {
+                document: document,
+                relations: relations,
+                summary: relations.length === 0
+                    ? `You have no access to ${document}. I can request access for you through async approval.`
+                    : `You have ${relations.join(', ')} access to ${document}.`
+            };
+        }
+    };
+
+    const searchDocuments = {
+        name: 'search_documents',
+        description: 'Search project documents the user can read. Only passages from documents with viewer access are returned; cite the listed documents.',
+        parameters: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', description: 'What to look for' }
+            },
+            required: ['query']
+        },
+        async execute(args, { user }) {
+            const { passages, citations } = await retriever.retrieve(user, args.query, { limit: 3 });
+
+            return {
+                passages: passages,
+                citations: citations,
+                summary: passages.length === 0
+                    ? "I couldn't find anything relevant in the documents you can read."
+                    : passages.map(passage => `From ${passage.title} (${passage.document}): ${passage.text}`).join('\n\n') +
+                        `\n\nSources: ${citations.map(citation => citation.title).join(', ')}`
+            };
+        }
+    };
+
+    const requestTeamNotification = {
+        name: 'request_team_notification',
+        description: 'Request to send a team notification via Slack. The message is held until a human approves it.',
+        parameters: {
+            type: 'object',
+            properties: {
+                message: { type: 'string', description: 'Notification text' },
+                channel: { type: 'string', description: 'Slack channel name', default: 'team' }
+            },
+            required: ['message']
+        },
+        async execute(args, { user }) {
+            const { request, bindingMessage } = await approvalRequester.submit({
+                user: user,
+                action: 'slack-notification',
+                resource: `slack:${args.channel || 'team'}`,
+                justification: `AI agent requested a team notification: ${args.message}`,
+                details: { message: args.message, channel: args.channel || 'team' }
+            });
+
+            return {
+                request_id: request.id,
+                status: request.status,
+                summary: bindingMessage
+                    ? `Notification submitted for approval (${request.id}). Confirm on your device: "${bindingMessage}".`
+                    : `Notification submitted for approval (${request.id}). It will be sent once approved.`
+            };
+        }
+    };
+
+    const grantAccess = {
+        name: 'grant_access',
+        description: 'Grant another user a relation on a resource, optionally until an expiry time. Only owners and managers of the resource may grant access; only project owners appoint project managers and owners, and project roles cannot expire.',
+        parameters: {
+            type: 'object',
+            properties: {
+                resource: { type: 'string', description: 'Object id, e.g. document:project-plan' },
+                relation: { type: 'string', description: 'Relation to grant, e.g. viewer' },
+                target_user: { type: 'string', description: 'User id receiving access, e.g. auth0|123' },
+                expires_at: { type: 'string', description: 'Optional ISO 8601 time when the access is revoked automatically' }
+            },
+            required: ['resource', 'relation', 'target_user']
+        },
+        async execute(args, { user }) {
+            if (!args.resource || !args.relation || !args.target_user) {
+                return { error: 'resource, relation and target_user are required' };
+            }
+
+            const { expiresAt } = await grants.grant({
+                actorId: user.id,
+                targetUserId: args.target_user,
+                relation: args.relation,
+                object: args.resource,
+                expiresAt: args.expires_at
+            });
+
+            return {
+                granted: true,
+                expires_at: expiresAt,
+                summary: `Access granted: ${args.target_user} can now ${args.relation} ${args.resource}${expiresAt ? ` until ${expiresAt}` : ''}.`
+            };
+        }
+    };
+
+    // Resolve the project a GitHub tool refers to
+    function findProject(args) {
+        const project = projectGitHub.matchProject(args.project);
+        if (!project) {
+            throw new Error(`I couldn't find a project matching "${args.project}"`);
+        }
+        return project;
+    }
+
+    const getProjectBlockers = {
+        name: 'get_project_blockers',
+        description: "Find what is blocking a project: open issues labelled as blockers and pull requests waiting on review in the project's linked GitHub repositories. Requires project membership and a connected GitHub account.",
+        parameters: {
+            type: 'object',
+            properties: {
+                project: { type: 'string', description: 'Project id or name, e.g. alpha-release' }
+            },
+            required: ['project']
+        },
+        async execute(args, { user }) {
+            const { project, repositories, issues, pull_requests: pulls } = await projectGitHub.findBlockers(user, findProject(args).id);
+
+            if (repositories.length === 0) {
+                return { project: project.id, issues, pull_requests: pulls, summary: `${project.name} has no linked GitHub repositories yet.` };
+            }
+
+            const lines = [
+                ...issues.map(issue => `- ${issue.repository}#${issue.number} ${issue.title} [${issue.labels.join(', ')}]${issue.assignees.length ? ` (assigned to ${issue.assignees.join(', ')})` : ' (unassigned)'}`),
+                ...pulls.map(pull => `- PR ${pull.repository}#${pull.number} ${pull.title} ${pull.draft ? '(draft)' : `(awaiting review from ${pull.requested_reviewers.join(', ')})`}`)
+            ];
+
+            return {
+                project: project.id,
+                issues: issues,
+                pull_requests: pulls,
+                summary: lines.length === 0
+                    ? `Nothing is blocking ${project.name}: no blocker issues or pull requests waiting on review in ${repositories.join(', ')}.`
+                    : `${project.name} is blocked by ${issues.length} issue${issues.length === 1 ? '' : 's'} and ${pulls.length} pull request${pulls.length === 1 ? '' : 's'}:\n${lines.join('\n')}`
+            };
+        }
+    };
+
+    const requestGitHubIssue = {
+        name: 'request_github_issue',
+        description: "Request a new GitHub issue in one of a project's linked repositories. The issue is only opened once a human approves the request.",
+        parameters: {
+            type: 'object',
+            properties: {
+                project: { type: 'string', description: 'Project id or name, e.g. alpha-release' },
+                title: { type: 'string', description: 'Issue title' },
+                body: { type: 'string', description: 'Issue description' },
+                repository: { type: 'string', description: 'owner/name; defaults to the first linked repository' }
+            },
+            required: ['project', 'title']
+        },
+        async execute(args, { user }) {
+            const project = await projectGitHub.resolveProject(user, findProject(args).id);
+            const repository = args.repository || project.repositories[0];
+            if (!project.repositories.includes(repository)) {
+                return { error: `${repository || 'No repository'} is not linked to ${project.id}` };
+            }
+
+            const { request, bindingMessage } = await approvalRequester.submit({
+                user: user,
+                action: GITHUB_ISSUE_ACTION,
+                resource: `github:${repository}`,
+                justification: `AI agent requested a new issue in ${repository}: ${args.title}`,
+                details: { repository, title: args.title, body: args.body, project: project.id }
+            });
+
+            return {
+                request_id: request.id,
+                status: request.status,
+                summary: bindingMessage
+                    ? `Issue submitted for approval (${request.id}). Confirm on your device: "${bindingMessage}".`
+                    : `Issue submitted for approval (${request.id}). It will be opened in ${repository} once approved.`
+            };
+        }
+    };
+
+    return [
+        getCalendarEvents,
+        checkDocumentAccess,
+        searchDocuments,
+        requestTeamNotification,
+        grantAccess,
+        ...(projectGitHub ? [getProjectBlockers, requestGitHubIssue] : [])
+    ];
+}
+
+module.exports = {
+    createAgentTools
+};
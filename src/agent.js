@@ -0,0 +1,76 @@
+/**
+ * AI Agent Loop
+ * Runs a tool-calling loop against a pluggable LLM provider. Tools execute
+ * with the identity of the user who prompted the agent, so every action is
+ * subject to that user's Token Vault, FGA and approval checks.
+ */
+
+const DEFAULT_MAX_STEPS = 5;
+
+const SYSTEM_PROMPT = [
+    "You are a secure AI project manager. You act on behalf of the signed-in user and only through the provided tools.",
+    'Tools enforce Token Vault, Fine-Grained Authorization and human approval; never claim an action succeeded unless a tool result says so.',
+    'High-risk actions are submitted for approval and are not complete until approved.'
+].join(' ');
+
+function createAgent({ provider, tools, maxSteps = DEFAULT_MAX_STEPS, onToolCall = () => {} }) {
+    const toolsByName = new Map(tools.map(tool => [tool.name, tool]));
+
+    async function executeToolCall(call, user) {
+        const tool = toolsByName.get(call.name);
+        if (!tool) {
+            return { error: `Unknown tool ${call.name}` };
+        }
+
+        try {
+            return await tool.execute(call.arguments || {}, { user });
+        } catch (error) {
+            // Tool errors (including authorization failures) go back to the model
+            return { error: error.message };
+        }
+    }
+
+    // Run the agent for `user` on the conversation `history` plus the new `message`
+    async function run({ user, message, history = [] }) {
+        const messages = [
+            { role: 'system', content: SYSTEM_PROMPT },
+            ...history.map(entry => ({ role: entry.role, content: entry.content })),
+            { role: 'user', content: message }
+        ];
+        const trace = [];
+
+        for (let step = 0; step < maxSteps; step++) {
+            const completion = await provider.complete({ messages, tools });
+
+            if (!completion.toolCalls || completion.toolCalls.length === 0) {
+                return { reply: completion.content, toolCalls: trace };
+            }
+
+            messages.push({ role: 'assistant', content: completion.content, tool_calls: completion.toolCalls });
+
+            for (const call of completion.toolCalls) {
+                const result = await executeToolCall(call, user);
+                trace.push({ name: call.name, arguments: call.arguments, result });
+                onToolCall(user, call, result);
+
+                messages.push({
+                    role: 'tool',
+                    name: call.name,
+                    tool_call_id: call.id,
+                    content: JSON.stringify(result)
+                });
+            }
+        }
+
+        return {
+            reply: 'I stopped before finishing because the request needed too many steps. Please narrow it down.',
+            toolCalls: trace
+        };
+    }
+
+    return { run };
+}
+
+module.exports = {
+    createAgent
+};
@@ -0,0 +1,75 @@
+/**
+ * Approval Action Runner
+ * Runs the action behind an approval request only once the request has been
+ * approved, and records the outcome on the request.
+ */
+
+const { APPROVAL_STATUS } = require('./approval-store');
+
+function createApprovalActionRunner({ approvals, logSecurityEvent }) {
+    const handlers = new Map();
+
+    // Register the handler that performs `action` after approval
+    function register(action, handler) {
+        handlers.set(action, handler);
+    }
+
+    async function run(request) {
+        const handler = handlers.get(request.action);
+        if (!handler) {
+            return null;
+        }
+
+        try {
+            const result = await handler(request);
+
+            approvals.annotate(request.id, {
+                execution: {
+                    status: 'succeeded',
+                    completed_at: new Date().toISOString(),
+                    result: result || null
+                }
+            });
+
+            logSecurityEvent('APPROVED_ACTION_EXECUTED', request.user_id, {
+                requestId: request.id,
+                action: request.action,
+                resource: request.resource
+            });
+
+            return result;
+        } catch (error) {
+            approvals.annotate(request.id, {
+                execution: {
+                    status: 'failed',
+                    completed_at: new Date().toISOString(),
+                    error: error.message
+                }
+            });
+
+            logSecurityEvent('APPROVED_ACTION_FAILED', request.user_id, {
+                requestId: request.id,
+                action: request.action,
+                resource: request.resource,
+                error: error.message
+            });
+
+            return null;
+        }
+    }
+
+    approvals.on('transition', request => {
+        if (request.status === APPROVAL_STATUS.APPROVED) {
+            run(request);
+        }
+    });
+
+    return {
+        register,
+        run
+    };
+}
+
+module.exports = {
+    createApprovalActionRunner
+};
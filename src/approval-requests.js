@@ -0,0 +1,58 @@
+/**
+ * Approval Request Submission
+ * Shared by the REST route and the AI agent so both file approval requests
+ * the same way: persist, log, and route high-risk actions through CIBA.
+ */
+
+const { HttpError } = require('./errors');
+
+// `validators` maps an action to a function that checks `{ resource, details }`
+// and returns (or resolves to) the details to store
+function createApprovalRequester({ approvals, backchannel = null, validators = {}, logSecurityEvent }) {
+    // Submit an approval request for `action` on behalf of `user`
+    async function submit({ user, action, resource, justification, details = {} }) {
+        if (!action) {
+            throw new HttpError(400, 'Invalid request', 'Action is required');
+        }
+        if (validators[action]) {
+            details = await validators[action]({ resource, details });
+        }
+
+        const useBackchannel = !!backchannel && backchannel.handles(action);
+        const request = approvals.create({
+            userId: user.id,
+            userName: user.name,
+            action: action,
+            resource: resource || 'system',
+            justification: justification,
+            channel: useBackchannel ? 'ciba' : 'manual',
+            details: details
+        });
+
+        logSecurityEvent('APPROVAL_REQUESTED', user.id, {
+            requestId: request.id,
+            action: action,
+            resource: request.resource,
+            channel: request.channel
+        });
+
+        let bindingMessage;
+        if (useBackchannel) {
+            try {
+                ({ bindingMessage } = await backchannel.start(request));
+            } catch (error) {
+                const failure = new HttpError(502, 'Backchannel authorization failed', error.message);
+                failure.requestId = request.id;
+                throw failure;
+            }
+        }
+
+        return { request, bindingMessage };
+    }
+
+    return { submit };
+}
+
+module.exports = {
+    createApprovalRequester
+};
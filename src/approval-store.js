@@ -0,0 +1,182 @@
+/**
+ * Approval Request Store
+ * Durable storage and lifecycle for asynchronous authorization requests.
+ * A request starts as `pending` and moves exactly once to `approved`,
+ * `denied`, `expired` or `cancelled`.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { HttpError } = require('./errors');
+const { createJsonFileStore } = require('./json-file-store');
+
+const APPROVAL_STATUS = Object.freeze({
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    DENIED: 'denied',
+    EXPIRED: 'expired',
+    CANCELLED: 'cancelled'
+});
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+function generateRequestId() {
+    return 'req_' + crypto.randomBytes(8).toString('hex');
+}
+
+function createApprovalStore({ filePath = null, ttlMs = DEFAULT_TTL_MS, now = Date.now } = {}) {
+    const file = createJsonFileStore(filePath, { requests: [] });
+    const requests = new Map(file.read().requests.map(request => [request.id, request]));
+    const events = new EventEmitter();
+
+    function persist() {
+        file.write({ requests: Array.from(requests.values()) });
+    }
+
+    // Move a pending request to its final state and notify listeners
+    function transition(request, status, fields = {}) {
+        if (request.status !== APPROVAL_STATUS.PENDING) {
+            throw new HttpError(409, 'Invalid state', `Approval request ${request.id} is already ${request.status}`);
+        }
+
+        const previousStatus = request.status;
+        Object.assign(request, fields, {
+            status: status,
+            updated_at: new Date(now()).toISOString()
+        });
+        persist();
+
+        events.emit('transition', { ...request }, previousStatus);
+        return { ...request };
+    }
+
+    // Requests past their deadline are expired lazily on read as well as by the sweeper
+    function expireIfStale(request) {
+        if (request.status === APPROVAL_STATUS.PENDING && Date.parse(request.expires_at) <= now()) {
+            transition(request, APPROVAL_STATUS.EXPIRED);
+        }
+        return request;
+    }
+
+    function create({ userId, userName, action, resource, justification, channel = 'manual', details = {} }) {
+        const createdAt = now();
+        const request = {
+            id: generateRequestId(),
+            user_id: userId,
+            user_name: userName,
+            action: action,
+            resource: resource,
+            justification: justification,
+            channel: channel,
+            details: details,
+            status: APPROVAL_STATUS.PENDING,
+            created_at: new Date(createdAt).toISOString(),
+            updated_at: new Date(createdAt).toISOString(),
+            expires_at: new Date(createdAt + ttlMs).toISOString()
+        };
+
+        requests.set(request.id, request);
+        persist();
+
+        events.emit('created', { ...request });
+        return { ...request };
+    }
+
+    function get(id) {
+        const request = requests.get(id);
+        return request ? { ...expireIfStale(request) } : null;
+    }
+
+    function list({ userId, status } = {}) {
+        return Array.from(requests.values())
+            .map(expireIfStale)
+            .filter(request => !userId || request.user_id === userId)
+            .filter(request => !status || request.status === status)
+            .sort((a, b) => b.created_at.localeCompare(a.created_at))
+            .map(request => ({ ...request }));
+    }
+
+    function requirePending(id) {
+        const request = requests.get(id);
+        if (!request) {
+            throw new HttpError(404, 'Not found', `Approval request ${id} does not exist`);
+        }
+        return expireIfStale(request);
+    }
+
+    function cancel(id, userId) {
+        const request = requirePending(id);
+
+        if (request.user_id !== userId) {
+            throw new HttpError(403, 'Insufficient permissions', 'Only the requester can cancel an approval request');
+        }
+
+        return transition(request, APPROVAL_STATUS.CANCELLED, {
+            cancelled_at: new Date(now()).toISOString()
+        });
+    }
+
+    function decide(id, { approved, approverId, reason }) {
+        const request = requirePending(id);
+
+        return transition(request, approved ? APPROVAL_STATUS.APPROVED : APPROVAL_STATUS.DENIED, {
+            decided_by: approverId,
+            decided_at: new Date(now()).toISOString(),
+            decision_reason: reason || null
+        });
+    }
+
+    // Expire a pending request ahead of its deadline (e.g. the backchannel request timed out)
+    function expire(id, reason) {
+        const request = requirePending(id);
+
+        return transition(request, APPROVAL_STATUS.EXPIRED, {
+            decision_reason: reason || null
+        });
+    }
+
+    // Merge bookkeeping fields (backchannel ids, execution results) without changing state
+    function annotate(id, fields) {
+        const request = requests.get(id);
+        if (!request) {
+            throw new HttpError(404, 'Not found', `Approval request ${id} does not exist`);
+        }
+
+        const updates = { ...fields };
+        delete updates.status;
+        Object.assign(request, updates, { updated_at: new Date(now()).toISOString() });
+        persist();
+
+        return { ...request };
+    }
+
+    // Expire every pending request past its deadline; returns the expired requests
+    function expireStale() {
+        const expired = [];
+
+        for (const request of requests.values()) {
+            if (request.status === APPROVAL_STATUS.PENDING && Date.parse(request.expires_at) <= now()) {
+                expired.push(transition(request, APPROVAL_STATUS.EXPIRED));
+            }
+        }
+
+        return expired;
+    }
+
+    return {
+        create,
+        get,
+        list,
+        cancel,
+        decide,
+        expire,
+        annotate,
+        expireStale,
+        on: (eventName, listener) => events.on(eventName, listener)
+    };
+}
+
+module.exports = {
+    APPROVAL_STATUS,
+    createApprovalStore
+};
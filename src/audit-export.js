@@ -0,0 +1,191 @@
+/**
+ * Audit Export
+ * Renders audit log entries for SIEM ingestion as CSV, JSON Lines, CEF or
+ * OCSF-shaped JSON. Every format carries the fields `logSecurityEvent`
+ * records - event, user, client IP, URL and the remaining details - plus the
+ * entry's sequence number, outcome, resource and chain hash so exported
+ * records can be matched back to the log.
+ */
+
+const { entryResource, entryOutcome } = require('./audit-log');
+const { name: PRODUCT_NAME, version: PRODUCT_VERSION } = require('../package.json');
+
+const VENDOR = 'AI Project Manager';
+const OCSF_VERSION = '1.1.0';
+const CSV_COLUMNS = ['seq', 'timestamp', 'event', 'userId', 'outcome', 'resource', 'ip', 'url', 'details', 'hash'];
+const CEF_SEVERITY = { success: 3, failure: 5, denied: 7 };
+const OCSF_SEVERITY = { success: [1, 'Informational'], failure: [2, 'Low'], denied: [3, 'Medium'] };
+const OCSF_ACTIVITIES = [
+    [/_CREATED$|_WRITTEN$|_REQUESTED$|_STARTED$/, 1, 'Create'],
+    [/_READ$|_ACCESS$|_CHECK$|_RETRIEVAL$/, 2, 'Read'],
+    [/_UPDATED$|_SET$|_LINKED$|_ATTACHED$/, 3, 'Update'],
+    [/_DELETED$|_REMOVED$|_UNLINKED$|_DETACHED$|_REVOKED$/, 4, 'Delete']
+];
+
+// The fields every format maps, taken from a stored audit entry
+function toExportRecord(entry) {
+    const { ip, url, ...details } = entry.details || {};
+    return {
+        seq: entry.seq,
+        timestamp: entry.timestamp,
+        event: entry.event,
+        userId: entry.user_id,
+        ip: ip || null,
+        url: url || null,
+        outcome: entryOutcome(entry),
+        resource: entryResource(entry),
+        details: details,
+        hash: entry.hash
+    };
+}
+
+// Cells a spreadsheet would evaluate as a formula (=, +, -, @, tab, CR) are prefixed with ' so they stay text
+function csvField(value) {
+    const raw = value === null || value === undefined ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CEF header fields escape pipes and backslashes; extension values escape equals signs and newlines
+function cefHeader(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|');
+}
+
+function cefValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/=/g, '\\=').replace(/\r?\n/g, '\\n');
+}
+
+function formatCef(record) {
+    const standard = [
+        ['rt', Date.parse(record.timestamp)],
+        ['externalId', record.seq],
+        ['suser', record.userId],
+        ['src', record.ip],
+        ['request', record.url],
+        ['outcome', record.outcome]
+    ];
+    // Custom string fields cs1..cs3, each with its label
+    const custom = [['resource', record.resource], ['details', JSON.stringify(record.details)], ['hash', record.hash]]
+        .flatMap(([label, value], i) => [[`cs${i + 1}Label`, label], [`cs${i + 1}`, value]])
+        .filter(([key], i, fields) => !key.endsWith('Label') || fields[i + 1][1] !== null);
+    const extension = standard.concat(custom)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => `${key}=${cefValue(value)}`)
+        .join(' ');
+
+    return [
+        'CEF:0',
+        cefHeader(VENDOR),
+        cefHeader(PRODUCT_NAME),
+        cefHeader(PRODUCT_VERSION),
+        cefHeader(record.event),
+        cefHeader(record.event.replace(/_/g, ' ').toLowerCase()),
+        CEF_SEVERITY[record.outcome],
+        extension
+    ].join('|');
+}
+
+// OCSF event: logins as Authentication (3002), everything else as API Activity (6003)
+function formatOcsf(record) {
+    const login = record.event === 'USER_LOGIN';
+    const [, activityId, activityName] = login
+        ? [null, 1, 'Logon']
+        : OCSF_ACTIVITIES.find(([pattern]) => pattern.test(record.event)) || [null, 99, 'Other'];
+    const classUid = login ? 3002 : 6003;
+    const [severityId, severity] = OCSF_SEVERITY[record.outcome];
+    const success = record.outcome === 'success';
+
+    return {
+        class_uid: classUid,
+        class_name: login ? 'Authentication' : 'API Activity',
+        category_uid: login ? 3 : 6,
+        category_name: login ? 'Identity & Access Management' : 'Application Activity',
+        activity_id: activityId,
+        activity_name: activityName,
+        type_uid: classUid * 100 + activityId,
+        time: Date.parse(record.timestamp),
+        severity_id: severityId,
+        severity: severity,
+        status_id: success ? 1 : 2,
+        status: success ? 'Success' : 'Failure',
+        status_detail: record.outcome,
+        message: record.event,
+        metadata: {
+            version: OCSF_VERSION,
+            uid: String(record.seq),
+            log_name: 'audit',
+            product: { name: PRODUCT_NAME, vendor_name: VENDOR, version: PRODUCT_VERSION }
+        },
+        actor: { user: { uid: record.userId } },
+        ...(login ? { user: { uid: record.userId } } : { api: { operation: record.event } }),
+        ...(record.ip && { src_endpoint: { ip: record.ip } }),
+        ...(record.url && { http_request: { url: { path: record.url } } }),
+        ...(record.resource && { resources: [{ uid: record.resource, type: record.resource.split(':')[0] }] }),
+        unmapped: { ...record.details, hash: record.hash }
+    };
+}
+
+// Each format: a header, one chunk per record and a footer
+const EXPORT_FORMATS = {
+    csv: {
+        contentType: 'text/csv',
+        extension: 'csv',
+        header: `${CSV_COLUMNS.join(',')}\n`,
+        formatRecord: record => `${CSV_COLUMNS.map(column => csvField(record[column])).join(',')}\n`,
+        footer: ''
+    },
+    jsonl: {
+        contentType: 'application/x-ndjson',
+        extension: 'jsonl',
+        header: '',
+        formatRecord: record => `${JSON.stringify(record)}\n`,
+        footer: ''
+    },
+    cef: {
+        contentType: 'text/plain',
+        extension: 'cef',
+        header: '',
+        formatRecord: record => `${formatCef(record)}\n`,
+        footer: ''
+    },
+    ocsf: {
+        contentType: 'application/json',
+        extension: 'json',
+        header: '[',
+        formatRecord: (record, index) => `${index === 0 ? '\n' : ',\n'}${JSON.stringify(formatOcsf(record))}`,
+        footer: '\n]\n'
+    }
+};
+
+// Write the entries between `since` and `until` (inclusive ISO 8601 bounds) in `format`; returns the record count
+function writeAuditExport({ entries, format, since, until, userId, write }) {
+    const formatter = EXPORT_FORMATS[format];
+    if (!formatter) {
+        throw new Error(`Unknown export format "${format}" (expected one of: ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+    }
+    const sinceMs = since ? Date.parse(since) : null;
+    const untilMs = until ? Date.parse(until) : null;
+
+    let count = 0;
+    write(formatter.header);
+    for (const entry of entries) {
+        const time = Date.parse(entry.timestamp);
+        if ((sinceMs !== null && time < sinceMs) ||
+            (untilMs !== null && time > untilMs) ||
+            (userId && entry.user_id !== userId)) {
+            continue;
+        }
+        write(formatter.formatRecord(toExportRecord(entry), count));
+        count++;
+    }
+    write(formatter.footer);
+    return count;
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    toExportRecord,
+    formatCef,
+    formatOcsf,
+    writeAuditExport
+};
@@ -0,0 +1,306 @@
+/**
+ * Audit Log
+ * Append-only, hash-chained record of security events. Entries are JSON lines
+ * in numbered segment files under DATA_DIR/audit (audit-000001.jsonl, ...).
+ * Each entry carries a sequence number and the SHA-256 hash of the entry
+ * before it, and its own hash covers both, so editing, removing or reordering
+ * an entry breaks the chain from that point on. `verifyAuditLog` walks the
+ * segments and reports every place the chain does not hold.
+ *
+ * Removing entries from the end leaves a valid, shorter chain; record the
+ * head (`seq` and `hash`) somewhere else to detect that.
+ *
+ * `query` pages through entries newest first, filtered by user, event,
+ * resource, outcome and time range; `seq` doubles as the page cursor.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const GENESIS_HASH = '0'.repeat(64);
+const DEFAULT_SEGMENT_MAX_ENTRIES = 10000;
+const SEGMENT_PATTERN = /^audit-(\d{6})\.jsonl$/;
+const OUTCOMES = ['success', 'failure', 'denied'];
+const DENIED_EVENT = /DENIED/;
+const FAILED_EVENT = /FAILED|EXCEEDED|UNCAUGHT|UNHANDLED/;
+
+// Hash of an entry's content and its link to the previous entry
+function hashEntry({ seq, timestamp, event, user_id: userId, details, prev_hash: prevHash }) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([seq, timestamp, event, userId, details, prevHash]))
+        .digest('hex');
+}
+
+// Resource an entry is about, when its details name one
+function entryResource(entry) {
+    const details = entry.details || {};
+    return details.resource || details.object || null;
+}
+
+// Whether an entry records a success, a failure or a denial
+function entryOutcome(entry) {
+    const details = entry.details || {};
+    if (DENIED_EVENT.test(entry.event) || details.allowed === false) {
+        return 'denied';
+    }
+    if (FAILED_EVENT.test(entry.event) || details.success === false || details.outcome === 'error') {
+        return 'failure';
+    }
+    return 'success';
+}
+
+function segmentName(number) {
+    return `audit-${String(number).padStart(6, '0')}.jsonl`;
+}
+
+// Segment files in `dir`, oldest first
+function listSegments(dir) {
+    let files;
+    try {
+        files = fs.readdirSync(dir);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+
+    return files
+        .map(file => ({ file, match: SEGMENT_PATTERN.exec(file) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => ({ number: parseInt(match[1], 10), file: path.join(dir, file) }))
+        .sort((a, b) => a.number - b.number);
+}
+
+function readLines(file) {
+    return fs.readFileSync(file, 'utf8').split('\n').filter(line => line !== '');
+}
+
+function parseLine(line) {
+    try {
+        return JSON.parse(line);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Check a sequence of { segment, line, raw } records; errors are collected, not thrown
+function verifyRecords(records) {
+    const errors = [];
+    let expectedSeq = 1;
+    let prevHash = GENESIS_HASH;
+    let count = 0;
+
+    for (const { segment, line, raw } of records) {
+        const entry = parseLine(raw);
+        if (!entry || typeof entry.seq !== 'number') {
+            errors.push({ segment, line, seq: null, error: 'Unreadable entry' });
+            continue;
+        }
+        count++;
+
+        if (entry.seq !== expectedSeq) {
+            errors.push({ segment, line, seq: entry.seq, error: `Expected seq ${expectedSeq}; entries are missing or out of order` });
+        }
+        if (entry.prev_hash !== prevHash) {
+            errors.push({ segment, line, seq: entry.seq, error: 'prev_hash does not match the previous entry' });
+        }
+        if (entry.hash !== hashEntry(entry)) {
+            errors.push({ segment, line, seq: entry.seq, error: 'Entry was modified (hash mismatch)' });
+        }
+
+        // Carry on from this entry so each break is reported once
+        expectedSeq = entry.seq + 1;
+        prevHash = entry.hash;
+    }
+
+    return { entries: count, head: { seq: expectedSeq - 1, hash: prevHash }, errors };
+}
+
+// Verify the segments in `dir`; `valid` is false when anything was edited, removed or reordered
+function verifyAuditLog(dir) {
+    const segments = listSegments(dir);
+    const errors = [];
+
+    let expectedSegment = 1;
+    segments.forEach(segment => {
+        for (; expectedSegment < segment.number; expectedSegment++) {
+            errors.push({ segment: segmentName(expectedSegment), line: null, seq: null, error: 'Segment is missing' });
+        }
+        expectedSegment = segment.number + 1;
+    });
+
+    function* records() {
+        for (const segment of segments) {
+            const lines = readLines(segment.file);
+            for (let i = 0; i < lines.length; i++) {
+                yield { segment: path.basename(segment.file), line: i + 1, raw: lines[i] };
+            }
+        }
+    }
+
+    const result = verifyRecords(records());
+    const allErrors = errors.concat(result.errors);
+
+    return {
+        valid: allErrors.length === 0,
+        segments: segments.length,
+        entries: result.entries,
+        head: result.head,
+        errors: allErrors
+    };
+}
+
+// Create the log; a null `dir` keeps entries in memory only (tests)
+function createAuditLog({ dir = null, segmentMaxEntries = DEFAULT_SEGMENT_MAX_ENTRIES, now = Date.now } = {}) {
+    const memory = [];
+    const state = { seq: 0, hash: GENESIS_HASH, segment: 1, segmentEntries: 0, writeFailures: 0 };
+
+    // Continue the chain from the last readable entry on disk
+    if (dir) {
+        const segments = listSegments(dir);
+        for (let i = segments.length - 1; i >= 0; i--) {
+            const lines = readLines(segments[i].file);
+            const last = lines.map(parseLine).reverse().find(entry => entry && typeof entry.seq === 'number');
+            if (i === segments.length - 1) {
+                state.segment = segments[i].number;
+                state.segmentEntries = lines.length;
+            }
+            if (last) {
+                state.seq = last.seq;
+                state.hash = last.hash;
+                break;
+            }
+        }
+    }
+
+    function append(event, userId, details = {}) {
+        const entry = {
+            seq: state.seq + 1,
+            timestamp: new Date(now()).toISOString(),
+            event: event,
+            user_id: userId || null,
+            // Round-trip through JSON so the hash covers exactly what is stored
+            details: JSON.parse(JSON.stringify(details)),
+            prev_hash: state.hash
+        };
+        entry.hash = hashEntry(entry);
+
+        if (dir) {
+            const segment = state.segmentEntries >= segmentMaxEntries ? state.segment + 1 : state.segment;
+            try {
+                fs.mkdirSync(dir, { recursive: true });
+                fs.appendFileSync(path.join(dir, segmentName(segment)), `${JSON.stringify(entry)}\n`);
+            } catch (error) {
+                state.writeFailures++;
+                throw error;
+            }
+            state.segmentEntries = segment === state.segment ? state.segmentEntries + 1 : 1;
+            state.segment = segment;
+        } else {
+            memory.push(entry);
+        }
+
+        state.seq = entry.seq;
+        state.hash = entry.hash;
+        return entry;
+    }
+
+    // Every entry, oldest first
+    function readAll() {
+        if (!dir) {
+            return memory.map(entry => ({ ...entry }));
+        }
+        return listSegments(dir).flatMap(segment => readLines(segment.file).map(parseLine).filter(Boolean));
+    }
+
+    // Every entry, newest first, without reading segments that are not needed
+    function* newestFirst() {
+        if (!dir) {
+            for (let i = memory.length - 1; i >= 0; i--) {
+                yield { ...memory[i] };
+            }
+            return;
+        }
+        const segments = listSegments(dir);
+        for (let i = segments.length - 1; i >= 0; i--) {
+            const lines = readLines(segments[i].file);
+            for (let j = lines.length - 1; j >= 0; j--) {
+                const entry = parseLine(lines[j]);
+                if (entry && typeof entry.seq === 'number') {
+                    yield entry;
+                }
+            }
+        }
+    }
+
+    // One page of matching entries, newest first; pass `nextCursor` back as `cursor` for the next page
+    function query({ userId, events, resource, outcome, since, until, cursor, limit = 50 } = {}) {
+        const sinceMs = since ? Date.parse(since) : null;
+        const untilMs = until ? Date.parse(until) : null;
+        const matches = [];
+
+        for (const entry of newestFirst()) {
+            if (cursor && entry.seq >= cursor) {
+                continue;
+            }
+            const time = Date.parse(entry.timestamp);
+            if (sinceMs !== null && time < sinceMs) {
+                break; // entries are appended in time order
+            }
+            if ((untilMs !== null && time > untilMs) ||
+                (userId && entry.user_id !== userId) ||
+                (events && events.length && !events.includes(entry.event)) ||
+                (resource && entryResource(entry) !== resource) ||
+                (outcome && entryOutcome(entry) !== outcome)) {
+                continue;
+            }
+            matches.push(entry);
+            if (matches.length > limit) {
+                break;
+            }
+        }
+
+        const entries = matches.slice(0, limit);
+        return {
+            entries: entries,
+            nextCursor: matches.length > limit ? entries[entries.length - 1].seq : null
+        };
+    }
+
+    function verify() {
+        if (dir) {
+            return verifyAuditLog(dir);
+        }
+        const result = verifyRecords(memory.map((entry, i) => ({ segment: null, line: i + 1, raw: JSON.stringify(entry) })));
+        return { valid: result.errors.length === 0, segments: 0, ...result };
+    }
+
+    function stats() {
+        return {
+            entries: state.seq,
+            segment: dir ? segmentName(state.segment) : null,
+            headHash: state.hash,
+            writeFailures: state.writeFailures
+        };
+    }
+
+    return {
+        append,
+        readAll,
+        query,
+        verify,
+        stats
+    };
+}
+
+module.exports = {
+    GENESIS_HASH,
+    OUTCOMES,
+    hashEntry,
+    entryResource,
+    entryOutcome,
+    createAuditLog,
+    verifyAuditLog
+};
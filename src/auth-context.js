@@ -0,0 +1,19 @@
+/**
+ * Helpers for reading the authenticated caller from a request
+ */
+
+// express-oauth2-jwt-bearer places the verified claims under req.auth.payload
+function getAuthUser(req) {
+    const claims = req.auth?.payload || {};
+
+    return {
+        id: claims.sub,
+        name: claims.name,
+        email: claims.email,
+        permissions: Array.isArray(claims.permissions) ? claims.permissions : []
+    };
+}
+
+module.exports = {
+    getAuthUser
+};
@@ -0,0 +1,348 @@
+/**
+ * Authorization Service
+ * Single place for FGA checks and grants so REST routes and agent tools
+ * enforce exactly the same rules. The client is either the OpenFGA SDK client
+ * or the local engine (src/fga-local-engine.js) when no store is configured;
+ * both evaluate the same model. Decisions go through an optional decision
+ * cache that is invalidated on every tuple write. Time-bound grants are
+ * tracked in the grant ledger and removed by `expireGrants`, which every
+ * check runs first once a grant is due, so access ends at the expiry rather
+ * than at the next sweep. Every decision, grant, revoke and expiry is
+ * reported through the `onCheck`, `onGrant`, `onRevoke` and `onExpire` hooks,
+ * which the server writes to the audit log.
+ */
+
+const { HttpError } = require('./errors');
+const { logger } = require('./logger');
+
+// Relation linking a child object to its project (`project:<id> project <type>:<id>`)
+const PARENT_RELATION = 'project';
+
+// Relations that let the holder share an object, strongest first
+const MANAGE_RELATIONS = ['owner', 'manager'];
+
+function createAuthorizer({ getClient, relations = null, cache = null, ledger = null, now = Date.now, onCheck = () => {}, onGrant = () => {}, onRevoke = () => {}, onExpire = () => {} }) {
+    // Remove grants that are due before deciding anything. Returns true while a due
+    // grant of `userId` (or a public one) could not be removed, so the caller denies.
+    async function expireDueGrants(userId) {
+        if (!ledger || ledger.due().length === 0) {
+            return false;
+        }
+        await expireGrants();
+        return ledger.due().some(entry => entry.user === `user:${userId}` || entry.user === 'user:*');
+    }
+
+    // Check whether `userId` holds `relation` on `object`; `consistency` overrides the cache mode
+    async function check(userId, relation, object, { consistency } = {}) {
+        const client = getClient();
+        const source = client.source || 'fga';
+
+        if (await expireDueGrants(userId)) {
+            onCheck({ userId, relation, object, allowed: false, source, cached: false });
+            return { allowed: false, source: source, cached: false };
+        }
+
+        const cached = cache ? cache.get(userId, relation, object, { consistency }) : undefined;
+        if (cached !== undefined) {
+            onCheck({ userId, relation, object, allowed: cached, source, cached: true });
+            return { allowed: cached, source: source, cached: true };
+        }
+
+        const result = await client.check({
+            user: `user:${userId}`,
+            relation: relation,
+            object: object
+        });
+
+        onCheck({ userId, relation, object, allowed: result.allowed, source, cached: false });
+        cache?.set(userId, relation, object, result.allowed);
+
+        return { allowed: result.allowed, source: source, cached: false };
+    }
+
+    // Check many (relation, object) pairs for `userId` in one round trip; only cache misses reach FGA
+    async function batchCheck(userId, checks, { consistency } = {}) {
+        const client = getClient();
+
+        if (await expireDueGrants(userId)) {
+            const results = checks.map(({ relation, object }) => ({ relation, object, allowed: false }));
+            results.forEach(result => onCheck({ userId, ...result, source: client.source || 'fga', cached: false }));
+            return { results: results, source: client.source || 'fga' };
+        }
+
+        const cached = checks.map(({ relation, object }) =>
+            cache ? cache.get(userId, relation, object, { consistency }) : undefined);
+        const misses = checks.filter((_, i) => cached[i] === undefined);
+
+        const response = misses.length === 0 ? { responses: [] } : await client.batchCheck(misses.map(({ relation, object }) => ({
+            user: `user:${userId}`,
+            relation: relation,
+            object: object
+        })));
+
+        const fetched = response.responses.map(item => {
+            if (!item.error) {
+                cache?.set(userId, item._request.relation, item._request.object, item.allowed === true);
+            }
+            return {
+                relation: item._request.relation,
+                object: item._request.object,
+                allowed: item.allowed === true,
+                ...(item.error && { error: item.error.message || 'Check failed' })
+            };
+        });
+
+        const results = checks.map(({ relation, object }, i) => cached[i] !== undefined
+            ? { relation, object, allowed: cached[i] }
+            : fetched.find(result => result.relation === relation && result.object === object));
+        results.forEach((result, i) => onCheck({ userId, ...result, source: client.source || 'fga', cached: cached[i] !== undefined }));
+
+        return {
+            results: results,
+            source: client.source || 'fga'
+        };
+    }
+
+    // Objects of `type` on which `userId` holds `relation`
+    async function listObjects(userId, relation, type) {
+        const client = getClient();
+
+        if (await expireDueGrants(userId)) {
+            return { objects: [], source: client.source || 'fga' };
+        }
+
+        const response = await client.listObjects({
+            user: `user:${userId}`,
+            relation: relation,
+            type: type
+        });
+
+        return { objects: response.objects, source: client.source || 'fga' };
+    }
+
+    // Owners and managers of a resource may share it, checked only through the relations its
+    // type defines. Types with neither (calendars) are managed by whoever manages their project.
+    async function canManage(userId, object) {
+        const type = object.split(':')[0];
+        const manageRelations = relations
+            ? MANAGE_RELATIONS.filter(relation => (relations[type] || []).includes(relation))
+            : MANAGE_RELATIONS;
+
+        for (const relation of manageRelations) {
+            if ((await check(userId, relation, object)).allowed) {
+                return true;
+            }
+        }
+        if (manageRelations.length > 0) {
+            return false;
+        }
+
+        const { tuples } = await readTuples(object, { relation: PARENT_RELATION });
+        for (const { user: parent } of tuples) {
+            if (await canManage(userId, parent)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Tuples stored on `object` as [{ user, relation }], following FGA read pagination;
+    // `filter` narrows the read to a user and/or relation
+    async function readTuples(object, filter = {}) {
+        const client = getClient();
+
+        const tuples = [];
+        let continuationToken;
+        do {
+            const response = await client.read({ ...filter, object: object }, { continuationToken });
+            response.tuples.forEach(tuple => {
+                const grant = ledger?.get(tuple.key);
+                tuples.push({
+                    user: tuple.key.user,
+                    relation: tuple.key.relation,
+                    timestamp: tuple.timestamp,
+                    ...(grant && { expiresAt: grant.expires_at })
+                });
+            });
+            continuationToken = response.continuation_token;
+        } while (continuationToken);
+
+        return { tuples, source: client.source || 'fga' };
+    }
+
+    // Delete every tuple stored on `object` and its ledger entries, e.g. when the
+    // object itself is deleted; returns the removed tuples
+    async function removeObject(object) {
+        const { tuples } = await readTuples(object);
+        const deletes = tuples.map(tuple => ({ user: tuple.user, relation: tuple.relation, object: object }));
+
+        await writeTuples({ deletes });
+        deletes.forEach(tuple => ledger?.remove(tuple));
+
+        return deletes;
+    }
+
+    // Validate an optional grant expiry; returns epoch milliseconds or null for a permanent grant
+    function parseExpiry(expiresAt) {
+        if (expiresAt === undefined || expiresAt === null) {
+            return null;
+        }
+        if (!ledger) {
+            throw new HttpError(400, 'Invalid request', 'Time-bound grants are not enabled');
+        }
+        const expiry = new Date(expiresAt).getTime();
+        if (Number.isNaN(expiry)) {
+            throw new HttpError(400, 'Invalid request', 'expires_at must be an ISO 8601 date');
+        }
+        if (expiry <= now()) {
+            throw new HttpError(400, 'Invalid request', 'expires_at must be in the future');
+        }
+        return expiry;
+    }
+
+    // Grant `relation` on `object` to `targetUserId` on behalf of `actorId`, optionally until `expiresAt`
+    async function grant({ actorId, targetUserId, relation, object, expiresAt }) {
+        const expiry = parseExpiry(expiresAt);
+
+        if (!(await canManage(actorId, object))) {
+            throw new HttpError(403, 'Insufficient permissions', 'You must be an owner or manager to grant access to this resource');
+        }
+
+        return writeGrant({ actorId, targetUserId, relation, object, expiry });
+    }
+
+    // Grant on the strength of an approved access request; the approver must
+    // own or manage the object when the grant is written
+    async function provision({ approverId, targetUserId, relation, object, expiresAt }) {
+        const expiry = parseExpiry(expiresAt);
+
+        if (!(await canManage(approverId, object))) {
+            throw new HttpError(403, 'Insufficient permissions', `${approverId} does not own or manage ${object}`);
+        }
+
+        return writeGrant({ actorId: approverId, targetUserId, relation, object, expiry });
+    }
+
+    // Write the direct tuple unless it exists. Granting an existing relation again only
+    // updates its expiry; a permanent grant stays permanent unless it was time-bound,
+    // in which case a grant without expiry makes it permanent.
+    async function writeGrant({ actorId, targetUserId, relation, object, expiry }) {
+        const tuple = { user: `user:${targetUserId}`, relation: relation, object: object };
+        const existing = await readTuples(object, { user: tuple.user, relation: relation });
+        if (existing.tuples.length > 0) {
+            const current = ledger?.get(tuple);
+            if (current && expiry === null) {
+                ledger.remove(tuple);
+            } else if (current) {
+                ledger.record({ ...tuple, grantedBy: actorId, expiresAt: expiry });
+            }
+            return {
+                source: existing.source,
+                alreadyGranted: true,
+                expiresAt: current && expiry !== null ? new Date(expiry).toISOString() : null
+            };
+        }
+
+        const { source } = await writeTuples({ writes: [tuple] });
+        if (expiry !== null) {
+            ledger.record({ ...tuple, grantedBy: actorId, expiresAt: expiry });
+        }
+
+        onGrant({ actorId, targetUserId, relation, object });
+
+        return { source, expiresAt: expiry !== null ? new Date(expiry).toISOString() : null };
+    }
+
+    // Remove `relation` on `object` from `targetUserId` on behalf of an owner or manager
+    async function revoke({ actorId, targetUserId, relation, object }) {
+        if (!(await canManage(actorId, object))) {
+            throw new HttpError(403, 'Insufficient permissions', 'You must be an owner or manager to revoke access to this resource');
+        }
+
+        const tuple = { user: `user:${targetUserId}`, relation: relation, object: object };
+        const { tuples } = await readTuples(object, { user: tuple.user, relation: relation });
+        if (tuples.length === 0) {
+            throw new HttpError(404, 'Not found', `${targetUserId} has no direct ${relation} relation on ${object}`);
+        }
+
+        const { source } = await writeTuples({ deletes: [tuple] });
+        ledger?.remove(tuple);
+
+        onRevoke({ actorId, targetUserId, relation, object });
+
+        return { source };
+    }
+
+    // Delete the tuples of time-bound grants that are due; returns the expired ledger entries.
+    // A failed delete stays in the ledger and is retried on the next sweep. Checks and the
+    // sweeper may ask at once, so concurrent calls share one sweep and report each grant once.
+    let sweep = null;
+    function expireGrants() {
+        if (!sweep) {
+            sweep = sweepDueGrants().finally(() => { sweep = null; });
+        }
+        return sweep;
+    }
+
+    async function sweepDueGrants() {
+        if (!ledger) {
+            return [];
+        }
+
+        const expired = [];
+        for (const entry of ledger.due()) {
+            const tuple = { user: entry.user, relation: entry.relation, object: entry.object };
+            try {
+                const { tuples } = await readTuples(entry.object, { user: entry.user, relation: entry.relation });
+                if (tuples.length > 0) {
+                    await writeTuples({ deletes: [tuple] });
+                }
+                ledger.remove(tuple);
+                expired.push(entry);
+                logger.info('Time-bound grant expired', { user: entry.user, relation: entry.relation, object: entry.object, expiresAt: entry.expires_at });
+                onExpire(entry);
+            } catch (error) {
+                logger.error('Failed to expire grant', { ...tuple, error: error });
+            }
+        }
+
+        return expired;
+    }
+
+    // Write and delete relationship tuples in FGA form, e.g. { user: 'user:auth0|123', relation, object }
+    async function writeTuples({ writes = [], deletes = [] }) {
+        const client = getClient();
+
+        if (writes.length === 0 && deletes.length === 0) {
+            return { source: client.source || 'fga' };
+        }
+
+        await client.write({
+            ...(writes.length > 0 && { writes: writes }),
+            ...(deletes.length > 0 && { deletes: deletes })
+        });
+        cache?.invalidateTuples([...writes, ...deletes]);
+
+        return { source: client.source || 'fga' };
+    }
+
+    return {
+        check,
+        batchCheck,
+        listObjects,
+        canManage,
+        readTuples,
+        removeObject,
+        grant,
+        provision,
+        revoke,
+        expireGrants,
+        writeTuples
+    };
+}
+
+module.exports = {
+    PARENT_RELATION,
+    MANAGE_RELATIONS,
+    createAuthorizer
+};
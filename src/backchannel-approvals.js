@@ -0,0 +1,92 @@
+/**
+ * Backchannel Approvals
+ * Routes high-risk approval requests through CIBA: the approver confirms on
+ * their own device and the approval request is decided from the outcome.
+ */
+
+const { buildBindingMessage } = require('./ciba-client');
+const { APPROVAL_STATUS } = require('./approval-store');
+const { logger } = require('./logger');
+
+function createBackchannelApprovals({ ciba, approvals, highRiskActions, approverId = null, logSecurityEvent }) {
+    function handles(action) {
+        return highRiskActions.includes(action);
+    }
+
+    // Record the CIBA outcome; the request may have been cancelled or expired meanwhile
+    function settle(request, result, decidedBy = approverId || request.user_id) {
+        try {
+            if (result.status === 'abandoned') {
+                return;
+            }
+
+            if (result.status === 'expired') {
+                approvals.expire(request.id, result.reason);
+                return;
+            }
+
+            approvals.decide(request.id, {
+                approved: result.status === 'approved',
+                approverId: decidedBy,
+                reason: result.reason
+            });
+
+            logSecurityEvent(result.status === 'approved' ? 'CIBA_APPROVED' : 'CIBA_DENIED', decidedBy, {
+                requestId: request.id,
+                action: request.action,
+                resource: request.resource,
+                reason: result.reason
+            });
+        } catch (error) {
+            logger.warn('CIBA decision not applied', { approvalId: request.id, error: error });
+        }
+    }
+
+    // Start the backchannel request; polling continues in the background
+    async function start(request) {
+        const bindingMessage = buildBindingMessage(request.action, request.resource);
+
+        try {
+            const authorization = await ciba.authorize({
+                userId: approverId || request.user_id,
+                bindingMessage: bindingMessage
+            });
+
+            approvals.annotate(request.id, {
+                ciba: {
+                    auth_req_id: authorization.authReqId,
+                    binding_message: bindingMessage,
+                    expires_in: authorization.expiresIn
+                }
+            });
+
+            logSecurityEvent('CIBA_REQUESTED', request.user_id, {
+                requestId: request.id,
+                action: request.action,
+                resource: request.resource,
+                bindingMessage: bindingMessage
+            });
+
+            // Stop polling if the requester cancels or the request expires locally
+            const shouldStop = () => approvals.get(request.id)?.status !== APPROVAL_STATUS.PENDING;
+
+            const decision = ciba.waitForDecision(authorization, { shouldStop })
+                .then(result => settle(request, result))
+                .catch(error => settle(request, { status: 'denied', reason: `Backchannel polling failed: ${error.message}` }, 'system'));
+
+            return { bindingMessage, decision };
+        } catch (error) {
+            settle(request, { status: 'denied', reason: error.message }, 'system');
+            throw error;
+        }
+    }
+
+    return {
+        handles,
+        start
+    };
+}
+
+module.exports = {
+    createBackchannelApprovals
+};
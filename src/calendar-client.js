@@ -0,0 +1,115 @@
+/**
+ * Google Calendar Client
+ * Thin wrapper over the Calendar v3 events API, called server-side with the
+ * user's vaulted token. Events come back in the shape the API returns to the
+ * dashboard and the agent; provider tokens and raw upstream errors never do.
+ */
+
+const axios = require('axios');
+const { HttpError } = require('./errors');
+
+const DEFAULT_API_URL = 'https://www.googleapis.com/calendar/v3';
+const TEAM_CALENDAR = 'calendar:team-calendar';
+
+// Calendar v3 event -> API event
+function toCalendarEvent(event) {
+    return {
+        id: event.id,
+        title: event.summary || '(no title)',
+        description: event.description || '',
+        location: event.location || '',
+        start: event.start?.dateTime || event.start?.date,
+        end: event.end?.dateTime || event.end?.date,
+        all_day: !event.start?.dateTime,
+        attendees: (event.attendees || []).map(attendee => attendee.email),
+        link: event.htmlLink || null
+    };
+}
+
+// API event fields -> Calendar v3 event body; only the fields present are sent
+function toGoogleEvent({ title, description, location, start, end, attendees }) {
+    const body = {};
+    if (title !== undefined) body.summary = title;
+    if (description !== undefined) body.description = description;
+    if (location !== undefined) body.location = location;
+    if (start !== undefined) body.start = { dateTime: new Date(start).toISOString() };
+    if (end !== undefined) body.end = { dateTime: new Date(end).toISOString() };
+    if (attendees !== undefined) body.attendees = attendees.map(email => ({ email }));
+    return body;
+}
+
+function createCalendarClient({ apiUrl = DEFAULT_API_URL, calendarId = 'primary', http = axios } = {}) {
+    const eventsUrl = `${apiUrl}/calendars/${encodeURIComponent(calendarId)}/events`;
+
+    function options(accessToken, extra = {}) {
+        return {
+            headers: { Authorization: `Bearer ${accessToken}` },
+            timeout: 10000,
+            ...extra
+        };
+    }
+
+    // Translate upstream failures; the message never echoes the request (and its token)
+    function upstreamError(error, eventId) {
+        const status = error.response?.status;
+        if (status === 404 || status === 410) {
+            return new HttpError(404, 'Not found', `Calendar event ${eventId} does not exist`);
+        }
+        if (status === 400) {
+            return new HttpError(400, 'Invalid request', error.response.data?.error?.message || 'Google Calendar rejected the event');
+        }
+        if (status === 401 || status === 403) {
+            return new HttpError(502, 'Calendar unavailable', 'Google Calendar rejected the vaulted token; reconnect the account under Connected Accounts');
+        }
+        return new HttpError(502, 'Calendar unavailable', 'Google Calendar did not respond');
+    }
+
+    async function call(request, eventId) {
+        try {
+            return await request();
+        } catch (error) {
+            throw upstreamError(error, eventId);
+        }
+    }
+
+    // Upcoming events, soonest first
+    async function listEvents(accessToken, { maxResults = 10, timeMin = new Date().toISOString() } = {}) {
+        const response = await call(() => http.get(eventsUrl, options(accessToken, {
+            params: {
+                maxResults: maxResults,
+                timeMin: timeMin,
+                singleEvents: true,
+                orderBy: 'startTime'
+            }
+        })));
+        return (response.data.items || []).map(toCalendarEvent);
+    }
+
+    async function createEvent(accessToken, fields) {
+        const response = await call(() => http.post(eventsUrl, toGoogleEvent(fields), options(accessToken)));
+        return toCalendarEvent(response.data);
+    }
+
+    // Partial update: only the given fields change
+    async function updateEvent(accessToken, eventId, fields) {
+        const response = await call(() => http.patch(`${eventsUrl}/${encodeURIComponent(eventId)}`, toGoogleEvent(fields), options(accessToken)), eventId);
+        return toCalendarEvent(response.data);
+    }
+
+    async function deleteEvent(accessToken, eventId) {
+        await call(() => http.delete(`${eventsUrl}/${encodeURIComponent(eventId)}`, options(accessToken)), eventId);
+    }
+
+    return {
+        listEvents,
+        createEvent,
+        updateEvent,
+        deleteEvent
+    };
+}
+
+module.exports = {
+    TEAM_CALENDAR,
+    createCalendarClient,
+    toCalendarEvent
+};
@@ -0,0 +1,137 @@
+/**
+ * CIBA (Client-Initiated Backchannel Authentication) Client
+ * Starts a backchannel authorization request at the issuer's /bc-authorize
+ * endpoint and polls the token endpoint until the approver's device accepts
+ * or rejects it. The issuer URL is configurable so the flow can run against
+ * a local stand-in issuer.
+ */
+
+const axios = require('axios');
+
+const CIBA_GRANT_TYPE = 'urn:openid:params:grant-type:ciba';
+
+// Auth0 limits binding messages to 64 characters of this set
+const BINDING_MESSAGE_MAX_LENGTH = 64;
+const BINDING_MESSAGE_DISALLOWED = /[^A-Za-z0-9\s+\-_.,:#]/g;
+
+// Build the human-readable message shown on the approver's device
+function buildBindingMessage(action, resource) {
+    const message = `Approve ${action} on ${resource || 'system'}`
+        .replace(BINDING_MESSAGE_DISALLOWED, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    return message.slice(0, BINDING_MESSAGE_MAX_LENGTH);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function createCibaClient({ issuerBaseURL, clientId, clientSecret, audience, pollIntervalMs = null, http = axios }) {
+    const issuer = issuerBaseURL.replace(/\/$/, '');
+
+    function postForm(path, params) {
+        return http.post(`${issuer}${path}`, new URLSearchParams(params).toString(), {
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            validateStatus: () => true
+        });
+    }
+
+    // Start a backchannel authorization request for `userId`
+    async function authorize({ userId, bindingMessage, scope = 'openid' }) {
+        const params = {
+            client_id: clientId,
+            client_secret: clientSecret,
+            scope: scope,
+            binding_message: bindingMessage,
+            login_hint: JSON.stringify({
+                format: 'iss_sub',
+                iss: `${issuer}/`,
+                sub: userId
+            })
+        };
+
+        if (audience) {
+            params.audience = audience;
+        }
+
+        const response = await postForm('/bc-authorize', params);
+
+        if (response.status !== 200 || !response.data?.auth_req_id) {
+            const description = response.data?.error_description || response.data?.error || `HTTP ${response.status}`;
+            throw new Error(`Backchannel authorization request failed: ${description}`);
+        }
+
+        return {
+            authReqId: response.data.auth_req_id,
+            expiresIn: response.data.expires_in || 300,
+            interval: response.data.interval || 5
+        };
+    }
+
+    // Poll the token endpoint once; returns the state of the authorization request
+    async function pollToken(authReqId) {
+        const response = await postForm('/oauth/token', {
+            grant_type: CIBA_GRANT_TYPE,
+            auth_req_id: authReqId,
+            client_id: clientId,
+            client_secret: clientSecret
+        });
+
+        if (response.status === 200) {
+            return { status: 'approved', tokens: response.data };
+        }
+
+        switch (response.data?.error) {
+        case 'authorization_pending':
+            return { status: 'pending' };
+        case 'slow_down':
+            return { status: 'pending', slowDown: true };
+        case 'access_denied':
+            return { status: 'denied', reason: response.data.error_description || 'Rejected on approver device' };
+        case 'expired_token':
+            return { status: 'expired', reason: response.data.error_description || 'Authorization request expired' };
+        default:
+            throw new Error(`CIBA token polling failed: ${response.data?.error_description || response.data?.error || `HTTP ${response.status}`}`);
+        }
+    }
+
+    // Poll until the request is approved, denied or expired; `shouldStop` ends polling early
+    async function waitForDecision({ authReqId, expiresIn, interval }, { shouldStop = () => false } = {}) {
+        let intervalMs = pollIntervalMs !== null ? pollIntervalMs : interval * 1000;
+        const deadline = Date.now() + expiresIn * 1000;
+
+        while (Date.now() < deadline) {
+            await sleep(intervalMs);
+
+            if (shouldStop()) {
+                return { status: 'abandoned' };
+            }
+
+            const result = await pollToken(authReqId);
+            if (result.status !== 'pending') {
+                return result;
+            }
+
+            if (result.slowDown) {
+                // RFC 8628 / CIBA: increase the interval by 5 seconds on slow_down
+                intervalMs += pollIntervalMs !== null ? pollIntervalMs : 5000;
+            }
+        }
+
+        return { status: 'expired', reason: 'Authorization request expired' };
+    }
+
+    return {
+        authorize,
+        pollToken,
+        waitForDecision
+    };
+}
+
+module.exports = {
+    CIBA_GRANT_TYPE,
+    buildBindingMessage,
+    createCibaClient
+};
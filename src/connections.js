@@ -0,0 +1,167 @@
+/**
+ * Connected Accounts
+ * Shows which Token Vault providers a user has connected, starts the connect
+ * flow with each provider's connection and scopes, and disconnects by
+ * unlinking the provider identity, which drops the tokens Auth0 stores for it.
+ *
+ * Connecting is an Auth0 /authorize round trip on the provider's connection
+ * (against the sandbox issuer when `auth0.issuerBaseURL` points there);
+ * the callback exchanges the code and links the new identity to the user's
+ * primary account through the Management API. Each flow is bound to the
+ * browser that started it by a nonce the route keeps in a cookie, so a
+ * callback URL (state and code) replayed in another browser links nothing.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { EventEmitter } = require('events');
+const { HttpError } = require('./errors');
+
+const DEFAULT_STATE_TTL_MS = 10 * 60 * 1000; // 10 minutes to finish the provider consent screen
+
+function createConnectionManager({ providers, getManagement, auth0, redirectUri, http = axios, now = Date.now, stateTtlMs = DEFAULT_STATE_TTL_MS }) {
+    const pending = new Map(); // state -> { userId, service, nonce, expiresAt }
+    const events = new EventEmitter();
+    const issuerBaseURL = (auth0.issuerBaseURL || `https://${auth0.domain}`).replace(/\/$/, '');
+
+    function getProvider(service) {
+        const provider = Object.prototype.hasOwnProperty.call(providers, service) ? providers[service] : null;
+        if (!provider) {
+            throw new HttpError(404, 'Not found', `Unknown connection '${service}'. Available: ${Object.keys(providers).join(', ')}`);
+        }
+        return provider;
+    }
+
+    function requireManagement() {
+        const management = getManagement();
+        if (!management) {
+            throw new HttpError(503, 'Token Vault not configured', 'Auth0 Management API not available');
+        }
+        return management;
+    }
+
+    // Linked identities other than the primary login
+    async function getIdentities(userId) {
+        const user = await requireManagement().getUser({ id: userId });
+        return (user.identities || []).filter(identity => `${identity.provider}|${identity.user_id}` !== userId);
+    }
+
+    // Connection status for every configured provider
+    async function list(userId) {
+        const identities = await getIdentities(userId);
+
+        return Object.entries(providers).map(([service, provider]) => {
+            const identity = identities.find(candidate => candidate.connection === provider.connection);
+            return {
+                service: service,
+                display_name: provider.displayName || service,
+                connection: provider.connection,
+                scopes: provider.scopes,
+                connected: !!identity,
+                ...(identity && { account: { provider: identity.provider, user_id: identity.user_id } })
+            };
+        });
+    }
+
+    // Flows that were started but never finished
+    function pruneExpired() {
+        pending.forEach((flow, state) => {
+            if (flow.expiresAt <= now()) {
+                pending.delete(state);
+            }
+        });
+    }
+
+    function sameNonce(expected, actual) {
+        const a = Buffer.from(expected);
+        const b = Buffer.from(String(actual || ''));
+        return a.length === b.length && crypto.timingSafeEqual(a, b);
+    }
+
+    // Start the connect flow: returns the Auth0 /authorize URL requesting the provider's scopes
+    // and the nonce the browser must present on the callback
+    function startConnect(userId, service) {
+        const provider = getProvider(service);
+        requireManagement();
+        pruneExpired();
+
+        const state = crypto.randomBytes(16).toString('hex');
+        const nonce = crypto.randomBytes(16).toString('hex');
+        const expiresAt = now() + stateTtlMs;
+        pending.set(state, { userId, service, nonce, expiresAt });
+
+        const params = new URLSearchParams({
+            response_type: 'code',
+            client_id: auth0.clientId,
+            redirect_uri: redirectUri,
+            scope: 'openid profile',
+            connection: provider.connection,
+            connection_scope: provider.scopes.join(','),
+            access_type: 'offline',
+            prompt: 'consent',
+            state: state
+        });
+
+        return {
+            service: service,
+            authorize_url: `${issuerBaseURL}/authorize?${params}`,
+            expires_at: new Date(expiresAt).toISOString(),
+            nonce: nonce
+        };
+    }
+
+    // Finish the connect flow started in the same browser (`nonce`): exchange the code
+    // and link the provider identity to the user
+    async function completeConnect({ code, state, nonce }) {
+        const flow = pending.get(state);
+        pending.delete(state);
+        if (!flow || flow.expiresAt <= now()) {
+            throw new HttpError(400, 'Invalid request', 'Unknown or expired connection state');
+        }
+        if (!sameNonce(flow.nonce, nonce)) {
+            throw new HttpError(400, 'Invalid request', 'Connection was started in another browser');
+        }
+        if (!code) {
+            throw new HttpError(400, 'Invalid request', 'Authorization code is required');
+        }
+
+        const response = await http.post(`${issuerBaseURL}/oauth/token`, {
+            grant_type: 'authorization_code',
+            client_id: auth0.clientId,
+            client_secret: auth0.clientSecret,
+            code: code,
+            redirect_uri: redirectUri
+        }, { timeout: 10000 });
+
+        await requireManagement().linkUsers(flow.userId, { link_with: response.data.id_token });
+
+        events.emit('connected', { userId: flow.userId, service: flow.service });
+        return { userId: flow.userId, service: flow.service };
+    }
+
+    // Unlink the provider identity; Auth0 deletes the tokens it stored for it
+    async function disconnect(userId, service) {
+        const provider = getProvider(service);
+        const identity = (await getIdentities(userId)).find(candidate => candidate.connection === provider.connection);
+        if (!identity) {
+            throw new HttpError(404, 'Not found', `${provider.displayName || service} is not connected`);
+        }
+
+        await requireManagement().unlinkUsers({ id: userId, provider: identity.provider, user_id: identity.user_id });
+
+        events.emit('disconnected', { userId, service });
+        return { service };
+    }
+
+    return {
+        list,
+        startConnect,
+        completeConnect,
+        disconnect,
+        on: (eventName, listener) => events.on(eventName, listener)
+    };
+}
+
+module.exports = {
+    createConnectionManager
+};
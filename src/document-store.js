@@ -0,0 +1,115 @@
+/**
+ * Document Store
+ * Durable storage for project documents. Access control lives in FGA
+ * (`document:<id>` relations); the store only keeps content and metadata.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { HttpError } = require('./errors');
+const { createJsonFileStore } = require('./json-file-store');
+
+function slugify(title) {
+    return title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 48) ||
+        'doc-' + crypto.randomBytes(3).toString('hex');
+}
+
+function createDocumentStore({ filePath = null, now = Date.now } = {}) {
+    const file = createJsonFileStore(filePath, { documents: [] });
+    const documents = new Map(file.read().documents.map(document => [document.id, document]));
+    const events = new EventEmitter();
+
+    function persist() {
+        file.write({ documents: Array.from(documents.values()) });
+    }
+
+    // Ids are readable slugs of the title with a random suffix, so a deleted
+    // document's id (and any grant left on it) never passes to a new document
+    function generateId(title) {
+        let id;
+        do {
+            id = `${slugify(title)}-${crypto.randomBytes(4).toString('hex')}`;
+        } while (documents.has(id));
+        return id;
+    }
+
+    function create({ id, title, content = '', project = null, createdBy }) {
+        if (id && documents.has(id)) {
+            throw new HttpError(409, 'Conflict', `Document ${id} already exists`);
+        }
+
+        const timestamp = new Date(now()).toISOString();
+        const document = {
+            id: id || generateId(title),
+            title: title,
+            content: content,
+            project: project,
+            created_by: createdBy,
+            created_at: timestamp,
+            updated_at: timestamp,
+            updated_by: createdBy
+        };
+
+        documents.set(document.id, document);
+        persist();
+
+        events.emit('created', { ...document });
+        return { ...document };
+    }
+
+    function get(id) {
+        const document = documents.get(id);
+        return document ? { ...document } : null;
+    }
+
+    function list({ project } = {}) {
+        return Array.from(documents.values())
+            .filter(document => project === undefined || document.project === project)
+            .map(document => ({ ...document }));
+    }
+
+    function update(id, fields, updatedBy) {
+        const document = documents.get(id);
+        if (!document) {
+            throw new HttpError(404, 'Not found', `Document ${id} does not exist`);
+        }
+
+        ['title', 'content', 'project'].forEach(field => {
+            if (fields[field] !== undefined) {
+                document[field] = fields[field];
+            }
+        });
+        document.updated_at = new Date(now()).toISOString();
+        document.updated_by = updatedBy;
+        persist();
+
+        events.emit('updated', { ...document });
+        return { ...document };
+    }
+
+    function remove(id) {
+        const document = documents.get(id);
+        if (!document) {
+            throw new HttpError(404, 'Not found', `Document ${id} does not exist`);
+        }
+
+        documents.delete(id);
+        persist();
+
+        events.emit('deleted', { ...document });
+        return { ...document };
+    }
+
+    return {
+        create,
+        get,
+        list,
+        update,
+        remove,
+        on: (event, listener) => events.on(event, listener)
+    };
+}
+
+module.exports = {
+    createDocumentStore
+};
@@ -0,0 +1,26 @@
+/**
+ * HTTP-aware errors shared by the server-side stores and route modules
+ */
+
+// Error carrying the HTTP status and the short `error` label the API returns
+class HttpError extends Error {
+    constructor(status, error, message) {
+        super(message || error);
+        this.name = 'HttpError';
+        this.status = status;
+        this.error = error;
+    }
+}
+
+// Send an HttpError as the `{ error, message }` body used across the API
+function sendHttpError(res, error) {
+    return res.status(error.status).json({
+        error: error.error,
+        message: error.message
+    });
+}
+
+module.exports = {
+    HttpError,
+    sendHttpError
+};
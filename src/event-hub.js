@@ -0,0 +1,132 @@
+/**
+ * Server-Sent Events Hub
+ * Per-user event channels for live approval, access and security updates.
+ * Every event gets a monotonically increasing id; the last `bufferSize`
+ * events per user are kept so reconnecting clients can replay what they
+ * missed via `Last-Event-ID`. A user's buffer is dropped once their last
+ * stream has been closed for `replayWindowMs`.
+ */
+
+const DEFAULT_BUFFER_SIZE = 100;
+const DEFAULT_HEARTBEAT_MS = 25 * 1000;
+const DEFAULT_REPLAY_WINDOW_MS = 5 * 60 * 1000;
+
+function createEventHub({ bufferSize = DEFAULT_BUFFER_SIZE, heartbeatMs = DEFAULT_HEARTBEAT_MS, replayWindowMs = DEFAULT_REPLAY_WINDOW_MS } = {}) {
+    const buffers = new Map(); // userId -> recent events
+    const subscribers = new Map(); // userId -> Set of responses
+    const expiries = new Map(); // userId -> timer dropping the buffer of a user with no open stream
+    let lastId = 0;
+
+    function format(event) {
+        return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+    }
+
+    function send(res, chunk) {
+        res.write(chunk);
+        // compression() buffers responses; flush so events are delivered immediately
+        if (typeof res.flush === 'function') {
+            res.flush();
+        }
+    }
+
+    // Publish an event to every open stream of `userId`. Only users that have
+    // opened a stream are buffered, so arbitrary ids never accumulate memory.
+    function publish(userId, type, data) {
+        if (!userId || !buffers.has(userId)) {
+            return null;
+        }
+
+        const event = {
+            id: ++lastId,
+            type: type,
+            data: { ...data, timestamp: new Date().toISOString() }
+        };
+
+        const buffer = buffers.get(userId);
+        buffer.push(event);
+        if (buffer.length > bufferSize) {
+            buffer.shift();
+        }
+
+        (subscribers.get(userId) || []).forEach(res => send(res, format(event)));
+        return event;
+    }
+
+    // Attach `res` as an event stream for `userId`, replaying events after `lastEventId`
+    function subscribe(userId, res, lastEventId) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        send(res, `retry: 3000\n\n`);
+
+        clearTimeout(expiries.get(userId));
+        expiries.delete(userId);
+        if (!buffers.has(userId)) {
+            buffers.set(userId, []);
+        }
+
+        const since = parseInt(lastEventId, 10);
+        if (!Number.isNaN(since)) {
+            buffers.get(userId)
+                .filter(event => event.id > since)
+                .forEach(event => send(res, format(event)));
+        }
+
+        if (!subscribers.has(userId)) {
+            subscribers.set(userId, new Set());
+        }
+        subscribers.get(userId).add(res);
+
+        const heartbeat = setInterval(() => send(res, ': heartbeat\n\n'), heartbeatMs);
+        heartbeat.unref();
+
+        res.on('close', () => {
+            clearInterval(heartbeat);
+            const userSubscribers = subscribers.get(userId);
+            if (userSubscribers) {
+                userSubscribers.delete(res);
+                if (userSubscribers.size === 0) {
+                    subscribers.delete(userId);
+                    scheduleBufferExpiry(userId);
+                }
+            }
+        });
+    }
+
+    // Keep the buffer for a reconnect within the replay window, then let it go
+    function scheduleBufferExpiry(userId) {
+        const timer = setTimeout(() => {
+            expiries.delete(userId);
+            if (!subscribers.has(userId)) {
+                buffers.delete(userId);
+            }
+        }, replayWindowMs);
+        timer.unref();
+        expiries.set(userId, timer);
+    }
+
+    function stats() {
+        let connections = 0;
+        subscribers.forEach(set => { connections += set.size; });
+
+        return {
+            connections: connections,
+            users: subscribers.size,
+            bufferedUsers: buffers.size,
+            lastEventId: lastId
+        };
+    }
+
+    return {
+        publish,
+        subscribe,
+        stats
+    };
+}
+
+module.exports = {
+    createEventHub
+};
@@ -0,0 +1,208 @@
+/**
+ * Local FGA Engine
+ * In-process evaluator for an OpenFGA authorization model (JSON, schema 1.1)
+ * and a tuple file. Used when no FGA store is configured so demo and offline
+ * environments follow the same model as production: computed relations
+ * (owner → editor → viewer), tuple-to-userset inheritance from projects and
+ * type-bound public access (`user:*`).
+ *
+ * Implements the subset of the OpenFgaClient interface the server uses:
+ * check, batchCheck, listObjects, read and write.
+ */
+
+const { createJsonFileStore } = require('./json-file-store');
+
+const DEFAULT_PAGE_SIZE = 50;
+
+// Error shaped like the SDK's validation errors (HTTP 400 from the FGA API)
+class FgaValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'FgaValidationError';
+        this.status = 400;
+    }
+}
+
+function typeOf(subjectOrObject) {
+    return subjectOrObject.split(/[:#]/)[0];
+}
+
+function tupleKey({ user, relation, object }) {
+    return `${user} ${relation} ${object}`;
+}
+
+function createLocalFgaClient({ model, filePath = null, seedTuples = [], now = Date.now }) {
+    const types = new Map(model.type_definitions.map(definition => [definition.type, definition]));
+    const file = createJsonFileStore(filePath, { tuples: seedTuples.map(tuple => ({ ...tuple, timestamp: new Date(now()).toISOString() })) });
+    const tuples = new Map(file.read().tuples.map(tuple => [tupleKey(tuple), tuple]));
+
+    function persist() {
+        file.write({ tuples: Array.from(tuples.values()) });
+    }
+
+    function getRelation(type, relation) {
+        const definition = types.get(type);
+        if (!definition) {
+            throw new FgaValidationError(`type '${type}' not found`);
+        }
+        const rewrite = (definition.relations || {})[relation];
+        if (!rewrite) {
+            throw new FgaValidationError(`relation '${type}#${relation}' not found`);
+        }
+        return rewrite;
+    }
+
+    function tuplesOn(object, relation) {
+        return Array.from(tuples.values()).filter(tuple => tuple.object === object && tuple.relation === relation);
+    }
+
+    // Evaluate `user` `relation` `object` against the model
+    function evaluate(user, relation, object, visited = new Set()) {
+        const visitKey = `${relation}@${object}`;
+        if (visited.has(visitKey)) {
+            return false;
+        }
+        const path = new Set(visited).add(visitKey);
+
+        return evaluateRewrite(user, getRelation(typeOf(object), relation), relation, object, path);
+    }
+
+    function evaluateRewrite(user, rewrite, relation, object, visited) {
+        if (rewrite.this) {
+            return tuplesOn(object, relation).some(tuple => {
+                if (tuple.user === user || tuple.user === `${typeOf(user)}:*`) {
+                    return true;
+                }
+                // Userset subjects such as `project:alpha#member`
+                if (tuple.user.includes('#')) {
+                    const [subject, subjectRelation] = tuple.user.split('#');
+                    return evaluate(user, subjectRelation, subject, visited);
+                }
+                return false;
+            });
+        }
+        if (rewrite.computedUserset) {
+            return evaluate(user, rewrite.computedUserset.relation, object, visited);
+        }
+        if (rewrite.tupleToUserset) {
+            const target = rewrite.tupleToUserset.computedUserset.relation;
+            return tuplesOn(object, rewrite.tupleToUserset.tupleset.relation).some(tuple => {
+                const parent = types.get(typeOf(tuple.user));
+                return parent && (parent.relations || {})[target] && evaluate(user, target, tuple.user, visited);
+            });
+        }
+        if (rewrite.union) {
+            return rewrite.union.child.some(child => evaluateRewrite(user, child, relation, object, visited));
+        }
+        if (rewrite.intersection) {
+            return rewrite.intersection.child.every(child => evaluateRewrite(user, child, relation, object, visited));
+        }
+        if (rewrite.difference) {
+            return evaluateRewrite(user, rewrite.difference.base, relation, object, visited) &&
+                !evaluateRewrite(user, rewrite.difference.subtract, relation, object, visited);
+        }
+        throw new FgaValidationError(`unsupported rewrite on ${object}#${relation}`);
+    }
+
+    // Tuples may only use relations and subject types the model allows directly
+    function validateTuple({ user, relation, object }) {
+        if (!user || !relation || !object || !object.includes(':') || !user.includes(':')) {
+            throw new FgaValidationError(`invalid tuple '${user} ${relation} ${object}'`);
+        }
+
+        getRelation(typeOf(object), relation);
+
+        const allowed = types.get(typeOf(object)).metadata?.relations?.[relation]?.directly_related_user_types || [];
+        const [subject, subjectRelation] = user.split('#');
+        const isWildcard = subject.endsWith(':*');
+
+        const permitted = allowed.some(reference => reference.type === typeOf(subject) &&
+            (isWildcard ? !!reference.wildcard : !reference.wildcard && (reference.relation || undefined) === subjectRelation));
+
+        if (!permitted) {
+            throw new FgaValidationError(`type '${typeOf(subject)}${subjectRelation ? '#' + subjectRelation : isWildcard ? ':*' : ''}' is not an allowed type restriction for '${typeOf(object)}#${relation}'`);
+        }
+    }
+
+    async function check({ user, relation, object }) {
+        return { allowed: evaluate(user, relation, object) };
+    }
+
+    async function batchCheck(checks) {
+        return {
+            responses: checks.map(request => {
+                try {
+                    return { _request: request, allowed: evaluate(request.user, request.relation, request.object) };
+                } catch (error) {
+                    return { _request: request, allowed: false, error };
+                }
+            })
+        };
+    }
+
+    async function listObjects({ user, relation, type }) {
+        getRelation(type, relation);
+
+        const candidates = new Set(Array.from(tuples.values())
+            .map(tuple => tuple.object)
+            .filter(object => typeOf(object) === type));
+
+        return {
+            objects: Array.from(candidates).filter(object => evaluate(user, relation, object)).sort()
+        };
+    }
+
+    async function read(filter = {}, { pageSize = DEFAULT_PAGE_SIZE, continuationToken } = {}) {
+        const matches = Array.from(tuples.values()).filter(tuple =>
+            (!filter.user || tuple.user === filter.user) &&
+            (!filter.relation || tuple.relation === filter.relation) &&
+            (!filter.object || tuple.object === filter.object || (filter.object.endsWith(':') && tuple.object.startsWith(filter.object)))
+        );
+        const offset = parseInt(continuationToken) || 0;
+        const page = matches.slice(offset, offset + pageSize);
+
+        return {
+            tuples: page.map(tuple => ({
+                key: { user: tuple.user, relation: tuple.relation, object: tuple.object },
+                timestamp: tuple.timestamp
+            })),
+            continuation_token: offset + pageSize < matches.length ? String(offset + pageSize) : ''
+        };
+    }
+
+    // Apply writes and deletes atomically, with the same validation as the FGA API
+    async function write({ writes = [], deletes = [] }) {
+        writes.forEach(tuple => {
+            validateTuple(tuple);
+            if (tuples.has(tupleKey(tuple))) {
+                throw new FgaValidationError(`cannot write a tuple which already exists: '${tupleKey(tuple)}'`);
+            }
+        });
+        deletes.forEach(tuple => {
+            if (!tuples.has(tupleKey(tuple))) {
+                throw new FgaValidationError(`cannot delete a tuple which does not exist: '${tupleKey(tuple)}'`);
+            }
+        });
+
+        const timestamp = new Date(now()).toISOString();
+        deletes.forEach(tuple => tuples.delete(tupleKey(tuple)));
+        writes.forEach(({ user, relation, object }) => tuples.set(tupleKey({ user, relation, object }), { user, relation, object, timestamp }));
+        persist();
+
+        return {};
+    }
+
+    return {
+        source: 'local',
+        check,
+        batchCheck,
+        listObjects,
+        read,
+        write
+    };
+}
+
+module.exports = {
+    FgaValidationError,
+    createLocalFgaClient
+};
@@ -0,0 +1,187 @@
+/**
+ * FGA Authorization Model
+ * The model in config/fga-model.json is the single source of truth for types
+ * and relations. This module validates it, derives the relation lists used by
+ * the routes and runs model tests (tuples plus expected checks) offline
+ * against the local engine. scripts/fga-model.js wraps these for the command
+ * line and uploads the model to a store.
+ */
+
+const { createLocalFgaClient } = require('./fga-local-engine');
+const { PARENT_RELATION } = require('./authorization');
+
+const MODEL_PATH = require.resolve('../config/fga-model.json');
+const TUPLES_PATH = require.resolve('../config/fga-tuples.json');
+const MODEL_TESTS_PATH = require.resolve('../config/fga-model-tests.json');
+
+// OpenFGA SDK client for the store in FGA_* env vars, or null when they are missing
+function createFgaClientFromEnv(env = process.env) {
+    if (!env.FGA_STORE_ID || !env.FGA_CLIENT_ID || !env.FGA_CLIENT_SECRET) {
+        return null;
+    }
+
+    const { OpenFgaClient, CredentialsMethod } = require('@openfga/sdk');
+    const apiUrl = env.FGA_API_URL || 'https://api.fga.dev';
+
+    return new OpenFgaClient({
+        apiUrl: apiUrl,
+        storeId: env.FGA_STORE_ID,
+        authorizationModelId: env.FGA_MODEL_ID,
+        credentials: {
+            method: CredentialsMethod.ClientCredentials,
+            config: {
+                clientId: env.FGA_CLIENT_ID,
+                clientSecret: env.FGA_CLIENT_SECRET,
+                apiTokenIssuer: env.FGA_API_TOKEN_ISSUER || apiUrl,
+                apiAudience: env.FGA_API_AUDIENCE || apiUrl
+            }
+        }
+    });
+}
+
+function loadModel() {
+    return require(MODEL_PATH);
+}
+
+// Relations users can hold per type, weakest first; the parent link is not a user relation
+function relationsByType(model) {
+    const relations = {};
+    model.type_definitions.forEach(definition => {
+        const names = Object.keys(definition.relations || {}).filter(relation => relation !== PARENT_RELATION);
+        if (names.length > 0) {
+            relations[definition.type] = names;
+        }
+    });
+    return relations;
+}
+
+// Structural checks the FGA API would reject on upload; returns a list of problems
+function validateModel(model) {
+    const errors = [];
+
+    if (model.schema_version !== '1.1') {
+        errors.push(`schema_version must be '1.1' (got '${model.schema_version}')`);
+    }
+    if (!Array.isArray(model.type_definitions) || model.type_definitions.length === 0) {
+        errors.push('type_definitions must be a non-empty array');
+        return errors;
+    }
+
+    const types = new Map();
+    model.type_definitions.forEach(definition => {
+        if (types.has(definition.type)) {
+            errors.push(`type '${definition.type}' is defined more than once`);
+        }
+        types.set(definition.type, definition);
+    });
+
+    function hasRelation(type, relation) {
+        return !!(types.get(type)?.relations || {})[relation];
+    }
+
+    function directTypes(type, relation) {
+        return types.get(type)?.metadata?.relations?.[relation]?.directly_related_user_types || [];
+    }
+
+    function checkRewrite(type, relation, rewrite) {
+        const where = `${type}#${relation}`;
+
+        if (rewrite.this) {
+            if (directTypes(type, relation).length === 0) {
+                errors.push(`${where} allows direct tuples but declares no directly related user types`);
+            }
+        } else if (rewrite.computedUserset) {
+            if (!hasRelation(type, rewrite.computedUserset.relation)) {
+                errors.push(`${where} refers to undefined relation '${type}#${rewrite.computedUserset.relation}'`);
+            }
+        } else if (rewrite.tupleToUserset) {
+            const tupleset = rewrite.tupleToUserset.tupleset.relation;
+            const computed = rewrite.tupleToUserset.computedUserset.relation;
+            if (!hasRelation(type, tupleset)) {
+                errors.push(`${where} refers to undefined tupleset relation '${type}#${tupleset}'`);
+            } else if (!directTypes(type, tupleset).some(({ type: parent }) => hasRelation(parent, computed))) {
+                errors.push(`${where}: no type related through '${tupleset}' defines '${computed}'`);
+            }
+        } else if (rewrite.union || rewrite.intersection) {
+            (rewrite.union || rewrite.intersection).child.forEach(child => checkRewrite(type, relation, child));
+        } else if (rewrite.difference) {
+            checkRewrite(type, relation, rewrite.difference.base);
+            checkRewrite(type, relation, rewrite.difference.subtract);
+        } else {
+            errors.push(`${where} has an unsupported rewrite`);
+        }
+    }
+
+    types.forEach((definition, type) => {
+        Object.entries(definition.relations || {}).forEach(([relation, rewrite]) => {
+            checkRewrite(type, relation, rewrite);
+
+            directTypes(type, relation).forEach(({ type: userType, relation: userRelation }) => {
+                if (!types.has(userType)) {
+                    errors.push(`${type}#${relation} allows undefined type '${userType}'`);
+                } else if (userRelation && !hasRelation(userType, userRelation)) {
+                    errors.push(`${type}#${relation} allows undefined userset '${userType}#${userRelation}'`);
+                }
+            });
+        });
+
+        Object.keys(definition.metadata?.relations || {}).forEach(relation => {
+            if (!hasRelation(type, relation)) {
+                errors.push(`metadata for '${type}#${relation}' has no matching relation`);
+            }
+        });
+    });
+
+    return errors;
+}
+
+// Run model tests: each test writes its tuples to a fresh local store, then
+// compares `check` assertions ({ user, object, assertions: { relation: bool } })
+// and `list_objects` assertions ({ user, type, assertions: { relation: [objects] } })
+async function runModelTests(model, tests) {
+    const results = [];
+
+    for (const test of tests) {
+        const failures = [];
+        const client = createLocalFgaClient({ model });
+
+        try {
+            await client.write({ writes: test.tuples || [] });
+
+            for (const { user, object, assertions } of test.check || []) {
+                for (const [relation, expected] of Object.entries(assertions)) {
+                    const { allowed } = await client.check({ user, relation, object });
+                    if (allowed !== expected) {
+                        failures.push(`check ${user} ${relation} ${object}: expected ${expected}, got ${allowed}`);
+                    }
+                }
+            }
+
+            for (const { user, type, assertions } of test.list_objects || []) {
+                for (const [relation, expected] of Object.entries(assertions)) {
+                    const { objects } = await client.listObjects({ user, relation, type });
+                    if (JSON.stringify(objects) !== JSON.stringify([...expected].sort())) {
+                        failures.push(`list_objects ${user} ${relation} ${type}: expected [${expected.join(', ')}], got [${objects.join(', ')}]`);
+                    }
+                }
+            }
+        } catch (error) {
+            failures.push(error.message);
+        }
+
+        results.push({ name: test.name, passed: failures.length === 0, failures });
+    }
+
+    return results;
+}
+
+module.exports = {
+    MODEL_PATH,
+    TUPLES_PATH,
+    MODEL_TESTS_PATH,
+    createFgaClientFromEnv,
+    loadModel,
+    relationsByType,
+    validateModel,
+    runModelTests
+};
@@ -0,0 +1,141 @@
+/**
+ * GitHub REST Client
+ * Reads issues, pull requests and commits of a repository and creates issues
+ * with the user's vaulted GitHub token, server-side only. Results are trimmed
+ * to the fields the API and the agent use; upstream errors never echo the
+ * request or its token.
+ */
+
+const axios = require('axios');
+const { HttpError } = require('./errors');
+
+const DEFAULT_API_URL = 'https://api.github.com';
+const REPOSITORY_PATTERN = /^[A-Za-z0-9-]{1,39}\/[A-Za-z0-9._-]{1,100}$/;
+
+function toIssue(issue) {
+    return {
+        number: issue.number,
+        title: issue.title,
+        state: issue.state,
+        labels: (issue.labels || []).map(label => typeof label === 'string' ? label : label.name),
+        assignees: (issue.assignees || []).map(assignee => assignee.login),
+        milestone: issue.milestone?.title || null,
+        author: issue.user?.login || null,
+        url: issue.html_url,
+        created_at: issue.created_at,
+        updated_at: issue.updated_at
+    };
+}
+
+function toPullRequest(pull) {
+    return {
+        number: pull.number,
+        title: pull.title,
+        state: pull.state,
+        draft: !!pull.draft,
+        author: pull.user?.login || null,
+        head: pull.head?.ref || null,
+        base: pull.base?.ref || null,
+        labels: (pull.labels || []).map(label => label.name),
+        requested_reviewers: (pull.requested_reviewers || []).map(reviewer => reviewer.login),
+        url: pull.html_url,
+        created_at: pull.created_at,
+        updated_at: pull.updated_at
+    };
+}
+
+function toCommit(commit) {
+    return {
+        sha: commit.sha,
+        message: (commit.commit?.message || '').split('\n')[0],
+        author: commit.author?.login || commit.commit?.author?.name || null,
+        date: commit.commit?.author?.date || null,
+        url: commit.html_url
+    };
+}
+
+function createGitHubClient({ apiUrl = DEFAULT_API_URL, http = axios } = {}) {
+    function options(accessToken, extra = {}) {
+        return {
+            headers: {
+                Authorization: `Bearer ${accessToken}`,
+                Accept: 'application/vnd.github+json',
+                'X-GitHub-Api-Version': '2022-11-28'
+            },
+            timeout: 10000,
+            ...extra
+        };
+    }
+
+    function upstreamError(error, repository) {
+        const status = error.response?.status;
+        if (status === 404) {
+            return new HttpError(404, 'Not found', `Repository ${repository} does not exist or is not visible to your GitHub account`);
+        }
+        if (status === 422) {
+            return new HttpError(400, 'Invalid request', error.response.data?.message || 'GitHub rejected the request');
+        }
+        if (status === 401) {
+            return new HttpError(502, 'GitHub unavailable', 'GitHub rejected the vaulted token; reconnect the account under Connected Accounts');
+        }
+        if (status === 403) {
+            return new HttpError(403, 'Insufficient permissions', `Your GitHub account cannot perform this on ${repository}`);
+        }
+        return new HttpError(502, 'GitHub unavailable', 'GitHub did not respond');
+    }
+
+    async function call(repository, request) {
+        if (!REPOSITORY_PATTERN.test(repository || '')) {
+            throw new HttpError(400, 'Invalid request', 'Repository must look like owner/name');
+        }
+        try {
+            return (await request(`${apiUrl}/repos/${repository}`)).data;
+        } catch (error) {
+            throw upstreamError(error, repository);
+        }
+    }
+
+    // Open issues; GitHub lists pull requests as issues too, so they are dropped
+    async function listIssues(accessToken, repository, { state = 'open', labels, perPage = 30 } = {}) {
+        const issues = await call(repository, base => http.get(`${base}/issues`, options(accessToken, {
+            params: { state, per_page: perPage, ...(labels && { labels }) }
+        })));
+        return issues.filter(issue => !issue.pull_request).map(toIssue);
+    }
+
+    async function listPullRequests(accessToken, repository, { state = 'open', perPage = 30 } = {}) {
+        const pulls = await call(repository, base => http.get(`${base}/pulls`, options(accessToken, {
+            params: { state, per_page: perPage }
+        })));
+        return pulls.map(toPullRequest);
+    }
+
+    // Most recent commits on the default branch
+    async function listCommits(accessToken, repository, { since, perPage = 20 } = {}) {
+        const commits = await call(repository, base => http.get(`${base}/commits`, options(accessToken, {
+            params: { per_page: perPage, ...(since && { since }) }
+        })));
+        return commits.map(toCommit);
+    }
+
+    async function createIssue(accessToken, repository, { title, body, labels }) {
+        const issue = await call(repository, base => http.post(`${base}/issues`, {
+            title,
+            body,
+            ...(labels && labels.length > 0 && { labels })
+        }, options(accessToken)));
+        return toIssue(issue);
+    }
+
+    return {
+        listIssues,
+        listPullRequests,
+        listCommits,
+        createIssue
+    };
+}
+
+module.exports = {
+    REPOSITORY_PATTERN,
+    createGitHubClient
+};
@@ -0,0 +1,74 @@
+/**
+ * Grant Ledger
+ * Tracks expiry times for time-bound access grants. FGA tuples carry no
+ * expiry of their own, so the ledger records `expires_at` per tuple and the
+ * authorizer's sweeper deletes tuples once they are due.
+ */
+
+const { createJsonFileStore } = require('./json-file-store');
+
+function tupleKey({ user, relation, object }) {
+    return `${user} ${relation} ${object}`;
+}
+
+function createGrantLedger({ filePath = null, now = Date.now } = {}) {
+    const file = createJsonFileStore(filePath, { grants: [] });
+    const grants = new Map(file.read().grants.map(grant => [tupleKey(grant), grant]));
+
+    function persist() {
+        file.write({ grants: Array.from(grants.values()) });
+    }
+
+    // Record or replace the expiry for a tuple
+    function record({ user, relation, object, grantedBy, expiresAt }) {
+        const grant = {
+            user: user,
+            relation: relation,
+            object: object,
+            granted_by: grantedBy,
+            granted_at: new Date(now()).toISOString(),
+            expires_at: new Date(expiresAt).toISOString()
+        };
+
+        grants.set(tupleKey(grant), grant);
+        persist();
+        return { ...grant };
+    }
+
+    function get(tuple) {
+        const grant = grants.get(tupleKey(tuple));
+        return grant ? { ...grant } : null;
+    }
+
+    // Forget a tuple's expiry (revoked, expired or made permanent)
+    function remove(tuple) {
+        if (!grants.delete(tupleKey(tuple))) {
+            return false;
+        }
+        persist();
+        return true;
+    }
+
+    // Grants whose expiry has passed
+    function due() {
+        return Array.from(grants.values())
+            .filter(grant => Date.parse(grant.expires_at) <= now())
+            .map(grant => ({ ...grant }));
+    }
+
+    function list() {
+        return Array.from(grants.values()).map(grant => ({ ...grant }));
+    }
+
+    return {
+        record,
+        get,
+        remove,
+        due,
+        list
+    };
+}
+
+module.exports = {
+    createGrantLedger
+};
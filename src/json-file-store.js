@@ -0,0 +1,56 @@
+/**
+ * JSON File Store
+ * Minimal durable persistence for the server-side stores. Each store owns one
+ * JSON file under DATA_DIR; writes go to a temporary file first and are renamed
+ * into place so a crash never leaves a half-written file behind.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+
+// Resolve a store file name inside the configured data directory
+function resolveDataPath(fileName) {
+    return path.join(DATA_DIR, fileName);
+}
+
+// Create a store backed by `filePath`; a null path keeps data in memory only (tests)
+function createJsonFileStore(filePath, defaultValue) {
+    let memory = JSON.parse(JSON.stringify(defaultValue));
+
+    function read() {
+        if (!filePath) {
+            return memory;
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return JSON.parse(JSON.stringify(defaultValue));
+            }
+            throw error;
+        }
+    }
+
+    function write(data) {
+        if (!filePath) {
+            memory = data;
+            return;
+        }
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+        fs.renameSync(tempPath, filePath);
+    }
+
+    return { filePath, read, write };
+}
+
+module.exports = {
+    DATA_DIR,
+    resolveDataPath,
+    createJsonFileStore
+};
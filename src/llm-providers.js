@@ -0,0 +1,155 @@
+/**
+ * LLM Providers for the AI agent
+ * Every provider implements `complete({ messages, tools })` and returns
+ * `{ content, toolCalls }`, where each tool call is `{ id, name, arguments }`.
+ * Messages use the chat format: { role, content, tool_calls?, tool_call_id? }.
+ *
+ * - `local`: deterministic, offline provider used for demos and tests
+ * - `openai`: any OpenAI-compatible /chat/completions endpoint
+ */
+
+const axios = require('axios');
+
+const RESOURCE_PATTERN = /\b((?:document|project|calendar):[A-Za-z0-9_.-]+)/;
+const RELATION_PATTERN = /\b(viewer|editor|owner|member|manager|reader|writer)\b/;
+
+// Deterministic provider: picks a tool from keywords and summarizes tool results
+function createLocalProvider() {
+    let callCounter = 0;
+
+    function toolCall(name, args) {
+        return {
+            content: null,
+            toolCalls: [{ id: `call_${++callCounter}`, name: name, arguments: args }]
+        };
+    }
+
+    function planToolCall(text, toolNames) {
+        const lower = text.toLowerCase();
+        const resource = (text.match(RESOURCE_PATTERN) || [])[1];
+        const relation = (lower.match(RELATION_PATTERN) || [])[1];
+
+        if (toolNames.includes('grant_access') && lower.includes('grant')) {
+            const targetUser = (text.match(/\bto\s+([^\s]+\|[^\s]+)/) || [])[1];
+            return toolCall('grant_access', { resource, relation: relation || 'viewer', target_user: targetUser });
+        }
+        if (toolNames.includes('request_team_notification') && /(notify|notification|slack|announce)/.test(lower)) {
+            const quoted = (text.match(/["“](.+?)["”]/) || [])[1];
+            return toolCall('request_team_notification', { message: quoted || text });
+        }
+        if (toolNames.includes('get_calendar_events') && /(calendar|meeting|schedule)/.test(lower)) {
+            return toolCall('get_calendar_events', {});
+        }
+        if (toolNames.includes('request_github_issue') && /(open|create|file|raise) (a|an) (github )?issue\b/.test(lower)) {
+            const quoted = (text.match(/["“](.+?)["”]/) || [])[1];
+            return toolCall('request_github_issue', { project: resource || text, title: quoted || text });
+        }
+        if (toolNames.includes('get_project_blockers') && /(blocking|blocker|blocked|pull requests?|open issues)/.test(lower)) {
+            return toolCall('get_project_blockers', { project: resource || text });
+        }
+        if (toolNames.includes('search_documents') && /(search|find|what does|what do|according to|summari[sz]e|tell me about|blocking|risk)/.test(lower)) {
+            return toolCall('search_documents', { query: text });
+        }
+        if (toolNames.includes('check_document_access') && (resource || /(document|file|doc\b)/.test(lower))) {
+            return toolCall('check_document_access', { document: resource || 'document:project-plan' });
+        }
+        return null;
+    }
+
+    function summarize(toolMessages) {
+        return toolMessages.map(message => {
+            const result = JSON.parse(message.content);
+            if (result.error) {
+                return `I couldn't complete ${message.name}: ${result.error}`;
+            }
+            return result.summary || `${message.name} completed.`;
+        }).join('\n');
+    }
+
+    async function complete({ messages, tools }) {
+        const last = messages[messages.length - 1];
+
+        if (last.role === 'tool') {
+            const toolMessages = [];
+            for (let i = messages.length - 1; i >= 0 && messages[i].role === 'tool'; i--) {
+                toolMessages.unshift(messages[i]);
+            }
+            return { content: summarize(toolMessages), toolCalls: [] };
+        }
+
+        const planned = planToolCall(last.content || '', tools.map(tool => tool.name));
+        if (planned) {
+            return planned;
+        }
+
+        return {
+            content: "I'm here to help with your secure project management needs. I can list calendar events (via Token Vault), check document access and search the documents you can read (via FGA), request team notifications (via async approval), find what is blocking a project on GitHub and grant access to resources you own or manage. What would you like to do?",
+            toolCalls: []
+        };
+    }
+
+    return { name: 'local', complete };
+}
+
+// Provider for OpenAI-compatible chat completion APIs with function calling
+function createOpenAICompatibleProvider({ apiUrl, apiKey, model, http = axios }) {
+    async function complete({ messages, tools }) {
+        const response = await http.post(`${apiUrl.replace(/\/$/, '')}/chat/completions`, {
+            model: model,
+            messages: messages.map(message => ({
+                role: message.role,
+                content: message.content,
+                ...(message.tool_calls && {
+                    tool_calls: message.tool_calls.map(call => ({
+                        id: call.id,
+                        type: 'function',
+                        function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+                    }))
+                }),
+                ...(message.tool_call_id && { tool_call_id: message.tool_call_id })
+            })),
+            tools: tools.map(tool => ({
+                type: 'function',
+                function: {
+                    name: tool.name,
+                    description: tool.description,
+                    parameters: tool.parameters
+                }
+            }))
+        }, {
+            headers: { Authorization: `Bearer ${apiKey}` },
+            timeout: 30000
+        });
+
+        const message = response.data.choices[0].message;
+
+        return {
+            content: message.content,
+            toolCalls: (message.tool_calls || []).map(call => ({
+                id: call.id,
+                name: call.function.name,
+                arguments: JSON.parse(call.function.arguments || '{}')
+            }))
+        };
+    }
+
+    return { name: 'openai', complete };
+}
+
+// Build the provider selected by LLM_PROVIDER
+function createProviderFromEnv(env = process.env) {
+    if (env.LLM_PROVIDER === 'openai') {
+        return createOpenAICompatibleProvider({
+            apiUrl: env.LLM_API_URL || 'https://api.openai.com/v1',
+            apiKey: env.LLM_API_KEY,
+            model: env.LLM_MODEL || 'gpt-4o-mini'
+        });
+    }
+    return createLocalProvider();
+}
+
+module.exports = {
+    createLocalProvider,
+    createOpenAICompatibleProvider,
+    createProviderFromEnv
+};
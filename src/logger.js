@@ -0,0 +1,175 @@
+/**
+ * Structured Logger
+ * One winston logger for the whole server. Every line carries the request
+ * ID and the signed-in user's `sub` when it is written while handling a
+ * request (the request is tracked with AsyncLocalStorage, so modules do not
+ * need to pass it along). Tokens, secrets, credentials and email addresses
+ * are redacted before anything is written.
+ *
+ * Configured from the environment: LOG_LEVEL, LOG_FORMAT (`json` or
+ * `pretty`) and NODE_ENV, which picks the defaults - JSON at `info` in
+ * production, readable lines at `debug` in development, silent under test.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const winston = require('winston');
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 8;
+const SENSITIVE_KEY = /token|secret|password|passwd|authorization|cookie|api[-_]?key|credential|^code$|code_verifier|client_assertion/i;
+const REQUEST_ID_PATTERN = /^[\w-]{1,64}$/;
+const STRING_REDACTIONS = [
+    [/\b(Bearer|Basic)\s+[\w.~+/=-]+/gi, `$1 ${REDACTED}`],
+    [/\beyJ[\w-]*\.[\w-]*\.[\w-]*/g, '[REDACTED_JWT]'],
+    [/\b(?:xox[abprs]-[\w-]+|gh[pousr]_\w+|tvault_\w+|sandbox_[a-z0-9-]+_[0-9a-f]{16,})/gi, REDACTED],
+    [/([?&](?:access_token|id_token|refresh_token|token|code|code_verifier|client_secret)=)[^&\s#"]+/gi, `$1${REDACTED}`],
+    [/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, '[REDACTED_EMAIL]']
+];
+
+const requestStore = new AsyncLocalStorage();
+
+function redactString(text) {
+    return STRING_REDACTIONS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+// Copy of `value` with sensitive keys and token- or email-shaped strings redacted.
+// Errors are reduced to their name, message, code/status and stack, so HTTP
+// client errors never write out the request config and its headers.
+function redact(value, depth = 0, seen = new WeakSet()) {
+    if (typeof value === 'string') {
+        return redactString(value);
+    }
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (depth >= MAX_DEPTH) {
+        return '[Truncated]';
+    }
+    if (seen.has(value)) {
+        return '[Circular]';
+    }
+    seen.add(value);
+
+    if (value instanceof Error) {
+        return {
+            name: value.name,
+            message: redactString(value.message),
+            ...(value.code !== undefined && { code: value.code }),
+            ...(value.status !== undefined && { status: value.status }),
+            ...(value.response?.status !== undefined && { responseStatus: value.response.status }),
+            ...(value.stack && { stack: redactString(value.stack) })
+        };
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1, seen));
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+        [key, SENSITIVE_KEY.test(key) ? REDACTED : redact(item, depth + 1, seen)]));
+}
+
+// Add the current request's ID and user, unless the line already names them
+const requestFields = winston.format(info => {
+    const req = requestStore.getStore();
+    if (req) {
+        const sub = req.auth?.payload?.sub || req.oidc?.user?.sub;
+        info.requestId = info.requestId || req.id;
+        if (sub && !info.sub) {
+            info.sub = sub;
+        }
+    }
+    return info;
+});
+
+// Redact in place; winston keeps its own bookkeeping under symbol keys
+const redactFields = winston.format(info => {
+    Object.keys(info).forEach(key => {
+        if (key === 'level') {
+            return;
+        }
+        info[key] = key !== 'message' && SENSITIVE_KEY.test(key) ? REDACTED : redact(info[key]);
+    });
+    return info;
+});
+
+const prettyLine = winston.format.printf(({ timestamp, level, message, requestId, sub, ...fields }) => {
+    const context = [requestId, sub].filter(Boolean).join(' ');
+    const rest = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+    return `${timestamp} ${level}${context ? ` [${context}]` : ''} ${message}${rest}`;
+});
+
+// Level, format and silence for an environment
+function loggerConfig(env = process.env) {
+    const environment = env.NODE_ENV || 'development';
+    const production = environment === 'production';
+    return {
+        level: env.LOG_LEVEL || (production ? 'info' : 'debug'),
+        format: env.LOG_FORMAT || (production ? 'json' : 'pretty'),
+        silent: env.LOG_SILENT === 'true' || (environment === 'test' && !env.LOG_LEVEL)
+    };
+}
+
+// Create a logger; `stream` replaces stdout (tests)
+function createLogger({ level = 'info', format = 'json', silent = false, stream = null } = {}) {
+    if (!['json', 'pretty'].includes(format)) {
+        throw new Error(`Unknown LOG_FORMAT "${format}" (expected json or pretty)`);
+    }
+    const output = format === 'json'
+        ? winston.format.json()
+        : winston.format.combine(winston.format.colorize({ level: true }), prettyLine);
+
+    return winston.createLogger({
+        level: level,
+        silent: silent,
+        format: winston.format.combine(requestFields(), redactFields(), winston.format.timestamp(), output),
+        transports: [stream ? new winston.transports.Stream({ stream }) : new winston.transports.Console()]
+    });
+}
+
+// Middleware: give the request an ID (reusing a well-formed X-Request-ID) and
+// run the rest of the chain with it as the logging context
+function requestContext() {
+    return (req, res, next) => {
+        const incoming = req.get('X-Request-ID');
+        req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+        res.setHeader('X-Request-ID', req.id);
+        requestStore.run(req, next);
+    };
+}
+
+// Middleware: one line per completed request, at warn/error for 4xx/5xx
+function requestLogger(logger) {
+    return (req, res, next) => {
+        const started = process.hrtime.bigint();
+        res.on('finish', () => {
+            const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+            logger.log(level, 'Request completed', {
+                requestId: req.id,
+                sub: req.auth?.payload?.sub || req.oidc?.user?.sub,
+                method: req.method,
+                url: req.originalUrl,
+                status: res.statusCode,
+                durationMs: Number(process.hrtime.bigint() - started) / 1e6,
+                contentLength: res.get('Content-Length'),
+                ip: req.ip,
+                userAgent: req.get('User-Agent')
+            });
+        });
+        next();
+    };
+}
+
+// The server's logger, configured from the environment
+const logger = createLogger(loggerConfig());
+
+module.exports = {
+    logger,
+    createLogger,
+    loggerConfig,
+    redact,
+    requestContext,
+    requestLogger
+};
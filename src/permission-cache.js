@@ -0,0 +1,139 @@
+/**
+ * Permission Decision Cache
+ * Caches FGA check decisions keyed by user, relation and object so repeated
+ * dashboard and agent checks do not each cost an FGA round trip. Entries
+ * expire after a TTL and are invalidated when tuples change.
+ *
+ * Consistency modes:
+ * - `minimize_latency`: serve cached decisions until they expire
+ * - `higher_consistency`: always ask FGA; decisions are cached but never served
+ */
+
+const { PARENT_RELATION } = require('./authorization');
+
+const CONSISTENCY = Object.freeze({
+    MINIMIZE_LATENCY: 'minimize_latency',
+    HIGHER_CONSISTENCY: 'higher_consistency'
+});
+
+const DEFAULT_TTL_MS = 30 * 1000;
+const DEFAULT_MAX_ENTRIES = 10000;
+
+function createPermissionCache({
+    ttlMs = DEFAULT_TTL_MS,
+    maxEntries = DEFAULT_MAX_ENTRIES,
+    consistency = CONSISTENCY.MINIMIZE_LATENCY,
+    now = Date.now
+} = {}) {
+    if (!Object.values(CONSISTENCY).includes(consistency)) {
+        throw new Error(`Unknown consistency mode: ${consistency}`);
+    }
+
+    const entries = new Map(); // "userId relation object" -> { allowed, expiresAt, userId, object }
+    const counters = { hits: 0, misses: 0, bypasses: 0, invalidations: 0, evictions: 0 };
+
+    function key(userId, relation, object) {
+        return `${userId} ${relation} ${object}`;
+    }
+
+    // Cached decision, or undefined when the caller must ask FGA
+    function get(userId, relation, object, { consistency: requested = consistency } = {}) {
+        if (requested === CONSISTENCY.HIGHER_CONSISTENCY) {
+            counters.bypasses++;
+            return undefined;
+        }
+
+        const entry = entries.get(key(userId, relation, object));
+        if (!entry || entry.expiresAt <= now()) {
+            if (entry) {
+                entries.delete(key(userId, relation, object));
+            }
+            counters.misses++;
+            return undefined;
+        }
+
+        counters.hits++;
+        return entry.allowed;
+    }
+
+    function set(userId, relation, object, allowed) {
+        if (ttlMs <= 0) {
+            return;
+        }
+
+        // Maps iterate in insertion order, so the first key is the oldest entry
+        if (entries.size >= maxEntries) {
+            entries.delete(entries.keys().next().value);
+            counters.evictions++;
+        }
+
+        entries.set(key(userId, relation, object), {
+            allowed: allowed,
+            expiresAt: now() + ttlMs,
+            userId: userId,
+            object: object
+        });
+    }
+
+    function removeWhere(predicate) {
+        let removed = 0;
+        entries.forEach((entry, entryKey) => {
+            if (predicate(entry)) {
+                entries.delete(entryKey);
+                removed++;
+            }
+        });
+        counters.invalidations += removed;
+        return removed;
+    }
+
+    // Drop decisions a tuple change may affect. A user's own tuple can change
+    // anything they inherit (e.g. project membership flows down to documents),
+    // so all of that user's decisions go. A public tuple (`user:*`) affects
+    // every user on the object and, for a project, on whatever is attached to
+    // it; the cache does not know which objects those are, so it drops every
+    // decision outside other projects. A tuple whose subject is another object
+    // (e.g. `project:x project document:y`) affects every user on the object.
+    function invalidateTuples(tuples) {
+        return tuples.reduce((removed, tuple) => {
+            if (tuple.user === 'user:*') {
+                const inherited = tuple.object.startsWith(`${PARENT_RELATION}:`);
+                return removed + removeWhere(entry => entry.object === tuple.object
+                    || (inherited && !entry.object.startsWith(`${PARENT_RELATION}:`)));
+            }
+            if (tuple.user.startsWith('user:')) {
+                const userId = tuple.user.slice('user:'.length);
+                return removed + removeWhere(entry => entry.userId === userId);
+            }
+            return removed + removeWhere(entry => entry.object === tuple.object);
+        }, 0);
+    }
+
+    function clear() {
+        return removeWhere(() => true);
+    }
+
+    function stats() {
+        const lookups = counters.hits + counters.misses;
+        return {
+            ...counters,
+            size: entries.size,
+            ttlMs: ttlMs,
+            consistency: consistency,
+            hitRate: lookups === 0 ? 0 : Number((counters.hits / lookups).toFixed(4))
+        };
+    }
+
+    return {
+        get,
+        set,
+        invalidateTuples,
+        clear,
+        stats
+    };
+}
+
+module.exports = {
+    CONSISTENCY,
+    createPermissionCache
+};
@@ -0,0 +1,87 @@
+/**
+ * Project Deletion
+ * Deleting a project is a `delete-project` approval request, confirmed over
+ * CIBA when it is one of the configured high-risk actions. Nothing is deleted
+ * when the request is filed; once it is approved the project is deleted on
+ * behalf of the requester, who must still own it: its member tuples and the
+ * parent tuples of attached resources are removed, attached documents are
+ * released and the project record is dropped.
+ */
+
+const { HttpError } = require('./errors');
+const { PARENT_RELATION } = require('./authorization');
+const { RESOURCE_TYPES } = require('./project-store');
+
+const PROJECT_DELETE_ACTION = 'delete-project';
+
+function projectIdOf(resource) {
+    return /^project:(.+)$/.exec(resource || '')?.[1] || null;
+}
+
+// Check that the request names an existing project
+function validateProjectDeletion({ resource, details = {} }, projects) {
+    const projectId = projectIdOf(resource);
+    if (!projectId) {
+        throw new HttpError(400, 'Invalid request', 'Project deletions need a resource like project:alpha-release');
+    }
+    if (!projects.get(projectId)) {
+        throw new HttpError(404, 'Not found', `Project ${projectId} does not exist`);
+    }
+    return details;
+}
+
+// Remove a project's tuples and record; attached resources keep their own tuples
+async function deleteProject({ projects, documents, authorizer, projectId, actorId }) {
+    const project = projects.get(projectId);
+    if (!project) {
+        throw new HttpError(404, 'Not found', `Project ${projectId} does not exist`);
+    }
+
+    const object = `project:${project.id}`;
+    await authorizer.writeTuples({
+        deletes: RESOURCE_TYPES.flatMap(type => project.resources[type].map(resourceId =>
+            ({ user: object, relation: PARENT_RELATION, object: `${type}:${resourceId}` })))
+    });
+    await authorizer.removeObject(object);
+
+    projects.remove(project.id);
+    project.resources.document
+        .filter(documentId => documents.get(documentId))
+        .forEach(documentId => documents.update(documentId, { project: null }, actorId));
+
+    return project;
+}
+
+// Delete the project when a delete-project request is approved
+function registerProjectDeletion({ approvalActions, projects, documents, authorizer, logSecurityEvent }) {
+    approvalActions.register(PROJECT_DELETE_ACTION, async request => {
+        // Ownership may have changed while the request waited for approval
+        const { allowed } = await authorizer.check(request.user_id, 'owner', request.resource);
+        if (!allowed) {
+            throw new Error(`${request.user_id} is no longer an owner of ${request.resource}`);
+        }
+
+        const project = await deleteProject({
+            projects,
+            documents,
+            authorizer,
+            projectId: projectIdOf(request.resource),
+            actorId: request.user_id
+        });
+
+        logSecurityEvent('PROJECT_DELETED', request.user_id, {
+            resource: request.resource,
+            requestId: request.id,
+            approvedBy: request.decided_by
+        });
+
+        return { deleted: true, id: project.id };
+    });
+}
+
+module.exports = {
+    PROJECT_DELETE_ACTION,
+    validateProjectDeletion,
+    deleteProject,
+    registerProjectDeletion
+};
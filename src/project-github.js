@@ -0,0 +1,164 @@
+/**
+ * Project GitHub Integration
+ * Reads the issues, pull requests and commits of the repositories linked to a
+ * project with the caller's vaulted GitHub token, for project members only.
+ * Creating an issue is a `github-create-issue` approval request; the issue is
+ * opened with the requester's token once the request is approved.
+ */
+
+const { HttpError } = require('./errors');
+const { REPOSITORY_PATTERN } = require('./github-client');
+
+const GITHUB_ISSUE_ACTION = 'github-create-issue';
+const MAX_TITLE_LENGTH = 256;
+const MAX_BODY_LENGTH = 65536;
+const MAX_LABELS = 10;
+
+// Labels that mark an issue as blocking a release
+const BLOCKER_LABEL_PATTERN = /block|critical|p0|showstopper/i;
+
+function createProjectGitHub({ projects, authorizer, getTokenVaultToken, githubClient }) {
+    // Load a project the user is a member of; non-members get a 404
+    async function resolveProject(user, projectId) {
+        const project = projects.get(projectId);
+        if (!project || !(await authorizer.check(user.id, 'member', `project:${projectId}`)).allowed) {
+            throw new HttpError(404, 'Not found', `Project ${projectId} does not exist`);
+        }
+        return project;
+    }
+
+    // Project named by id or by name anywhere in `text`, e.g. "what's blocking the alpha release?"
+    function matchProject(text) {
+        const lower = String(text || '').toLowerCase().replace(/^project:/, '');
+        const all = projects.list();
+        return all.find(project => project.id === lower) ||
+            all.find(project => [project.id, project.id.replace(/-/g, ' '), project.name.toLowerCase()].some(name => lower.includes(name))) ||
+            null;
+    }
+
+    async function getAccessToken(user) {
+        const token = await getTokenVaultToken(user.id, 'github');
+        if (!token.success) {
+            throw new HttpError(400, 'GitHub not connected', token.message || 'Connect GitHub under Connected Accounts');
+        }
+        return token.access_token;
+    }
+
+    // Linked repositories to read, optionally narrowed to one of them
+    function selectRepositories(project, repository) {
+        if (!repository) {
+            return project.repositories;
+        }
+        const linked = project.repositories.find(existing => existing.toLowerCase() === repository.toLowerCase());
+        if (!linked) {
+            throw new HttpError(404, 'Not found', `${repository} is not linked to project ${project.id}`);
+        }
+        return [linked];
+    }
+
+    // Run `read(token, repository)` for every selected repository; items are tagged with their repository
+    async function collect(user, projectId, read, { repository } = {}) {
+        const project = await resolveProject(user, projectId);
+        const repositories = selectRepositories(project, repository);
+        if (repositories.length === 0) {
+            return { project, repositories, items: [] };
+        }
+
+        const accessToken = await getAccessToken(user);
+        const results = await Promise.all(repositories.map(async name =>
+            (await read(accessToken, name)).map(item => ({ repository: name, ...item }))));
+
+        return { project, repositories, items: results.flat() };
+    }
+
+    function listIssues(user, projectId, options = {}) {
+        return collect(user, projectId, (token, repository) => githubClient.listIssues(token, repository, options), options);
+    }
+
+    function listPullRequests(user, projectId, options = {}) {
+        return collect(user, projectId, (token, repository) => githubClient.listPullRequests(token, repository, options), options);
+    }
+
+    function listCommits(user, projectId, options = {}) {
+        return collect(user, projectId, (token, repository) => githubClient.listCommits(token, repository, options), options);
+    }
+
+    // Open issues labelled as blockers, and pull requests in draft or waiting on review
+    async function findBlockers(user, projectId) {
+        const issues = await listIssues(user, projectId);
+        const pulls = await listPullRequests(user, projectId);
+
+        const blockingIssues = issues.items.filter(issue => issue.labels.some(label => BLOCKER_LABEL_PATTERN.test(label)));
+        const pendingPulls = pulls.items.filter(pull => pull.draft || pull.requested_reviewers.length > 0);
+
+        return {
+            project: issues.project,
+            repositories: issues.repositories,
+            issues: blockingIssues,
+            pull_requests: pendingPulls
+        };
+    }
+
+    return {
+        matchProject,
+        resolveProject,
+        listIssues,
+        listPullRequests,
+        listCommits,
+        findBlockers
+    };
+}
+
+// Validate an issue request; returns the details to store
+function validateGitHubIssue({ resource, details = {} }) {
+    const repository = details.repository || (resource || '').replace(/^github:/, '');
+    if (!REPOSITORY_PATTERN.test(repository)) {
+        throw new HttpError(400, 'Invalid request', 'Repository must look like owner/name');
+    }
+
+    const title = typeof details.title === 'string' ? details.title.trim() : '';
+    if (!title || title.length > MAX_TITLE_LENGTH) {
+        throw new HttpError(400, 'Invalid request', `Title is required (max ${MAX_TITLE_LENGTH} characters)`);
+    }
+    if (details.body !== undefined && (typeof details.body !== 'string' || details.body.length > MAX_BODY_LENGTH)) {
+        throw new HttpError(400, 'Invalid request', `Body must be text (max ${MAX_BODY_LENGTH} characters)`);
+    }
+
+    const labels = details.labels || [];
+    if (!Array.isArray(labels) || labels.length > MAX_LABELS || !labels.every(label => typeof label === 'string' && label.trim())) {
+        throw new HttpError(400, 'Invalid request', `Labels must be a list of up to ${MAX_LABELS} names`);
+    }
+
+    return { ...details, repository, title, body: details.body || '', labels };
+}
+
+// Open the issue when a github-create-issue request is approved
+function registerGitHubIssueCreation({ approvalActions, getTokenVaultToken, githubClient, logSecurityEvent }) {
+    approvalActions.register(GITHUB_ISSUE_ACTION, async request => {
+        const { repository, title, body, labels } = request.details || {};
+        const audit = { requestId: request.id, repository: repository, approvedBy: request.decided_by };
+
+        try {
+            const token = await getTokenVaultToken(request.user_id, 'github');
+            if (!token.success) {
+                throw new Error(token.message || 'GitHub is not connected');
+            }
+
+            const issue = await githubClient.createIssue(token.access_token, repository, { title, body, labels });
+
+            logSecurityEvent('GITHUB_ISSUE_CREATED', request.user_id, { ...audit, issue: issue.number });
+            return { repository: repository, number: issue.number, url: issue.url };
+        } catch (error) {
+            logSecurityEvent('GITHUB_ISSUE_FAILED', request.user_id, { ...audit, error: error.message });
+            throw error;
+        }
+    });
+}
+
+module.exports = {
+    GITHUB_ISSUE_ACTION,
+    BLOCKER_LABEL_PATTERN,
+    createProjectGitHub,
+    validateGitHubIssue,
+    registerGitHubIssueCreation
+};
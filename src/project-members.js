@@ -0,0 +1,116 @@
+/**
+ * Project Members
+ * Project roles live only in FGA, as `user:<id> member|manager|owner
+ * project:<id>` tuples; the project store keeps no copy. Every role change
+ * goes through here so the member routes and the FGA grant/revoke routes
+ * apply the same rules: managers add and remove members, only owners appoint
+ * or remove managers and owners, and a project always keeps an owner.
+ */
+
+const { HttpError } = require('./errors');
+const { PROJECT_ROLES } = require('./project-store');
+
+// Role needed to give or take away `role`
+function requiredRoleToAssign(role) {
+    return role === 'member' ? 'manager' : 'owner';
+}
+
+// Strongest of the given roles, or null
+function strongestRole(roles) {
+    return [...PROJECT_ROLES].reverse().find(role => roles.includes(role)) || null;
+}
+
+function createProjectMembers({ authorizer }) {
+    function roleTuple(projectId, userId, role) {
+        return { user: `user:${userId}`, relation: role, object: `project:${projectId}` };
+    }
+
+    // Direct roles as { userId: strongest role }; public membership (`user:*`) is listed as '*'
+    async function list(projectId) {
+        const { tuples } = await authorizer.readTuples(`project:${projectId}`);
+        const roles = {};
+        tuples
+            .filter(tuple => tuple.user.startsWith('user:') && PROJECT_ROLES.includes(tuple.relation))
+            .forEach(tuple => {
+                const userId = tuple.user.slice('user:'.length);
+                roles[userId] = [...(roles[userId] || []), tuple.relation];
+            });
+        return Object.fromEntries(Object.entries(roles).map(([userId, held]) => [userId, strongestRole(held)]));
+    }
+
+    // Roles `userId` holds directly on the project (a user can hold several tuples)
+    async function directRoles(projectId, userId) {
+        const { tuples } = await authorizer.readTuples(`project:${projectId}`, { user: `user:${userId}` });
+        return tuples.map(tuple => tuple.relation).filter(relation => PROJECT_ROLES.includes(relation));
+    }
+
+    async function requireRole(actorId, projectId, role) {
+        if (!(await authorizer.check(actorId, role, `project:${projectId}`)).allowed) {
+            throw new HttpError(403, 'Insufficient permissions', `You need ${role} access to project:${projectId}`);
+        }
+    }
+
+    // Refuse to take `owner` away from the project's last owner
+    async function keepAnOwner(projectId, userId) {
+        const owners = Object.entries(await list(projectId))
+            .filter(([id, role]) => role === 'owner' && id !== userId);
+        if (owners.length === 0) {
+            throw new HttpError(409, 'Conflict', 'A project must keep at least one owner');
+        }
+    }
+
+    // Give `userId` exactly `role` on behalf of `actorId`; returns the new and previous role
+    async function setRole({ actorId, projectId, userId, role }) {
+        if (!PROJECT_ROLES.includes(role)) {
+            throw new HttpError(400, 'Invalid request', `Role must be one of: ${PROJECT_ROLES.join(', ')}`);
+        }
+        if (userId === '*' && role !== 'member') {
+            throw new HttpError(400, 'Invalid request', 'Only membership can be public');
+        }
+
+        const current = await directRoles(projectId, userId);
+        const needsOwner = [role, ...current].some(held => requiredRoleToAssign(held) === 'owner');
+        await requireRole(actorId, projectId, needsOwner ? 'owner' : 'manager');
+
+        if (current.includes('owner') && role !== 'owner') {
+            await keepAnOwner(projectId, userId);
+        }
+
+        const { source } = await authorizer.writeTuples({
+            writes: current.includes(role) ? [] : [roleTuple(projectId, userId, role)],
+            deletes: current.filter(held => held !== role).map(held => roleTuple(projectId, userId, held))
+        });
+
+        return { role: role, previousRole: strongestRole(current), source: source };
+    }
+
+    // Take away `userId`'s role (all of their role tuples, or just `role`) on behalf of `actorId`
+    async function removeRole({ actorId, projectId, userId, role = null }) {
+        const current = await directRoles(projectId, userId);
+        const removed = role ? current.filter(held => held === role) : current;
+        if (removed.length === 0) {
+            throw new HttpError(404, 'Not found', `${userId} is not a ${role || 'member'} of project ${projectId}`);
+        }
+
+        const needsOwner = removed.some(held => requiredRoleToAssign(held) === 'owner');
+        await requireRole(actorId, projectId, needsOwner ? 'owner' : 'manager');
+
+        if (removed.includes('owner')) {
+            await keepAnOwner(projectId, userId);
+        }
+
+        const { source } = await authorizer.writeTuples({ deletes: removed.map(held => roleTuple(projectId, userId, held)) });
+
+        return { removed: removed, previousRole: strongestRole(current), source: source };
+    }
+
+    return {
+        list,
+        setRole,
+        removeRole
+    };
+}
+
+module.exports = {
+    createProjectMembers
+};
@@ -0,0 +1,167 @@
+/**
+ * Project Store
+ * Durable storage for projects, the documents, calendars and tasks attached
+ * to them and the GitHub repositories they link. Members and roles live only
+ * in FGA (see src/project-members.js); the store keeps the records the API
+ * lists (names, attachments, repositories).
+ */
+
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+const { createJsonFileStore } = require('./json-file-store');
+
+const PROJECT_ROLES = ['member', 'manager', 'owner'];
+const RESOURCE_TYPES = ['document', 'calendar', 'task'];
+
+function slugify(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 48) ||
+        'project-' + crypto.randomBytes(3).toString('hex');
+}
+
+function createProjectStore({ filePath = null, now = Date.now } = {}) {
+    const file = createJsonFileStore(filePath, { projects: [] });
+    // Projects stored before repositories could be linked have none; stored member
+    // lists from before roles moved to FGA are dropped
+    const projects = new Map(file.read().projects.map(({ members, ...project }) => [project.id, { repositories: [], ...project }]));
+
+    function persist() {
+        file.write({ projects: Array.from(projects.values()) });
+    }
+
+    function copy(project) {
+        return JSON.parse(JSON.stringify(project));
+    }
+
+    function getRecord(id) {
+        const project = projects.get(id);
+        if (!project) {
+            throw new HttpError(404, 'Not found', `Project ${id} does not exist`);
+        }
+        return project;
+    }
+
+    function touch(project) {
+        project.updated_at = new Date(now()).toISOString();
+        persist();
+        return copy(project);
+    }
+
+    function create({ id, name, description = '', status = 'planning', createdBy }) {
+        let projectId = id || slugify(name);
+        if (id && projects.has(id)) {
+            throw new HttpError(409, 'Conflict', `Project ${id} already exists`);
+        }
+        for (let suffix = 2; projects.has(projectId); suffix++) {
+            projectId = `${slugify(name)}-${suffix}`;
+        }
+
+        const timestamp = new Date(now()).toISOString();
+        const project = {
+            id: projectId,
+            name: name,
+            description: description,
+            status: status,
+            created_by: createdBy,
+            created_at: timestamp,
+            updated_at: timestamp,
+            resources: { document: [], calendar: [], task: [] },
+            repositories: []
+        };
+
+        projects.set(project.id, project);
+        persist();
+
+        return copy(project);
+    }
+
+    function get(id) {
+        const project = projects.get(id);
+        return project ? copy(project) : null;
+    }
+
+    function list() {
+        return Array.from(projects.values()).map(copy);
+    }
+
+    function update(id, fields) {
+        const project = getRecord(id);
+        ['name', 'description', 'status'].forEach(field => {
+            if (fields[field] !== undefined) {
+                project[field] = fields[field];
+            }
+        });
+        return touch(project);
+    }
+
+    function remove(id) {
+        const project = getRecord(id);
+        projects.delete(id);
+        persist();
+        return copy(project);
+    }
+
+    function attach(id, type, resourceId) {
+        if (!RESOURCE_TYPES.includes(type)) {
+            throw new HttpError(400, 'Invalid request', `Type must be one of: ${RESOURCE_TYPES.join(', ')}`);
+        }
+        const project = getRecord(id);
+        if (!project.resources[type].includes(resourceId)) {
+            project.resources[type].push(resourceId);
+        }
+        return touch(project);
+    }
+
+    function detach(id, type, resourceId) {
+        const project = getRecord(id);
+        if (!(project.resources[type] || []).includes(resourceId)) {
+            throw new HttpError(404, 'Not found', `${type}:${resourceId} is not attached to project ${id}`);
+        }
+        project.resources[type] = project.resources[type].filter(existing => existing !== resourceId);
+        return touch(project);
+    }
+
+    // Link a GitHub repository (`owner/name`); links are case-insensitive like GitHub
+    function linkRepository(id, repository) {
+        const project = getRecord(id);
+        if (!project.repositories.some(existing => existing.toLowerCase() === repository.toLowerCase())) {
+            project.repositories.push(repository);
+        }
+        return touch(project);
+    }
+
+    function unlinkRepository(id, repository) {
+        const project = getRecord(id);
+        const linked = project.repositories.find(existing => existing.toLowerCase() === repository.toLowerCase());
+        if (!linked) {
+            throw new HttpError(404, 'Not found', `${repository} is not linked to project ${id}`);
+        }
+        project.repositories = project.repositories.filter(existing => existing !== linked);
+        return touch(project);
+    }
+
+    // Project a resource is attached to, if any
+    function findParent(type, resourceId) {
+        const project = Array.from(projects.values())
+            .find(candidate => (candidate.resources[type] || []).includes(resourceId));
+        return project ? copy(project) : null;
+    }
+
+    return {
+        create,
+        get,
+        list,
+        update,
+        remove,
+        attach,
+        detach,
+        linkRepository,
+        unlinkRepository,
+        findParent
+    };
+}
+
+module.exports = {
+    PROJECT_ROLES,
+    RESOURCE_TYPES,
+    createProjectStore
+};
@@ -0,0 +1,188 @@
+/**
+ * Document Index for Retrieval-Augmented Generation
+ * Splits project documents into overlapping chunks and ranks them with BM25
+ * over a local lexical index. Everything runs in-process: no external
+ * embedding service is needed, so the index works offline.
+ */
+
+const { createJsonFileStore } = require('./json-file-store');
+
+const DEFAULT_CHUNK_WORDS = 120;
+const DEFAULT_OVERLAP_WORDS = 30;
+
+// BM25 tuning constants
+const K1 = 1.2;
+const B = 0.75;
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'has', 'have',
+    'how', 'i', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'that', 'the', 'their',
+    'this', 'to', 'was', 'we', 'what', 'when', 'which', 'who', 'will', 'with', 'you', 'your'
+]);
+
+function tokenize(text) {
+    return (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+        .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+}
+
+// Split text into word windows of `chunkWords`, overlapping by `overlapWords`
+function chunkText(text, { chunkWords = DEFAULT_CHUNK_WORDS, overlapWords = DEFAULT_OVERLAP_WORDS } = {}) {
+    const words = text.split(/\s+/).filter(Boolean);
+    const step = Math.max(1, chunkWords - overlapWords);
+    const chunks = [];
+
+    for (let start = 0; start < words.length; start += step) {
+        chunks.push(words.slice(start, start + chunkWords).join(' '));
+        if (start + chunkWords >= words.length) {
+            break;
+        }
+    }
+
+    return chunks;
+}
+
+function createDocumentIndex({ filePath = null, chunkWords, overlapWords } = {}) {
+    const file = createJsonFileStore(filePath, { documents: {} });
+    const documents = file.read().documents; // documentId -> { title, metadata, chunks }
+
+    function persist() {
+        file.write({ documents });
+    }
+
+    function allChunks() {
+        return Object.entries(documents).flatMap(([documentId, document]) =>
+            document.chunks.map(chunk => ({ ...chunk, documentId, title: document.title }))
+        );
+    }
+
+    // Add or replace a document's chunks
+    function ingest({ id, title, content, metadata = {} }) {
+        const chunks = chunkText(content || '', { chunkWords, overlapWords }).map((text, position) => {
+            const terms = {};
+            tokenize(`${title} ${text}`).forEach(term => { terms[term] = (terms[term] || 0) + 1; });
+            return { id: `${id}#${position}`, position, text, terms };
+        });
+
+        documents[id] = {
+            title: title,
+            metadata: metadata,
+            chunks: chunks,
+            indexed_at: new Date().toISOString()
+        };
+        persist();
+
+        return { id, chunks: chunks.length };
+    }
+
+    function remove(id) {
+        if (!documents[id]) {
+            return false;
+        }
+        delete documents[id];
+        persist();
+        return true;
+    }
+
+    function has(id) {
+        return !!documents[id];
+    }
+
+    function ids() {
+        return Object.keys(documents);
+    }
+
+    // Rank every chunk against `query` with BM25; highest score first
+    function rank(query) {
+        const queryTerms = [...new Set(tokenize(query))];
+        const chunks = allChunks();
+        if (queryTerms.length === 0 || chunks.length === 0) {
+            return [];
+        }
+
+        const lengths = chunks.map(chunk => Object.values(chunk.terms).reduce((sum, count) => sum + count, 0));
+        const averageLength = lengths.reduce((sum, length) => sum + length, 0) / chunks.length;
+        const documentFrequency = {};
+        queryTerms.forEach(term => {
+            documentFrequency[term] = chunks.filter(chunk => chunk.terms[term]).length;
+        });
+
+        return chunks
+            .map((chunk, i) => {
+                const score = queryTerms.reduce((sum, term) => {
+                    const frequency = chunk.terms[term] || 0;
+                    if (frequency === 0) {
+                        return sum;
+                    }
+                    const idf = Math.log(1 + (chunks.length - documentFrequency[term] + 0.5) / (documentFrequency[term] + 0.5));
+                    return sum + idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * lengths[i] / averageLength));
+                }, 0);
+                return { ...chunk, score };
+            })
+            .filter(chunk => chunk.score > 0)
+            .sort((a, b) => b.score - a.score);
+    }
+
+    // Search, keeping only chunks whose document passes the async `canRead` filter
+    async function search(query, { limit = 5, canRead = async () => true } = {}) {
+        const decisions = new Map(); // documentId -> Promise<boolean>
+        const results = [];
+
+        for (const chunk of rank(query)) {
+            if (!decisions.has(chunk.documentId)) {
+                decisions.set(chunk.documentId, canRead(chunk.documentId));
+            }
+            if (await decisions.get(chunk.documentId)) {
+                const { terms, ...result } = chunk;
+                results.push(result);
+                if (results.length >= limit) {
+                    break;
+                }
+            }
+        }
+
+        return results;
+    }
+
+    function stats() {
+        return {
+            documents: Object.keys(documents).length,
+            chunks: allChunks().length
+        };
+    }
+
+    return {
+        ingest,
+        remove,
+        has,
+        ids,
+        search,
+        stats
+    };
+}
+
+// Index every document in the store and follow its creates, updates and deletes;
+// anything indexed that the store does not hold is dropped
+function followDocumentStore(index, documents) {
+    function indexDocument(document) {
+        index.ingest({
+            id: document.id,
+            title: document.title,
+            content: document.content,
+            metadata: { project: document.project }
+        });
+    }
+
+    index.ids().filter(id => !documents.get(id)).forEach(id => index.remove(id));
+    documents.list().forEach(indexDocument);
+
+    documents.on('created', indexDocument);
+    documents.on('updated', indexDocument);
+    documents.on('deleted', document => index.remove(document.id));
+}
+
+module.exports = {
+    tokenize,
+    chunkText,
+    createDocumentIndex,
+    followDocumentStore
+};
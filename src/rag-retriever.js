@@ -0,0 +1,54 @@
+/**
+ * FGA-Filtered Retriever
+ * Retrieves document chunks for the agent's context, keeping only chunks from
+ * documents the requesting user can view (`viewer` on `document:<id>`).
+ * Filtering happens before anything reaches the model, so answers can only
+ * cite readable documents.
+ */
+
+function createRetriever({ index, authorizer, logSecurityEvent }) {
+    // Retrieve up to `limit` readable passages for `query` on behalf of `user`
+    async function retrieve(user, query, { limit = 5 } = {}) {
+        const filtered = new Set();
+
+        const chunks = await index.search(query, {
+            limit: limit,
+            canRead: async documentId => {
+                const { allowed } = await authorizer.check(user.id, 'viewer', `document:${documentId}`);
+                if (!allowed) {
+                    filtered.add(documentId);
+                }
+                return allowed;
+            }
+        });
+
+        const passages = chunks.map(chunk => ({
+            document: `document:${chunk.documentId}`,
+            title: chunk.title,
+            chunk: chunk.id,
+            text: chunk.text,
+            score: Number(chunk.score.toFixed(4))
+        }));
+
+        const citations = [];
+        passages.forEach(passage => {
+            if (!citations.some(citation => citation.document === passage.document)) {
+                citations.push({ document: passage.document, title: passage.title });
+            }
+        });
+
+        // The query is the user's free text and is not recorded
+        logSecurityEvent('RAG_RETRIEVAL', user.id, {
+            citedDocuments: citations.map(citation => citation.document),
+            filteredDocuments: filtered.size
+        });
+
+        return { passages, citations };
+    }
+
+    return { retrieve };
+}
+
+module.exports = {
+    createRetriever
+};
@@ -0,0 +1,207 @@
+/**
+ * Asynchronous Authorization Routes
+ * Lets the agent's user file approval requests and lets authorized approvers
+ * approve or deny them. Requests are persisted in the approval store.
+ */
+
+const express = require('express');
+const { HttpError, sendHttpError } = require('../errors');
+const { getAuthUser } = require('../auth-context');
+const { APPROVAL_STATUS } = require('../approval-store');
+const { logger } = require('../logger');
+
+// Permission (RBAC claim) that marks a caller as an approver
+const APPROVE_PERMISSION = 'approve:requests';
+
+// `decisionChecks` maps an action to an async check of `(request, approverId)` that
+// throws when the approver may not approve it; it runs before the approval is recorded
+function createApprovalRouter({ authenticate, approvals, requester, approverIds = [], decisionChecks = {}, logSecurityEvent }) {
+    const router = express.Router();
+
+    function isApprover(user) {
+        return user.permissions.includes(APPROVE_PERMISSION) || approverIds.includes(user.id);
+    }
+
+    // Requests are only visible to their requester and to approvers
+    function getVisibleRequest(id, user) {
+        const request = approvals.get(id);
+        if (!request || (request.user_id !== user.id && !isApprover(user))) {
+            throw new HttpError(404, 'Not found', `Approval request ${id} does not exist`);
+        }
+        return request;
+    }
+
+    function handleError(res, error, fallbackMessage) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        logger.error(fallbackMessage, { error });
+        res.status(500).json({ error: fallbackMessage });
+    }
+
+    // Create approval request; high-risk actions are confirmed over CIBA
+    router.post('/', authenticate, async (req, res) => {
+        try {
+            const { action, resource, relation, justification } = req.body;
+
+            const { request, bindingMessage } = await requester.submit({
+                user: getAuthUser(req),
+                action: action,
+                resource: resource,
+                justification: justification,
+                ...(relation && { details: { relation } })
+            });
+
+            res.status(201).json({
+                request_id: request.id,
+                status: request.status,
+                channel: request.channel,
+                binding_message: bindingMessage,
+                expires_at: request.expires_at,
+                message: request.channel === 'ciba'
+                    ? 'Approval requested on the approver\'s device. The action runs once it is accepted.'
+                    : 'Approval request submitted. You will be notified when approved.'
+            });
+        } catch (error) {
+            if (error.requestId) {
+                return res.status(error.status).json({
+                    error: error.error,
+                    message: error.message,
+                    request_id: error.requestId
+                });
+            }
+            handleError(res, error, 'Failed to create approval request');
+        }
+    });
+
+    // List the caller's own requests
+    router.get('/', authenticate, (req, res) => {
+        try {
+            const user = getAuthUser(req);
+            const { status } = req.query;
+
+            if (status && !Object.values(APPROVAL_STATUS).includes(status)) {
+                return res.status(400).json({
+                    error: 'Invalid request',
+                    message: `Status must be one of: ${Object.values(APPROVAL_STATUS).join(', ')}`
+                });
+            }
+
+            res.json({ requests: approvals.list({ userId: user.id, status }) });
+        } catch (error) {
+            handleError(res, error, 'Failed to list approval requests');
+        }
+    });
+
+    // Pending requests awaiting a decision (approvers only)
+    router.get('/pending', authenticate, (req, res) => {
+        try {
+            const user = getAuthUser(req);
+
+            if (!isApprover(user)) {
+                throw new HttpError(403, 'Insufficient permissions', 'Only approvers can review pending requests');
+            }
+
+            const requests = approvals.list({ status: APPROVAL_STATUS.PENDING })
+                .filter(request => request.user_id !== user.id);
+
+            res.json({ requests });
+        } catch (error) {
+            handleError(res, error, 'Failed to list pending approval requests');
+        }
+    });
+
+    // Get a single request
+    router.get('/:id', authenticate, (req, res) => {
+        try {
+            res.json({ request: getVisibleRequest(req.params.id, getAuthUser(req)) });
+        } catch (error) {
+            handleError(res, error, 'Failed to fetch approval request');
+        }
+    });
+
+    // Cancel a pending request (requester only)
+    router.post('/:id/cancel', authenticate, (req, res) => {
+        try {
+            const user = getAuthUser(req);
+            getVisibleRequest(req.params.id, user);
+
+            const request = approvals.cancel(req.params.id, user.id);
+
+            logSecurityEvent('APPROVAL_CANCELLED', user.id, {
+                requestId: request.id,
+                action: request.action,
+                resource: request.resource
+            });
+
+            res.json({ request });
+        } catch (error) {
+            handleError(res, error, 'Failed to cancel approval request');
+        }
+    });
+
+    // Approve or deny a pending request (approvers only)
+    router.post('/:id/decision', authenticate, async (req, res) => {
+        try {
+            const { decision, reason } = req.body;
+            const user = getAuthUser(req);
+
+            if (!['approve', 'deny'].includes(decision)) {
+                return res.status(400).json({
+                    error: 'Invalid request',
+                    message: "Decision must be 'approve' or 'deny'"
+                });
+            }
+
+            if (decision === 'deny' && !reason) {
+                return res.status(400).json({
+                    error: 'Invalid request',
+                    message: 'A reason is required when denying a request'
+                });
+            }
+
+            const existing = getVisibleRequest(req.params.id, user);
+
+            if (!isApprover(user)) {
+                throw new HttpError(403, 'Insufficient permissions', 'You are not authorized to decide approval requests');
+            }
+
+            if (existing.channel === 'ciba') {
+                throw new HttpError(409, 'Invalid state', 'This request is decided on the approver\'s device via CIBA');
+            }
+
+            if (existing.user_id === user.id) {
+                throw new HttpError(403, 'Insufficient permissions', 'Requesters cannot decide their own approval requests');
+            }
+
+            if (decision === 'approve' && decisionChecks[existing.action]) {
+                await decisionChecks[existing.action](existing, user.id);
+            }
+
+            const request = approvals.decide(existing.id, {
+                approved: decision === 'approve',
+                approverId: user.id,
+                reason: reason
+            });
+
+            logSecurityEvent(decision === 'approve' ? 'APPROVAL_GRANTED' : 'APPROVAL_DENIED', user.id, {
+                requestId: request.id,
+                requester: request.user_id,
+                action: request.action,
+                resource: request.resource,
+                reason: request.decision_reason
+            });
+
+            res.json({ request });
+        } catch (error) {
+            handleError(res, error, 'Failed to record approval decision');
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    APPROVE_PERMISSION,
+    createApprovalRouter
+};
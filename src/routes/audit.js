@@ -0,0 +1,144 @@
+/**
+ * Audit Routes
+ * Read access to the audit log behind the Security Audit Trail. Users see
+ * their own entries; auditors (the `read:audit` permission or AUDIT_READERS)
+ * see everyone's and can filter by user. Results are newest first and paged
+ * with the `next_cursor` of the previous page. GET /export downloads the same
+ * entries, oldest first, in a SIEM format (csv, jsonl, cef or ocsf).
+ */
+
+const express = require('express');
+const { HttpError, sendHttpError } = require('../errors');
+const { getAuthUser } = require('../auth-context');
+const { OUTCOMES, entryResource, entryOutcome } = require('../audit-log');
+const { EXPORT_FORMATS, writeAuditExport } = require('../audit-export');
+const { logger } = require('../logger');
+
+const AUDIT_PERMISSION = 'read:audit';
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+function createAuditRouter({ authenticate, auditLog, auditorIds = [], logSecurityEvent }) {
+    const router = express.Router();
+
+    function isAuditor(user) {
+        return user.permissions.includes(AUDIT_PERMISSION) || auditorIds.includes(user.id);
+    }
+
+    function handleError(res, error, fallbackMessage) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        logger.error(fallbackMessage, { error });
+        res.status(500).json({ error: fallbackMessage });
+    }
+
+    function parseTime(field, value) {
+        if (value === undefined) {
+            return undefined;
+        }
+        if (isNaN(Date.parse(value))) {
+            throw new HttpError(400, 'Invalid request', `${field} must be an ISO 8601 date-time`);
+        }
+        return new Date(value).toISOString();
+    }
+
+    function parsePositiveInteger(field, value) {
+        if (value === undefined) {
+            return undefined;
+        }
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 1) {
+            throw new HttpError(400, 'Invalid request', `${field} must be a positive integer`);
+        }
+        return number;
+    }
+
+    // The user whose entries are read: whoever was asked for, if the caller may see them
+    function readUserFilter(query, user) {
+        if (query.user !== undefined && query.user !== user.id && !isAuditor(user)) {
+            throw new HttpError(403, 'Insufficient permissions', 'Only auditors can read other users\' audit entries');
+        }
+        return query.user || (isAuditor(user) ? undefined : user.id);
+    }
+
+    // The since/until pair, validated and in order
+    function readTimeRange(query) {
+        const since = parseTime('since', query.since);
+        const until = parseTime('until', query.until);
+        if (since && until && since > until) {
+            throw new HttpError(400, 'Invalid request', 'since must be before until');
+        }
+        return { since, until };
+    }
+
+    // Translate query parameters into audit log filters, scoped to what the caller may see
+    function readFilters(query, user) {
+        const { event, resource, outcome } = query;
+
+        if (outcome !== undefined && !OUTCOMES.includes(outcome)) {
+            throw new HttpError(400, 'Invalid request', `outcome must be one of: ${OUTCOMES.join(', ')}`);
+        }
+
+        const limit = parsePositiveInteger('limit', query.limit) || DEFAULT_LIMIT;
+        return {
+            userId: readUserFilter(query, user),
+            events: event ? String(event).split(',').map(name => name.trim()).filter(Boolean) : undefined,
+            resource: resource || undefined,
+            outcome: outcome,
+            ...readTimeRange(query),
+            cursor: parsePositiveInteger('cursor', query.cursor),
+            limit: Math.min(limit, MAX_LIMIT)
+        };
+    }
+
+    // Audit entries, newest first
+    router.get('/', authenticate, (req, res) => {
+        try {
+            const user = getAuthUser(req);
+            const { entries, nextCursor } = auditLog.query(readFilters(req.query, user));
+
+            res.json({
+                entries: entries.map(entry => ({
+                    ...entry,
+                    resource: entryResource(entry),
+                    outcome: entryOutcome(entry)
+                })),
+                next_cursor: nextCursor ? String(nextCursor) : null,
+                scope: isAuditor(user) ? 'all' : 'own'
+            });
+        } catch (error) {
+            handleError(res, error, 'Failed to read audit log');
+        }
+    });
+
+    // Download entries in a time range as CSV, JSON Lines, CEF or OCSF JSON
+    router.get('/export', authenticate, (req, res) => {
+        try {
+            const user = getAuthUser(req);
+            const format = req.query.format || 'jsonl';
+            if (!EXPORT_FORMATS[format]) {
+                throw new HttpError(400, 'Invalid request', `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+            }
+            const userId = readUserFilter(req.query, user);
+            const { since, until } = readTimeRange(req.query);
+            const entries = auditLog.readAll();
+
+            const { contentType, extension } = EXPORT_FORMATS[format];
+            res.attachment(`audit-${new Date().toISOString().slice(0, 10)}.${extension}`);
+            res.set('Content-Type', `${contentType}; charset=utf-8`);
+            const count = writeAuditExport({ entries, format, since, until, userId, write: chunk => res.write(chunk) });
+            res.end();
+
+            logSecurityEvent('AUDIT_EXPORTED', user.id, { format, since, until, user: userId, entries: count });
+        } catch (error) {
+            handleError(res, error, 'Failed to export audit log');
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createAuditRouter
+};
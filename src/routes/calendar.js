@@ -0,0 +1,154 @@
+/**
+ * Calendar Routes
+ * Proxies the user's Google Calendar events: the server fetches the vaulted
+ * token and calls the calendar API itself, so only event data reaches the
+ * browser. Listing needs `reader` on the team calendar; creating, updating and
+ * deleting events need `writer`.
+ */
+
+const express = require('express');
+const { HttpError, sendHttpError } = require('../errors');
+const { getAuthUser } = require('../auth-context');
+const { TEAM_CALENDAR } = require('../calendar-client');
+const { logger } = require('../logger');
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 8000;
+const MAX_ATTENDEES = 50;
+const MAX_RESULTS = 50;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+function createCalendarRouter({ authenticate, authorizer, getTokenVaultToken, calendarClient, calendar = TEAM_CALENDAR, logSecurityEvent }) {
+    const router = express.Router();
+
+    function handleError(res, error, fallbackMessage) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        logger.error(fallbackMessage, { error });
+        res.status(500).json({ error: fallbackMessage });
+    }
+
+    // Require `relation` on the calendar, then fetch the user's vaulted token
+    async function authorize(user, relation) {
+        const { allowed } = await authorizer.check(user.id, relation, calendar);
+        if (!allowed) {
+            logSecurityEvent('CALENDAR_ACCESS_DENIED', user.id, { resource: calendar, relation: relation });
+            throw new HttpError(403, 'Insufficient permissions', `You need ${relation} access to ${calendar}`);
+        }
+
+        const token = await getTokenVaultToken(user.id, 'google-calendar');
+        if (!token.success) {
+            throw new HttpError(400, 'Calendar not connected', token.message || 'Connect Google Calendar under Connected Accounts');
+        }
+        return token.access_token;
+    }
+
+    function validate({ title, description, location, start, end, attendees }, { partial = false } = {}) {
+        if ((!partial || title !== undefined) &&
+            (typeof title !== 'string' || !title.trim() || title.length > MAX_TITLE_LENGTH)) {
+            throw new HttpError(400, 'Invalid request', `Title is required (max ${MAX_TITLE_LENGTH} characters)`);
+        }
+        [['description', description], ['location', location]].forEach(([field, value]) => {
+            if (value !== undefined && (typeof value !== 'string' || value.length > MAX_DESCRIPTION_LENGTH)) {
+                throw new HttpError(400, 'Invalid request', `${field} must be text (max ${MAX_DESCRIPTION_LENGTH} characters)`);
+            }
+        });
+        [['start', start], ['end', end]].forEach(([field, value]) => {
+            if ((!partial || value !== undefined) && (typeof value !== 'string' || isNaN(Date.parse(value)))) {
+                throw new HttpError(400, 'Invalid request', `${field} must be an ISO 8601 date-time`);
+            }
+        });
+        if (start !== undefined && end !== undefined && Date.parse(end) <= Date.parse(start)) {
+            throw new HttpError(400, 'Invalid request', 'end must be after start');
+        }
+        if (attendees !== undefined && (!Array.isArray(attendees) || attendees.length > MAX_ATTENDEES ||
+            !attendees.every(email => typeof email === 'string' && EMAIL_PATTERN.test(email)))) {
+            throw new HttpError(400, 'Invalid request', `attendees must be a list of up to ${MAX_ATTENDEES} email addresses`);
+        }
+    }
+
+    // Only the event fields the API accepts
+    function pickFields({ title, description, location, start, end, attendees }) {
+        return { title: title !== undefined ? title.trim() : undefined, description, location, start, end, attendees };
+    }
+
+    // Upcoming events (reader)
+    router.get('/events', authenticate, async (req, res) => {
+        try {
+            const user = getAuthUser(req);
+            const maxResults = req.query.max_results !== undefined ? parseInt(req.query.max_results, 10) : 10;
+            if (!Number.isInteger(maxResults) || maxResults < 1 || maxResults > MAX_RESULTS) {
+                throw new HttpError(400, 'Invalid request', `max_results must be between 1 and ${MAX_RESULTS}`);
+            }
+            if (req.query.time_min !== undefined && isNaN(Date.parse(req.query.time_min))) {
+                throw new HttpError(400, 'Invalid request', 'time_min must be an ISO 8601 date-time');
+            }
+
+            const accessToken = await authorize(user, 'reader');
+            const events = await calendarClient.listEvents(accessToken, {
+                maxResults: maxResults,
+                timeMin: req.query.time_min ? new Date(req.query.time_min).toISOString() : undefined
+            });
+
+            res.json({ calendar: calendar, events: events });
+        } catch (error) {
+            handleError(res, error, 'Failed to list calendar events');
+        }
+    });
+
+    // Create an event (writer)
+    router.post('/events', authenticate, async (req, res) => {
+        try {
+            const user = getAuthUser(req);
+            validate(req.body);
+
+            const accessToken = await authorize(user, 'writer');
+            const event = await calendarClient.createEvent(accessToken, pickFields(req.body));
+
+            logSecurityEvent('CALENDAR_EVENT_CREATED', user.id, { resource: calendar, eventId: event.id });
+
+            res.status(201).json({ event: event });
+        } catch (error) {
+            handleError(res, error, 'Failed to create calendar event');
+        }
+    });
+
+    // Update an event (writer); only the fields sent change
+    router.put('/events/:id', authenticate, async (req, res) => {
+        try {
+            const user = getAuthUser(req);
+            validate(req.body, { partial: true });
+
+            const accessToken = await authorize(user, 'writer');
+            const event = await calendarClient.updateEvent(accessToken, req.params.id, pickFields(req.body));
+
+            logSecurityEvent('CALENDAR_EVENT_UPDATED', user.id, { resource: calendar, eventId: event.id });
+
+            res.json({ event: event });
+        } catch (error) {
+            handleError(res, error, 'Failed to update calendar event');
+        }
+    });
+
+    // Delete an event (writer)
+    router.delete('/events/:id', authenticate, async (req, res) => {
+        try {
+            const user = getAuthUser(req);
+            const accessToken = await authorize(user, 'writer');
+            await calendarClient.deleteEvent(accessToken, req.params.id);
+
+            logSecurityEvent('CALENDAR_EVENT_DELETED', user.id, { resource: calendar, eventId: req.params.id });
+
+            res.json({ deleted: true, id: req.params.id });
+        } catch (error) {
+            handleError(res, error, 'Failed to delete calendar event');
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createCalendarRouter
+};
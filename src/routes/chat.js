@@ -0,0 +1,68 @@
+/**
+ * AI Agent Chat Route
+ * POST /api/chat runs the agent loop for the authenticated user.
+ */
+
+const express = require('express');
+const { getAuthUser } = require('../auth-context');
+const { logger } = require('../logger');
+
+const MAX_HISTORY = 20;
+const MAX_MESSAGE_LENGTH = 4000;
+
+function createChatRouter({ authenticate, agent }) {
+    const router = express.Router();
+
+    router.post('/', authenticate, async (req, res) => {
+        try {
+            const { message, history = [] } = req.body;
+
+            if (typeof message !== 'string' || !message.trim()) {
+                return res.status(400).json({
+                    error: 'Invalid request',
+                    message: 'Message is required'
+                });
+            }
+
+            if (message.length > MAX_MESSAGE_LENGTH) {
+                return res.status(400).json({
+                    error: 'Invalid request',
+                    message: `Message must be at most ${MAX_MESSAGE_LENGTH} characters`
+                });
+            }
+
+            // Only plain user/assistant turns are accepted from the client
+            const safeHistory = (Array.isArray(history) ? history : [])
+                .filter(entry => ['user', 'assistant'].includes(entry?.role) && typeof entry.content === 'string')
+                .slice(-MAX_HISTORY);
+
+            const result = await agent.run({
+                user: getAuthUser(req),
+                message: message.trim(),
+                history: safeHistory
+            });
+
+            res.json({
+                reply: result.reply,
+                tool_calls: result.toolCalls.map(call => ({
+                    name: call.name,
+                    arguments: call.arguments,
+                    status: call.result?.error ? 'error' : 'ok'
+                })),
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            logger.error('Error running AI agent', { error });
+            res.status(502).json({
+                error: 'Agent unavailable',
+                message: 'The AI assistant could not complete the request'
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createChatRouter
+};
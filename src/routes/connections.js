@@ -0,0 +1,101 @@
+/**
+ * Connected Accounts Routes
+ * List, connect and disconnect the Token Vault providers of the current user.
+ * The OAuth callback is not behind `authenticate`: the user is identified by
+ * the single-use state issued when the flow started, and the callback must
+ * come from the browser that started it, which holds the flow's nonce in an
+ * HttpOnly cookie scoped to the callback.
+ */
+
+const express = require('express');
+const { HttpError, sendHttpError } = require('../errors');
+const { getAuthUser } = require('../auth-context');
+const { logger } = require('../logger');
+
+const NONCE_COOKIE = 'connect_nonce';
+
+// Value of one cookie from the Cookie header
+function readCookie(req, name) {
+    const pair = (req.headers.cookie || '').split(';')
+        .map(part => part.trim().split('='))
+        .find(([key]) => key === name);
+    return pair ? decodeURIComponent(pair.slice(1).join('=')) : null;
+}
+
+function createConnectionRouter({ authenticate, connections, logSecurityEvent }) {
+    const router = express.Router();
+
+    // SameSite=Lax: the provider's redirect back is a top-level navigation, which Lax cookies follow
+    function nonceCookieOptions(req) {
+        return { httpOnly: true, sameSite: 'lax', secure: req.secure, path: `${req.baseUrl}/callback` };
+    }
+
+    function handleError(res, error, fallbackMessage) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        logger.error(fallbackMessage, { error });
+        res.status(500).json({ error: fallbackMessage });
+    }
+
+    // Connection status per provider
+    router.get('/', authenticate, async (req, res) => {
+        try {
+            res.json({ connections: await connections.list(getAuthUser(req).id) });
+        } catch (error) {
+            handleError(res, error, 'Failed to list connections');
+        }
+    });
+
+    // Provider redirects back here after consent
+    router.get('/callback', async (req, res) => {
+        try {
+            const nonce = readCookie(req, NONCE_COOKIE);
+            res.clearCookie(NONCE_COOKIE, nonceCookieOptions(req));
+            const { userId, service } = await connections.completeConnect({ code: req.query.code, state: req.query.state, nonce });
+
+            logSecurityEvent('ACCOUNT_CONNECTED', userId, { service });
+            res.redirect(`/?connected=${encodeURIComponent(service)}`);
+        } catch (error) {
+            logger.error('Failed to complete connection', { error });
+            res.redirect(`/?connection_error=${encodeURIComponent(error.message)}`);
+        }
+    });
+
+    // Start connecting a provider
+    router.post('/:service/connect', authenticate, (req, res) => {
+        try {
+            const user = getAuthUser(req);
+            const { nonce, ...flow } = connections.startConnect(user.id, req.params.service);
+
+            logSecurityEvent('ACCOUNT_CONNECT_STARTED', user.id, { service: flow.service });
+            res.cookie(NONCE_COOKIE, nonce, { ...nonceCookieOptions(req), expires: new Date(flow.expires_at) });
+            res.json(flow);
+        } catch (error) {
+            handleError(res, error, 'Failed to start connection');
+        }
+    });
+
+    // Disconnect a provider and revoke its stored tokens
+    router.delete('/:service', authenticate, async (req, res) => {
+        try {
+            const user = getAuthUser(req);
+            const { service } = await connections.disconnect(user.id, req.params.service);
+
+            logSecurityEvent('ACCOUNT_DISCONNECTED', user.id, { service });
+            res.json({
+                success: true,
+                service: service,
+                message: `${service} disconnected; its stored tokens were revoked`
+            });
+        } catch (error) {
+            handleError(res, error, 'Failed to disconnect account');
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createConnectionRouter
+};
@@ -0,0 +1,176 @@
+/**
+ * Document Routes
+ * CRUD over the document store, authorized against the FGA `document`
+ * relations: viewer to read, editor to update, owner to delete. Creating a
+ * document writes the creator's owner tuple; deleting it removes every tuple
+ * on the document.
+ */
+
+const express = require('express');
+const { HttpError, sendHttpError } = require('../errors');
+const { getAuthUser } = require('../auth-context');
+const { logger } = require('../logger');
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_CONTENT_LENGTH = 100000;
+
+function createDocumentRouter({ authenticate, documents, authorizer, relations = ['viewer', 'editor', 'owner'], logSecurityEvent }) {
+    const router = express.Router();
+
+    function handleError(res, error, fallbackMessage) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        logger.error(fallbackMessage, { error });
+        res.status(500).json({ error: fallbackMessage });
+    }
+
+    // Relations the user holds on a document, e.g. ['viewer', 'editor']
+    async function getRelations(userId, documentId) {
+        const held = [];
+        for (const relation of relations) {
+            if ((await authorizer.check(userId, relation, `document:${documentId}`)).allowed) {
+                held.push(relation);
+            }
+        }
+        return held;
+    }
+
+    // Load a document and require `relation` on it
+    async function authorize(user, id, relation) {
+        const document = documents.get(id);
+        if (!document) {
+            throw new HttpError(404, 'Not found', `Document ${id} does not exist`);
+        }
+
+        const { allowed } = await authorizer.check(user.id, relation, `document:${id}`);
+        if (!allowed) {
+            logSecurityEvent('DOCUMENT_ACCESS_DENIED', user.id, { resource: `document:${id}`, relation: relation });
+            throw new HttpError(403, 'Insufficient permissions', `You need ${relation} access to document:${id}`);
+        }
+
+        return document;
+    }
+
+    function validate({ title, content }, { partial = false } = {}) {
+        if ((!partial || title !== undefined) &&
+            (typeof title !== 'string' || !title.trim() || title.length > MAX_TITLE_LENGTH)) {
+            throw new HttpError(400, 'Invalid request', `Title is required (max ${MAX_TITLE_LENGTH} characters)`);
+        }
+        if (content !== undefined && (typeof content !== 'string' || content.length > MAX_CONTENT_LENGTH)) {
+            throw new HttpError(400, 'Invalid request', `Content must be text (max ${MAX_CONTENT_LENGTH} characters)`);
+        }
+    }
+
+    function summarize(document, held) {
+        const { content, ...summary } = document;
+        return { ...summary, relations: held };
+    }
+
+    // List the documents the caller holds a relation on, with those relations, in one batch
+    // check; content is only returned by GET /:id
+    router.get('/', authenticate, async (req, res) => {
+        try {
+            const user = getAuthUser(req);
+            const list = documents.list({ project: req.query.project });
+            const checks = list.flatMap(document => relations.map(relation => ({ relation, object: `document:${document.id}` })));
+            const { results } = checks.length > 0 ? await authorizer.batchCheck(user.id, checks) : { results: [] };
+
+            const visible = list
+                .map(document => summarize(document, relations.filter(relation =>
+                    results.some(result => result.allowed && result.relation === relation && result.object === `document:${document.id}`))))
+                .filter(summary => summary.relations.length > 0);
+
+            res.json({ documents: visible });
+        } catch (error) {
+            handleError(res, error, 'Failed to list documents');
+        }
+    });
+
+    // Create a document; the creator becomes its owner
+    router.post('/', authenticate, async (req, res) => {
+        try {
+            const user = getAuthUser(req);
+            const { title, content = '' } = req.body;
+            validate({ title, content });
+
+            // Documents join a project through /api/projects/:id/resources
+            const document = documents.create({ title: title.trim(), content, createdBy: user.id });
+
+            try {
+                await authorizer.writeTuples({
+                    writes: [{ user: `user:${user.id}`, relation: 'owner', object: `document:${document.id}` }]
+                });
+            } catch (error) {
+                documents.remove(document.id);
+                throw error;
+            }
+
+            logSecurityEvent('DOCUMENT_CREATED', user.id, { resource: `document:${document.id}` });
+
+            res.status(201).json({ document: { ...document, relations: await getRelations(user.id, document.id) } });
+        } catch (error) {
+            handleError(res, error, 'Failed to create document');
+        }
+    });
+
+    // Read a document (viewer)
+    router.get('/:id', authenticate, async (req, res) => {
+        try {
+            const user = getAuthUser(req);
+            const document = await authorize(user, req.params.id, 'viewer');
+
+            logSecurityEvent('DOCUMENT_READ', user.id, { resource: `document:${document.id}` });
+
+            res.json({ document: { ...document, relations: await getRelations(user.id, document.id) } });
+        } catch (error) {
+            handleError(res, error, 'Failed to read document');
+        }
+    });
+
+    // Update a document (editor)
+    router.put('/:id', authenticate, async (req, res) => {
+        try {
+            const user = getAuthUser(req);
+            await authorize(user, req.params.id, 'editor');
+
+            const { title, content } = req.body;
+            validate({ title, content }, { partial: true });
+
+            const document = documents.update(req.params.id, {
+                title: title !== undefined ? title.trim() : undefined,
+                content: content
+            }, user.id);
+
+            logSecurityEvent('DOCUMENT_UPDATED', user.id, { resource: `document:${document.id}` });
+
+            res.json({ document: { ...document, relations: await getRelations(user.id, document.id) } });
+        } catch (error) {
+            handleError(res, error, 'Failed to update document');
+        }
+    });
+
+    // Delete a document and every tuple on it (owner)
+    router.delete('/:id', authenticate, async (req, res) => {
+        try {
+            const user = getAuthUser(req);
+            await authorize(user, req.params.id, 'owner');
+
+            // Every grant on the document goes with it, shares and its project link included
+            await authorizer.removeObject(`document:${req.params.id}`);
+            const document = documents.remove(req.params.id);
+
+            logSecurityEvent('DOCUMENT_DELETED', user.id, { resource: `document:${document.id}` });
+
+            res.json({ deleted: true, id: document.id });
+        } catch (error) {
+            handleError(res, error, 'Failed to delete document');
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createDocumentRouter
+};
@@ -0,0 +1,300 @@
+/**
+ * Fine-Grained Authorization Routes
+ * Permission checks (single and batched), list-objects, grants (optionally
+ * time-bound), revocations and per-resource relation listings. All decisions go through the shared
+ * authorizer; grants and revocations go through src/access-grants.js.
+ */
+
+const express = require('express');
+const { HttpError, sendHttpError } = require('../errors');
+const { getAuthUser } = require('../auth-context');
+const { CONSISTENCY } = require('../permission-cache');
+const { logger } = require('../logger');
+
+const MAX_BATCH_CHECKS = 100;
+
+function createFgaRouter({ authenticate, authorizer, relations, grants, logSecurityEvent = () => {} }) {
+    const router = express.Router();
+
+    // Optional per-request consistency override; null when invalid
+    function parseConsistency(value) {
+        if (value === undefined) {
+            return undefined;
+        }
+        return Object.values(CONSISTENCY).includes(value) ? value : null;
+    }
+
+    function rejectConsistency(res) {
+        return res.status(400).json({
+            error: 'Invalid request',
+            message: `Consistency must be one of: ${Object.values(CONSISTENCY).join(', ')}`
+        });
+    }
+
+    // Check document access
+    router.post('/check-access', authenticate, async (req, res) => {
+        try {
+            const { resource, relation } = req.body;
+            const consistency = parseConsistency(req.body.consistency);
+            const user = getAuthUser(req);
+
+            if (!resource || !relation) {
+                return res.status(400).json({
+                    error: 'Invalid request',
+                    message: 'Resource and relation are required'
+                });
+            }
+            if (consistency === null) {
+                return rejectConsistency(res);
+            }
+
+            const checkResult = await authorizer.check(user.id, relation, resource, { consistency });
+
+            res.json({
+                allowed: checkResult.allowed,
+                resource: resource,
+                relation: relation,
+                source: checkResult.source,
+                cached: checkResult.cached === true,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            logger.error('Error checking FGA access', { error });
+            res.status(500).json({
+                error: 'Permission check failed',
+                message: 'Unable to verify access permissions'
+            });
+        }
+    });
+
+    // Check many (resource, relation) pairs in one request
+    router.post('/batch-check', authenticate, async (req, res) => {
+        try {
+            const { checks } = req.body;
+            const consistency = parseConsistency(req.body.consistency);
+            const user = getAuthUser(req);
+
+            if (!Array.isArray(checks) || checks.length === 0 || checks.length > MAX_BATCH_CHECKS ||
+                checks.some(check => !check || typeof check.resource !== 'string' || typeof check.relation !== 'string')) {
+                return res.status(400).json({
+                    error: 'Invalid request',
+                    message: `Checks must be a list of 1-${MAX_BATCH_CHECKS} { resource, relation } pairs`
+                });
+            }
+
+            if (consistency === null) {
+                return rejectConsistency(res);
+            }
+
+            const { results, source } = await authorizer.batchCheck(user.id, checks.map(check => ({
+                relation: check.relation,
+                object: check.resource
+            })), { consistency });
+
+            res.json({
+                results: results.map(result => ({
+                    resource: result.object,
+                    relation: result.relation,
+                    allowed: result.allowed,
+                    ...(result.error && { error: result.error })
+                })),
+                source: source,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            logger.error('Error batch checking FGA access', { error });
+            res.status(500).json({
+                error: 'Permission check failed',
+                message: 'Unable to verify access permissions'
+            });
+        }
+    });
+
+    // List objects of a type on which the caller holds a relation
+    router.get('/objects', authenticate, async (req, res) => {
+        try {
+            const { type, relation } = req.query;
+            const user = getAuthUser(req);
+
+            if (!type || !relation) {
+                return res.status(400).json({
+                    error: 'Invalid request',
+                    message: 'Type and relation are required'
+                });
+            }
+            if (relations && !(relations[type] || []).includes(relation)) {
+                return res.status(400).json({
+                    error: 'Invalid request',
+                    message: `Unknown relation ${relation} for type ${type}`
+                });
+            }
+
+            const result = await authorizer.listObjects(user.id, relation, type);
+
+            res.json({
+                type: type,
+                relation: relation,
+                objects: result.objects,
+                source: result.source,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            logger.error('Error listing FGA objects', { error });
+            res.status(500).json({
+                error: 'List objects failed',
+                message: 'Unable to list accessible objects'
+            });
+        }
+    });
+
+    // Grant access (owners and managers of the resource; owners for project managers and owners)
+    router.post('/grant-access', authenticate, async (req, res) => {
+        try {
+            const { resource, relation, targetUser, expires_at: expiresAt } = req.body;
+            const user = getAuthUser(req);
+
+            if (!resource || !relation || !targetUser) {
+                return res.status(400).json({
+                    error: 'Invalid request',
+                    message: 'Resource, relation, and targetUser are required'
+                });
+            }
+
+            const grantResult = await grants.grant({
+                actorId: user.id,
+                targetUserId: targetUser,
+                relation: relation,
+                object: resource,
+                expiresAt: expiresAt
+            });
+
+            logSecurityEvent('ACCESS_GRANTED', user.id, {
+                resource: resource,
+                relation: relation,
+                targetUser: targetUser,
+                expiresAt: grantResult.expiresAt
+            });
+
+            const until = grantResult.expiresAt ? ` until ${grantResult.expiresAt}` : '';
+            res.json({
+                success: true,
+                message: grantResult.alreadyGranted
+                    ? `${targetUser} already has ${relation} on ${resource}${until}`
+                    : `${grantResult.source === 'local' ? '[Demo] ' : ''}Access granted: ${targetUser} can now ${relation} ${resource}${until}`,
+                source: grantResult.source,
+                expires_at: grantResult.expiresAt,
+                timestamp: new Date().toISOString(),
+                grantedBy: user.id
+            });
+
+        } catch (error) {
+            if (error instanceof HttpError) {
+                return sendHttpError(res, error);
+            }
+            logger.error('Error granting FGA access', { error });
+            res.status(500).json({
+                error: 'Permission grant failed',
+                message: 'Unable to grant access permissions'
+            });
+        }
+    });
+
+    // Revoke access (owners and managers of the resource; owners for project managers and owners)
+    router.post('/revoke-access', authenticate, async (req, res) => {
+        try {
+            const { resource, relation, targetUser } = req.body;
+            const user = getAuthUser(req);
+
+            if (!resource || !relation || !targetUser) {
+                return res.status(400).json({
+                    error: 'Invalid request',
+                    message: 'Resource, relation, and targetUser are required'
+                });
+            }
+
+            const revokeResult = await grants.revoke({
+                actorId: user.id,
+                targetUserId: targetUser,
+                relation: relation,
+                object: resource
+            });
+
+            logSecurityEvent('ACCESS_REVOKED', user.id, {
+                resource: resource,
+                relation: relation,
+                targetUser: targetUser
+            });
+
+            res.json({
+                success: true,
+                message: `${revokeResult.source === 'local' ? '[Demo] ' : ''}Access revoked: ${targetUser} can no longer ${relation} ${resource}`,
+                source: revokeResult.source,
+                timestamp: new Date().toISOString(),
+                revokedBy: user.id
+            });
+
+        } catch (error) {
+            if (error instanceof HttpError) {
+                return sendHttpError(res, error);
+            }
+            logger.error('Error revoking FGA access', { error });
+            res.status(500).json({
+                error: 'Permission revoke failed',
+                message: 'Unable to revoke access permissions'
+            });
+        }
+    });
+
+    // Who holds which relation on a resource (owners and managers only)
+    router.get('/resources/:object/relations', authenticate, async (req, res) => {
+        try {
+            const { object } = req.params;
+            const user = getAuthUser(req);
+
+            if (!/^[a-z_]+:[^\s]+$/.test(object)) {
+                return res.status(400).json({
+                    error: 'Invalid request',
+                    message: 'Object must look like type:id, e.g. document:project-plan'
+                });
+            }
+
+            if (!(await authorizer.canManage(user.id, object))) {
+                return res.status(403).json({
+                    error: 'Insufficient permissions',
+                    message: 'You must be an owner or manager to see who has access to this resource'
+                });
+            }
+
+            const { tuples, source } = await authorizer.readTuples(object);
+
+            res.json({
+                object: object,
+                relations: tuples.map(tuple => ({
+                    user: tuple.user.startsWith('user:') ? tuple.user.slice('user:'.length) : tuple.user,
+                    type: tuple.user.slice(0, tuple.user.indexOf(':')),
+                    relation: tuple.relation,
+                    ...(tuple.timestamp && { since: tuple.timestamp }),
+                    ...(tuple.expiresAt && { expires_at: tuple.expiresAt })
+                })),
+                source: source,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            logger.error('Error reading FGA relations', { error });
+            res.status(500).json({
+                error: 'Relation lookup failed',
+                message: 'Unable to list relations for this resource'
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createFgaRouter
+};
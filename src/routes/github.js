@@ -0,0 +1,108 @@
+/**
+ * Project GitHub Routes
+ * Mounted under /api/projects/:id/github. Members read the issues, pull
+ * requests and commits of the project's linked repositories with their own
+ * vaulted GitHub token; new issues are filed as approval requests.
+ */
+
+const express = require('express');
+const { HttpError, sendHttpError } = require('../errors');
+const { getAuthUser } = require('../auth-context');
+const { GITHUB_ISSUE_ACTION } = require('../project-github');
+const { logger } = require('../logger');
+
+function createGitHubRouter({ authenticate, projectGitHub, requester }) {
+    const router = express.Router({ mergeParams: true });
+
+    function handleError(res, error, fallbackMessage) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        logger.error(fallbackMessage, { error });
+        res.status(500).json({ error: fallbackMessage });
+    }
+
+    // Serve one of the project-wide listings as `{ project, repositories, [key]: items }`
+    function listing(key, read, fallbackMessage) {
+        return async (req, res) => {
+            try {
+                const { project, repositories, items } = await read(getAuthUser(req), req.params.id, req.query);
+                res.json({ project: project.id, repositories: repositories, [key]: items });
+            } catch (error) {
+                handleError(res, error, fallbackMessage);
+            }
+        };
+    }
+
+    // Open issues (pull requests excluded); ?repository=owner/name narrows to one repository
+    router.get('/issues', authenticate, listing('issues', (user, id, query) =>
+        projectGitHub.listIssues(user, id, { repository: query.repository, labels: query.labels }), 'Failed to list issues'));
+
+    // Open pull requests
+    router.get('/pulls', authenticate, listing('pull_requests', (user, id, query) =>
+        projectGitHub.listPullRequests(user, id, { repository: query.repository }), 'Failed to list pull requests'));
+
+    // Recent commits on the default branch; ?since= limits them by date
+    router.get('/commits', authenticate, listing('commits', (user, id, query) => {
+        if (query.since !== undefined && isNaN(Date.parse(query.since))) {
+            throw new HttpError(400, 'Invalid request', 'since must be an ISO 8601 date-time');
+        }
+        return projectGitHub.listCommits(user, id, { repository: query.repository, since: query.since });
+    }, 'Failed to list commits'));
+
+    // Blocker-labelled issues and pull requests waiting on review or still in draft
+    router.get('/blockers', authenticate, async (req, res) => {
+        try {
+            const blockers = await projectGitHub.findBlockers(getAuthUser(req), req.params.id);
+            res.json({ ...blockers, project: blockers.project.id });
+        } catch (error) {
+            handleError(res, error, 'Failed to find blockers');
+        }
+    });
+
+    // File an issue for approval; it is opened with the requester's GitHub account once approved
+    router.post('/issues', authenticate, async (req, res) => {
+        try {
+            const user = getAuthUser(req);
+            const project = await projectGitHub.resolveProject(user, req.params.id);
+            const { repository, title, body, labels } = req.body;
+
+            const linked = project.repositories.find(existing => existing.toLowerCase() === String(repository || '').toLowerCase());
+            if (!linked) {
+                throw new HttpError(400, 'Invalid request', `Repository must be one linked to project ${project.id}: ${project.repositories.join(', ') || 'none linked'}`);
+            }
+
+            const { request, bindingMessage } = await requester.submit({
+                user: user,
+                action: GITHUB_ISSUE_ACTION,
+                resource: `github:${linked}`,
+                justification: `New issue in ${linked} for project ${project.id}: ${typeof title === 'string' ? title : ''}`,
+                details: { repository: linked, title, body, labels, project: project.id }
+            });
+
+            res.status(201).json({
+                request_id: request.id,
+                status: request.status,
+                channel: request.channel,
+                binding_message: bindingMessage,
+                expires_at: request.expires_at,
+                message: `Issue for ${linked} is held until approved; it is opened with your GitHub account once approved.`
+            });
+        } catch (error) {
+            if (error.requestId) {
+                return res.status(error.status).json({
+                    error: error.error,
+                    message: error.message,
+                    request_id: error.requestId
+                });
+            }
+            handleError(res, error, 'Failed to request issue creation');
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createGitHubRouter
+};
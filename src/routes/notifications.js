@@ -0,0 +1,99 @@
+/**
+ * Notification Routes
+ * Compose Slack notifications and list the channels they can go to. Composing
+ * files a `slack-notification` approval request; the message is only posted,
+ * with the requester's vaulted Slack token, once the request is approved.
+ */
+
+const express = require('express');
+const { HttpError, sendHttpError } = require('../errors');
+const { getAuthUser } = require('../auth-context');
+const { SLACK_NOTIFICATION_ACTION, normalizeChannel } = require('../slack-notifications');
+const { logger } = require('../logger');
+
+function createNotificationRouter({ authenticate, approvals, requester, getTokenVaultToken, slackClient }) {
+    const router = express.Router();
+
+    function handleError(res, error, fallbackMessage) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        logger.error(fallbackMessage, { error });
+        res.status(500).json({ error: fallbackMessage });
+    }
+
+    // The caller's Slack notifications with their approval status and delivery outcome
+    router.get('/slack', authenticate, (req, res) => {
+        try {
+            const user = getAuthUser(req);
+            const notifications = approvals.list({ userId: user.id })
+                .filter(request => request.action === SLACK_NOTIFICATION_ACTION)
+                .map(request => ({
+                    request_id: request.id,
+                    status: request.status,
+                    channel: request.details.channel,
+                    message: request.details.message,
+                    created_at: request.created_at,
+                    delivery: request.execution || null
+                }));
+
+            res.json({ notifications });
+        } catch (error) {
+            handleError(res, error, 'Failed to list notifications');
+        }
+    });
+
+    // Public channels the user's Slack token can see
+    router.get('/slack/channels', authenticate, async (req, res) => {
+        try {
+            const token = await getTokenVaultToken(getAuthUser(req).id, 'slack');
+            if (!token.success) {
+                throw new HttpError(400, 'Slack not connected', token.message || 'Connect Slack under Connected Accounts');
+            }
+
+            res.json({ channels: await slackClient.listChannels(token.access_token) });
+        } catch (error) {
+            handleError(res, error, 'Failed to list Slack channels');
+        }
+    });
+
+    // Compose a notification; it is held until approved
+    router.post('/slack', authenticate, async (req, res) => {
+        try {
+            const channel = normalizeChannel(req.body.channel);
+
+            const { request, bindingMessage } = await requester.submit({
+                user: getAuthUser(req),
+                action: SLACK_NOTIFICATION_ACTION,
+                resource: `slack:${channel}`,
+                justification: `Team notification to #${channel}`,
+                details: { channel, message: req.body.message }
+            });
+
+            res.status(201).json({
+                request_id: request.id,
+                status: request.status,
+                channel: request.channel,
+                binding_message: bindingMessage,
+                expires_at: request.expires_at,
+                slack_channel: request.details.channel,
+                message: `Notification to #${request.details.channel} is held until approved; it is posted with your Slack account once approved.`
+            });
+        } catch (error) {
+            if (error.requestId) {
+                return res.status(error.status).json({
+                    error: error.error,
+                    message: error.message,
+                    request_id: error.requestId
+                });
+            }
+            handleError(res, error, 'Failed to compose notification');
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createNotificationRouter
+};
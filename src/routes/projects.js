@@ -0,0 +1,366 @@
+/**
+ * Project Routes
+ * Projects with member/manager/owner roles, kept in FGA and changed through
+ * src/project-members.js. Documents, calendars and tasks
+ * attached to a project inherit its roles through the FGA `project` parent
+ * relation, e.g. a project manager can edit the project's documents.
+ * Managers also link the GitHub repositories served under /github. Deleting
+ * a project goes through a `delete-project` approval request.
+ */
+
+const express = require('express');
+const { HttpError, sendHttpError } = require('../errors');
+const { getAuthUser } = require('../auth-context');
+const { PARENT_RELATION } = require('../authorization');
+const { PROJECT_ROLES, RESOURCE_TYPES } = require('../project-store');
+const { REPOSITORY_PATTERN } = require('../github-client');
+const { PROJECT_DELETE_ACTION } = require('../project-deletion');
+const { logger } = require('../logger');
+
+const MAX_NAME_LENGTH = 120;
+
+// Relation a caller needs on a resource before attaching it to a project
+const ATTACH_RELATION = {
+    document: 'owner',
+    calendar: 'writer',
+    task: null
+};
+
+function createProjectRouter({ authenticate, projects, members, documents, authorizer, requester, logSecurityEvent }) {
+    const router = express.Router();
+
+    function handleError(res, error, fallbackMessage) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        logger.error(fallbackMessage, { error });
+        res.status(500).json({ error: fallbackMessage });
+    }
+
+    // Strongest project role the user holds, or null
+    async function getRole(userId, projectId) {
+        for (const role of [...PROJECT_ROLES].reverse()) {
+            if ((await authorizer.check(userId, role, `project:${projectId}`)).allowed) {
+                return role;
+            }
+        }
+        return null;
+    }
+
+    // Load a project and require `role` on it
+    async function authorize(user, id, role) {
+        const project = projects.get(id);
+        if (!project) {
+            throw new HttpError(404, 'Not found', `Project ${id} does not exist`);
+        }
+
+        const { allowed } = await authorizer.check(user.id, role, `project:${id}`);
+        if (!allowed) {
+            // Non-members should not learn that the project exists
+            if (role === 'member') {
+                throw new HttpError(404, 'Not found', `Project ${id} does not exist`);
+            }
+            logSecurityEvent('PROJECT_ACCESS_DENIED', user.id, { resource: `project:${id}`, relation: role });
+            throw new HttpError(403, 'Insufficient permissions', `You need ${role} access to project:${id}`);
+        }
+
+        return project;
+    }
+
+    function parentTuple(projectId, type, resourceId) {
+        return { user: `project:${projectId}`, relation: PARENT_RELATION, object: `${type}:${resourceId}` };
+    }
+
+    // A project record with its members as { userId: role }, read from FGA
+    async function withMembers(project) {
+        return { ...project, members: await members.list(project.id) };
+    }
+
+    // List projects the caller is a member of, with their role
+    router.get('/', authenticate, async (req, res) => {
+        try {
+            const user = getAuthUser(req);
+            const results = [];
+
+            for (const project of projects.list()) {
+                const role = await getRole(user.id, project.id);
+                if (role) {
+                    results.push({ ...project, role });
+                }
+            }
+
+            res.json({ projects: results });
+        } catch (error) {
+            handleError(res, error, 'Failed to list projects');
+        }
+    });
+
+    // Create a project; the creator becomes its owner
+    router.post('/', authenticate, async (req, res) => {
+        try {
+            const user = getAuthUser(req);
+            const { name, description = '' } = req.body;
+
+            if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+                throw new HttpError(400, 'Invalid request', `Name is required (max ${MAX_NAME_LENGTH} characters)`);
+            }
+
+            const project = projects.create({ name: name.trim(), description: String(description), createdBy: user.id });
+
+            try {
+                await authorizer.writeTuples({ writes: [{ user: `user:${user.id}`, relation: 'owner', object: `project:${project.id}` }] });
+            } catch (error) {
+                projects.remove(project.id);
+                throw error;
+            }
+
+            logSecurityEvent('PROJECT_CREATED', user.id, { resource: `project:${project.id}` });
+
+            res.status(201).json({ project: { ...project, members: { [user.id]: 'owner' }, role: 'owner' } });
+        } catch (error) {
+            handleError(res, error, 'Failed to create project');
+        }
+    });
+
+    // Project details (member)
+    router.get('/:id', authenticate, async (req, res) => {
+        try {
+            const user = getAuthUser(req);
+            const project = await authorize(user, req.params.id, 'member');
+
+            res.json({ project: { ...(await withMembers(project)), role: await getRole(user.id, project.id) } });
+        } catch (error) {
+            handleError(res, error, 'Failed to read project');
+        }
+    });
+
+    // Update name, description or status (manager)
+    router.put('/:id', authenticate, async (req, res) => {
+        try {
+            const user = getAuthUser(req);
+            await authorize(user, req.params.id, 'manager');
+
+            const { name, description, status } = req.body;
+            if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH)) {
+                throw new HttpError(400, 'Invalid request', `Name must be 1-${MAX_NAME_LENGTH} characters`);
+            }
+
+            const project = projects.update(req.params.id, {
+                name: name !== undefined ? name.trim() : undefined,
+                description: description,
+                status: status
+            });
+
+            logSecurityEvent('PROJECT_UPDATED', user.id, { resource: `project:${project.id}` });
+
+            res.json({ project: { ...project, role: await getRole(user.id, project.id) } });
+        } catch (error) {
+            handleError(res, error, 'Failed to update project');
+        }
+    });
+
+    // Ask to delete a project (owner). Deletion is a `delete-project` approval request,
+    // confirmed over CIBA when configured; the project is deleted once it is approved.
+    router.delete('/:id', authenticate, async (req, res) => {
+        try {
+            const user = getAuthUser(req);
+            const project = await authorize(user, req.params.id, 'owner');
+
+            const { request, bindingMessage } = await requester.submit({
+                user: user,
+                action: PROJECT_DELETE_ACTION,
+                resource: `project:${project.id}`,
+                justification: typeof req.body?.justification === 'string' ? req.body.justification : `Delete project ${project.name}`
+            });
+
+            res.status(202).json({
+                request_id: request.id,
+                status: request.status,
+                channel: request.channel,
+                binding_message: bindingMessage,
+                expires_at: request.expires_at,
+                message: `Project ${project.id} is deleted once the request is approved.`
+            });
+        } catch (error) {
+            if (error.requestId) {
+                return res.status(error.status).json({
+                    error: error.error,
+                    message: error.message,
+                    request_id: error.requestId
+                });
+            }
+            handleError(res, error, 'Failed to request project deletion');
+        }
+    });
+
+    // Add a member or change their role; roles are read from and written to FGA only
+    router.put('/:id/members/:userId', authenticate, async (req, res) => {
+        try {
+            const user = getAuthUser(req);
+            await authorize(user, req.params.id, 'manager');
+
+            const { role, previousRole } = await members.setRole({
+                actorId: user.id,
+                projectId: req.params.id,
+                userId: req.params.userId,
+                role: req.body.role
+            });
+
+            logSecurityEvent('PROJECT_MEMBER_SET', user.id, {
+                resource: `project:${req.params.id}`,
+                targetUser: req.params.userId,
+                role: role,
+                previousRole: previousRole
+            });
+
+            res.json({ project: await withMembers(projects.get(req.params.id)) });
+        } catch (error) {
+            handleError(res, error, 'Failed to update project member');
+        }
+    });
+
+    // Remove a member; removing managers and owners requires owner
+    router.delete('/:id/members/:userId', authenticate, async (req, res) => {
+        try {
+            const user = getAuthUser(req);
+            await authorize(user, req.params.id, 'manager');
+
+            const { previousRole } = await members.removeRole({
+                actorId: user.id,
+                projectId: req.params.id,
+                userId: req.params.userId
+            });
+
+            logSecurityEvent('PROJECT_MEMBER_REMOVED', user.id, {
+                resource: `project:${req.params.id}`,
+                targetUser: req.params.userId,
+                role: previousRole
+            });
+
+            res.json({ project: await withMembers(projects.get(req.params.id)) });
+        } catch (error) {
+            handleError(res, error, 'Failed to remove project member');
+        }
+    });
+
+    // Attach a document, calendar or task (manager, plus control of the resource)
+    router.post('/:id/resources', authenticate, async (req, res) => {
+        try {
+            const user = getAuthUser(req);
+            const { type, id: resourceId } = req.body;
+
+            if (!RESOURCE_TYPES.includes(type) || typeof resourceId !== 'string' || !resourceId) {
+                throw new HttpError(400, 'Invalid request', `Type (${RESOURCE_TYPES.join(', ')}) and id are required`);
+            }
+
+            await authorize(user, req.params.id, 'manager');
+
+            if (type === 'document' && !documents.get(resourceId)) {
+                throw new HttpError(404, 'Not found', `Document ${resourceId} does not exist`);
+            }
+
+            const controlRelation = ATTACH_RELATION[type];
+            if (controlRelation && !(await authorizer.check(user.id, controlRelation, `${type}:${resourceId}`)).allowed) {
+                throw new HttpError(403, 'Insufficient permissions', `You need ${controlRelation} access to ${type}:${resourceId} to attach it`);
+            }
+
+            const existing = projects.findParent(type, resourceId);
+            if (existing && existing.id !== req.params.id) {
+                throw new HttpError(409, 'Conflict', `${type}:${resourceId} already belongs to project ${existing.id}`);
+            }
+
+            if (!existing) {
+                await authorizer.writeTuples({ writes: [parentTuple(req.params.id, type, resourceId)] });
+            }
+            const project = projects.attach(req.params.id, type, resourceId);
+
+            if (type === 'document') {
+                documents.update(resourceId, { project: project.id }, user.id);
+            }
+
+            logSecurityEvent('PROJECT_RESOURCE_ATTACHED', user.id, {
+                resource: `project:${project.id}`,
+                attached: `${type}:${resourceId}`
+            });
+
+            res.status(201).json({ project: project });
+        } catch (error) {
+            handleError(res, error, 'Failed to attach resource');
+        }
+    });
+
+    // Detach a resource (manager)
+    router.delete('/:id/resources/:type/:resourceId', authenticate, async (req, res) => {
+        try {
+            const user = getAuthUser(req);
+            const { type, resourceId } = req.params;
+            await authorize(user, req.params.id, 'manager');
+
+            const project = projects.detach(req.params.id, type, resourceId);
+            await authorizer.writeTuples({ deletes: [parentTuple(project.id, type, resourceId)] });
+
+            if (type === 'document' && documents.get(resourceId)) {
+                documents.update(resourceId, { project: null }, user.id);
+            }
+
+            logSecurityEvent('PROJECT_RESOURCE_DETACHED', user.id, {
+                resource: `project:${project.id}`,
+                detached: `${type}:${resourceId}`
+            });
+
+            res.json({ project: project });
+        } catch (error) {
+            handleError(res, error, 'Failed to detach resource');
+        }
+    });
+
+    // Link a GitHub repository (manager)
+    router.post('/:id/repositories', authenticate, async (req, res) => {
+        try {
+            const user = getAuthUser(req);
+            const { repository } = req.body;
+
+            if (typeof repository !== 'string' || !REPOSITORY_PATTERN.test(repository)) {
+                throw new HttpError(400, 'Invalid request', 'Repository must look like owner/name');
+            }
+
+            await authorize(user, req.params.id, 'manager');
+            const project = projects.linkRepository(req.params.id, repository);
+
+            logSecurityEvent('PROJECT_REPOSITORY_LINKED', user.id, {
+                resource: `project:${project.id}`,
+                repository: repository
+            });
+
+            res.status(201).json({ project: project });
+        } catch (error) {
+            handleError(res, error, 'Failed to link repository');
+        }
+    });
+
+    // Unlink a GitHub repository (manager)
+    router.delete('/:id/repositories/:owner/:name', authenticate, async (req, res) => {
+        try {
+            const user = getAuthUser(req);
+            const repository = `${req.params.owner}/${req.params.name}`;
+            await authorize(user, req.params.id, 'manager');
+
+            const project = projects.unlinkRepository(req.params.id, repository);
+
+            logSecurityEvent('PROJECT_REPOSITORY_UNLINKED', user.id, {
+                resource: `project:${project.id}`,
+                repository: repository
+            });
+
+            res.json({ project: project });
+        } catch (error) {
+            handleError(res, error, 'Failed to unlink repository');
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createProjectRouter
+};
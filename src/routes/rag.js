@@ -0,0 +1,51 @@
+/**
+ * Retrieval-Augmented Generation Routes
+ * Query the FGA-filtered document index. The index is built from the
+ * document store and follows its changes, so there is no ingest route.
+ */
+
+const express = require('express');
+const { getAuthUser } = require('../auth-context');
+const { logger } = require('../logger');
+
+const MAX_RESULTS = 20;
+
+function createRagRouter({ authenticate, retriever }) {
+    const router = express.Router();
+
+    // Retrieve passages the caller is allowed to read
+    router.post('/query', authenticate, async (req, res) => {
+        try {
+            const { query, limit } = req.body;
+
+            if (typeof query !== 'string' || !query.trim()) {
+                return res.status(400).json({
+                    error: 'Invalid request',
+                    message: 'Query is required'
+                });
+            }
+
+            const result = await retriever.retrieve(getAuthUser(req), query, {
+                limit: Math.min(parseInt(limit) || 5, MAX_RESULTS)
+            });
+
+            res.json({
+                query: query,
+                passages: result.passages,
+                citations: result.citations
+            });
+        } catch (error) {
+            logger.error('Error querying document index', { error });
+            res.status(500).json({
+                error: 'Retrieval failed',
+                message: 'Unable to search documents'
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createRagRouter
+};
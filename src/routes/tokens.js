@@ -0,0 +1,76 @@
+/**
+ * Token Vault Routes
+ * One route for every provider in the Token Vault registry. Reports whether
+ * the authenticated user has a token for a provider, with its expiry and
+ * scopes; the token itself is only used server-side. Tokens are read through
+ * the token cache, and DELETE / forgets the caller's cached tokens on logout.
+ */
+
+const express = require('express');
+const { HttpError, sendHttpError } = require('../errors');
+const { getAuthUser } = require('../auth-context');
+const { logger } = require('../logger');
+
+function createTokenRouter({ authenticate, tokenVault, tokenCache, logSecurityEvent }) {
+    const router = express.Router();
+
+    function handleError(res, error, fallbackMessage) {
+        if (error instanceof HttpError) {
+            return sendHttpError(res, error);
+        }
+        logger.error(fallbackMessage, { error });
+        res.status(500).json({
+            error: 'Token retrieval failed',
+            message: fallbackMessage
+        });
+    }
+
+    // Configured providers
+    router.get('/', authenticate, (req, res) => {
+        res.json({ providers: tokenVault.listProviders() });
+    });
+
+    // Forget the current user's cached provider tokens; the SPA calls this on logout
+    router.delete('/', authenticate, (req, res) => {
+        const user = getAuthUser(req);
+        const evicted = tokenCache.evict(user.id);
+
+        logSecurityEvent('TOKEN_CACHE_CLEARED', user.id, { evicted: evicted });
+        res.json({ evicted: evicted });
+    });
+
+    // Token status for a provider, for the current user
+    router.get('/:service', authenticate, async (req, res) => {
+        try {
+            const { service } = req.params;
+            const provider = tokenVault.getProvider(service);
+            const user = getAuthUser(req);
+
+            if (!tokenVault.isConfigured()) {
+                return res.status(503).json({
+                    error: 'Token Vault not configured',
+                    message: 'Auth0 Management API not available'
+                });
+            }
+
+            const tokenResponse = await tokenCache.get(user.id, service);
+
+            if (!tokenResponse.success) {
+                return res.status(400).json({
+                    error: 'Token unavailable',
+                    message: tokenResponse.message || `Unable to retrieve ${provider.displayName || service} token`
+                });
+            }
+
+            res.json(tokenVault.shapeTokenResponse(service, tokenResponse));
+        } catch (error) {
+            handleError(res, error, `Internal error retrieving ${req.params.service} token`);
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createTokenRouter
+};
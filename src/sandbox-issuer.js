@@ -0,0 +1,389 @@
+/**
+ * Sandbox OIDC Issuer
+ * A small OpenID Connect issuer for running the app without an Auth0 tenant.
+ * It serves discovery, JWKS, /authorize, /oauth/token, /userinfo and
+ * /v2/logout with the paths Auth0 uses, so the SPA SDK, express-openid-connect
+ * and the JWT-protected API routes work against it unchanged.
+ *
+ * /authorize shows a picker of the seeded users instead of a password form;
+ * with a `connection` parameter it shows a consent screen for a provider
+ * account instead, which is how Connected Accounts links one. Keys are
+ * generated at startup, so tokens do not survive a restart. Every token
+ * carries `sandbox: true` and names the sandbox issuer as `iss`, so it is
+ * never accepted by a server configured for a real Auth0 tenant.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+
+const DEFAULT_TOKEN_TTL_SECONDS = 3600;
+const DEFAULT_CODE_TTL_MS = 60 * 1000;
+const SESSION_COOKIE = 'sandbox_session';
+const LOGIN_CONNECTION = 'sandbox';
+
+const AUTHORIZE_PARAMS = ['client_id', 'redirect_uri', 'response_type', 'response_mode', 'scope', 'audience', 'state', 'nonce', 'code_challenge', 'code_challenge_method', 'connection'];
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
+function encodeSegment(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function decodeSegment(segment) {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+function readCookie(req, name) {
+    const cookies = (req.get('Cookie') || '').split(';').map(cookie => cookie.trim().split('='));
+    const match = cookies.find(([key]) => key === name);
+    return match ? decodeURIComponent(match.slice(1).join('=')) : null;
+}
+
+// OAuth error responses use the protocol's shape, not the API's { error, message }
+function oauthError(res, status, error, description) {
+    res.status(status).json({ error: error, error_description: description });
+}
+
+function createSandboxIssuer({
+    issuerUrl,
+    clientId,
+    clientSecret,
+    audience,
+    directory,
+    providers = {},
+    tokenTtlSeconds = DEFAULT_TOKEN_TTL_SECONDS,
+    codeTtlMs = DEFAULT_CODE_TTL_MS,
+    now = Date.now
+}) {
+    const issuer = issuerUrl.endsWith('/') ? issuerUrl : `${issuerUrl}/`;
+    const { origin, pathname: basePath } = new URL(issuer);
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const kid = crypto.randomBytes(8).toString('hex');
+    const jwk = { ...publicKey.export({ format: 'jwk' }), kid: kid, use: 'sig', alg: 'RS256' };
+
+    const codes = new Map(); // code -> grant waiting to be exchanged
+    const refreshTokens = new Map(); // refresh token -> grant
+    const sessions = new Map(); // browser session id -> user id, for prompt=none
+
+    function sign(claims) {
+        const input = `${encodeSegment({ alg: 'RS256', typ: 'JWT', kid: kid })}.${encodeSegment(claims)}`;
+        return `${input}.${crypto.sign('sha256', Buffer.from(input), privateKey).toString('base64url')}`;
+    }
+
+    // Verify a token this issuer signed; resolves to its claims
+    async function verifyToken(token) {
+        const [header, payload, signature] = String(token || '').split('.');
+        if (!signature || !crypto.verify('sha256', Buffer.from(`${header}.${payload}`), publicKey, Buffer.from(signature, 'base64url'))) {
+            throw new Error('Token signature is invalid');
+        }
+        const claims = decodeSegment(payload);
+        if (claims.iss !== issuer) {
+            throw new Error('Token was not issued by the sandbox issuer');
+        }
+        if (claims.exp * 1000 <= now()) {
+            throw new Error('Token has expired');
+        }
+        return claims;
+    }
+
+    function findUser(userId) {
+        return directory.listUsers().find(user => user.user_id === userId) || null;
+    }
+
+    function connectionName(connection) {
+        const provider = Object.values(providers).find(candidate => candidate.connection === connection);
+        return provider ? provider.displayName || connection : connection;
+    }
+
+    // Tokens for a login (a seeded user) or a provider account being linked
+    function issueTokens(grant) {
+        const issuedAt = Math.floor(now() / 1000);
+        const scopes = (grant.scope || 'openid').split(' ');
+        const user = grant.connection ? null : findUser(grant.sub);
+        const profile = user
+            ? { name: user.name, email: user.email, email_verified: true, picture: user.picture }
+            : { name: `${connectionName(grant.connection)} account (sandbox)` };
+
+        const response = {
+            access_token: sign({
+                iss: issuer,
+                sub: grant.sub,
+                aud: [grant.audience || audience, `${issuer}userinfo`],
+                azp: clientId,
+                iat: issuedAt,
+                exp: issuedAt + tokenTtlSeconds,
+                scope: grant.scope,
+                permissions: user ? user.permissions : [],
+                ...profile,
+                sandbox: true
+            }),
+            token_type: 'Bearer',
+            expires_in: tokenTtlSeconds,
+            scope: grant.scope
+        };
+
+        if (scopes.includes('openid')) {
+            response.id_token = sign({
+                iss: issuer,
+                sub: grant.sub,
+                aud: clientId,
+                iat: issuedAt,
+                exp: issuedAt + tokenTtlSeconds,
+                ...(grant.nonce && { nonce: grant.nonce }),
+                ...profile,
+                sandbox: true
+            });
+        }
+        if (scopes.includes('offline_access')) {
+            response.refresh_token = crypto.randomBytes(24).toString('hex');
+            refreshTokens.set(response.refresh_token, { ...grant, nonce: undefined });
+        }
+
+        return response;
+    }
+
+    // Authorize parameters from the query (GET) or the picker form (POST); null when the client or redirect is not ours
+    function readAuthorizeParams(source) {
+        const params = {};
+        AUTHORIZE_PARAMS.forEach(name => {
+            if (typeof source[name] === 'string' && source[name] !== '') {
+                params[name] = source[name];
+            }
+        });
+
+        let redirectOrigin = null;
+        try {
+            redirectOrigin = new URL(params.redirect_uri).origin;
+        } catch (error) {
+            return null;
+        }
+        return params.client_id === clientId && redirectOrigin === origin ? params : null;
+    }
+
+    // Send the authorization response back to the client: a redirect, or a postMessage for silent auth
+    function respond(res, params, result) {
+        const response = { ...result, ...(params.state && { state: params.state }) };
+
+        if (params.response_mode === 'web_message') {
+            const message = JSON.stringify({ type: 'authorization_response', response: response }).replace(/</g, '\\u003c');
+            res.setHeader('X-Frame-Options', 'SAMEORIGIN');
+            return res.type('html').send(`<!DOCTYPE html><html><body><script>parent.postMessage(${message}, ${JSON.stringify(origin)});</script></body></html>`);
+        }
+
+        const location = new URL(params.redirect_uri);
+        Object.entries(response).forEach(([name, value]) => location.searchParams.set(name, value));
+        res.redirect(302, location.toString());
+    }
+
+    function issueCode(res, params, sub) {
+        codes.forEach((grant, code) => grant.expiresAt <= now() && codes.delete(code));
+
+        const code = crypto.randomBytes(16).toString('hex');
+        codes.set(code, {
+            sub: sub,
+            connection: params.connection && params.connection !== LOGIN_CONNECTION ? params.connection : null,
+            redirectUri: params.redirect_uri,
+            scope: params.scope || 'openid profile email',
+            audience: params.audience,
+            nonce: params.nonce,
+            codeChallenge: params.code_challenge,
+            codeChallengeMethod: params.code_challenge_method || 'plain',
+            expiresAt: now() + codeTtlMs
+        });
+        respond(res, params, { code });
+    }
+
+    function renderPage(res, title, body) {
+        res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title>${escapeHtml(title)}</title>
+<style>body{font-family:sans-serif;max-width:28rem;margin:4rem auto;color:#222}.note{background:#fff4d6;padding:.75rem;border-radius:6px;font-size:.9rem}button{display:block;width:100%;margin:.5rem 0;padding:.75rem;text-align:left;cursor:pointer}small{color:#666}</style>
+</head>
+<body><h1>${escapeHtml(title)}</h1>
+<p class="note">Local sandbox issuer, not Auth0. Tokens it issues are flagged <code>sandbox: true</code> and only this server accepts them.</p>
+${body}</body></html>`);
+    }
+
+    function hiddenFields(params) {
+        return Object.entries(params)
+            .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+            .join('');
+    }
+
+    function isProviderConnection(params) {
+        return params.connection && params.connection !== LOGIN_CONNECTION;
+    }
+
+    const router = express.Router();
+    router.use(express.json());
+    router.use(express.urlencoded({ extended: false }));
+
+    router.get('/.well-known/openid-configuration', (req, res) => {
+        res.json({
+            issuer: issuer,
+            authorization_endpoint: `${issuer}authorize`,
+            token_endpoint: `${issuer}oauth/token`,
+            userinfo_endpoint: `${issuer}userinfo`,
+            jwks_uri: `${issuer}.well-known/jwks.json`,
+            end_session_endpoint: `${issuer}v2/logout`,
+            response_types_supported: ['code'],
+            response_modes_supported: ['query', 'web_message'],
+            grant_types_supported: ['authorization_code', 'refresh_token'],
+            subject_types_supported: ['public'],
+            id_token_signing_alg_values_supported: ['RS256'],
+            token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+            code_challenge_methods_supported: ['S256', 'plain'],
+            scopes_supported: ['openid', 'profile', 'email', 'offline_access'],
+            claims_supported: ['sub', 'name', 'email', 'email_verified', 'picture', 'permissions', 'sandbox']
+        });
+    });
+
+    router.get('/.well-known/jwks.json', (req, res) => {
+        res.json({ keys: [jwk] });
+    });
+
+    // Login: pick a seeded user. With ?connection=, consent to linking a provider account.
+    router.get('/authorize', (req, res) => {
+        const params = readAuthorizeParams(req.query);
+        if (!params) {
+            return res.status(400).type('text').send('Unknown client_id or redirect_uri outside this server');
+        }
+        if (params.response_type !== 'code') {
+            return respond(res, params, { error: 'unsupported_response_type', error_description: 'Only the code flow is supported' });
+        }
+
+        if (req.query.prompt === 'none') {
+            const userId = sessions.get(readCookie(req, SESSION_COOKIE));
+            return userId
+                ? issueCode(res, params, userId)
+                : respond(res, params, { error: 'login_required', error_description: 'No sandbox session' });
+        }
+
+        if (isProviderConnection(params)) {
+            const name = escapeHtml(connectionName(params.connection));
+            return renderPage(res, `Connect ${connectionName(params.connection)}`, `
+<p>Link a sandbox ${name} account? Token Vault will hand out demo ${name} tokens for it.</p>
+<form method="post" action="${escapeHtml(basePath)}authorize">${hiddenFields(params)}
+<button name="decision" value="allow">Allow</button>
+<button name="decision" value="deny">Deny</button>
+</form>`);
+        }
+
+        const choices = directory.listUsers().map(user => `
+<button name="user_id" value="${escapeHtml(user.user_id)}"><strong>${escapeHtml(user.name)}</strong><br>
+<small>${escapeHtml(user.user_id)} &middot; ${escapeHtml((user.permissions || []).join(', ') || 'no permissions')}</small></button>`).join('');
+
+        renderPage(res, 'Sandbox sign-in', `<form method="post" action="${escapeHtml(basePath)}authorize">${hiddenFields(params)}${choices}</form>`);
+    });
+
+    router.post('/authorize', (req, res) => {
+        const params = readAuthorizeParams(req.body);
+        if (!params) {
+            return res.status(400).type('text').send('Unknown client_id or redirect_uri outside this server');
+        }
+
+        if (isProviderConnection(params)) {
+            if (req.body.decision !== 'allow') {
+                return respond(res, params, { error: 'access_denied', error_description: 'The user declined to connect the account' });
+            }
+            return issueCode(res, params, `${params.connection}|sandbox-${crypto.randomBytes(6).toString('hex')}`);
+        }
+
+        const user = findUser(req.body.user_id);
+        if (!user) {
+            return res.status(400).type('text').send('Unknown sandbox user');
+        }
+
+        const sessionId = crypto.randomBytes(16).toString('hex');
+        sessions.set(sessionId, user.user_id);
+        res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${sessionId}; Path=${basePath}; HttpOnly; SameSite=Lax`);
+        issueCode(res, params, user.user_id);
+    });
+
+    router.post('/oauth/token', (req, res) => {
+        res.setHeader('Cache-Control', 'no-store');
+
+        // Client credentials from HTTP Basic or the body; public clients send none and use PKCE
+        const basic = /^Basic (.+)$/.exec(req.get('Authorization') || '');
+        const [basicId, basicSecret] = basic ? Buffer.from(basic[1], 'base64').toString('utf8').split(':').map(decodeURIComponent) : [];
+        const requestClientId = basicId || req.body.client_id;
+        const requestSecret = basicSecret || req.body.client_secret;
+
+        if (requestClientId !== clientId || (requestSecret !== undefined && requestSecret !== clientSecret)) {
+            return oauthError(res, 401, 'invalid_client', 'Unknown client or wrong client secret');
+        }
+
+        if (req.body.grant_type === 'authorization_code') {
+            const grant = codes.get(req.body.code);
+            codes.delete(req.body.code);
+            if (!grant || grant.expiresAt <= now() || grant.redirectUri !== req.body.redirect_uri) {
+                return oauthError(res, 400, 'invalid_grant', 'Unknown, expired or already used authorization code');
+            }
+
+            if (grant.codeChallenge) {
+                const verifier = String(req.body.code_verifier || '');
+                const challenge = grant.codeChallengeMethod === 'S256'
+                    ? crypto.createHash('sha256').update(verifier).digest('base64url')
+                    : verifier;
+                if (challenge !== grant.codeChallenge) {
+                    return oauthError(res, 400, 'invalid_grant', 'code_verifier does not match the code challenge');
+                }
+            } else if (requestSecret === undefined) {
+                return oauthError(res, 401, 'invalid_client', 'Public clients must use PKCE');
+            }
+
+            return res.json(issueTokens(grant));
+        }
+
+        if (req.body.grant_type === 'refresh_token') {
+            const grant = refreshTokens.get(req.body.refresh_token);
+            refreshTokens.delete(req.body.refresh_token);
+            if (!grant) {
+                return oauthError(res, 400, 'invalid_grant', 'Unknown refresh token');
+            }
+            return res.json(issueTokens(grant));
+        }
+
+        oauthError(res, 400, 'unsupported_grant_type', `Supported grants: authorization_code, refresh_token`);
+    });
+
+    router.get('/userinfo', async (req, res) => {
+        try {
+            const claims = await verifyToken((req.get('Authorization') || '').replace(/^Bearer /, ''));
+            const { sub, name, email, email_verified: emailVerified, picture, sandbox } = claims;
+            res.json({ sub, name, email, email_verified: emailVerified, picture, sandbox });
+        } catch (error) {
+            oauthError(res, 401, 'invalid_token', error.message);
+        }
+    });
+
+    // End the sandbox session; only redirects back to this server
+    router.get('/v2/logout', (req, res) => {
+        sessions.delete(readCookie(req, SESSION_COOKIE));
+        res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=${basePath}; HttpOnly; SameSite=Lax; Max-Age=0`);
+
+        let returnTo = null;
+        try {
+            returnTo = new URL(req.query.returnTo).origin === origin ? req.query.returnTo : null;
+        } catch (error) {
+            returnTo = null;
+        }
+        if (returnTo) {
+            return res.redirect(302, returnTo);
+        }
+        renderPage(res, 'Signed out', '<p>You are signed out of the sandbox.</p>');
+    });
+
+    return {
+        issuer,
+        jwksUri: `${issuer}.well-known/jwks.json`,
+        router,
+        verifyToken
+    };
+}
+
+module.exports = {
+    createSandboxIssuer
+};
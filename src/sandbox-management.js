@@ -0,0 +1,124 @@
+/**
+ * Sandbox Management API
+ * In-process stand-in for the parts of the Auth0 ManagementClient the server
+ * uses (getUser, getUsers, linkUsers, unlinkUsers and Token Vault's
+ * getAccessToken), backed by the seeded users in config/sandbox-users.json.
+ *
+ * Linked identities stand for connected accounts: linking verifies the
+ * sandbox issuer's id_token for the provider account, and Token Vault hands
+ * out `sandbox_`-prefixed tokens, flagged `sandbox: true`, for any connection
+ * the user has linked. Changes last until the process exits.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TOKEN_TTL_SECONDS = 3600;
+
+// Errors carry `statusCode` like the ones thrown by the Auth0 SDK
+function managementError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+function createSandboxManagement({ users, verifyIdToken, tokenTtlSeconds = DEFAULT_TOKEN_TTL_SECONDS }) {
+    const directory = new Map(users.map(user => [user.user_id, {
+        ...user,
+        identities: (user.identities || []).map(identity => ({ ...identity }))
+    }]));
+
+    function find(userId) {
+        const user = directory.get(userId);
+        if (!user) {
+            throw managementError(404, `The user ${userId} does not exist`);
+        }
+        return user;
+    }
+
+    // The primary login identity comes first, as in Auth0
+    function identitiesOf(user) {
+        const [provider, ...rest] = user.user_id.split('|');
+        return [
+            { provider: provider, user_id: rest.join('|'), connection: 'sandbox', isSocial: false },
+            ...user.identities.map(identity => ({ ...identity, isSocial: true }))
+        ];
+    }
+
+    function profileOf(user) {
+        return {
+            user_id: user.user_id,
+            name: user.name,
+            email: user.email,
+            email_verified: true,
+            picture: user.picture,
+            app_metadata: { ...user.app_metadata },
+            identities: identitiesOf(user)
+        };
+    }
+
+    async function getUser({ id }) {
+        return profileOf(find(id));
+    }
+
+    async function getUsers({ per_page: perPage = 50 } = {}) {
+        return [...directory.values()].slice(0, perPage).map(profileOf);
+    }
+
+    // Seeded users with the API permissions their access tokens carry
+    function listUsers() {
+        return [...directory.values()].map(user => ({ ...profileOf(user), permissions: [...(user.permissions || [])] }));
+    }
+
+    // Link the provider account named by a sandbox id_token (`sub` is "<connection>|<id>")
+    async function linkUsers(userId, { link_with: linkWith }) {
+        const user = find(userId);
+
+        let claims;
+        try {
+            claims = await verifyIdToken(linkWith);
+        } catch (error) {
+            throw managementError(400, `Invalid link_with token: ${error.message}`);
+        }
+
+        const [connection, ...rest] = claims.sub.split('|');
+        const identity = { provider: connection, user_id: rest.join('|'), connection: connection };
+
+        user.identities = user.identities.filter(existing => existing.connection !== connection).concat(identity);
+        return identitiesOf(user);
+    }
+
+    async function unlinkUsers({ id, provider, user_id: identityId }) {
+        const user = find(id);
+        user.identities = user.identities.filter(identity => identity.provider !== provider || identity.user_id !== identityId);
+        return identitiesOf(user);
+    }
+
+    // Token Vault: a demo token for any connection the user has linked
+    async function getAccessToken({ user_id: userId, connection, scope }) {
+        const user = find(userId);
+        if (!user.identities.some(identity => identity.connection === connection)) {
+            return null;
+        }
+
+        return {
+            access_token: `sandbox_${connection}_${crypto.randomBytes(12).toString('hex')}`,
+            token_type: 'Bearer',
+            expires_in: tokenTtlSeconds,
+            scope: scope,
+            sandbox: true
+        };
+    }
+
+    return {
+        getUser,
+        getUsers,
+        listUsers,
+        linkUsers,
+        unlinkUsers,
+        getAccessToken
+    };
+}
+
+module.exports = {
+    createSandboxManagement
+};
@@ -8,13 +8,61 @@ const path = require('path');
 const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
-const morgan = require('morgan');
 const cors = require('cors');
 const { auth } = require('express-openid-connect');
-const { auth: jwtAuth } = require('express-oauth2-jwt-bearer');
+const { auth: jwtAuth, InvalidRequestError } = require('express-oauth2-jwt-bearer');
 const { ManagementClient, AuthenticationClient } = require('auth0');
 const axios = require('axios');
 require('dotenv').config();
+const { FGA_CONFIG, TOKEN_VAULT_CONFIG } = require('../config/auth0-config');
+const { resolveDataPath } = require('./json-file-store');
+const { createApprovalStore } = require('./approval-store');
+const { createApprovalRouter } = require('./routes/approvals');
+const { createApprovalActionRunner } = require('./approval-actions');
+const { createCibaClient } = require('./ciba-client');
+const { createBackchannelApprovals } = require('./backchannel-approvals');
+const { createApprovalRequester } = require('./approval-requests');
+const { ACCESS_REQUEST_ACTION, validateAccessRequest, checkAccessApprover, registerAccessProvisioning } = require('./access-requests');
+const { SLACK_NOTIFICATION_ACTION, validateSlackNotification, registerSlackDelivery } = require('./slack-notifications');
+const { createSlackClient } = require('./slack-client');
+const { createNotificationRouter } = require('./routes/notifications');
+const { createGitHubClient } = require('./github-client');
+const { GITHUB_ISSUE_ACTION, createProjectGitHub, validateGitHubIssue, registerGitHubIssueCreation } = require('./project-github');
+const { createGitHubRouter } = require('./routes/github');
+const { createEventHub } = require('./event-hub');
+const { getAuthUser } = require('./auth-context');
+const { createAuthorizer } = require('./authorization');
+const { createGrantLedger } = require('./grant-ledger');
+const { createAgent } = require('./agent');
+const { createAgentTools } = require('./agent-tools');
+const { createProviderFromEnv } = require('./llm-providers');
+const { createChatRouter } = require('./routes/chat');
+const { createDocumentIndex, followDocumentStore } = require('./rag-index');
+const { createRetriever } = require('./rag-retriever');
+const { createRagRouter } = require('./routes/rag');
+const { createFgaRouter } = require('./routes/fga');
+const { createTokenVault } = require('./token-vault');
+const { createTokenRouter } = require('./routes/tokens');
+const { createTokenCache } = require('./token-cache');
+const { createConnectionManager } = require('./connections');
+const { createConnectionRouter } = require('./routes/connections');
+const { createCalendarClient } = require('./calendar-client');
+const { createCalendarRouter } = require('./routes/calendar');
+const { createPermissionCache, CONSISTENCY } = require('./permission-cache');
+const { createLocalFgaClient } = require('./fga-local-engine');
+const { createFgaClientFromEnv, loadModel } = require('./fga-model');
+const { createDocumentStore } = require('./document-store');
+const { createDocumentRouter } = require('./routes/documents');
+const { createProjectStore, RESOURCE_TYPES } = require('./project-store');
+const { createProjectRouter } = require('./routes/projects');
+const { createProjectMembers } = require('./project-members');
+const { createAccessGrants } = require('./access-grants');
+const { PROJECT_DELETE_ACTION, validateProjectDeletion, registerProjectDeletion } = require('./project-deletion');
+const { createSandboxIssuer } = require('./sandbox-issuer');
+const { createSandboxManagement } = require('./sandbox-management');
+const { createAuditLog } = require('./audit-log');
+const { createAuditRouter } = require('./routes/audit');
+const { logger, requestContext, requestLogger } = require('./logger');
 
 // Configuration with environment variables and fallbacks
 const AUTH0_CONFIG = {
@@ -24,8 +72,45 @@ const AUTH0_CONFIG = {
     audience: process.env.AUTH0_AUDIENCE || 'https://api.ai-project-manager.com',
 };
 
+const BASE_URL = process.env.BASE_URL || 'http://localhost:3000';
+
+// Offline sandbox: a local issuer and Management API stand in for the Auth0 tenant
+const SANDBOX_CONFIG = {
+    enabled: process.env.SANDBOX_MODE === 'true' && process.env.NODE_ENV !== 'production',
+    issuerUrl: `${BASE_URL}/sandbox/`,
+    clientId: 'sandbox-client',
+    clientSecret: process.env.SANDBOX_CLIENT_SECRET || 'sandbox-client-secret'
+};
+
+if (process.env.SANDBOX_MODE === 'true' && !SANDBOX_CONFIG.enabled) {
+    logger.error('SANDBOX_MODE is ignored when NODE_ENV=production');
+}
+
+const sandboxManagement = SANDBOX_CONFIG.enabled ? createSandboxManagement({
+    users: require('../config/sandbox-users.json').users,
+    verifyIdToken: token => sandboxIssuer.verifyToken(token)
+}) : null;
+
+const sandboxIssuer = SANDBOX_CONFIG.enabled ? createSandboxIssuer({
+    issuerUrl: SANDBOX_CONFIG.issuerUrl,
+    clientId: SANDBOX_CONFIG.clientId,
+    clientSecret: SANDBOX_CONFIG.clientSecret,
+    audience: AUTH0_CONFIG.audience,
+    directory: sandboxManagement,
+    providers: TOKEN_VAULT_CONFIG.providers
+}) : null;
+
 const app = express();
 
+// Live per-user event channels (approvals, access grants, security events)
+const eventHub = createEventHub();
+
+// Hash-chained audit trail behind logSecurityEvent; verify with `npm run audit:verify`
+const auditLog = createAuditLog({
+    dir: resolveDataPath('audit'),
+    segmentMaxEntries: parseInt(process.env.AUDIT_SEGMENT_MAX_ENTRIES) || 10000
+});
+
 // Security middleware
 if (process.env.ENABLE_HELMET !== 'false') {
     app.use(helmet({
@@ -39,7 +124,8 @@ if (process.env.ENABLE_HELMET !== 'false') {
                 fontSrc: ["'self'"],
                 objectSrc: ["'none'"],
                 mediaSrc: ["'self'"],
-                frameSrc: ["'none'"],
+                // The SPA SDK renews sandbox sessions in a hidden same-origin iframe
+                frameSrc: SANDBOX_CONFIG.enabled ? ["'self'"] : ["'none'"],
             },
         },
         crossOriginEmbedderPolicy: false
@@ -57,10 +143,12 @@ const corsOptions = {
 };
 app.use(cors(corsOptions));
 
+// Request ID for tracing; everything logged while handling the request carries it
+app.use(requestContext());
+
 // Request logging
 if (process.env.ENABLE_REQUEST_LOGGING !== 'false') {
-    const logFormat = process.env.NODE_ENV === 'production' ? 'combined' : 'dev';
-    app.use(morgan(logFormat));
+    app.use(requestLogger(logger));
 }
 
 // Trust proxy for accurate IP addresses (important for rate limiting)
@@ -81,7 +169,7 @@ if (process.env.RATE_LIMIT_ENABLED !== 'false') {
         standardHeaders: true,
         legacyHeaders: false,
         handler: (req, res) => {
-            logSecurityEvent('RATE_LIMIT_EXCEEDED', req.auth?.sub || req.ip, {
+            logSecurityEvent('RATE_LIMIT_EXCEEDED', req.auth?.payload?.sub || req.ip, {
                 ip: req.ip,
                 userAgent: req.get('User-Agent'),
                 url: req.url
@@ -109,28 +197,13 @@ if (process.env.RATE_LIMIT_ENABLED !== 'false') {
     app.use('/callback', authLimiter);
 }
 
-// Real Token Vault configuration
-const TOKEN_VAULT_CONFIG = {
-    apiUrl: process.env.AUTH0_TOKEN_VAULT_URL || `https://${AUTH0_CONFIG.domain}/api/v2/token-vault`,
-    googleCalendar: { 
-        scope: 'https://www.googleapis.com/auth/calendar',
-        provider: 'google-oauth2',
-        connection: 'google-oauth2'
-    },
-    slack: { 
-        scope: 'chat:write,channels:read,users:read',
-        provider: 'slack',
-        connection: 'slack'
-    },
-    github: { 
-        scope: 'repo,read:org,user:email',
-        provider: 'github',
-        connection: 'github'
-    }
-};
-
-// JWT validation middleware for API endpoints
-const jwtCheck = jwtAuth({
+// JWT validation middleware for API endpoints; in the sandbox only sandbox-issued tokens pass
+const jwtCheck = SANDBOX_CONFIG.enabled ? jwtAuth({
+    audience: AUTH0_CONFIG.audience,
+    issuer: sandboxIssuer.issuer,
+    jwksUri: sandboxIssuer.jwksUri,
+    tokenSigningAlg: 'RS256'
+}) : jwtAuth({
     audience: AUTH0_CONFIG.audience,
     issuerBaseURL: `https://${AUTH0_CONFIG.domain}/`,
     tokenSigningAlg: 'RS256'
@@ -141,7 +214,10 @@ let management = null;
 let auth0Client = null;
 
 try {
-    if (process.env.AUTH0_DOMAIN && process.env.AUTH0_CLIENT_ID && process.env.AUTH0_CLIENT_SECRET) {
+    if (SANDBOX_CONFIG.enabled) {
+        management = sandboxManagement;
+        logger.info('Sandbox mode: local issuer and Management API, seeded users, demo tokens');
+    } else if (process.env.AUTH0_DOMAIN && process.env.AUTH0_CLIENT_ID && process.env.AUTH0_CLIENT_SECRET) {
         management = new ManagementClient({
             domain: AUTH0_CONFIG.domain,
             clientId: AUTH0_CONFIG.clientId,
@@ -155,52 +231,29 @@ try {
             clientSecret: AUTH0_CONFIG.clientSecret
         });
     } else {
-        console.log('⚠️  Auth0 credentials not configured - using demo mode');
+        logger.warn('Auth0 credentials not configured - using demo mode (set SANDBOX_MODE=true to sign in locally)');
     }
 } catch (error) {
-    console.log('⚠️  Auth0 client initialization failed:', error.message);
+    logger.warn('Auth0 client initialization failed', { error });
 }
 
 // FGA Client Configuration
 let fgaClient = null;
-let fgaConfig = null;
 
 async function initializeFGA() {
     try {
-        if (!process.env.FGA_STORE_ID || !process.env.FGA_CLIENT_ID || !process.env.FGA_CLIENT_SECRET) {
-            console.log('FGA not configured - some variables missing');
+        fgaClient = createFgaClientFromEnv();
+        if (!fgaClient) {
+            logger.info('FGA not configured - some variables missing');
             return;
         }
         
-        const { OpenFgaClient, CredentialsMethod } = require('@openfga/sdk');
-        
-        fgaConfig = {
-            apiUrl: process.env.FGA_API_URL || 'https://api.fga.dev',
-            storeId: process.env.FGA_STORE_ID,
-            authorizationModelId: process.env.FGA_MODEL_ID
-        };
-        
-        fgaClient = new OpenFgaClient({
-            apiUrl: fgaConfig.apiUrl,
-            storeId: fgaConfig.storeId,
-            authorizationModelId: fgaConfig.authorizationModelId,
-            credentials: {
-                method: CredentialsMethod.ClientCredentials,
-                config: {
-                    clientId: process.env.FGA_CLIENT_ID,
-                    clientSecret: process.env.FGA_CLIENT_SECRET,
-                    apiTokenIssuer: process.env.FGA_API_TOKEN_ISSUER || fgaConfig.apiUrl,
-                    apiAudience: process.env.FGA_API_AUDIENCE || fgaConfig.apiUrl
-                }
-            }
-        });
-        
         // Test FGA connection
         await fgaClient.listStores();
-        console.log('✅ FGA client initialized successfully');
+        logger.info('FGA client initialized');
         
     } catch (error) {
-        console.error('❌ FGA initialization failed:', error.message);
+        logger.error('FGA initialization failed', { error });
         fgaClient = null;
     }
 }
@@ -225,19 +278,13 @@ const config = {
     afterCallback: async (req, res, session) => {
         // This will be called after successful authentication
         // The Post-Login Action will have enriched the user profile
-        const user = session.user;
+        // The session holds the raw tokens; the profile is in the (already verified) ID token
+        const user = JSON.parse(Buffer.from(session.id_token.split('.')[1], 'base64url').toString('utf8'));
         
-        console.log('User authenticated:', user.sub);
-        console.log('User metadata:', user['app_metadata']);
+        logSecurityEvent('USER_LOGIN', user.sub, { via: 'session', ...(user.sandbox === true && { sandbox: true }) });
         
-        // Check if user data was synced by the Post-Login Action
-        if (user['app_metadata']?.is_data_synced) {
-            console.log('User profile enriched with:', {
-                loyalty_tier: user['app_metadata'].loyalty_tier,
-                employee_id: user['app_metadata'].employee_id,
-                access_level: user['app_metadata'].access_level
-            });
-        }
+        // Whether the Post-Login Action synced the profile; the metadata itself is not logged
+        logger.debug('User profile loaded', { sub: user.sub, profileSynced: !!user['app_metadata']?.is_data_synced });
         
         return session;
     }
@@ -247,13 +294,6 @@ const config = {
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Request ID middleware for tracing
-app.use((req, res, next) => {
-    req.id = Math.random().toString(36).substr(2, 9);
-    res.setHeader('X-Request-ID', req.id);
-    next();
-});
-
 // Security headers middleware
 app.use((req, res, next) => {
     res.setHeader('X-Content-Type-Options', 'nosniff');
@@ -264,6 +304,11 @@ app.use((req, res, next) => {
     next();
 });
 
+// Sandbox issuer: discovery, JWKS, /authorize, /oauth/token, /userinfo, /v2/logout
+if (SANDBOX_CONFIG.enabled) {
+    app.use('/sandbox', sandboxIssuer.router);
+}
+
 // Serve static assets from client folder
 app.use(express.static(path.join(__dirname, '../client'), {
     maxAge: process.env.NODE_ENV === 'production' ? '1d' : '0',
@@ -307,6 +352,8 @@ app.get('/api/health', async (req, res) => {
                 responseTime: Date.now() - auth0Start
             };
         }
+    } else if (SANDBOX_CONFIG.enabled) {
+        serviceChecks.auth0.status = 'sandbox';
     } else {
         serviceChecks.auth0.status = auth0Configured ? 'unconfigured' : 'disabled';
     }
@@ -328,14 +375,14 @@ app.get('/api/health', async (req, res) => {
             };
         }
     } else {
-        serviceChecks.fga.status = fgaConfigured ? 'unconfigured' : 'disabled';
+        serviceChecks.fga.status = fgaConfigured ? 'unconfigured' : 'local';
     }
     
     // Token Vault is part of Auth0, so inherit its status
     serviceChecks.tokenVault.status = serviceChecks.auth0.status === 'healthy' ? 'healthy' : serviceChecks.auth0.status;
     
     const overallHealthy = Object.values(serviceChecks).every(check => 
-        check.status === 'healthy' || check.status === 'disabled'
+        check.status === 'healthy' || check.status === 'disabled' || check.status === 'local' || check.status === 'sandbox'
     );
     
     const healthReport = {
@@ -349,6 +396,7 @@ app.get('/api/health', async (req, res) => {
         services: serviceChecks,
         configuration: {
             auth0_configured: auth0Configured,
+            sandbox_mode: SANDBOX_CONFIG.enabled,
             fga_configured: fgaConfigured,
             auth0_domain: process.env.AUTH0_DOMAIN || 'not-set',
             base_url: process.env.BASE_URL || process.env.VERCEL_URL || 'http://localhost:3000'
@@ -369,7 +417,11 @@ app.get('/api/metrics', (req, res) => {
         cpu: process.cpuUsage(),
         platform: process.platform,
         nodeVersion: process.version,
-        environment: process.env.NODE_ENV || 'development'
+        environment: process.env.NODE_ENV || 'development',
+        eventStreams: eventHub.stats(),
+        permissionCache: permissionCache.stats(),
+        tokenCache: tokenCache.stats(),
+        auditLog: auditLog.stats()
     };
     
     res.json(metrics);
@@ -411,11 +463,18 @@ app.get('/api/debug-env', (req, res) => {
     });
 });
 
-// Only apply auth middleware if Auth0 is configured
-if (process.env.AUTH0_DOMAIN && process.env.AUTH0_CLIENT_ID && process.env.AUTH0_CLIENT_SECRET) {
+// Only apply auth middleware if Auth0 (or the sandbox issuer) is configured
+if (SANDBOX_CONFIG.enabled) {
+    app.use(auth({
+        ...config,
+        issuerBaseURL: SANDBOX_CONFIG.issuerUrl,
+        clientID: SANDBOX_CONFIG.clientId,
+        clientSecret: SANDBOX_CONFIG.clientSecret
+    }));
+} else if (process.env.AUTH0_DOMAIN && process.env.AUTH0_CLIENT_ID && process.env.AUTH0_CLIENT_SECRET) {
     app.use(auth(config));
 } else {
-    console.log('⚠️  Auth0 not configured - skipping authentication middleware');
+    logger.warn('Auth0 not configured - skipping authentication middleware');
     // Mock authentication for demo mode
     app.use((req, res, next) => {
         req.oidc = {
@@ -445,10 +504,24 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, '../client/index.html'));
 });
 
+// Runtime settings for the browser (read by client/js/auth0-config.js); in the sandbox they point the SPA at the local issuer
+app.get('/env.js', (req, res) => {
+    const settings = SANDBOX_CONFIG.enabled ? {
+        AUTH0_DOMAIN: sandboxIssuer.issuer.replace(/\/$/, ''),
+        AUTH0_CLIENT_ID: SANDBOX_CONFIG.clientId,
+        AUTH0_AUDIENCE: AUTH0_CONFIG.audience,
+        AUTH0_REDIRECT_URI: BASE_URL,
+        SANDBOX_MODE: true
+    } : {};
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.type('application/javascript').send(`window.__ENV__ = ${JSON.stringify(settings)};\n`);
+});
+
 // API route to get user profile with enriched data
 app.get('/api/profile', jwtCheck, async (req, res) => {
     try {
-        const user = req.auth; // JWT payload contains user info
+        const user = req.auth.payload; // JWT claims
         
         // If management client isn't configured, return basic JWT info in demo mode
         let userDetails = { app_metadata: {} };
@@ -468,335 +541,366 @@ app.get('/api/profile', jwtCheck, async (req, res) => {
                 employee_id: userDetails.app_metadata?.employee_id,
                 department: userDetails.app_metadata?.department,
                 access_level: userDetails.app_metadata?.access_level,
-                is_data_synced: userDetails.app_metadata?.is_data_synced
+                is_data_synced: userDetails.app_metadata?.is_data_synced,
+                ...(user.sandbox === true && { sandbox: true })
             }
         });
     } catch (error) {
-        console.error('Error fetching user profile:', error);
+        logger.error('Error fetching user profile', { error });
         res.status(500).json({ error: 'Failed to fetch user profile' });
     }
 });
 
-// Token Vault Integration Routes
+// Token Vault Integration Routes: one route per provider in config/token-providers.json
+const tokenVault = createTokenVault({
+    providers: TOKEN_VAULT_CONFIG.providers,
+    getManagement: () => management,
+    demoFallback: process.env.NODE_ENV === 'development'
+});
 
-// Get Google Calendar token
-app.get('/api/tokens/google-calendar', jwtCheck, async (req, res) => {
-    try {
-        const user = req.auth; // JWT payload contains user info
-        
-        if (!management) {
-            return res.status(503).json({ 
-                error: 'Token Vault not configured',
-                message: 'Auth0 Management API not available'
-            });
-        }
-        
-        // Real Token Vault integration
-        const tokenResponse = await getTokenVaultToken(user.sub, 'google-calendar');
-        
-        if (!tokenResponse.success) {
-            return res.status(400).json({
-                error: 'Token unavailable',
-                message: tokenResponse.message || 'Unable to retrieve Google Calendar token'
-            });
-        }
-        
-        res.json({
-            access_token: tokenResponse.access_token,
-            expires_in: tokenResponse.expires_in,
-            scope: TOKEN_VAULT_CONFIG.googleCalendar.scope,
-            token_type: 'Bearer'
-        });
-    } catch (error) {
-        console.error('Error getting Google Calendar token:', error);
-        res.status(500).json({ 
-            error: 'Token retrieval failed',
-            message: 'Internal error retrieving calendar token'
-        });
-    }
+const tokenCache = createTokenCache({
+    fetchToken: tokenVault.getToken,
+    refreshMarginMs: (parseInt(process.env.TOKEN_CACHE_REFRESH_MARGIN_SECONDS) || 300) * 1000,
+    maxEntries: parseInt(process.env.TOKEN_CACHE_MAX_ENTRIES) || 10000
 });
 
-// Get Slack token
-app.get('/api/tokens/slack', jwtCheck, async (req, res) => {
-    try {
-        const user = req.auth; // JWT payload contains user info
-        
-        if (!management) {
-            return res.status(503).json({ 
-                error: 'Token Vault not configured',
-                message: 'Auth0 Management API not available'
-            });
-        }
-        
-        const tokenResponse = await getTokenVaultToken(user.sub, 'slack');
-        
-        if (!tokenResponse.success) {
-            return res.status(400).json({
-                error: 'Token unavailable',
-                message: tokenResponse.message || 'Unable to retrieve Slack token'
-            });
-        }
-        
-        res.json({
-            access_token: tokenResponse.access_token,
-            expires_in: tokenResponse.expires_in,
-            scope: TOKEN_VAULT_CONFIG.slack.scope,
-            token_type: 'Bearer'
-        });
-    } catch (error) {
-        console.error('Error getting Slack token:', error);
-        res.status(500).json({ 
-            error: 'Token retrieval failed',
-            message: 'Internal error retrieving Slack token'
-        });
-    }
+app.use('/api/tokens', createTokenRouter({
+    authenticate: jwtCheck,
+    tokenVault: tokenVault,
+    tokenCache: tokenCache,
+    logSecurityEvent: logSecurityEvent
+}));
+
+// Connected accounts: status, connect and disconnect per Token Vault provider
+const connections = createConnectionManager({
+    providers: TOKEN_VAULT_CONFIG.providers,
+    getManagement: () => management,
+    auth0: SANDBOX_CONFIG.enabled ? {
+        ...AUTH0_CONFIG,
+        clientId: SANDBOX_CONFIG.clientId,
+        clientSecret: SANDBOX_CONFIG.clientSecret,
+        issuerBaseURL: SANDBOX_CONFIG.issuerUrl
+    } : AUTH0_CONFIG,
+    redirectUri: `${process.env.BASE_URL || 'http://localhost:3000'}/api/connections/callback`
 });
 
+// A connected or disconnected account invalidates whatever token was cached for it
+connections.on('connected', ({ userId, service }) => tokenCache.evict(userId, service));
+connections.on('disconnected', ({ userId, service }) => tokenCache.evict(userId, service));
+
+app.use('/api/connections', createConnectionRouter({
+    authenticate: jwtCheck,
+    connections: connections,
+    logSecurityEvent: logSecurityEvent
+}));
+
 // Fine-Grained Authorization Routes
+const permissionCache = createPermissionCache({
+    ttlMs: (parseInt(process.env.FGA_CACHE_TTL_SECONDS) || 30) * 1000,
+    maxEntries: parseInt(process.env.FGA_CACHE_MAX_ENTRIES) || 10000,
+    consistency: process.env.FGA_CONSISTENCY || CONSISTENCY.MINIMIZE_LATENCY
+});
 
-// Check document access
-app.post('/api/fga/check-access', jwtCheck, async (req, res) => {
-    try {
-        const { resource, relation } = req.body;
-        const user = req.auth; // JWT payload contains user info
-        
-        if (!resource || !relation) {
-            return res.status(400).json({
-                error: 'Invalid request',
-                message: 'Resource and relation are required'
-            });
-        }
-        
-        if (!fgaClient) {
-            // Enhanced mock permissions for development
-            const mockPermissions = getMockPermissions(user.sub);
-            const key = `${resource}:${relation}`;
-            
-            res.json({
-                allowed: mockPermissions[key] || false,
-                resource: resource,
-                relation: relation,
-                source: 'mock'
-            });
-            return;
-        }
-        
-        // Real FGA check
-        const checkResult = await fgaClient.check({
-            user: `user:${user.sub}`,
+// Without an FGA store, the same model is evaluated in-process over local tuple files
+const localFgaClient = createLocalFgaClient({
+    model: loadModel(),
+    filePath: resolveDataPath('fga-tuples.json'),
+    seedTuples: require('../config/fga-tuples.json').tuples
+});
+
+// Expiry times of time-bound grants (`expires_at` on grant-access)
+const grantLedger = createGrantLedger({ filePath: resolveDataPath('grants.json') });
+
+const authorizer = createAuthorizer({
+    getClient: () => fgaClient || localFgaClient,
+    relations: FGA_CONFIG.relations,
+    cache: permissionCache,
+    ledger: grantLedger,
+    // Decisions are audited without the console line and live event every security event gets
+    onCheck: ({ userId, relation, object, allowed, source, cached }) => {
+        recordAudit('FGA_CHECK', userId, { relation, object, allowed, source, cached });
+    },
+    onGrant: ({ actorId, targetUserId, relation, object }) => {
+        recordAudit('FGA_TUPLE_WRITTEN', actorId, { user: `user:${targetUserId}`, relation, object });
+        eventHub.publish(targetUserId, 'access.granted', {
+            resource: object,
             relation: relation,
-            object: resource
+            grantedBy: actorId
         });
-        
-        // Log the permission check for audit
-        console.log(`FGA Check: user:${user.sub} ${relation} ${resource} = ${checkResult.allowed}`);
-        
-        res.json({
-            allowed: checkResult.allowed,
-            resource: resource,
+    },
+    onRevoke: ({ actorId, targetUserId, relation, object }) => {
+        recordAudit('FGA_TUPLE_DELETED', actorId, { user: `user:${targetUserId}`, relation, object });
+        eventHub.publish(targetUserId, 'access.revoked', {
+            resource: object,
             relation: relation,
-            source: 'fga',
-            timestamp: new Date().toISOString()
+            revokedBy: actorId
         });
-        
-    } catch (error) {
-        console.error('Error checking FGA access:', error);
-        res.status(500).json({ 
-            error: 'Permission check failed',
-            message: 'Unable to verify access permissions'
+    },
+    onExpire: grant => {
+        const targetUserId = grant.user.replace(/^user:/, '');
+        logSecurityEvent('ACCESS_EXPIRED', grant.granted_by, {
+            resource: grant.object,
+            relation: grant.relation,
+            targetUser: targetUserId,
+            expiresAt: grant.expires_at
+        });
+        eventHub.publish(targetUserId, 'access.revoked', {
+            resource: grant.object,
+            relation: grant.relation,
+            reason: 'expired'
         });
     }
 });
 
-// Grant document access
-app.post('/api/fga/grant-access', jwtCheck, async (req, res) => {
-    try {
-        const { resource, relation, targetUser } = req.body;
-        const user = req.auth; // JWT payload contains user info
-        
-        if (!resource || !relation || !targetUser) {
-            return res.status(400).json({
-                error: 'Invalid request',
-                message: 'Resource, relation, and targetUser are required'
-            });
-        }
-        
-        if (!fgaClient) {
-            // In demo mode, simulate success
-            console.log(`Mock grant: ${targetUser} granted ${relation} on ${resource} by ${user.sub}`);
-            return res.json({
-                success: true,
-                message: `[Demo] Access granted: ${targetUser} can now ${relation} ${resource}`,
-                source: 'mock'
-            });
-        }
-        
-        // Check if current user has permission to grant access
-        const canGrantCheck = await fgaClient.check({
-            user: `user:${user.sub}`,
-            relation: 'owner',
-            object: resource
+// Project members and roles are FGA tuples, changed only under the membership rules
+const projectMembers = createProjectMembers({ authorizer });
+
+// Grants from the FGA routes and the agent's grant_access tool follow the same rules
+const accessGrants = createAccessGrants({ authorizer, relations: FGA_CONFIG.relations, members: projectMembers });
+
+app.use('/api/fga', createFgaRouter({
+    authenticate: jwtCheck,
+    authorizer: authorizer,
+    relations: FGA_CONFIG.relations,
+    grants: accessGrants,
+    logSecurityEvent: logSecurityEvent
+}));
+
+// Revoke time-bound grants once they pass their expiry; checks also expire due grants first
+const grantSweeper = setInterval(() => authorizer.expireGrants(), (parseInt(process.env.GRANT_SWEEP_INTERVAL_SECONDS) || 60) * 1000);
+grantSweeper.unref();
+
+// Asynchronous Authorization Routes
+const approvals = createApprovalStore({
+    filePath: resolveDataPath('approval-requests.json'),
+    ttlMs: (parseInt(process.env.APPROVAL_TTL_MINUTES) || 24 * 60) * 60 * 1000
+});
+
+// Approved requests run their action through the runner, never before approval
+const approvalActions = createApprovalActionRunner({ approvals, logSecurityEvent });
+
+// Approved access_document requests write the requested relation for the requester
+registerAccessProvisioning({ approvalActions, authorizer, logSecurityEvent });
+
+// Approved slack-notification requests are posted with the requester's vaulted Slack token
+const slackClient = createSlackClient({ apiUrl: process.env.SLACK_API_URL });
+registerSlackDelivery({ approvalActions, getTokenVaultToken, slackClient, logSecurityEvent });
+
+// Approved github-create-issue requests are opened with the requester's vaulted GitHub token
+const githubClient = createGitHubClient({ apiUrl: process.env.GITHUB_API_URL });
+registerGitHubIssueCreation({ approvalActions, getTokenVaultToken, githubClient, logSecurityEvent });
+
+// CIBA backchannel approval for high-risk actions (issuer can be a local stand-in)
+const CIBA_CONFIG = {
+    enabled: process.env.CIBA_ENABLED === 'true',
+    issuerBaseURL: process.env.CIBA_ISSUER_URL || `https://${AUTH0_CONFIG.domain}`,
+    clientId: process.env.CIBA_CLIENT_ID || AUTH0_CONFIG.clientId,
+    clientSecret: process.env.CIBA_CLIENT_SECRET || AUTH0_CONFIG.clientSecret,
+    audience: process.env.CIBA_AUDIENCE || AUTH0_CONFIG.audience,
+    approverId: process.env.CIBA_APPROVER_USER_ID || null,
+    highRiskActions: (process.env.CIBA_HIGH_RISK_ACTIONS || 'delete-project').split(',').map(action => action.trim()).filter(Boolean),
+    pollIntervalMs: process.env.CIBA_POLL_INTERVAL_MS ? parseInt(process.env.CIBA_POLL_INTERVAL_MS) : null
+};
+
+const backchannel = CIBA_CONFIG.enabled ? createBackchannelApprovals({
+    ciba: createCibaClient(CIBA_CONFIG),
+    approvals: approvals,
+    highRiskActions: CIBA_CONFIG.highRiskActions,
+    approverId: CIBA_CONFIG.approverId,
+    logSecurityEvent: logSecurityEvent
+}) : null;
+
+const approvalRequester = createApprovalRequester({
+    approvals,
+    backchannel,
+    validators: {
+        [ACCESS_REQUEST_ACTION]: request => validateAccessRequest(request, FGA_CONFIG.relations, authorizer),
+        [SLACK_NOTIFICATION_ACTION]: validateSlackNotification,
+        [GITHUB_ISSUE_ACTION]: validateGitHubIssue,
+        [PROJECT_DELETE_ACTION]: request => validateProjectDeletion(request, projects)
+    },
+    logSecurityEvent
+});
+
+app.use('/api/async-approval', createApprovalRouter({
+    authenticate: jwtCheck,
+    approvals: approvals,
+    requester: approvalRequester,
+    approverIds: (process.env.APPROVAL_APPROVERS || '').split(',').map(id => id.trim()).filter(Boolean),
+    decisionChecks: {
+        [ACCESS_REQUEST_ACTION]: (request, approverId) => checkAccessApprover(request, approverId, authorizer)
+    },
+    logSecurityEvent: logSecurityEvent
+}));
+
+app.use('/api/notifications', createNotificationRouter({
+    authenticate: jwtCheck,
+    approvals: approvals,
+    requester: approvalRequester,
+    getTokenVaultToken: getTokenVaultToken,
+    slackClient: slackClient
+}));
+
+// Push approval lifecycle changes to the requester's event stream
+approvals.on('created', request => eventHub.publish(request.user_id, 'approval.updated', { request }));
+approvals.on('transition', request => eventHub.publish(request.user_id, 'approval.updated', { request }));
+
+// Expire pending approval requests that have passed their deadline
+const approvalSweeper = setInterval(() => {
+    approvals.expireStale().forEach(request => {
+        logSecurityEvent('APPROVAL_EXPIRED', request.user_id, {
+            requestId: request.id,
+            action: request.action,
+            resource: request.resource
         });
-        
-        if (!canGrantCheck.allowed) {
-            // Also check if user is a manager of the resource
-            const isManagerCheck = await fgaClient.check({
-                user: `user:${user.sub}`,
-                relation: 'manager',
-                object: resource
-            });
-            
-            if (!isManagerCheck.allowed) {
-                return res.status(403).json({ 
-                    error: 'Insufficient permissions',
-                    message: 'You must be an owner or manager to grant access to this resource'
-                });
+    });
+}, 60 * 1000);
+approvalSweeper.unref();
+
+// Document store: content lives here, access control in FGA `document` relations
+const documents = createDocumentStore({ filePath: resolveDataPath('documents.json') });
+
+// Projects: attached documents, calendars and tasks
+const projects = createProjectStore({ filePath: resolveDataPath('projects.json') });
+
+// Seed the demo projects and documents on first start (access comes from config/fga-tuples.json)
+if (documents.list().length === 0) {
+    require('../config/demo-documents.json').forEach(document => documents.create({
+        id: document.id,
+        title: document.title,
+        content: document.content,
+        createdBy: null
+    }));
+}
+if (projects.list().length === 0) {
+    require('../config/demo-projects.json').forEach(seed => {
+        projects.create({ id: seed.id, name: seed.name, description: seed.description, status: seed.status, createdBy: null });
+        (seed.repositories || []).forEach(repository => projects.linkRepository(seed.id, repository));
+        RESOURCE_TYPES.forEach(type => seed.resources[type].forEach(resourceId => {
+            projects.attach(seed.id, type, resourceId);
+            if (type === 'document' && documents.get(resourceId)) {
+                documents.update(resourceId, { project: seed.id }, null);
             }
-        }
-        
-        // Write the relationship tuple
-        const writeResult = await fgaClient.write({
-            writes: [{
-                user: `user:${targetUser}`,
-                relation: relation,
-                object: resource
-            }]
-        });
-        
-        // Log the permission grant for audit
-        console.log(`FGA Grant: ${user.sub} granted ${relation} on ${resource} to ${targetUser}`);
-        
-        res.json({
-            success: true,
-            message: `Access granted: ${targetUser} can now ${relation} ${resource}`,
-            source: 'fga',
-            timestamp: new Date().toISOString(),
-            grantedBy: user.sub
-        });
-        
-    } catch (error) {
-        console.error('Error granting FGA access:', error);
-        res.status(500).json({ 
-            error: 'Permission grant failed',
-            message: 'Unable to grant access permissions'
-        });
+        }));
+    });
+}
+
+// Approved delete-project requests (high-risk, confirmed over CIBA by default) delete the project
+registerProjectDeletion({ approvalActions, projects, documents, authorizer, logSecurityEvent });
+
+// Deleted documents leave their project (the route has already removed the document's tuples)
+documents.on('deleted', document => {
+    const parent = projects.findParent('document', document.id);
+    if (parent) {
+        projects.detach(parent.id, 'document', document.id);
     }
 });
 
-// Asynchronous Authorization Route
-app.post('/api/async-approval', jwtCheck, async (req, res) => {
-    try {
-        const { action, resource, justification } = req.body;
-        const user = req.auth; // JWT payload contains user info
-        
-        // Store approval request (in production, this would be in a database)
-        const approvalRequest = {
-            id: generateRequestId(),
-            user_id: user.sub,
-            user_name: user.name,
-            action: action,
-            resource: resource,
-            justification: justification,
-            status: 'pending',
-            created_at: new Date().toISOString()
-        };
-        
-        // In production, this would trigger a notification to managers
-        console.log('Approval request created:', approvalRequest);
-        
-        // Simulate async notification (in production, use webhooks, email, or push notifications)
-        setTimeout(() => {
-            simulateApprovalDecision(approvalRequest.id);
-        }, 5000); // Auto-approve after 5 seconds for demo
-        
-        res.json({
-            request_id: approvalRequest.id,
-            status: 'pending',
-            message: 'Approval request submitted. You will be notified when approved.'
+app.use('/api/documents', createDocumentRouter({
+    authenticate: jwtCheck,
+    documents: documents,
+    authorizer: authorizer,
+    relations: FGA_CONFIG.relations.document,
+    logSecurityEvent: logSecurityEvent
+}));
+
+// GitHub issues, pull requests and commits of each project's linked repositories
+const projectGitHub = createProjectGitHub({ projects, authorizer, getTokenVaultToken, githubClient });
+
+app.use('/api/projects/:id/github', createGitHubRouter({
+    authenticate: jwtCheck,
+    projectGitHub: projectGitHub,
+    requester: approvalRequester
+}));
+
+app.use('/api/projects', createProjectRouter({
+    authenticate: jwtCheck,
+    projects: projects,
+    members: projectMembers,
+    documents: documents,
+    authorizer: authorizer,
+    requester: approvalRequester,
+    logSecurityEvent: logSecurityEvent
+}));
+
+// Document retrieval (RAG): local BM25 index, filtered by FGA viewer checks
+const documentIndex = createDocumentIndex({ filePath: resolveDataPath('document-index.json') });
+
+// The index is built from the document store only and kept in step with it
+followDocumentStore(documentIndex, documents);
+
+const retriever = createRetriever({ index: documentIndex, authorizer, logSecurityEvent });
+
+app.use('/api/rag', createRagRouter({
+    authenticate: jwtCheck,
+    retriever: retriever
+}));
+
+// Calendar proxy: events are read and written server-side with the vaulted Google token
+const calendarClient = createCalendarClient({ apiUrl: process.env.GOOGLE_CALENDAR_API_URL });
+
+app.use('/api/calendar', createCalendarRouter({
+    authenticate: jwtCheck,
+    authorizer: authorizer,
+    getTokenVaultToken: getTokenVaultToken,
+    calendarClient: calendarClient,
+    logSecurityEvent: logSecurityEvent
+}));
+
+// AI agent chat: tools share the Token Vault, FGA, retrieval and approval services above
+const agent = createAgent({
+    provider: createProviderFromEnv(),
+    tools: createAgentTools({
+        authorizer: authorizer,
+        grants: accessGrants,
+        getTokenVaultToken: getTokenVaultToken,
+        approvalRequester: approvalRequester,
+        retriever: retriever,
+        projectGitHub: projectGitHub,
+        calendarClient: calendarClient
+    }),
+    onToolCall: (user, call, result) => {
+        logSecurityEvent('AGENT_TOOL_CALL', user.id, {
+            tool: call.name,
+            arguments: auditedToolArguments(call),
+            outcome: result.error ? 'error' : 'ok',
+            error: result.error
         });
-    } catch (error) {
-        console.error('Error creating approval request:', error);
-        res.status(500).json({ error: 'Failed to create approval request' });
     }
 });
 
-// Helper Functions
-
-// Real Token Vault integration
-async function getTokenVaultToken(userId, service) {
-    try {
-        if (!management) {
-            throw new Error('Auth0 Management API not configured');
-        }
-        
-        const config = TOKEN_VAULT_CONFIG[service];
-        if (!config) {
-            throw new Error(`Service ${service} not configured`);
-        }
-        
-        // Use Auth0 Management API to get token from Token Vault
-        const tokenRequest = {
-            user_id: userId,
-            connection: config.connection,
-            scope: config.scope
-        };
-        
-        // Call Auth0 Token Vault API
-        const response = await management.getAccessToken(tokenRequest);
-        
-        if (!response || !response.access_token) {
-            return {
-                success: false,
-                message: `No ${service} token available for user. User may need to connect their ${service} account.`
-            };
-        }
-        
-        return {
-            success: true,
-            access_token: response.access_token,
-            expires_in: response.expires_in || 3600,
-            refresh_token: response.refresh_token,
-            scope: response.scope || config.scope
-        };
-        
-    } catch (error) {
-        console.error(`Token Vault error for ${service}:`, error);
-        
-        // Fallback to demo mode if Token Vault not available
-        if (process.env.NODE_ENV === 'development') {
-            console.warn(`Falling back to demo token for ${service}`);
-            return {
-                success: true,
-                access_token: `demo_${service}_${generateToken()}`,
-                expires_in: 3600,
-                scope: TOKEN_VAULT_CONFIG[service].scope
-            };
-        }
-        
-        return {
-            success: false,
-            message: `Failed to retrieve ${service} token: ${error.message}`
-        };
+// Search queries are the user's free text and stay out of the audit log
+function auditedToolArguments(call) {
+    if (call.name !== 'search_documents') {
+        return call.arguments;
     }
+    const { query, ...rest } = call.arguments || {};
+    return { ...rest, ...(query !== undefined && { query: '[omitted]' }) };
 }
 
-// Enhanced mock permissions for development
-function getMockPermissions(userId) {
-    return {
-        'document:project-plan:viewer': true,
-        'document:project-plan:editor': userId.includes('admin'),
-        'document:project-plan:owner': userId.includes('admin'),
-        'document:requirements:viewer': true,
-        'document:requirements:editor': true,
-        'document:requirements:owner': userId.includes('admin'),
-        'document:architecture:viewer': true,
-        'document:architecture:editor': userId.includes('admin'),
-        'project:alpha-release:member': true,
-        'project:alpha-release:manager': userId.includes('admin'),
-        'project:alpha-release:owner': userId.includes('admin'),
-        'calendar:team-calendar:reader': true,
-        'calendar:team-calendar:writer': userId.includes('admin')
-    };
+app.use('/api/chat', createChatRouter({ authenticate: jwtCheck, agent }));
+
+// Audit trail: callers read their own entries, auditors read everyone's
+app.use('/api/audit', createAuditRouter({
+    authenticate: jwtCheck,
+    auditLog: auditLog,
+    auditorIds: (process.env.AUDIT_READERS || '').split(',').map(id => id.trim()).filter(Boolean),
+    logSecurityEvent: logSecurityEvent
+}));
+
+// Live event stream (Server-Sent Events) scoped to the JWT subject
+app.get('/api/events', jwtCheck, (req, res) => {
+    const user = getAuthUser(req);
+    eventHub.subscribe(user.id, res, req.get('Last-Event-ID') || req.query.lastEventId);
+});
+
+// Helper Functions
+
+// Real Token Vault integration, through the token cache; every use is audited
+async function getTokenVaultToken(userId, service) {
+    const token = await tokenCache.get(userId, service);
+    recordAudit('TOKEN_VAULT_ACCESS', userId, { service: service, success: token.success, ...(token.demo && { demo: true }) });
+    return token;
 }
 
 // Logging utility
@@ -808,60 +912,41 @@ function logSecurityEvent(event, userId, details = {}) {
         ...details
     };
     
-    console.log(`[SECURITY] ${JSON.stringify(logEntry)}`);
+    logger.info(event, { category: 'security', userId: userId, details: details });
+    recordAudit(event, userId, details);
     
-    // In production, send to monitoring service
-    if (process.env.NODE_ENV === 'production') {
-        // Example: send to logging service
-        // await sendToLoggingService(logEntry);
+    // Surface the event on the user's live security log
+    if (userId && userId !== 'system') {
+        eventHub.publish(userId, 'security.event', logEntry);
     }
 }
 
-async function simulateTokenVaultExchange(userId, service) {
-    // In a real implementation, this would integrate with Auth0's Token Vault
-    // This is a simulation for demo purposes
-    return {
-        access_token: `tvault_${service}_${generateToken()}`,
-        expires_in: 3600,
-        token_type: 'Bearer'
-    };
-}
-
-function generateRequestId() {
-    return 'req_' + Math.random().toString(36).substr(2, 9);
-}
-
-function generateToken() {
-    return Math.random().toString(36).substr(2, 16);
-}
-
-function simulateApprovalDecision(requestId) {
-    // In production, this would be handled by a manager or automated system
-    console.log(`Approval request ${requestId} has been auto-approved for demo purposes`);
-    
-    // Notify the frontend (in production, use WebSockets, SSE, or polling)
-    // For demo, we'll just log it
+// Append to the audit log; a failed write is reported but never fails the request
+function recordAudit(event, userId, details = {}) {
+    try {
+        auditLog.append(event, userId, details);
+    } catch (error) {
+        logger.error('Audit log write failed', { event: event, error: error });
+    }
 }
 
 // Enhanced error handling middleware
 app.use((error, req, res, next) => {
-    // Log the error with context
-    const errorContext = {
-        timestamp: new Date().toISOString(),
+    // Log the error with context; the request ID and user are added by the logger
+    logger.error('Request failed', {
         method: req.method,
         url: req.url,
         userAgent: req.get('User-Agent'),
         ip: req.ip,
-        userId: req.auth?.sub || 'anonymous',
-        errorMessage: error.message,
-        errorStack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    };
+        error: error
+    });
     
-    console.error('[ERROR]', JSON.stringify(errorContext, null, 2));
+    // A request without a bearer token is an InvalidRequestError (400) from jwtCheck; answer it as unauthenticated
+    const unauthenticated = error.name === 'UnauthorizedError' || error instanceof InvalidRequestError;
     
     // Log security events for specific error types
-    if (error.status === 401 || error.status === 403) {
-        logSecurityEvent('ACCESS_DENIED', req.auth?.sub || 'anonymous', {
+    if (unauthenticated || error.status === 401 || error.status === 403) {
+        logSecurityEvent('ACCESS_DENIED', req.auth?.payload?.sub || 'anonymous', {
             method: req.method,
             url: req.url,
             errorMessage: error.message
@@ -872,7 +957,7 @@ app.use((error, req, res, next) => {
     let statusCode = 500;
     let clientMessage = 'Internal server error';
     
-    if (error.name === 'UnauthorizedError') {
+    if (unauthenticated) {
         statusCode = 401;
         clientMessage = 'Authentication required';
     } else if (error.name === 'ValidationError') {
@@ -897,15 +982,12 @@ app.use((error, req, res, next) => {
 
 // 404 handler for unmatched routes
 app.use('*', (req, res) => {
-    const notFoundContext = {
-        timestamp: new Date().toISOString(),
+    logger.warn('Resource not found', {
         method: req.method,
         url: req.originalUrl,
         ip: req.ip,
         userAgent: req.get('User-Agent')
-    };
-    
-    console.warn('[404]', JSON.stringify(notFoundContext));
+    });
     
     res.status(404).json({
         error: 'Resource not found',
@@ -919,7 +1001,7 @@ process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 
 process.on('unhandledRejection', (reason, promise) => {
-    console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+    logger.error('Unhandled rejection', { reason: reason });
     logSecurityEvent('UNHANDLED_REJECTION', 'system', { 
         reason: reason?.message || reason,
         stack: reason?.stack 
@@ -932,7 +1014,7 @@ process.on('unhandledRejection', (reason, promise) => {
 });
 
 process.on('uncaughtException', (error) => {
-    console.error('Uncaught Exception:', error);
+    logger.error('Uncaught exception', { error: error });
     logSecurityEvent('UNCAUGHT_EXCEPTION', 'system', { 
         error: error.message,
         stack: error.stack 
@@ -944,49 +1026,64 @@ process.on('uncaughtException', (error) => {
 
 // Start server
 const PORT = process.env.PORT || 3000;
-const server = app.listen(PORT, () => {
-    console.log(`✅ AI Project Manager server running on port ${PORT}`);
-    console.log(`✅ Environment: ${process.env.NODE_ENV || 'development'}`);
-    console.log(`✅ Auth0 domain: ${AUTH0_CONFIG.domain}`);
-    console.log(`✅ Auth0 configured: ${!!(process.env.AUTH0_DOMAIN && process.env.AUTH0_CLIENT_ID)}`);
-    console.log(`✅ FGA configured: ${!!(process.env.FGA_STORE_ID)}`);
-    console.log(`✅ Rate limiting enabled: ${process.env.RATE_LIMIT_ENABLED !== 'false'}`);
-    console.log(`✅ Security headers enabled: ${process.env.ENABLE_HELMET !== 'false'}`);
-    console.log(`✅ Health check: /api/health`);
-    console.log(`✅ Metrics: /api/metrics`);
-    console.log(`✅ Ready probe: /api/ready`);
-    console.log(`✅ Live probe: /api/live`);
-    
-    // Log startup security event
-    logSecurityEvent('SERVER_STARTED', 'system', {
-        port: PORT,
-        environment: process.env.NODE_ENV || 'development',
-        auth0Configured: !!(process.env.AUTH0_DOMAIN && process.env.AUTH0_CLIENT_ID),
-        fgaConfigured: !!(process.env.FGA_STORE_ID),
-        securityEnabled: process.env.ENABLE_HELMET !== 'false'
+let server = null;
+
+// Only listen when run directly; tests and serverless hosts import the app
+if (require.main === module) {
+    server = app.listen(PORT, () => {
+        logger.info('AI Project Manager server running', {
+            port: PORT,
+            environment: process.env.NODE_ENV || 'development',
+            auth0Domain: AUTH0_CONFIG.domain,
+            auth0Configured: !!(process.env.AUTH0_DOMAIN && process.env.AUTH0_CLIENT_ID),
+            fgaConfigured: !!(process.env.FGA_STORE_ID),
+            rateLimiting: process.env.RATE_LIMIT_ENABLED !== 'false',
+            securityHeaders: process.env.ENABLE_HELMET !== 'false',
+            endpoints: ['/api/health', '/api/metrics', '/api/ready', '/api/live']
+        });
+        if (SANDBOX_CONFIG.enabled) {
+            logger.info('Sandbox issuer ready', {
+                issuer: SANDBOX_CONFIG.issuerUrl,
+                users: sandboxManagement.listUsers().map(user => user.user_id)
+            });
+        }
+        
+        // Log startup security event
+        logSecurityEvent('SERVER_STARTED', 'system', {
+            port: PORT,
+            environment: process.env.NODE_ENV || 'development',
+            auth0Configured: !!(process.env.AUTH0_DOMAIN && process.env.AUTH0_CLIENT_ID),
+            sandboxMode: SANDBOX_CONFIG.enabled,
+            fgaConfigured: !!(process.env.FGA_STORE_ID),
+            securityEnabled: process.env.ENABLE_HELMET !== 'false'
+        });
     });
-});
+}
 
 // Graceful shutdown with timeout
 const gracefulShutdown = (signal) => {
-    console.log(`${signal} received, starting graceful shutdown`);
+    logger.info('Starting graceful shutdown', { signal });
     
     logSecurityEvent('SERVER_SHUTDOWN_INITIATED', 'system', { signal });
     
+    if (!server) {
+        process.exit(0);
+    }
+    
     server.close((err) => {
         if (err) {
-            console.error('Error during server shutdown:', err);
+            logger.error('Error during server shutdown', { error: err });
             process.exit(1);
         }
         
-        console.log('Server closed successfully');
+        logger.info('Server closed');
         logSecurityEvent('SERVER_SHUTDOWN_COMPLETED', 'system', { signal });
         process.exit(0);
     });
     
     // Force close after 30 seconds
     setTimeout(() => {
-        console.error('Could not close connections in time, forcefully shutting down');
+        logger.error('Could not close connections in time, forcefully shutting down');
         process.exit(1);
     }, 30000);
 };
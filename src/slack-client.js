@@ -0,0 +1,79 @@
+/**
+ * Slack Web API Client
+ * Lists channels and posts messages with the user's vaulted Slack token,
+ * server-side only. Slack reports failures as `{ ok: false, error }` with an
+ * HTTP 200, so both shapes are turned into HttpErrors that never echo the token.
+ */
+
+const axios = require('axios');
+const { HttpError } = require('./errors');
+
+const DEFAULT_API_URL = 'https://slack.com/api';
+
+// Slack error codes that mean the caller asked for something invalid
+const CLIENT_ERRORS = {
+    channel_not_found: [404, 'Not found', 'Slack channel not found'],
+    not_in_channel: [409, 'Not in channel', 'The Slack app is not a member of this channel'],
+    is_archived: [409, 'Channel archived', 'The Slack channel is archived'],
+    msg_too_long: [400, 'Invalid request', 'Message is too long for Slack'],
+    no_text: [400, 'Invalid request', 'Message text is required']
+};
+
+function createSlackClient({ apiUrl = DEFAULT_API_URL, http = axios } = {}) {
+    function slackError(code) {
+        if (CLIENT_ERRORS[code]) {
+            return new HttpError(...CLIENT_ERRORS[code]);
+        }
+        if (['invalid_auth', 'not_authed', 'token_revoked', 'token_expired', 'missing_scope'].includes(code)) {
+            return new HttpError(502, 'Slack unavailable', `Slack rejected the vaulted token (${code}); reconnect the account under Connected Accounts`);
+        }
+        return new HttpError(502, 'Slack unavailable', `Slack request failed${code ? ` (${code})` : ''}`);
+    }
+
+    async function call(method, accessToken, request) {
+        let response;
+        try {
+            response = await request(`${apiUrl}/${method}`, {
+                headers: { Authorization: `Bearer ${accessToken}` },
+                timeout: 10000
+            });
+        } catch (error) {
+            throw slackError(error.response?.data?.error);
+        }
+
+        if (!response.data?.ok) {
+            throw slackError(response.data?.error);
+        }
+        return response.data;
+    }
+
+    // Public channels visible to the token (needs channels:read)
+    async function listChannels(accessToken, { limit = 200 } = {}) {
+        const data = await call('conversations.list', accessToken, (url, options) => http.get(url, {
+            ...options,
+            params: { types: 'public_channel', exclude_archived: true, limit: limit }
+        }));
+
+        return (data.channels || []).map(channel => ({
+            id: channel.id,
+            name: channel.name,
+            is_member: !!channel.is_member,
+            topic: channel.topic?.value || ''
+        }));
+    }
+
+    // Post `text` to a channel id or name (needs chat:write)
+    async function postMessage(accessToken, { channel, text }) {
+        const data = await call('chat.postMessage', accessToken, (url, options) => http.post(url, { channel, text }, options));
+        return { channel: data.channel, ts: data.ts };
+    }
+
+    return {
+        listChannels,
+        postMessage
+    };
+}
+
+module.exports = {
+    createSlackClient
+};
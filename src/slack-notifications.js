@@ -0,0 +1,63 @@
+/**
+ * Slack Notifications
+ * `slack-notification` approval requests hold a composed message for a
+ * channel. Nothing is sent when the request is filed; once approved, the
+ * message is posted with the requester's vaulted Slack token and the delivery
+ * outcome is written to the security log.
+ */
+
+const { HttpError } = require('./errors');
+
+const SLACK_NOTIFICATION_ACTION = 'slack-notification';
+const MAX_MESSAGE_LENGTH = 4000;
+const CHANNEL_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,79}$/;
+
+// Channel name or id without the leading '#'
+function normalizeChannel(channel) {
+    return typeof channel === 'string' ? channel.trim().replace(/^#/, '') : '';
+}
+
+// Validate the composed message; returns the details to store
+function validateSlackNotification({ resource, details = {} }) {
+    const channel = normalizeChannel(details.channel || (resource || '').replace(/^slack:/, ''));
+    if (!CHANNEL_PATTERN.test(channel)) {
+        throw new HttpError(400, 'Invalid request', 'A Slack channel name or id is required');
+    }
+
+    const message = typeof details.message === 'string' ? details.message.trim() : '';
+    if (!message || message.length > MAX_MESSAGE_LENGTH) {
+        throw new HttpError(400, 'Invalid request', `Message is required (max ${MAX_MESSAGE_LENGTH} characters)`);
+    }
+
+    return { ...details, channel, message };
+}
+
+// Post the message when a notification request is approved
+function registerSlackDelivery({ approvalActions, getTokenVaultToken, slackClient, logSecurityEvent }) {
+    approvalActions.register(SLACK_NOTIFICATION_ACTION, async request => {
+        const { channel, message } = request.details || {};
+        const audit = { requestId: request.id, channel: channel, approvedBy: request.decided_by };
+
+        try {
+            const token = await getTokenVaultToken(request.user_id, 'slack');
+            if (!token.success) {
+                throw new Error(token.message || 'Slack is not connected');
+            }
+
+            const posted = await slackClient.postMessage(token.access_token, { channel, text: message });
+
+            logSecurityEvent('SLACK_NOTIFICATION_SENT', request.user_id, { ...audit, ts: posted.ts });
+            return { channel: posted.channel, ts: posted.ts };
+        } catch (error) {
+            logSecurityEvent('SLACK_NOTIFICATION_FAILED', request.user_id, { ...audit, error: error.message });
+            throw error;
+        }
+    });
+}
+
+module.exports = {
+    SLACK_NOTIFICATION_ACTION,
+    normalizeChannel,
+    validateSlackNotification,
+    registerSlackDelivery
+};
@@ -0,0 +1,156 @@
+/**
+ * Token Vault Token Cache
+ * Keeps each user's provider tokens in memory, keyed by user and provider, so
+ * the Management API is not called on every request. Entries live until the
+ * token expires; within `refreshMarginMs` of expiry the cached token is still
+ * served while a refresh runs in the background. Concurrent lookups for the
+ * same user and provider share one Token Vault call (single flight).
+ *
+ * Only successful tokens are cached; a failed refresh leaves the cached token
+ * in place until it expires. Entries are evicted when the user disconnects
+ * the provider or logs out; an eviction while a fetch is in flight keeps that
+ * fetch's result out of the cache.
+ */
+
+const { logger } = require('./logger');
+
+const DEFAULT_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 10000;
+
+function createTokenCache({
+    fetchToken,
+    refreshMarginMs = DEFAULT_REFRESH_MARGIN_MS,
+    maxEntries = DEFAULT_MAX_ENTRIES,
+    now = Date.now
+}) {
+    const entries = new Map(); // "userId service" -> { token, expiresAt }
+    const inflight = new Map(); // "userId service" -> Promise of the token result
+    const counters = { hits: 0, misses: 0, fetches: 0, coalesced: 0, refreshes: 0, refreshFailures: 0, evictions: 0 };
+
+    function key(userId, service) {
+        return `${userId} ${service}`;
+    }
+
+    // Cached token with `expires_in` counted down to the remaining lifetime
+    function serve(entry) {
+        return {
+            ...entry.token,
+            expires_in: Math.max(0, Math.floor((entry.expiresAt - now()) / 1000))
+        };
+    }
+
+    function store(entryKey, token) {
+        // Maps iterate in insertion order, so the first key is the oldest entry
+        if (!entries.has(entryKey) && entries.size >= maxEntries) {
+            entries.delete(entries.keys().next().value);
+            counters.evictions++;
+        }
+        entries.set(entryKey, {
+            token: token,
+            expiresAt: now() + token.expires_in * 1000
+        });
+    }
+
+    // One Token Vault call per user and provider at a time
+    function fetchOnce(userId, service) {
+        const entryKey = key(userId, service);
+        if (inflight.has(entryKey)) {
+            counters.coalesced++;
+            return inflight.get(entryKey);
+        }
+
+        counters.fetches++;
+
+        // An eviction removes the fetch from `inflight`; its result is then discarded
+        const pending = Promise.resolve()
+            .then(() => fetchToken(userId, service))
+            .then(token => {
+                if (inflight.get(entryKey) !== pending) {
+                    return token;
+                }
+                if (token.success) {
+                    store(entryKey, token);
+                } else if (!(entries.get(entryKey)?.expiresAt > now())) {
+                    entries.delete(entryKey);
+                }
+                return token;
+            })
+            .finally(() => {
+                if (inflight.get(entryKey) === pending) {
+                    inflight.delete(entryKey);
+                }
+            });
+
+        inflight.set(entryKey, pending);
+        return pending;
+    }
+
+    // Token for `userId` and `service`, from the cache when it is still valid
+    async function get(userId, service) {
+        const entry = entries.get(key(userId, service));
+
+        if (entry && entry.expiresAt > now()) {
+            counters.hits++;
+
+            // Refresh ahead of expiry; callers keep getting the cached token meanwhile
+            if (entry.expiresAt - now() <= refreshMarginMs && !inflight.has(key(userId, service))) {
+                counters.refreshes++;
+                fetchOnce(userId, service).then(token => {
+                    if (!token.success) {
+                        counters.refreshFailures++;
+                    }
+                }, error => {
+                    counters.refreshFailures++;
+                    logger.error('Token refresh failed', { userId: userId, service: service, error: error });
+                });
+            }
+
+            return serve(entry);
+        }
+
+        counters.misses++;
+        return fetchOnce(userId, service);
+    }
+
+    // Drop a user's cached token for one provider, or all of their providers
+    function evict(userId, service = null) {
+        let removed = 0;
+        const matches = service
+            ? entryKey => entryKey === key(userId, service)
+            : entryKey => entryKey.startsWith(key(userId, ''));
+
+        new Set([...entries.keys(), ...inflight.keys()]).forEach(entryKey => {
+            if (!matches(entryKey)) {
+                return;
+            }
+            inflight.delete(entryKey);
+            if (entries.delete(entryKey)) {
+                removed++;
+            }
+        });
+
+        counters.evictions += removed;
+        return removed;
+    }
+
+    function stats() {
+        const lookups = counters.hits + counters.misses;
+        return {
+            ...counters,
+            size: entries.size,
+            inflight: inflight.size,
+            refreshMarginMs: refreshMarginMs,
+            hitRate: lookups === 0 ? 0 : Number((counters.hits / lookups).toFixed(4))
+        };
+    }
+
+    return {
+        get,
+        evict,
+        stats
+    };
+}
+
+module.exports = {
+    createTokenCache
+};
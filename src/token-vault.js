@@ -0,0 +1,143 @@
+/**
+ * Token Vault Provider Registry
+ * Every third-party service the agent can act on is declared in
+ * config/token-providers.json: its Auth0 connection, scopes and how the token
+ * response is shaped. Adding a provider (Jira, Microsoft, ...) only needs a new
+ * entry there; `/api/tokens/:service` and the agent tools pick it up.
+ * Tokens themselves stay on the server: the route only reports whether one is
+ * available, and the calendar proxy and agent tools call providers with it.
+ *
+ * Provider fields:
+ * - `displayName`: label for the UI
+ * - `connection`: Auth0 connection holding the user's federated tokens
+ * - `scopes`: scopes requested from Token Vault
+ * - `scopeSeparator`: how the provider joins scopes (default " ")
+ * - `tokenType`: token type reported to callers (default "Bearer")
+ * - `responseFields`: extra fields copied from the vault response (e.g. Slack's `team`)
+ *
+ * Demo tokens (the development fallback and the sandbox Management API's
+ * tokens) are flagged `demo: true` all the way to the token status response.
+ */
+
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+const { logger } = require('./logger');
+
+const DEFAULT_EXPIRES_IN = 3600;
+
+function createTokenVault({ providers, getManagement, demoFallback = false }) {
+    function getProvider(service) {
+        const provider = Object.prototype.hasOwnProperty.call(providers, service) ? providers[service] : null;
+        if (!provider) {
+            throw new HttpError(404, 'Not found', `Unknown token service '${service}'. Available: ${Object.keys(providers).join(', ')}`);
+        }
+        return provider;
+    }
+
+    function scopeString(provider) {
+        return provider.scopes.join(provider.scopeSeparator || ' ');
+    }
+
+    function listProviders() {
+        return Object.entries(providers).map(([service, provider]) => ({
+            service: service,
+            display_name: provider.displayName || service,
+            connection: provider.connection,
+            scopes: provider.scopes
+        }));
+    }
+
+    function isConfigured() {
+        return !!getManagement();
+    }
+
+    // Fetch `userId`'s token for `service`; resolves to { success, ... } like the
+    // rest of the Token Vault helpers. Unknown services throw a 404 HttpError.
+    async function getToken(userId, service) {
+        const provider = getProvider(service);
+
+        try {
+            const management = getManagement();
+            if (!management) {
+                throw new Error('Auth0 Management API not configured');
+            }
+
+            // Use Auth0 Management API to get token from Token Vault
+            const response = await management.getAccessToken({
+                user_id: userId,
+                connection: provider.connection,
+                scope: scopeString(provider)
+            });
+
+            if (!response || !response.access_token) {
+                return {
+                    success: false,
+                    message: `No ${service} token available for user. User may need to connect their ${provider.displayName || service} account under Connected Accounts.`
+                };
+            }
+
+            return {
+                success: true,
+                access_token: response.access_token,
+                expires_in: response.expires_in || DEFAULT_EXPIRES_IN,
+                refresh_token: response.refresh_token,
+                scope: response.scope || scopeString(provider),
+                demo: response.sandbox === true,
+                raw: response
+            };
+
+        } catch (error) {
+            logger.error('Token Vault request failed', { service: service, error: error });
+
+            // Fallback to demo mode if Token Vault not available
+            if (demoFallback) {
+                logger.warn('Falling back to a demo token', { service: service });
+                return {
+                    success: true,
+                    access_token: `demo_${service}_${crypto.randomBytes(8).toString('hex')}`,
+                    expires_in: DEFAULT_EXPIRES_IN,
+                    scope: scopeString(provider),
+                    demo: true
+                };
+            }
+
+            return {
+                success: false,
+                message: `Failed to retrieve ${service} token: ${error.message}`
+            };
+        }
+    }
+
+    // Token status for API callers; access and refresh tokens never leave the server
+    function shapeTokenResponse(service, token) {
+        const provider = getProvider(service);
+        const extra = {};
+        (provider.responseFields || []).forEach(field => {
+            if (token.raw && token.raw[field] !== undefined) {
+                extra[field] = token.raw[field];
+            }
+        });
+
+        return {
+            service: service,
+            available: true,
+            expires_in: token.expires_in,
+            scope: token.scope,
+            token_type: provider.tokenType || 'Bearer',
+            ...(token.demo && { demo: true }),
+            ...extra
+        };
+    }
+
+    return {
+        getProvider,
+        listProviders,
+        isConfigured,
+        getToken,
+        shapeTokenResponse
+    };
+}
+
+module.exports = {
+    createTokenVault
+};
@@ -0,0 +1,147 @@
+/**
+ * AI Agent Tests
+ * Runs the agent loop offline with the deterministic local provider
+ */
+
+const { createAgent } = require('../src/agent');
+const { createAgentTools } = require('../src/agent-tools');
+const { createLocalProvider } = require('../src/llm-providers');
+const { createApprovalStore } = require('../src/approval-store');
+const { createApprovalRequester } = require('../src/approval-requests');
+const { HttpError } = require('../src/errors');
+const { createAccessGrants } = require('../src/access-grants');
+const { createProjectMembers } = require('../src/project-members');
+const { createAuthorizer } = require('../src/authorization');
+const { createLocalFgaClient } = require('../src/fga-local-engine');
+const { createChatRouter } = require('../src/routes/chat');
+const { FGA_CONFIG } = require('../config/auth0-config');
+const model = require('../config/fga-model.json');
+const express = require('express');
+const request = require('supertest');
+
+const alice = { id: 'auth0|alice', name: 'Alice' };
+
+// Authorizer stub backed by a fixed tuple list
+function createStubAuthorizer(tuples) {
+    const has = (userId, relation, object) => tuples.includes(`${userId}#${relation}@${object}`);
+    return {
+        check: async (userId, relation, object) => ({ allowed: has(userId, relation, object), source: 'stub' }),
+        grant: async ({ actorId, object }) => {
+            if (!has(actorId, 'owner', object)) {
+                throw new HttpError(403, 'Insufficient permissions', 'You must be an owner or manager to grant access to this resource');
+            }
+            return { source: 'stub', expiresAt: null };
+        }
+    };
+}
+
+function buildAgent({ tuples = [], getTokenVaultToken, http } = {}) {
+    const approvals = createApprovalStore();
+    const authorizer = createStubAuthorizer(tuples);
+    const agent = createAgent({
+        provider: createLocalProvider(),
+        tools: createAgentTools({
+            authorizer: authorizer,
+            grants: createAccessGrants({ authorizer, relations: FGA_CONFIG.relations, members: null }),
+            getTokenVaultToken: getTokenVaultToken || (async () => ({ success: false, message: 'Google Calendar is not connected' })),
+            approvalRequester: createApprovalRequester({ approvals, logSecurityEvent: () => {} }),
+            http: http
+        })
+    });
+    return { agent, approvals };
+}
+
+describe('AI agent', () => {
+    test('should answer from FGA-checked document access', async () => {
+        const { agent } = buildAgent({ tuples: ['auth0|alice#viewer@document:requirements'] });
+
+        const result = await agent.run({ user: alice, message: 'Can I open document:requirements?' });
+
+        expect(result.toolCalls[0].name).toBe('check_document_access');
+        expect(result.reply).toBe('You have viewer access to document:requirements.');
+    });
+
+    test('should hold team notifications for approval', async () => {
+        const { agent, approvals } = buildAgent();
+
+        const result = await agent.run({ user: alice, message: 'Notify the team on Slack: "Release moved to Friday"' });
+        const [request] = approvals.list({ userId: alice.id });
+
+        expect(request.action).toBe('slack-notification');
+        expect(request.status).toBe('pending');
+        expect(request.details.message).toBe('Release moved to Friday');
+        expect(result.reply).toContain(request.id);
+    });
+
+    test('should refuse grants the user is not allowed to make', async () => {
+        const { agent } = buildAgent({ tuples: ['auth0|alice#viewer@document:architecture'] });
+
+        const result = await agent.run({ user: alice, message: 'Grant viewer on document:architecture to auth0|bob' });
+
+        expect(result.toolCalls[0].result.error).toMatch(/owner or manager/);
+        expect(result.reply).toMatch(/couldn't complete grant_access/);
+    });
+
+    test('should read calendar events with a vaulted token without exposing it', async () => {
+        const http = {
+            get: jest.fn(async () => ({
+                data: { items: [{ summary: 'Auth0 Integration Review', start: { dateTime: '2025-10-20T14:00:00Z' } }] }
+            }))
+        };
+        const { agent } = buildAgent({
+            tuples: ['auth0|alice#reader@calendar:team-calendar'],
+            getTokenVaultToken: async () => ({ success: true, access_token: 'vaulted-secret' }),
+            http
+        });
+
+        const result = await agent.run({ user: alice, message: 'What meetings do I have?' });
+
+        expect(http.get.mock.calls[0][1].headers.Authorization).toBe('Bearer vaulted-secret');
+        expect(result.reply).toContain('Auth0 Integration Review');
+        expect(JSON.stringify(result)).not.toContain('vaulted-secret');
+    });
+
+    test('should deny calendar access without the reader relation', async () => {
+        const getTokenVaultToken = jest.fn();
+        const { agent } = buildAgent({ getTokenVaultToken });
+
+        const result = await agent.run({ user: alice, message: 'Show my calendar' });
+
+        expect(getTokenVaultToken).not.toHaveBeenCalled();
+        expect(result.reply).toMatch(/reader access/);
+    });
+
+    test('should not let a project manager make themselves owner through /api/chat', async () => {
+        const client = createLocalFgaClient({
+            model,
+            seedTuples: [
+                { user: 'user:auth0|alice', relation: 'owner', object: 'project:p' },
+                { user: 'user:auth0|bob', relation: 'manager', object: 'project:p' }
+            ]
+        });
+        const authorizer = createAuthorizer({ getClient: () => client, relations: FGA_CONFIG.relations });
+        const members = createProjectMembers({ authorizer });
+        const agent = createAgent({
+            provider: createLocalProvider(),
+            tools: createAgentTools({
+                authorizer,
+                grants: createAccessGrants({ authorizer, relations: FGA_CONFIG.relations, members }),
+                approvalRequester: createApprovalRequester({ approvals: createApprovalStore(), logSecurityEvent: () => {} })
+            })
+        });
+        const app = express();
+        app.use(express.json());
+        app.use('/api/chat', createChatRouter({
+            authenticate: (req, res, next) => {
+                req.auth = { payload: { sub: 'auth0|bob', permissions: [] } };
+                next();
+            },
+            agent
+        }));
+
+        const response = await request(app).post('/api/chat').send({ message: 'Grant owner on project:p to auth0|bob' }).expect(200);
+
+        expect(response.body.tool_calls).toEqual([expect.objectContaining({ name: 'grant_access', status: 'error' })]);
+        expect((await authorizer.check('auth0|bob', 'owner', 'project:p')).allowed).toBe(false);
+    });
+});
@@ -0,0 +1,294 @@
+/**
+ * Approval Request Lifecycle Tests
+ * Covers the approval store, the /api/async-approval routes and provisioning
+ * of approved access requests
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createApprovalStore, APPROVAL_STATUS } = require('../src/approval-store');
+const { createApprovalRouter } = require('../src/routes/approvals');
+const { createApprovalRequester } = require('../src/approval-requests');
+const { createApprovalActionRunner } = require('../src/approval-actions');
+const { ACCESS_REQUEST_ACTION, validateAccessRequest, checkAccessApprover, registerAccessProvisioning } = require('../src/access-requests');
+const { createAuthorizer } = require('../src/authorization');
+const { createLocalFgaClient } = require('../src/fga-local-engine');
+const { FGA_CONFIG } = require('../config/auth0-config');
+const model = require('../config/fga-model.json');
+
+// Stand-in for jwtCheck: the caller is taken from test headers
+function fakeAuthenticate(req, res, next) {
+    req.auth = {
+        payload: {
+            sub: req.get('X-Test-User'),
+            name: req.get('X-Test-User'),
+            permissions: (req.get('X-Test-Permissions') || '').split(',').filter(Boolean)
+        }
+    };
+    next();
+}
+
+function buildApp(approvals, validators = {}, decisionChecks = {}) {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/async-approval', createApprovalRouter({
+        authenticate: fakeAuthenticate,
+        approvals: approvals,
+        requester: createApprovalRequester({ approvals, validators, logSecurityEvent: () => {} }),
+        approverIds: ['auth0|manager'],
+        decisionChecks: decisionChecks,
+        logSecurityEvent: () => {}
+    }));
+    return app;
+}
+
+describe('Approval store', () => {
+    test('should expire pending requests past their deadline', () => {
+        let clock = Date.parse('2025-10-16T10:00:00Z');
+        const approvals = createApprovalStore({ ttlMs: 60000, now: () => clock });
+        const created = approvals.create({ userId: 'auth0|alice', action: 'delete-project', resource: 'project:alpha-release' });
+
+        clock += 61000;
+
+        expect(approvals.expireStale().map(r => r.id)).toEqual([created.id]);
+        expect(approvals.get(created.id).status).toBe(APPROVAL_STATUS.EXPIRED);
+    });
+
+    test('should only allow a single final decision', () => {
+        const approvals = createApprovalStore();
+        const created = approvals.create({ userId: 'auth0|alice', action: 'slack-notification' });
+
+        approvals.decide(created.id, { approved: true, approverId: 'auth0|manager' });
+
+        expect(() => approvals.decide(created.id, { approved: false, approverId: 'auth0|manager' }))
+            .toThrow(/already approved/);
+    });
+
+    test('should emit transitions for listeners', () => {
+        const approvals = createApprovalStore();
+        const transitions = [];
+        approvals.on('transition', (req, previousStatus) => transitions.push([req.status, previousStatus]));
+
+        const created = approvals.create({ userId: 'auth0|alice', action: 'slack-notification' });
+        approvals.cancel(created.id, 'auth0|alice');
+
+        expect(transitions).toEqual([[APPROVAL_STATUS.CANCELLED, APPROVAL_STATUS.PENDING]]);
+    });
+});
+
+describe('Approval routes', () => {
+    let app;
+
+    beforeEach(() => {
+        app = buildApp(createApprovalStore());
+    });
+
+    async function submit(user = 'auth0|alice') {
+        const response = await request(app)
+            .post('/api/async-approval')
+            .set('X-Test-User', user)
+            .send({ action: 'access_document', resource: 'document:architecture', justification: 'Review' })
+            .expect(201);
+        return response.body.request_id;
+    }
+
+    test('should persist and list the caller\'s requests', async () => {
+        const id = await submit();
+
+        const response = await request(app)
+            .get('/api/async-approval')
+            .set('X-Test-User', 'auth0|alice')
+            .expect(200);
+
+        expect(response.body.requests.map(r => r.id)).toEqual([id]);
+        expect(response.body.requests[0].status).toBe('pending');
+    });
+
+    test('should hide requests from other users', async () => {
+        const id = await submit();
+
+        await request(app)
+            .get(`/api/async-approval/${id}`)
+            .set('X-Test-User', 'auth0|mallory')
+            .expect(404);
+    });
+
+    test('should let an approver deny with a reason', async () => {
+        const id = await submit();
+
+        const response = await request(app)
+            .post(`/api/async-approval/${id}/decision`)
+            .set('X-Test-User', 'auth0|manager')
+            .send({ decision: 'deny', reason: 'Not part of this sprint' })
+            .expect(200);
+
+        expect(response.body.request.status).toBe('denied');
+        expect(response.body.request.decision_reason).toBe('Not part of this sprint');
+    });
+
+    test('should accept approvers identified by the approve:requests permission', async () => {
+        const id = await submit();
+
+        const response = await request(app)
+            .post(`/api/async-approval/${id}/decision`)
+            .set('X-Test-User', 'auth0|lead')
+            .set('X-Test-Permissions', 'approve:requests')
+            .send({ decision: 'approve' })
+            .expect(200);
+
+        expect(response.body.request.status).toBe('approved');
+        expect(response.body.request.decided_by).toBe('auth0|lead');
+    });
+
+    test('should reject decisions from non-approvers and requesters', async () => {
+        const id = await submit('auth0|manager');
+
+        await request(app)
+            .post(`/api/async-approval/${id}/decision`)
+            .set('X-Test-User', 'auth0|manager')
+            .send({ decision: 'approve' })
+            .expect(403);
+    });
+
+    test('should let the requester cancel a pending request once', async () => {
+        const id = await submit();
+
+        await request(app)
+            .post(`/api/async-approval/${id}/cancel`)
+            .set('X-Test-User', 'auth0|alice')
+            .expect(200);
+
+        await request(app)
+            .post(`/api/async-approval/${id}/cancel`)
+            .set('X-Test-User', 'auth0|alice')
+            .expect(409);
+    });
+});
+
+describe('Access request provisioning', () => {
+    let app;
+    let approvals;
+    let authorizer;
+    let grants;
+
+    beforeEach(() => {
+        const client = createLocalFgaClient({
+            model,
+            seedTuples: [
+                { user: 'user:auth0|manager', relation: 'owner', object: 'document:architecture' },
+                { user: 'user:auth0|manager', relation: 'manager', object: 'project:alpha-release' },
+                { user: 'project:alpha-release', relation: 'project', object: 'calendar:release-calendar' }
+            ]
+        });
+        grants = [];
+        approvals = createApprovalStore();
+        authorizer = createAuthorizer({
+            getClient: () => client,
+            relations: FGA_CONFIG.relations,
+            onGrant: event => grants.push(event)
+        });
+        registerAccessProvisioning({
+            approvalActions: createApprovalActionRunner({ approvals, logSecurityEvent: () => {} }),
+            authorizer: authorizer,
+            logSecurityEvent: () => {}
+        });
+        app = buildApp(approvals, {
+            [ACCESS_REQUEST_ACTION]: request => validateAccessRequest(request, FGA_CONFIG.relations, authorizer)
+        }, {
+            [ACCESS_REQUEST_ACTION]: (request, approverId) => checkAccessApprover(request, approverId, authorizer)
+        });
+    });
+
+    // The action runs after the decision response; wait until its outcome is recorded
+    async function waitForExecution(id) {
+        for (let i = 0; i < 50 && !approvals.get(id).execution; i++) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        return approvals.get(id).execution;
+    }
+
+    function requestAccess(body) {
+        return request(app)
+            .post('/api/async-approval')
+            .set('X-Test-User', 'auth0|alice')
+            .send({ action: 'access_document', resource: 'document:architecture', justification: 'Review', ...body });
+    }
+
+    function decide(id, body) {
+        return request(app)
+            .post(`/api/async-approval/${id}/decision`)
+            .set('X-Test-User', 'auth0|manager')
+            .send(body);
+    }
+
+    test('should write the requested relation once approved', async () => {
+        const { body } = await requestAccess({ relation: 'editor' }).expect(201);
+
+        expect((await authorizer.check('auth0|alice', 'editor', 'document:architecture')).allowed).toBe(false);
+
+        await decide(body.request_id, { decision: 'approve' }).expect(200);
+        const execution = await waitForExecution(body.request_id);
+
+        expect(execution).toMatchObject({
+            status: 'succeeded',
+            result: { resource: 'document:architecture', relation: 'editor', already_granted: false }
+        });
+        expect((await authorizer.check('auth0|alice', 'editor', 'document:architecture')).allowed).toBe(true);
+        expect(grants).toEqual([{
+            actorId: 'auth0|manager',
+            targetUserId: 'auth0|alice',
+            relation: 'editor',
+            object: 'document:architecture'
+        }]);
+    });
+
+    test('should default to viewer and reject relations the type does not define', async () => {
+        const { body } = await requestAccess({}).expect(201);
+        expect(approvals.get(body.request_id).details).toEqual({ relation: 'viewer' });
+
+        await requestAccess({ relation: 'manager' }).expect(400);
+        await requestAccess({ resource: 'architecture' }).expect(400);
+    });
+
+    test('should not let anyone request ownership or management', async () => {
+        await requestAccess({ relation: 'owner' }).expect(400);
+        await requestAccess({ resource: 'project:alpha-release', relation: 'manager' }).expect(400);
+        await requestAccess({ resource: 'project:alpha-release', relation: 'member' }).expect(201);
+    });
+
+    test('should refuse an approval from someone who cannot manage the resource and keep it pending', async () => {
+        const { body } = await requestAccess({ resource: 'document:roadmap', relation: 'editor' }).expect(201);
+
+        await decide(body.request_id, { decision: 'approve' }).expect(403);
+
+        expect(approvals.get(body.request_id).status).toBe('pending');
+        expect((await authorizer.check('auth0|alice', 'editor', 'document:roadmap')).allowed).toBe(false);
+        expect(grants).toEqual([]);
+    });
+
+    test('should only accept calendar requests that a project manager can approve', async () => {
+        await requestAccess({ resource: 'calendar:team-calendar', relation: 'reader' }).expect(400);
+        const { body } = await requestAccess({ resource: 'calendar:release-calendar', relation: 'writer' }).expect(201);
+
+        await decide(body.request_id, { decision: 'approve' }).expect(200);
+
+        expect(await waitForExecution(body.request_id)).toMatchObject({ status: 'succeeded' });
+        expect((await authorizer.check('auth0|alice', 'writer', 'calendar:release-calendar')).allowed).toBe(true);
+    });
+
+    test('should not write anything when denied and keep the reason for the requester', async () => {
+        const { body } = await requestAccess({}).expect(201);
+
+        await decide(body.request_id, { decision: 'deny', reason: 'Ask the document owner first' }).expect(200);
+
+        const response = await request(app)
+            .get(`/api/async-approval/${body.request_id}`)
+            .set('X-Test-User', 'auth0|alice')
+            .expect(200);
+
+        expect(response.body.request).toMatchObject({ status: 'denied', decision_reason: 'Ask the document owner first' });
+        expect(response.body.request.execution).toBeUndefined();
+        expect((await authorizer.check('auth0|alice', 'viewer', 'document:architecture')).allowed).toBe(false);
+        expect(grants).toEqual([]);
+    });
+});
@@ -0,0 +1,176 @@
+/**
+ * Audit Export Tests
+ * CSV, JSON Lines, CEF and OCSF output, the time-range filter, the
+ * /api/audit/export download and the CLI export command
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { createAuditLog } = require('../src/audit-log');
+const { writeAuditExport } = require('../src/audit-export');
+const { createAuditRouter } = require('../src/routes/audit');
+const { exportLog } = require('../scripts/audit-log');
+
+// Stand-in for jwtCheck: the caller and their permissions are taken from test headers
+function fakeAuthenticate(req, res, next) {
+    const permissions = req.get('X-Test-Permissions');
+    req.auth = { payload: { sub: req.get('X-Test-User') || 'auth0|alice', permissions: permissions ? permissions.split(',') : [] } };
+    next();
+}
+
+// A log with one entry per minute from 09:01, covering the shapes logSecurityEvent records
+function seedLog(dir = null) {
+    let clock = Date.parse('2026-03-01T09:00:00Z');
+    const auditLog = createAuditLog({ dir, now: () => clock });
+    const record = (event, userId, details) => {
+        clock += 60 * 1000;
+        return auditLog.append(event, userId, details);
+    };
+
+    record('USER_LOGIN', 'auth0|alice', { via: 'session' });
+    record('RATE_LIMIT_EXCEEDED', 'auth0|bob', { ip: '203.0.113.7', userAgent: 'curl/8.4, "beta"', url: '/api/documents?q=a=b' });
+    record('DOCUMENT_ACCESS_DENIED', 'auth0|bob', { resource: 'document:budget', relation: 'viewer' });
+    record('DOCUMENT_CREATED', 'auth0|alice', { resource: 'document:roadmap' });
+    return auditLog;
+}
+
+function exportText(auditLog, options) {
+    let output = '';
+    const count = writeAuditExport({ entries: auditLog.readAll(), ...options, write: chunk => { output += chunk; } });
+    return { count, output };
+}
+
+describe('Audit export formats', () => {
+    const auditLog = seedLog();
+
+    test('should write CSV with the logged fields as columns', () => {
+        const { count, output } = exportText(auditLog, { format: 'csv' });
+        const lines = output.trim().split('\n');
+
+        expect(count).toBe(4);
+        expect(lines[0]).toBe('seq,timestamp,event,userId,outcome,resource,ip,url,details,hash');
+        expect(lines[2]).toMatch(/^2,2026-03-01T09:02:00.000Z,RATE_LIMIT_EXCEEDED,auth0\|bob,failure,,203.0.113.7,\/api\/documents\?q=a=b,"{""userAgent"":""curl\/8.4, \\""beta\\""""}",[0-9a-f]{64}$/);
+    });
+
+    test('should keep CSV cells that look like formulas as text', () => {
+        const formulaLog = createAuditLog({ now: () => Date.parse('2026-03-01T09:00:00Z') });
+        formulaLog.append('DOCUMENT_CREATED', '=HYPERLINK("http://evil.example")', { resource: '@SUM(A1)', url: '-2+3', ip: '+1' });
+
+        const { output } = exportText(formulaLog, { format: 'csv' });
+        const fields = output.trim().split('\n')[1].split(',');
+
+        expect(fields[3]).toBe('"\'=HYPERLINK(""http://evil.example"")"');
+        expect(fields[5]).toBe('\'@SUM(A1)');
+        expect(fields[6]).toBe('\'+1');
+        expect(fields[7]).toBe('\'-2+3');
+    });
+
+    test('should write one JSON record per line, split by time range', () => {
+        const { count, output } = exportText(auditLog, { format: 'jsonl', since: '2026-03-01T09:02:00Z', until: '2026-03-01T09:03:00Z' });
+        const records = output.trim().split('\n').map(line => JSON.parse(line));
+
+        expect(count).toBe(2);
+        expect(records[0]).toEqual({
+            seq: 2,
+            timestamp: '2026-03-01T09:02:00.000Z',
+            event: 'RATE_LIMIT_EXCEEDED',
+            userId: 'auth0|bob',
+            ip: '203.0.113.7',
+            url: '/api/documents?q=a=b',
+            outcome: 'failure',
+            resource: null,
+            details: { userAgent: 'curl/8.4, "beta"' },
+            hash: auditLog.readAll()[1].hash
+        });
+        expect(records[1]).toMatchObject({ seq: 3, outcome: 'denied', resource: 'document:budget' });
+    });
+
+    test('should write escaped CEF lines', () => {
+        const lines = exportText(auditLog, { format: 'cef' }).output.trim().split('\n');
+
+        expect(lines[1]).toMatch(/^CEF:0\|AI Project Manager\|ai-project-manager-auth0\|[^|]+\|RATE_LIMIT_EXCEEDED\|rate limit exceeded\|5\|/);
+        expect(lines[1]).toContain(`rt=${Date.parse('2026-03-01T09:02:00Z')} externalId=2 suser=auth0|bob src=203.0.113.7 request=/api/documents?q\\=a\\=b outcome=failure`);
+        expect(lines[1]).not.toContain('cs1Label');
+        expect(lines[2]).toContain('|7|');
+        expect(lines[2]).toContain('cs1Label=resource cs1=document:budget');
+    });
+
+    test('should write OCSF events as a JSON array', () => {
+        const events = JSON.parse(exportText(auditLog, { format: 'ocsf' }).output);
+
+        expect(events).toHaveLength(4);
+        expect(events[0]).toMatchObject({ class_uid: 3002, activity_id: 1, type_uid: 300201, status: 'Success', user: { uid: 'auth0|alice' } });
+        expect(events[1]).toMatchObject({
+            class_uid: 6003,
+            activity_id: 99,
+            time: Date.parse('2026-03-01T09:02:00Z'),
+            status_id: 2,
+            actor: { user: { uid: 'auth0|bob' } },
+            src_endpoint: { ip: '203.0.113.7' },
+            http_request: { url: { path: '/api/documents?q=a=b' } },
+            metadata: { uid: '2', log_name: 'audit' }
+        });
+        expect(events[2]).toMatchObject({ status_detail: 'denied', severity_id: 3, resources: [{ uid: 'document:budget', type: 'document' }] });
+        expect(events[3]).toMatchObject({ activity_id: 1, activity_name: 'Create', api: { operation: 'DOCUMENT_CREATED' } });
+    });
+
+    test('should write an empty but well-formed export when nothing matches', () => {
+        expect(JSON.parse(exportText(auditLog, { format: 'ocsf', since: '2027-01-01T00:00:00Z' }).output)).toEqual([]);
+        expect(() => exportText(auditLog, { format: 'xml' })).toThrow('Unknown export format');
+    });
+});
+
+describe('Audit export route and CLI', () => {
+    test('should download an auditor export and record it', async () => {
+        const events = [];
+        const app = express();
+        app.use('/api/audit', createAuditRouter({
+            authenticate: fakeAuthenticate,
+            auditLog: seedLog(),
+            logSecurityEvent: (event, userId, details) => events.push({ event, userId, details })
+        }));
+
+        const response = await request(app)
+            .get('/api/audit/export')
+            .set('X-Test-Permissions', 'read:audit')
+            .query({ format: 'csv', since: '2026-03-01T09:03:00Z' })
+            .expect(200);
+
+        expect(response.headers['content-type']).toBe('text/csv; charset=utf-8');
+        expect(response.headers['content-disposition']).toMatch(/^attachment; filename="audit-\d{4}-\d{2}-\d{2}\.csv"$/);
+        expect(response.text.trim().split('\n')).toHaveLength(3);
+        expect(events).toEqual([{
+            event: 'AUDIT_EXPORTED',
+            userId: 'auth0|alice',
+            details: { format: 'csv', since: '2026-03-01T09:03:00.000Z', until: undefined, user: undefined, entries: 2 }
+        }]);
+
+        const own = await request(app).get('/api/audit/export').expect(200);
+        expect(own.text.trim().split('\n').map(line => JSON.parse(line).seq)).toEqual([1, 4]);
+
+        await request(app).get('/api/audit/export').query({ format: 'xml' }).expect(400);
+        await request(app).get('/api/audit/export').query({ user: 'auth0|bob' }).expect(403);
+    });
+
+    test('should export to a file from the command line', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-export-'));
+        seedLog(path.join(dir, 'audit'));
+        const output = path.join(dir, 'audit.cef');
+        const status = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        try {
+            await exportLog('cef', '--dir', path.join(dir, 'audit'), '--until', '2026-03-01T09:02:00Z', '--output', output);
+            expect(status).toHaveBeenCalledWith(expect.stringContaining('Exported 2 entries as cef'));
+        } finally {
+            status.mockRestore();
+        }
+
+        expect(fs.readFileSync(output, 'utf8').trim().split('\n').map(line => line.split('|')[4])).toEqual(['USER_LOGIN', 'RATE_LIMIT_EXCEEDED']);
+        await expect(exportLog('cef', '--dir', dir, '--since', 'last week')).rejects.toThrow('--since must be an ISO 8601 date-time');
+        await expect(exportLog('cef', '--dir', dir, '--from', '2026-03-01')).rejects.toThrow("Unknown option '--from'");
+        await expect(exportLog('cef', '--dir=' + dir, '--until')).rejects.toThrow("Option '--until' needs a value");
+    });
+});
@@ -0,0 +1,236 @@
+/**
+ * Audit Log Tests
+ * Hash chaining, segment rotation, restart continuity, tamper detection and
+ * the /api/audit query route
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { createAuditLog, verifyAuditLog, hashEntry, GENESIS_HASH } = require('../src/audit-log');
+const { createAuditRouter } = require('../src/routes/audit');
+const { verify } = require('../scripts/audit-log');
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-'));
+}
+
+// Write `count` entries to a fresh log in `dir`
+function writeEntries(dir, count, options = {}) {
+    const log = createAuditLog({ dir, ...options });
+    for (let i = 1; i <= count; i++) {
+        log.append('ACCESS_GRANTED', 'auth0|alice', { resource: `document:doc-${i}`, relation: 'viewer' });
+    }
+    return log;
+}
+
+function segmentPath(dir, number) {
+    return path.join(dir, `audit-${String(number).padStart(6, '0')}.jsonl`);
+}
+
+// Rewrite one segment's lines with `edit(lines)`
+function editSegment(dir, number, edit) {
+    const file = segmentPath(dir, number);
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+    fs.writeFileSync(file, `${edit(lines).join('\n')}\n`);
+}
+
+describe('Audit log', () => {
+    test('should chain each entry to the previous one', () => {
+        const log = createAuditLog();
+
+        const first = log.append('APPROVAL_REQUESTED', 'auth0|alice', { requestId: 'req_1' });
+        const second = log.append('APPROVAL_GRANTED', 'auth0|admin', { requestId: 'req_1' });
+
+        expect(first).toMatchObject({ seq: 1, event: 'APPROVAL_REQUESTED', user_id: 'auth0|alice', prev_hash: GENESIS_HASH });
+        expect(second.prev_hash).toBe(first.hash);
+        expect(log.verify()).toMatchObject({ valid: true, entries: 2, head: { seq: 2, hash: second.hash } });
+    });
+
+    test('should store details exactly as they are hashed', () => {
+        const log = createAuditLog();
+
+        const entry = log.append('AGENT_TOOL_CALL', 'auth0|alice', { tool: 'search_documents', skipped: undefined, at: new Date(0) });
+
+        expect(entry.details).toEqual({ tool: 'search_documents', at: '1970-01-01T00:00:00.000Z' });
+        expect(log.verify().valid).toBe(true);
+    });
+
+    test('should rotate segments and continue the chain after a restart', () => {
+        const dir = tempDir();
+        writeEntries(dir, 5, { segmentMaxEntries: 2 });
+
+        const reopened = createAuditLog({ dir, segmentMaxEntries: 2 });
+        const next = reopened.append('SERVER_STARTED', 'system');
+
+        expect(next.seq).toBe(6);
+        expect(fs.readdirSync(dir).sort()).toEqual(['audit-000001.jsonl', 'audit-000002.jsonl', 'audit-000003.jsonl']);
+        expect(verifyAuditLog(dir)).toMatchObject({ valid: true, segments: 3, entries: 6, errors: [] });
+        expect(reopened.readAll().map(entry => entry.seq)).toEqual([1, 2, 3, 4, 5, 6]);
+    });
+
+    test('should detect an edited entry', () => {
+        const dir = tempDir();
+        writeEntries(dir, 3);
+
+        editSegment(dir, 1, lines => lines.map((line, i) => i === 1 ? line.replace('document:doc-2', 'document:doc-9') : line));
+
+        const result = verifyAuditLog(dir);
+        expect(result.valid).toBe(false);
+        expect(result.errors).toEqual([{ segment: 'audit-000001.jsonl', line: 2, seq: 2, error: 'Entry was modified (hash mismatch)' }]);
+    });
+
+    test('should detect an edit whose hash was recomputed', () => {
+        const dir = tempDir();
+        writeEntries(dir, 3);
+
+        editSegment(dir, 1, lines => lines.map((line, i) => {
+            if (i !== 1) {
+                return line;
+            }
+            const entry = { ...JSON.parse(line), user_id: 'auth0|mallory' };
+            return JSON.stringify({ ...entry, hash: hashEntry(entry) });
+        }));
+
+        const result = verifyAuditLog(dir);
+        expect(result.errors).toEqual([{ segment: 'audit-000001.jsonl', line: 3, seq: 3, error: 'prev_hash does not match the previous entry' }]);
+    });
+
+    test('should detect removed and reordered entries', () => {
+        const removed = tempDir();
+        writeEntries(removed, 4);
+        editSegment(removed, 1, lines => lines.filter((_, i) => i !== 1));
+
+        expect(verifyAuditLog(removed).errors.map(error => error.error)).toEqual([
+            'Expected seq 2; entries are missing or out of order',
+            'prev_hash does not match the previous entry'
+        ]);
+
+        const reordered = tempDir();
+        writeEntries(reordered, 3);
+        editSegment(reordered, 1, ([first, second, third]) => [first, third, second]);
+
+        expect(verifyAuditLog(reordered).valid).toBe(false);
+    });
+
+    test('should detect a missing segment and an unreadable line', () => {
+        const dir = tempDir();
+        writeEntries(dir, 6, { segmentMaxEntries: 2 });
+        fs.unlinkSync(segmentPath(dir, 2));
+        fs.appendFileSync(segmentPath(dir, 3), '{"seq": 7, "trunc\n');
+
+        const messages = verifyAuditLog(dir).errors.map(error => `${error.segment}: ${error.error}`);
+
+        expect(messages).toEqual([
+            'audit-000002.jsonl: Segment is missing',
+            'audit-000003.jsonl: Expected seq 3; entries are missing or out of order',
+            'audit-000003.jsonl: prev_hash does not match the previous entry',
+            'audit-000003.jsonl: Unreadable entry'
+        ]);
+    });
+
+    test('should report through the verify command', async () => {
+        const dir = tempDir();
+        writeEntries(dir, 2);
+        const output = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        try {
+            expect(await verify(dir)).toBe(true);
+            editSegment(dir, 1, lines => lines.slice(1));
+            expect(await verify(dir)).toBe(false);
+        } finally {
+            output.mockRestore();
+        }
+    });
+});
+
+// Stand-in for jwtCheck: the caller and their permissions are taken from test headers
+function fakeAuthenticate(req, res, next) {
+    const permissions = req.get('X-Test-Permissions');
+    req.auth = { payload: { sub: req.get('X-Test-User') || 'auth0|alice', permissions: permissions ? permissions.split(',') : [] } };
+    next();
+}
+
+describe('Audit routes', () => {
+    let clock;
+    let auditLog;
+    let app;
+
+    beforeEach(() => {
+        clock = Date.parse('2026-03-01T09:00:00Z');
+        auditLog = createAuditLog({ dir: tempDir(), segmentMaxEntries: 3, now: () => clock });
+        const record = (event, userId, details) => {
+            clock += 60 * 1000;
+            auditLog.append(event, userId, details);
+        };
+
+        record('DOCUMENT_READ', 'auth0|alice', { resource: 'document:project-plan' });
+        record('DOCUMENT_ACCESS_DENIED', 'auth0|bob', { resource: 'document:project-plan', relation: 'editor' });
+        record('FGA_CHECK', 'auth0|alice', { relation: 'viewer', object: 'document:budget', allowed: false });
+        record('SLACK_NOTIFICATION_FAILED', 'auth0|alice', { requestId: 'req_1', error: 'channel_not_found' });
+        record('TOKEN_VAULT_ACCESS', 'auth0|alice', { service: 'github', success: true });
+        record('DOCUMENT_UPDATED', 'auth0|alice', { resource: 'document:project-plan' });
+
+        app = express();
+        app.use('/api/audit', createAuditRouter({ authenticate: fakeAuthenticate, auditLog, auditorIds: ['auth0|auditor'], logSecurityEvent: () => {} }));
+    });
+
+    test('should return only the caller\'s entries, newest first', async () => {
+        const response = await request(app).get('/api/audit').expect(200);
+
+        expect(response.body.scope).toBe('own');
+        expect(response.body.entries.map(entry => entry.seq)).toEqual([6, 5, 4, 3, 1]);
+        expect(response.body.entries[0]).toMatchObject({
+            event: 'DOCUMENT_UPDATED',
+            user_id: 'auth0|alice',
+            resource: 'document:project-plan',
+            outcome: 'success',
+            hash: expect.any(String)
+        });
+        expect(response.body.next_cursor).toBeNull();
+    });
+
+    test('should filter by event, resource, outcome and time range', async () => {
+        const query = filters => request(app).get('/api/audit').set('X-Test-Permissions', 'read:audit').query(filters).expect(200)
+            .then(response => response.body.entries.map(entry => entry.seq));
+
+        expect(await query({ event: 'DOCUMENT_READ,DOCUMENT_UPDATED' })).toEqual([6, 1]);
+        expect(await query({ resource: 'document:project-plan' })).toEqual([6, 2, 1]);
+        expect(await query({ resource: 'document:budget', outcome: 'denied' })).toEqual([3]);
+        expect(await query({ outcome: 'failure' })).toEqual([4]);
+        expect(await query({ outcome: 'denied' })).toEqual([3, 2]);
+        expect(await query({ since: '2026-03-01T09:02:00Z', until: '2026-03-01T09:04:00Z' })).toEqual([4, 3, 2]);
+    });
+
+    test('should page through entries with the cursor', async () => {
+        const pages = [];
+        let cursor;
+        do {
+            const response = await request(app).get('/api/audit').set('X-Test-User', 'auth0|auditor')
+                .query({ limit: 4, ...(cursor && { cursor }) }).expect(200);
+            pages.push(response.body.entries.map(entry => entry.seq));
+            cursor = response.body.next_cursor;
+        } while (cursor);
+
+        expect(pages).toEqual([[6, 5, 4, 3], [2, 1]]);
+    });
+
+    test('should let only auditors read other users\' entries', async () => {
+        await request(app).get('/api/audit').query({ user: 'auth0|bob' }).expect(403);
+
+        const response = await request(app).get('/api/audit').set('X-Test-Permissions', 'read:audit').query({ user: 'auth0|bob' }).expect(200);
+        expect(response.body.scope).toBe('all');
+        expect(response.body.entries).toEqual([expect.objectContaining({ seq: 2, outcome: 'denied' })]);
+    });
+
+    test('should reject malformed filters', async () => {
+        const rejected = await request(app).get('/api/audit').query({ outcome: 'maybe' }).expect(400);
+        expect(rejected.body.message).toBe('outcome must be one of: success, failure, denied');
+
+        await request(app).get('/api/audit').query({ since: 'yesterday' }).expect(400);
+        await request(app).get('/api/audit').query({ cursor: '-1' }).expect(400);
+        await request(app).get('/api/audit').query({ since: '2026-03-02T00:00:00Z', until: '2026-03-01T00:00:00Z' }).expect(400);
+    });
+});
@@ -0,0 +1,210 @@
+/**
+ * Calendar Proxy Tests
+ * Runs /api/calendar/events against a local mock of the Calendar v3 API
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createCalendarClient } = require('../src/calendar-client');
+const { createCalendarRouter } = require('../src/routes/calendar');
+const { createAuthorizer } = require('../src/authorization');
+const { createLocalFgaClient } = require('../src/fga-local-engine');
+const model = require('../config/fga-model.json');
+
+const VAULTED_TOKEN = 'ya29.vaulted-calendar-token';
+
+// Stand-in for jwtCheck: the caller is taken from test headers
+function fakeAuthenticate(req, res, next) {
+    req.auth = { payload: { sub: req.get('X-Test-User') || 'auth0|alice', permissions: [] } };
+    next();
+}
+
+// Minimal Calendar v3 events API that only accepts the vaulted token
+function startMockCalendarApi() {
+    const api = express();
+    const events = new Map();
+    const received = [];
+    let counter = 0;
+
+    api.use(express.json());
+    api.use((req, res, next) => {
+        received.push({ method: req.method, path: req.path, authorization: req.get('Authorization') });
+        if (req.get('Authorization') !== `Bearer ${VAULTED_TOKEN}`) {
+            return res.status(401).json({ error: { code: 401, message: 'Invalid Credentials' } });
+        }
+        next();
+    });
+
+    api.get('/calendars/primary/events', (req, res) => {
+        const items = Array.from(events.values())
+            .filter(event => event.end.dateTime >= req.query.timeMin)
+            .sort((a, b) => a.start.dateTime.localeCompare(b.start.dateTime))
+            .slice(0, parseInt(req.query.maxResults, 10));
+        res.json({ kind: 'calendar#events', items });
+    });
+
+    api.post('/calendars/primary/events', (req, res) => {
+        const event = { id: `evt${++counter}`, htmlLink: `https://calendar.example/evt${counter}`, ...req.body };
+        events.set(event.id, event);
+        res.json(event);
+    });
+
+    api.patch('/calendars/primary/events/:id', (req, res) => {
+        const event = events.get(req.params.id);
+        if (!event) {
+            return res.status(404).json({ error: { code: 404, message: 'Not Found' } });
+        }
+        Object.assign(event, req.body);
+        res.json(event);
+    });
+
+    api.delete('/calendars/primary/events/:id', (req, res) => {
+        if (!events.delete(req.params.id)) {
+            return res.status(410).json({ error: { code: 410, message: 'Resource has been deleted' } });
+        }
+        res.status(204).end();
+    });
+
+    return new Promise(resolve => {
+        const server = api.listen(0, () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                events,
+                received,
+                reset: () => { events.clear(); received.length = 0; counter = 0; },
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+describe('Calendar proxy routes', () => {
+    let calendarApi;
+    let app;
+    let securityEvents;
+    let getTokenVaultToken;
+
+    beforeAll(async () => {
+        calendarApi = await startMockCalendarApi();
+    });
+
+    afterAll(() => calendarApi.close());
+
+    beforeEach(() => {
+        calendarApi.reset();
+        securityEvents = [];
+        getTokenVaultToken = jest.fn(async () => ({ success: true, access_token: VAULTED_TOKEN }));
+
+        const client = createLocalFgaClient({
+            model,
+            seedTuples: [
+                { user: 'user:auth0|alice', relation: 'writer', object: 'calendar:team-calendar' },
+                { user: 'user:auth0|bob', relation: 'reader', object: 'calendar:team-calendar' }
+            ]
+        });
+        app = express();
+        app.use(express.json());
+        app.use('/api/calendar', createCalendarRouter({
+            authenticate: fakeAuthenticate,
+            authorizer: createAuthorizer({ getClient: () => client }),
+            getTokenVaultToken: (...args) => getTokenVaultToken(...args),
+            calendarClient: createCalendarClient({ apiUrl: calendarApi.url }),
+            logSecurityEvent: (event, userId, details) => securityEvents.push({ event, userId, ...details })
+        }));
+    });
+
+    function createEvent(body, user = 'auth0|alice') {
+        return request(app).post('/api/calendar/events').set('X-Test-User', user).send({
+            title: 'Alpha release review',
+            start: '2030-01-15T14:00:00Z',
+            end: '2030-01-15T15:00:00Z',
+            attendees: ['alice@techcorp.com', 'bob@techcorp.com'],
+            ...body
+        });
+    }
+
+    test('should create and list events with the vaulted token kept server-side', async () => {
+        const created = await createEvent().expect(201);
+
+        expect(created.body.event).toMatchObject({
+            id: 'evt1',
+            title: 'Alpha release review',
+            start: '2030-01-15T14:00:00.000Z',
+            attendees: ['alice@techcorp.com', 'bob@techcorp.com']
+        });
+        expect(calendarApi.events.get('evt1').summary).toBe('Alpha release review');
+
+        const listed = await request(app).get('/api/calendar/events?time_min=2030-01-01T00:00:00Z').set('X-Test-User', 'auth0|bob').expect(200);
+
+        expect(listed.body.events.map(event => event.title)).toEqual(['Alpha release review']);
+        expect(getTokenVaultToken).toHaveBeenLastCalledWith('auth0|bob', 'google-calendar');
+        expect(calendarApi.received.every(call => call.authorization === `Bearer ${VAULTED_TOKEN}`)).toBe(true);
+        expect(JSON.stringify([created.body, listed.body])).not.toContain(VAULTED_TOKEN);
+    });
+
+    test('should update only the fields sent', async () => {
+        await createEvent().expect(201);
+
+        const response = await request(app)
+            .put('/api/calendar/events/evt1')
+            .set('X-Test-User', 'auth0|alice')
+            .send({ title: 'Alpha release go/no-go' })
+            .expect(200);
+
+        expect(response.body.event).toMatchObject({ title: 'Alpha release go/no-go', end: '2030-01-15T15:00:00.000Z' });
+        expect(securityEvents.map(entry => entry.event)).toEqual(['CALENDAR_EVENT_CREATED', 'CALENDAR_EVENT_UPDATED']);
+    });
+
+    test('should delete events and report missing ones as 404', async () => {
+        await createEvent().expect(201);
+
+        await request(app).delete('/api/calendar/events/evt1').set('X-Test-User', 'auth0|alice').expect(200);
+        await request(app).delete('/api/calendar/events/evt1').set('X-Test-User', 'auth0|alice').expect(404);
+        await request(app).put('/api/calendar/events/missing').set('X-Test-User', 'auth0|alice').send({ title: 'x' }).expect(404);
+    });
+
+    test('should require writer to create, update or delete events', async () => {
+        await createEvent().expect(201);
+
+        const response = await createEvent({}, 'auth0|bob').expect(403);
+        await request(app).put('/api/calendar/events/evt1').set('X-Test-User', 'auth0|bob').send({ title: 'x' }).expect(403);
+        await request(app).delete('/api/calendar/events/evt1').set('X-Test-User', 'auth0|bob').expect(403);
+
+        expect(response.body.message).toBe('You need writer access to calendar:team-calendar');
+        expect(securityEvents.filter(entry => entry.event === 'CALENDAR_ACCESS_DENIED')).toHaveLength(3);
+        expect(calendarApi.events.get('evt1').summary).toBe('Alpha release review');
+    });
+
+    test('should require reader to list events', async () => {
+        await request(app).get('/api/calendar/events').set('X-Test-User', 'auth0|mallory').expect(403);
+
+        expect(getTokenVaultToken).not.toHaveBeenCalled();
+    });
+
+    test('should validate events before calling the calendar API', async () => {
+        await createEvent({ title: '' }).expect(400);
+        await createEvent({ start: 'tomorrow' }).expect(400);
+        await createEvent({ end: '2030-01-15T13:00:00Z' }).expect(400);
+        await createEvent({ attendees: ['not-an-email'] }).expect(400);
+        await request(app).get('/api/calendar/events?max_results=500').set('X-Test-User', 'auth0|bob').expect(400);
+
+        expect(calendarApi.received).toHaveLength(0);
+    });
+
+    test('should return 400 when Google Calendar is not connected', async () => {
+        getTokenVaultToken = jest.fn(async () => ({ success: false, message: 'No google-calendar token available for user.' }));
+
+        const response = await request(app).get('/api/calendar/events').set('X-Test-User', 'auth0|bob').expect(400);
+
+        expect(response.body).toEqual({ error: 'Calendar not connected', message: 'No google-calendar token available for user.' });
+    });
+
+    test('should report a rejected token as 502 without echoing it', async () => {
+        getTokenVaultToken = jest.fn(async () => ({ success: true, access_token: 'ya29.revoked-token' }));
+
+        const response = await request(app).get('/api/calendar/events').set('X-Test-User', 'auth0|bob').expect(502);
+
+        expect(response.body.message).toMatch(/reconnect the account/);
+        expect(JSON.stringify(response.body)).not.toContain('revoked-token');
+    });
+});
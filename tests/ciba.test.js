@@ -0,0 +1,190 @@
+/**
+ * CIBA Backchannel Authorization Tests
+ * Runs the full flow against a local stand-in issuer
+ */
+
+const express = require('express');
+const { createCibaClient, buildBindingMessage } = require('../src/ciba-client');
+const { createApprovalStore } = require('../src/approval-store');
+const { createApprovalActionRunner } = require('../src/approval-actions');
+const { createBackchannelApprovals } = require('../src/backchannel-approvals');
+const { createApprovalRequester } = require('../src/approval-requests');
+const { PROJECT_DELETE_ACTION, validateProjectDeletion, registerProjectDeletion } = require('../src/project-deletion');
+const { createProjectStore } = require('../src/project-store');
+const { createDocumentStore } = require('../src/document-store');
+const { createAuthorizer } = require('../src/authorization');
+const { createLocalFgaClient } = require('../src/fga-local-engine');
+const model = require('../config/fga-model.json');
+
+// Minimal issuer implementing /bc-authorize and the CIBA token grant
+function startStandInIssuer() {
+    const issuer = express();
+    const pendingRequests = new Map();
+    const received = [];
+    let counter = 0;
+
+    issuer.use(express.urlencoded({ extended: false }));
+
+    issuer.post('/bc-authorize', (req, res) => {
+        received.push(req.body);
+        if (req.body.client_secret !== 'test-secret') {
+            return res.status(401).json({ error: 'invalid_client' });
+        }
+        const authReqId = `auth_req_${++counter}`;
+        pendingRequests.set(authReqId, { outcome: 'pending', polls: 0 });
+        res.json({ auth_req_id: authReqId, expires_in: 5, interval: 1 });
+    });
+
+    issuer.post('/oauth/token', (req, res) => {
+        const entry = pendingRequests.get(req.body.auth_req_id);
+        if (req.body.grant_type !== 'urn:openid:params:grant-type:ciba' || !entry) {
+            return res.status(400).json({ error: 'invalid_grant' });
+        }
+        entry.polls += 1;
+        if (entry.outcome === 'approved') {
+            return res.json({ access_token: 'ciba-access-token', token_type: 'Bearer', expires_in: 60 });
+        }
+        if (entry.outcome === 'denied') {
+            return res.status(400).json({ error: 'access_denied', error_description: 'User rejected the request' });
+        }
+        res.status(400).json({ error: 'authorization_pending' });
+    });
+
+    return new Promise(resolve => {
+        const server = issuer.listen(0, () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                received,
+                // Simulate the approver acting on their device
+                respond: (authReqId, outcome) => { pendingRequests.get(authReqId).outcome = outcome; },
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+describe('CIBA backchannel authorization', () => {
+    let issuer;
+    let ciba;
+
+    beforeAll(async () => {
+        issuer = await startStandInIssuer();
+        ciba = createCibaClient({
+            issuerBaseURL: issuer.url,
+            clientId: 'test-client',
+            clientSecret: 'test-secret',
+            pollIntervalMs: 10
+        });
+    });
+
+    afterAll(() => issuer.close());
+
+    test('should build a binding message within issuer limits', () => {
+        const message = buildBindingMessage('delete-project', 'project:alpha-release/<all>');
+
+        expect(message).toBe('Approve delete-project on project:alpha-release all');
+        expect(buildBindingMessage('x'.repeat(100), 'y').length).toBeLessThanOrEqual(64);
+    });
+
+    test('should send the binding message and login hint to /bc-authorize', async () => {
+        await ciba.authorize({ userId: 'auth0|alice', bindingMessage: 'Approve delete-project on project:alpha' });
+
+        const body = issuer.received[issuer.received.length - 1];
+        expect(body.binding_message).toBe('Approve delete-project on project:alpha');
+        expect(JSON.parse(body.login_hint)).toMatchObject({ format: 'iss_sub', sub: 'auth0|alice' });
+    });
+
+    test('should surface issuer errors from /bc-authorize', async () => {
+        const badClient = createCibaClient({ issuerBaseURL: issuer.url, clientId: 'x', clientSecret: 'wrong' });
+
+        await expect(badClient.authorize({ userId: 'auth0|alice', bindingMessage: 'x' }))
+            .rejects.toThrow(/invalid_client/);
+    });
+
+    test('should run the action only after the device approves', async () => {
+        const approvals = createApprovalStore();
+        const runner = createApprovalActionRunner({ approvals, logSecurityEvent: () => {} });
+        const executed = [];
+        runner.register('delete-project', async request => { executed.push(request.resource); });
+
+        const backchannel = createBackchannelApprovals({
+            ciba, approvals, highRiskActions: ['delete-project'], logSecurityEvent: () => {}
+        });
+
+        const request = approvals.create({ userId: 'auth0|alice', action: 'delete-project', resource: 'project:alpha', channel: 'ciba' });
+        const { decision } = await backchannel.start(request);
+        const authReqId = approvals.get(request.id).ciba.auth_req_id;
+
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(approvals.get(request.id).status).toBe('pending');
+        expect(executed).toEqual([]);
+
+        issuer.respond(authReqId, 'approved');
+        await decision;
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(approvals.get(request.id).status).toBe('approved');
+        expect(approvals.get(request.id).execution.status).toBe('succeeded');
+        expect(executed).toEqual(['project:alpha']);
+    });
+
+    test('should delete a project only after its delete-project request is approved on the device', async () => {
+        const approvals = createApprovalStore();
+        const approvalActions = createApprovalActionRunner({ approvals, logSecurityEvent: () => {} });
+        const client = createLocalFgaClient({ model });
+        const authorizer = createAuthorizer({ getClient: () => client });
+        const projects = createProjectStore();
+        const documents = createDocumentStore();
+        registerProjectDeletion({ approvalActions, projects, documents, authorizer, logSecurityEvent: () => {} });
+
+        const project = projects.create({ name: 'Gamma', createdBy: 'auth0|alice' });
+        const doc = documents.create({ title: 'Gamma Plan', content: '', createdBy: 'auth0|alice' });
+        projects.attach(project.id, 'document', doc.id);
+        documents.update(doc.id, { project: project.id }, 'auth0|alice');
+        await authorizer.writeTuples({ writes: [
+            { user: 'user:auth0|alice', relation: 'owner', object: `project:${project.id}` },
+            { user: 'user:auth0|bob', relation: 'member', object: `project:${project.id}` },
+            { user: `project:${project.id}`, relation: 'project', object: `document:${doc.id}` }
+        ] });
+
+        const requester = createApprovalRequester({
+            approvals,
+            backchannel: createBackchannelApprovals({ ciba, approvals, highRiskActions: [PROJECT_DELETE_ACTION], logSecurityEvent: () => {} }),
+            validators: { [PROJECT_DELETE_ACTION]: request => validateProjectDeletion(request, projects) },
+            logSecurityEvent: () => {}
+        });
+        const { request } = await requester.submit({ user: { id: 'auth0|alice' }, action: PROJECT_DELETE_ACTION, resource: `project:${project.id}` });
+
+        expect(request.channel).toBe('ciba');
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(projects.get(project.id)).not.toBeNull();
+
+        issuer.respond(approvals.get(request.id).ciba.auth_req_id, 'approved');
+        while (!approvals.get(request.id).execution) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+
+        expect(approvals.get(request.id).execution).toMatchObject({ status: 'succeeded', result: { deleted: true, id: project.id } });
+        expect(projects.get(project.id)).toBeNull();
+        expect(documents.get(doc.id).project).toBeNull();
+        expect((await authorizer.check('auth0|bob', 'viewer', `document:${doc.id}`)).allowed).toBe(false);
+        expect((await authorizer.readTuples(`project:${project.id}`)).tuples).toEqual([]);
+        await expect(requester.submit({ user: { id: 'auth0|alice' }, action: PROJECT_DELETE_ACTION, resource: 'project:missing' }))
+            .rejects.toThrow('Project missing does not exist');
+    });
+
+    test('should deny the request when the device rejects it', async () => {
+        const approvals = createApprovalStore();
+        const backchannel = createBackchannelApprovals({
+            ciba, approvals, highRiskActions: ['delete-project'], logSecurityEvent: () => {}
+        });
+
+        const request = approvals.create({ userId: 'auth0|alice', action: 'delete-project', resource: 'project:beta', channel: 'ciba' });
+        const { decision } = await backchannel.start(request);
+        issuer.respond(approvals.get(request.id).ciba.auth_req_id, 'denied');
+        await decision;
+
+        expect(approvals.get(request.id).status).toBe('denied');
+        expect(approvals.get(request.id).decision_reason).toBe('User rejected the request');
+    });
+});
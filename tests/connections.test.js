@@ -0,0 +1,153 @@
+/**
+ * Connected Accounts Tests
+ * Covers /api/connections status, connect flow and disconnect
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createConnectionManager } = require('../src/connections');
+const { createConnectionRouter } = require('../src/routes/connections');
+const providers = require('../config/token-providers.json');
+
+// Stand-in for jwtCheck: the caller is taken from test headers
+function fakeAuthenticate(req, res, next) {
+    req.auth = { payload: { sub: req.get('X-Test-User') || 'auth0|alice', permissions: [] } };
+    next();
+}
+
+// Management API stand-in holding one user's identities
+function createFakeManagement() {
+    const identities = [
+        { provider: 'auth0', user_id: 'alice', connection: 'Username-Password-Authentication' },
+        { provider: 'google-oauth2', user_id: '1087', connection: 'google-oauth2' }
+    ];
+    return {
+        identities,
+        links: [],
+        getUser: async ({ id }) => ({ user_id: id, identities: identities.map(identity => ({ ...identity })) }),
+        linkUsers: async function (userId, params) {
+            this.links.push({ userId, ...params });
+            identities.push({ provider: 'github', user_id: '42', connection: 'github' });
+        },
+        unlinkUsers: async ({ provider, user_id: userId }) => {
+            const index = identities.findIndex(identity => identity.provider === provider && identity.user_id === userId);
+            identities.splice(index, 1);
+        }
+    };
+}
+
+function buildApp({ management = createFakeManagement(), now = Date.now } = {}) {
+    const tokenRequests = [];
+    const http = {
+        post: async (url, body) => {
+            tokenRequests.push({ url, body });
+            return { data: { id_token: 'secondary.id.token' } };
+        }
+    };
+    const events = [];
+    const connections = createConnectionManager({
+        providers,
+        getManagement: () => management,
+        auth0: { domain: 'tenant.auth0.com', clientId: 'client-id', clientSecret: 'client-secret' },
+        redirectUri: 'http://localhost:3000/api/connections/callback',
+        http,
+        now
+    });
+    connections.on('disconnected', event => events.push(event));
+
+    const app = express();
+    app.use('/api/connections', createConnectionRouter({
+        authenticate: fakeAuthenticate,
+        connections,
+        logSecurityEvent: () => {}
+    }));
+    return { app, management, tokenRequests, events };
+}
+
+describe('Connected accounts', () => {
+    test('should report connection status per provider', async () => {
+        const { app } = buildApp();
+
+        const response = await request(app).get('/api/connections').expect(200);
+
+        expect(response.body.connections.map(({ service, connected }) => ({ service, connected }))).toEqual([
+            { service: 'google-calendar', connected: true },
+            { service: 'slack', connected: false },
+            { service: 'github', connected: false }
+        ]);
+        expect(response.body.connections[0].account).toEqual({ provider: 'google-oauth2', user_id: '1087' });
+    });
+
+    test('should connect through Auth0 with the provider connection and scopes', async () => {
+        const { app, management, tokenRequests } = buildApp();
+        const browser = request.agent(app);
+
+        const started = await browser.post('/api/connections/github/connect').expect(200);
+        const authorizeUrl = new URL(started.body.authorize_url);
+
+        expect(authorizeUrl.host).toBe('tenant.auth0.com');
+        expect(authorizeUrl.searchParams.get('connection')).toBe('github');
+        expect(authorizeUrl.searchParams.get('connection_scope')).toBe('repo,read:org');
+        expect(started.body.nonce).toBeUndefined();
+        expect(started.headers['set-cookie'][0]).toMatch(/^connect_nonce=\w+; Path=\/api\/connections\/callback; Expires=.+; HttpOnly; SameSite=Lax$/);
+
+        const callback = await browser
+            .get('/api/connections/callback')
+            .query({ code: 'auth-code', state: authorizeUrl.searchParams.get('state') })
+            .expect(302);
+
+        expect(callback.headers.location).toBe('/?connected=github');
+        expect(tokenRequests[0].body).toMatchObject({ grant_type: 'authorization_code', code: 'auth-code' });
+        expect(management.links).toEqual([{ userId: 'auth0|alice', link_with: 'secondary.id.token' }]);
+    });
+
+    test('should reject unknown, reused and expired states', async () => {
+        let clock = Date.parse('2025-10-20T09:00:00Z');
+        const { app, management } = buildApp({ now: () => clock });
+
+        const started = await request(app).post('/api/connections/github/connect').expect(200);
+        const state = new URL(started.body.authorize_url).searchParams.get('state');
+
+        clock += 11 * 60 * 1000;
+        const expired = await request(app).get('/api/connections/callback').query({ code: 'c', state }).expect(302);
+        const reused = await request(app).get('/api/connections/callback').query({ code: 'c', state }).expect(302);
+
+        expect(expired.headers.location).toMatch(/^\/\?connection_error=/);
+        expect(reused.headers.location).toMatch(/^\/\?connection_error=/);
+        expect(management.links).toEqual([]);
+    });
+
+    test('should not link an account from a browser that did not start the flow', async () => {
+        const { app, management, tokenRequests } = buildApp();
+
+        const started = await request.agent(app).post('/api/connections/github/connect').expect(200);
+        const state = new URL(started.body.authorize_url).searchParams.get('state');
+
+        const callback = await request(app)
+            .get('/api/connections/callback')
+            .set('Cookie', 'connect_nonce=forged')
+            .query({ code: 'victim-code', state })
+            .expect(302);
+
+        expect(callback.headers.location).toMatch(/^\/\?connection_error=/);
+        expect(tokenRequests).toEqual([]);
+        expect(management.links).toEqual([]);
+    });
+
+    test('should disconnect by unlinking the provider identity', async () => {
+        const { app, events } = buildApp();
+
+        await request(app).delete('/api/connections/google-calendar').expect(200);
+        const response = await request(app).get('/api/connections').expect(200);
+
+        expect(response.body.connections[0].connected).toBe(false);
+        expect(events).toEqual([{ userId: 'auth0|alice', service: 'google-calendar' }]);
+
+        await request(app).delete('/api/connections/google-calendar').expect(404);
+    });
+
+    test('should return 404 for unknown providers and 503 without a Management API client', async () => {
+        await request(buildApp().app).post('/api/connections/dropbox/connect').expect(404);
+        await request(buildApp({ management: null }).app).get('/api/connections').expect(503);
+    });
+});
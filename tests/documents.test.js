@@ -0,0 +1,184 @@
+/**
+ * Document Store and Routes Tests
+ * Covers FGA-driven CRUD on /api/documents
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createDocumentStore } = require('../src/document-store');
+const { createDocumentRouter } = require('../src/routes/documents');
+const { createAuthorizer } = require('../src/authorization');
+const { createGrantLedger } = require('../src/grant-ledger');
+const { createLocalFgaClient } = require('../src/fga-local-engine');
+const model = require('../config/fga-model.json');
+
+// Stand-in for jwtCheck: the caller is taken from test headers
+function fakeAuthenticate(req, res, next) {
+    req.auth = { payload: { sub: req.get('X-Test-User'), permissions: [] } };
+    next();
+}
+
+describe('Document store', () => {
+    test('should derive ids from titles that are never reused', () => {
+        const documents = createDocumentStore();
+
+        const first = documents.create({ title: 'Release Notes', createdBy: 'auth0|alice' });
+        documents.remove(first.id);
+        const second = documents.create({ title: 'Release notes!', createdBy: 'auth0|alice' });
+
+        expect(first.id).toMatch(/^release-notes-[0-9a-f]{8}$/);
+        expect(second.id).toMatch(/^release-notes-[0-9a-f]{8}$/);
+        expect(second.id).not.toBe(first.id);
+    });
+
+    test('should emit change events for the search index', () => {
+        const documents = createDocumentStore();
+        const seen = [];
+        ['created', 'updated', 'deleted'].forEach(event => documents.on(event, doc => seen.push(`${event}:${doc.id}`)));
+
+        const doc = documents.create({ title: 'Plan', createdBy: 'auth0|alice' });
+        documents.update(doc.id, { content: 'v2' }, 'auth0|alice');
+        documents.remove(doc.id);
+
+        expect(seen).toEqual([`created:${doc.id}`, `updated:${doc.id}`, `deleted:${doc.id}`]);
+    });
+});
+
+describe('Document routes', () => {
+    let app;
+    let authorizer;
+    let ledger;
+
+    beforeEach(() => {
+        const client = createLocalFgaClient({ model });
+        ledger = createGrantLedger();
+        authorizer = createAuthorizer({ getClient: () => client, ledger });
+        app = express();
+        app.use(express.json());
+        app.use('/api/documents', createDocumentRouter({
+            authenticate: fakeAuthenticate,
+            documents: createDocumentStore(),
+            authorizer: authorizer,
+            logSecurityEvent: () => {}
+        }));
+    });
+
+    async function createAs(user, title = 'Launch Plan') {
+        const response = await request(app)
+            .post('/api/documents')
+            .set('X-Test-User', user)
+            .send({ title, content: 'Ship it' })
+            .expect(201);
+        return response.body.document;
+    }
+
+    async function share(relation, targetUserId, id) {
+        await authorizer.grant({ actorId: 'auth0|alice', targetUserId, relation, object: `document:${id}` });
+    }
+
+    test('should make the creator the owner', async () => {
+        const doc = await createAs('auth0|alice');
+
+        expect(doc.relations).toEqual(['viewer', 'editor', 'owner']);
+
+        const response = await request(app)
+            .get(`/api/documents/${doc.id}`)
+            .set('X-Test-User', 'auth0|alice')
+            .expect(200);
+
+        expect(response.body.document.content).toBe('Ship it');
+    });
+
+    test('should deny reads without viewer access', async () => {
+        const doc = await createAs('auth0|alice');
+
+        await request(app)
+            .get(`/api/documents/${doc.id}`)
+            .set('X-Test-User', 'auth0|bob')
+            .expect(403);
+    });
+
+    test('should let editors update but not delete', async () => {
+        const doc = await createAs('auth0|alice');
+        await share('editor', 'auth0|bob', doc.id);
+
+        const response = await request(app)
+            .put(`/api/documents/${doc.id}`)
+            .set('X-Test-User', 'auth0|bob')
+            .send({ content: 'Ship it on Friday' })
+            .expect(200);
+
+        expect(response.body.document.updated_by).toBe('auth0|bob');
+
+        await request(app)
+            .delete(`/api/documents/${doc.id}`)
+            .set('X-Test-User', 'auth0|bob')
+            .expect(403);
+    });
+
+    test('should not let viewers update', async () => {
+        const doc = await createAs('auth0|alice');
+        await share('viewer', 'auth0|bob', doc.id);
+
+        await request(app)
+            .put(`/api/documents/${doc.id}`)
+            .set('X-Test-User', 'auth0|bob')
+            .send({ content: 'Changed' })
+            .expect(403);
+    });
+
+    test('should list only documents the caller can view, with their relations but without content', async () => {
+        const hidden = await createAs('auth0|alice');
+        const shared = await createAs('auth0|alice', 'Shared Notes');
+        await share('viewer', 'auth0|bob', shared.id);
+
+        const response = await request(app)
+            .get('/api/documents')
+            .set('X-Test-User', 'auth0|bob')
+            .expect(200);
+
+        expect(response.body.documents).toEqual([expect.objectContaining({ id: shared.id, relations: ['viewer'] })]);
+        expect(response.body.documents.map(document => document.id)).not.toContain(hidden.id);
+        expect(response.body.documents[0].content).toBeUndefined();
+    });
+
+    test('should let the owner delete and drop the owner tuple', async () => {
+        const doc = await createAs('auth0|alice');
+
+        await request(app)
+            .delete(`/api/documents/${doc.id}`)
+            .set('X-Test-User', 'auth0|alice')
+            .expect(200);
+
+        await request(app)
+            .get(`/api/documents/${doc.id}`)
+            .set('X-Test-User', 'auth0|alice')
+            .expect(404);
+
+        expect((await authorizer.check('auth0|alice', 'owner', `document:${doc.id}`)).allowed).toBe(false);
+    });
+
+    test('should remove every grant on a deleted document', async () => {
+        const doc = await createAs('auth0|alice', 'Plan');
+        await share('editor', 'auth0|bob', doc.id);
+        await authorizer.grant({ actorId: 'auth0|alice', targetUserId: 'auth0|dave', relation: 'viewer', object: `document:${doc.id}`, expiresAt: Date.now() + 60000 });
+
+        await request(app).delete(`/api/documents/${doc.id}`).set('X-Test-User', 'auth0|alice').expect(200);
+
+        expect((await authorizer.readTuples(`document:${doc.id}`)).tuples).toEqual([]);
+        expect(ledger.list()).toEqual([]);
+
+        const replacement = await createAs('auth0|carol', 'Plan');
+        expect(replacement.id).not.toBe(doc.id);
+        await request(app).get(`/api/documents/${replacement.id}`).set('X-Test-User', 'auth0|bob').expect(403);
+        await request(app).put(`/api/documents/${replacement.id}`).set('X-Test-User', 'auth0|bob').send({ content: 'Mine now' }).expect(403);
+    });
+
+    test('should validate titles', async () => {
+        await request(app)
+            .post('/api/documents')
+            .set('X-Test-User', 'auth0|alice')
+            .send({ content: 'No title' })
+            .expect(400);
+    });
+});
@@ -0,0 +1,94 @@
+/**
+ * Server-Sent Events Hub Tests
+ */
+
+const { EventEmitter } = require('events');
+const { createEventHub } = require('../src/event-hub');
+
+// Collects what the hub writes to an SSE response
+function createFakeResponse() {
+    const res = new EventEmitter();
+    res.chunks = [];
+    res.writeHead = jest.fn();
+    res.write = chunk => res.chunks.push(chunk);
+    res.events = () => res.chunks.filter(chunk => chunk.startsWith('id: '));
+    return res;
+}
+
+describe('Event hub', () => {
+    test('should deliver events only to the subscribed user', () => {
+        const hub = createEventHub();
+        const alice = createFakeResponse();
+        const bob = createFakeResponse();
+
+        hub.subscribe('auth0|alice', alice);
+        hub.subscribe('auth0|bob', bob);
+        hub.publish('auth0|alice', 'approval.updated', { request: { id: 'req_1', status: 'approved' } });
+
+        expect(alice.events()).toHaveLength(1);
+        expect(alice.events()[0]).toContain('event: approval.updated');
+        expect(bob.events()).toHaveLength(0);
+        expect(alice.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+    });
+
+    test('should replay missed events after Last-Event-ID', () => {
+        const hub = createEventHub();
+        const first = createFakeResponse();
+
+        hub.subscribe('auth0|alice', first);
+        const seen = hub.publish('auth0|alice', 'security.event', { event: 'A' });
+        first.emit('close');
+
+        hub.publish('auth0|alice', 'security.event', { event: 'B' });
+        hub.publish('auth0|alice', 'security.event', { event: 'C' });
+
+        const reconnected = createFakeResponse();
+        hub.subscribe('auth0|alice', reconnected, String(seen.id));
+
+        expect(reconnected.events().map(chunk => JSON.parse(chunk.split('data: ')[1]).event)).toEqual(['B', 'C']);
+    });
+
+    test('should ignore users that never opened a stream', () => {
+        const hub = createEventHub();
+
+        expect(hub.publish('203.0.113.7', 'security.event', { event: 'RATE_LIMIT_EXCEEDED' })).toBeNull();
+        expect(hub.stats().connections).toBe(0);
+    });
+
+    test('should bound the replay buffer', () => {
+        const hub = createEventHub({ bufferSize: 2 });
+        hub.subscribe('auth0|alice', createFakeResponse());
+
+        ['A', 'B', 'C'].forEach(event => hub.publish('auth0|alice', 'security.event', { event }));
+
+        const reconnected = createFakeResponse();
+        hub.subscribe('auth0|alice', reconnected, '0');
+        expect(reconnected.events()).toHaveLength(2);
+    });
+
+    test('should drop a user\'s buffer once the replay window passes without a stream', () => {
+        jest.useFakeTimers();
+        try {
+            const hub = createEventHub({ replayWindowMs: 1000 });
+            const first = createFakeResponse();
+
+            hub.subscribe('auth0|alice', first);
+            hub.publish('auth0|alice', 'security.event', { event: 'A' });
+            first.emit('close');
+            jest.advanceTimersByTime(500);
+
+            const second = createFakeResponse();
+            hub.subscribe('auth0|alice', second, '0');
+            expect(second.events()).toHaveLength(1);
+            second.emit('close');
+            jest.advanceTimersByTime(999);
+            expect(hub.stats().bufferedUsers).toBe(1);
+
+            jest.advanceTimersByTime(1);
+            expect(hub.stats().bufferedUsers).toBe(0);
+            expect(hub.publish('auth0|alice', 'security.event', { event: 'B' })).toBeNull();
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+});
@@ -0,0 +1,109 @@
+/**
+ * Local FGA Engine Tests
+ * Covers model evaluation, tuple validation and persistence
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalFgaClient } = require('../src/fga-local-engine');
+const model = require('../config/fga-model.json');
+
+describe('Local FGA engine', () => {
+    function allowed(client, user, relation, object) {
+        return client.check({ user, relation, object }).then(result => result.allowed);
+    }
+
+    test('should compute owner → editor → viewer', async () => {
+        const client = createLocalFgaClient({
+            model,
+            seedTuples: [{ user: 'user:alice', relation: 'owner', object: 'document:plan' }]
+        });
+
+        expect(await allowed(client, 'user:alice', 'editor', 'document:plan')).toBe(true);
+        expect(await allowed(client, 'user:alice', 'viewer', 'document:plan')).toBe(true);
+        expect(await allowed(client, 'user:bob', 'viewer', 'document:plan')).toBe(false);
+    });
+
+    test('should not treat user ids containing "admin" specially', async () => {
+        const client = createLocalFgaClient({ model });
+
+        expect(await allowed(client, 'user:auth0|admin', 'owner', 'project:alpha-release')).toBe(false);
+    });
+
+    test('should inherit project roles on attached objects', async () => {
+        const client = createLocalFgaClient({
+            model,
+            seedTuples: [
+                { user: 'user:bob', relation: 'manager', object: 'project:alpha' },
+                { user: 'user:carol', relation: 'member', object: 'project:alpha' },
+                { user: 'project:alpha', relation: 'project', object: 'document:plan' },
+                { user: 'project:alpha', relation: 'project', object: 'calendar:team' }
+            ]
+        });
+
+        expect(await allowed(client, 'user:bob', 'editor', 'document:plan')).toBe(true);
+        expect(await allowed(client, 'user:bob', 'owner', 'document:plan')).toBe(false);
+        expect(await allowed(client, 'user:bob', 'writer', 'calendar:team')).toBe(true);
+        expect(await allowed(client, 'user:carol', 'viewer', 'document:plan')).toBe(true);
+        expect(await allowed(client, 'user:carol', 'editor', 'document:plan')).toBe(false);
+    });
+
+    test('should honour public access through user:*', async () => {
+        const client = createLocalFgaClient({
+            model,
+            seedTuples: [{ user: 'user:*', relation: 'viewer', object: 'document:handbook' }]
+        });
+
+        expect(await allowed(client, 'user:anyone', 'viewer', 'document:handbook')).toBe(true);
+        expect((await client.listObjects({ user: 'user:anyone', relation: 'viewer', type: 'document' })).objects)
+            .toEqual(['document:handbook']);
+    });
+
+    test('should reject tuples the model does not allow', async () => {
+        const client = createLocalFgaClient({ model });
+
+        await expect(client.write({ writes: [{ user: 'user:*', relation: 'owner', object: 'document:plan' }] }))
+            .rejects.toThrow(/not an allowed type restriction/);
+        await expect(client.write({ writes: [{ user: 'user:alice', relation: 'approver', object: 'document:plan' }] }))
+            .rejects.toThrow(/relation 'document#approver' not found/);
+        await expect(client.write({ deletes: [{ user: 'user:alice', relation: 'owner', object: 'document:plan' }] }))
+            .rejects.toThrow(/does not exist/);
+        await expect(client.check({ user: 'user:alice', relation: 'manager', object: 'document:plan' }))
+            .rejects.toThrow(/not found/);
+    });
+
+    test('should persist written and deleted tuples', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fga-local-'));
+        const filePath = path.join(dir, 'tuples.json');
+        const seedTuples = [{ user: 'user:alice', relation: 'owner', object: 'document:plan' }];
+
+        try {
+            const first = createLocalFgaClient({ model, filePath, seedTuples });
+            await first.write({
+                writes: [{ user: 'user:bob', relation: 'viewer', object: 'document:plan' }],
+                deletes: seedTuples
+            });
+
+            const second = createLocalFgaClient({ model, filePath, seedTuples });
+            expect(await allowed(second, 'user:bob', 'viewer', 'document:plan')).toBe(true);
+            expect(await allowed(second, 'user:alice', 'owner', 'document:plan')).toBe(false);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('should page through read results', async () => {
+        const client = createLocalFgaClient({
+            model,
+            seedTuples: ['a', 'b', 'c'].map(name => ({ user: `user:${name}`, relation: 'viewer', object: 'document:plan' }))
+        });
+
+        const first = await client.read({ object: 'document:plan' }, { pageSize: 2 });
+        const second = await client.read({ object: 'document:plan' }, { pageSize: 2, continuationToken: first.continuation_token });
+
+        expect(first.tuples).toHaveLength(2);
+        expect(second.tuples.map(tuple => tuple.key.user)).toEqual(['user:c']);
+        expect(second.continuation_token).toBe('');
+    });
+});
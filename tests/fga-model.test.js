@@ -0,0 +1,99 @@
+/**
+ * Authorization Model Tests
+ * Runs config/fga-model-tests.json against the local engine and covers the
+ * model validation used by scripts/fga-model.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalFgaClient } = require('../src/fga-local-engine');
+const { loadModel, relationsByType, validateModel, runModelTests } = require('../src/fga-model');
+const { setEnvValue } = require('../scripts/fga-model');
+const { tests: modelTests } = require('../config/fga-model-tests.json');
+const { tuples: seedTuples } = require('../config/fga-tuples.json');
+
+describe('Authorization model', () => {
+    test('should be valid', () => {
+        expect(validateModel(loadModel())).toEqual([]);
+    });
+
+    test('should accept the seed tuples', async () => {
+        const client = createLocalFgaClient({ model: loadModel() });
+
+        await expect(client.write({ writes: seedTuples })).resolves.toEqual({});
+    });
+
+    test.each(modelTests.map(modelTest => [modelTest.name, modelTest]))('%s', async (name, modelTest) => {
+        const [result] = await runModelTests(loadModel(), [modelTest]);
+
+        expect(result.failures).toEqual([]);
+    });
+
+    test('should derive user relations per type, weakest first', () => {
+        expect(relationsByType(loadModel())).toMatchObject({
+            project: ['member', 'manager', 'owner'],
+            document: ['viewer', 'editor', 'owner'],
+            calendar: ['reader', 'writer']
+        });
+    });
+});
+
+describe('Model validation', () => {
+    function modelWith(document) {
+        return {
+            schema_version: '1.1',
+            type_definitions: [{ type: 'user' }, { type: 'document', ...document }]
+        };
+    }
+
+    test('should report undefined relations and types', () => {
+        const errors = validateModel(modelWith({
+            relations: {
+                viewer: { union: { child: [{ this: {} }, { computedUserset: { relation: 'editor' } }] } }
+            },
+            metadata: {
+                relations: { viewer: { directly_related_user_types: [{ type: 'team', relation: 'member' }] } }
+            }
+        }));
+
+        expect(errors).toEqual([
+            "document#viewer refers to undefined relation 'document#editor'",
+            "document#viewer allows undefined type 'team'"
+        ]);
+    });
+
+    test('should report direct relations without user types', () => {
+        expect(validateModel(modelWith({ relations: { owner: { this: {} } } })))
+            .toEqual(['document#owner allows direct tuples but declares no directly related user types']);
+    });
+
+    test('should report failing model tests', async () => {
+        const [result] = await runModelTests(loadModel(), [{
+            name: 'viewer is not editor',
+            tuples: [{ user: 'user:alice', relation: 'viewer', object: 'document:plan' }],
+            check: [{ user: 'user:alice', object: 'document:plan', assertions: { editor: true } }]
+        }]);
+
+        expect(result.passed).toBe(false);
+        expect(result.failures).toEqual(['check user:alice editor document:plan: expected true, got false']);
+    });
+});
+
+describe('setEnvValue', () => {
+    test('should replace an existing key or append a new one', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fga-env-'));
+        const envFile = path.join(dir, '.env');
+
+        try {
+            fs.writeFileSync(envFile, 'FGA_STORE_ID=store\nFGA_MODEL_ID=old');
+            setEnvValue(envFile, 'FGA_MODEL_ID', 'new');
+            setEnvValue(envFile, 'FGA_API_URL', 'https://api.fga.dev');
+
+            expect(fs.readFileSync(envFile, 'utf8'))
+                .toBe('FGA_STORE_ID=store\nFGA_MODEL_ID=new\nFGA_API_URL=https://api.fga.dev\n');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,527 @@
+/**
+ * FGA Routes Tests
+ * Covers single and batched checks, list-objects, grants and time-bound grants
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createAuthorizer } = require('../src/authorization');
+const { createFgaRouter } = require('../src/routes/fga');
+const { createProjectMembers } = require('../src/project-members');
+const { createAccessGrants } = require('../src/access-grants');
+const { createLocalFgaClient } = require('../src/fga-local-engine');
+const { createGrantLedger } = require('../src/grant-ledger');
+const { FGA_CONFIG } = require('../config/auth0-config');
+const model = require('../config/fga-model.json');
+
+// Stand-in for jwtCheck: the caller is taken from test headers
+function fakeAuthenticate(req, res, next) {
+    req.auth = { payload: { sub: req.get('X-Test-User'), permissions: [] } };
+    next();
+}
+
+const seedTuples = [
+    { user: 'user:*', relation: 'viewer', object: 'document:project-plan' },
+    { user: 'user:auth0|alice', relation: 'owner', object: 'document:project-plan' },
+    { user: 'user:auth0|alice', relation: 'owner', object: 'document:roadmap' },
+    { user: 'user:auth0|alice', relation: 'viewer', object: 'document:architecture' },
+    { user: 'user:*', relation: 'reader', object: 'calendar:team-calendar' }
+];
+
+function createLocalAuthorizer(options = {}) {
+    const client = createLocalFgaClient({ model, seedTuples });
+    return createAuthorizer({ getClient: () => client, relations: FGA_CONFIG.relations, ...options });
+}
+
+function buildApp(authorizer) {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/fga', createFgaRouter({
+        authenticate: fakeAuthenticate,
+        authorizer,
+        relations: FGA_CONFIG.relations,
+        grants: createAccessGrants({ authorizer, relations: FGA_CONFIG.relations, members: createProjectMembers({ authorizer }) })
+    }));
+    return app;
+}
+
+describe('FGA routes (local engine)', () => {
+    let app;
+
+    beforeEach(() => {
+        app = buildApp(createLocalAuthorizer());
+    });
+
+    test('should answer many checks in one response', async () => {
+        const response = await request(app)
+            .post('/api/fga/batch-check')
+            .set('X-Test-User', 'auth0|bob')
+            .send({
+                checks: [
+                    { resource: 'document:project-plan', relation: 'viewer' },
+                    { resource: 'document:project-plan', relation: 'owner' },
+                    { resource: 'calendar:team-calendar', relation: 'writer' }
+                ]
+            })
+            .expect(200);
+
+        expect(response.body.results.map(result => result.allowed)).toEqual([true, false, false]);
+        expect(response.body.results[0]).toMatchObject({ resource: 'document:project-plan', relation: 'viewer' });
+    });
+
+    test('should reject empty or oversized batches', async () => {
+        await request(app)
+            .post('/api/fga/batch-check')
+            .set('X-Test-User', 'auth0|bob')
+            .send({ checks: [] })
+            .expect(400);
+
+        await request(app)
+            .post('/api/fga/batch-check')
+            .set('X-Test-User', 'auth0|bob')
+            .send({ checks: Array(101).fill({ resource: 'document:x', relation: 'viewer' }) })
+            .expect(400);
+    });
+
+    test('should list objects the caller can reach, including granted ones', async () => {
+        await request(app)
+            .post('/api/fga/grant-access')
+            .set('X-Test-User', 'auth0|alice')
+            .send({ resource: 'document:roadmap', relation: 'editor', targetUser: 'auth0|bob' })
+            .expect(200);
+
+        const response = await request(app)
+            .get('/api/fga/objects')
+            .query({ type: 'document', relation: 'viewer' })
+            .set('X-Test-User', 'auth0|bob')
+            .expect(200);
+
+        expect(response.body.objects).toEqual(['document:project-plan', 'document:roadmap']);
+    });
+
+    test('should refuse grants from users who do not own or manage the resource', async () => {
+        await request(app)
+            .post('/api/fga/grant-access')
+            .set('X-Test-User', 'auth0|bob')
+            .send({ resource: 'document:project-plan', relation: 'editor', targetUser: 'auth0|mallory' })
+            .expect(403);
+    });
+
+    test('should refuse grants and revocations of relations the type does not define', async () => {
+        for (const [path, relation] of [['grant-access', 'manager'], ['revoke-access', 'parent'], ['grant-access', 'project']]) {
+            await request(app)
+                .post(`/api/fga/${path}`)
+                .set('X-Test-User', 'auth0|alice')
+                .send({ resource: 'document:roadmap', relation, targetUser: 'auth0|bob' })
+                .expect(400);
+        }
+    });
+
+    test('should let managers of a calendar\'s project share it', async () => {
+        const authorizer = createLocalAuthorizer();
+        await authorizer.writeTuples({ writes: [
+            { user: 'user:auth0|alice', relation: 'manager', object: 'project:alpha' },
+            { user: 'project:alpha', relation: 'project', object: 'calendar:team-calendar' }
+        ] });
+        app = buildApp(authorizer);
+        const share = (path, user) => request(app)
+            .post(`/api/fga/${path}`)
+            .set('X-Test-User', user)
+            .send({ resource: 'calendar:team-calendar', relation: 'writer', targetUser: 'auth0|bob' });
+
+        await share('grant-access', 'auth0|alice').expect(200);
+        await share('grant-access', 'auth0|mallory').expect(403);
+        const listing = await request(app)
+            .get('/api/fga/resources/calendar:team-calendar/relations')
+            .set('X-Test-User', 'auth0|alice')
+            .expect(200);
+        expect(listing.body.relations).toContainEqual(expect.objectContaining({ user: 'auth0|bob', relation: 'writer' }));
+        await share('revoke-access', 'auth0|alice').expect(200);
+
+        expect((await authorizer.check('auth0|bob', 'writer', 'calendar:team-calendar')).allowed).toBe(false);
+    });
+
+    test('should apply project membership rules to project grants', async () => {
+        const grant = (user, body) => request(app).post('/api/fga/grant-access').set('X-Test-User', user).send({ resource: 'project:alpha', ...body });
+        const revoke = (user, body) => request(app).post('/api/fga/revoke-access').set('X-Test-User', user).send({ resource: 'project:alpha', ...body });
+        await request(app).post('/api/fga/grant-access').set('X-Test-User', 'auth0|alice').send({ resource: 'project:alpha', relation: 'owner', targetUser: 'auth0|bob' }).expect(403);
+
+        const authorizer = createLocalAuthorizer();
+        await authorizer.writeTuples({ writes: [{ user: 'user:auth0|alice', relation: 'owner', object: 'project:alpha' }] });
+        app = buildApp(authorizer);
+
+        await grant('auth0|alice', { relation: 'manager', targetUser: 'auth0|bob' }).expect(200);
+        await grant('auth0|bob', { relation: 'owner', targetUser: 'auth0|bob' }).expect(403);
+        await grant('auth0|bob', { relation: 'manager', targetUser: 'auth0|carol' }).expect(403);
+        await grant('auth0|bob', { relation: 'member', targetUser: 'auth0|carol' }).expect(200);
+        await revoke('auth0|bob', { relation: 'owner', targetUser: 'auth0|alice' }).expect(403);
+        await grant('auth0|alice', { relation: 'member', targetUser: 'auth0|dave', expires_at: '2999-01-01T00:00:00Z' }).expect(400);
+
+        await grant('auth0|alice', { relation: 'member', targetUser: 'auth0|bob' }).expect(200);
+        expect((await authorizer.readTuples('project:alpha', { user: 'user:auth0|bob' })).tuples.map(tuple => tuple.relation)).toEqual(['member']);
+        await revoke('auth0|alice', { relation: 'owner', targetUser: 'auth0|alice' }).expect(409);
+    });
+
+    test('should reject relations the type does not define', async () => {
+        await request(app)
+            .get('/api/fga/objects')
+            .query({ type: 'document', relation: 'reader' })
+            .set('X-Test-User', 'auth0|bob')
+            .expect(400);
+    });
+});
+
+describe('Revoking and listing access', () => {
+    let app;
+    let events;
+
+    beforeEach(async () => {
+        events = [];
+        const authorizer = createLocalAuthorizer({ onRevoke: event => events.push(event) });
+        await authorizer.writeTuples({
+            writes: [
+                { user: 'user:auth0|bob', relation: 'viewer', object: 'document:roadmap' },
+                { user: 'project:alpha-release', relation: 'project', object: 'document:roadmap' }
+            ]
+        });
+        app = buildApp(authorizer);
+    });
+
+    test('should list who holds which relation for owners', async () => {
+        const response = await request(app)
+            .get('/api/fga/resources/document:roadmap/relations')
+            .set('X-Test-User', 'auth0|alice')
+            .expect(200);
+
+        expect(response.body.relations.map(({ since, ...entry }) => entry)).toEqual([
+            { user: 'auth0|alice', type: 'user', relation: 'owner' },
+            { user: 'auth0|bob', type: 'user', relation: 'viewer' },
+            { user: 'project:alpha-release', type: 'project', relation: 'project' }
+        ]);
+    });
+
+    test('should hide the relation list from non-owners', async () => {
+        await request(app)
+            .get('/api/fga/resources/document:roadmap/relations')
+            .set('X-Test-User', 'auth0|bob')
+            .expect(403);
+    });
+
+    test('should let the owner revoke a relation', async () => {
+        await request(app)
+            .post('/api/fga/revoke-access')
+            .set('X-Test-User', 'auth0|alice')
+            .send({ resource: 'document:roadmap', relation: 'viewer', targetUser: 'auth0|bob' })
+            .expect(200);
+
+        const check = await request(app)
+            .post('/api/fga/check-access')
+            .set('X-Test-User', 'auth0|bob')
+            .send({ resource: 'document:roadmap', relation: 'viewer' })
+            .expect(200);
+
+        expect(check.body.allowed).toBe(false);
+        expect(events).toEqual([expect.objectContaining({ targetUserId: 'auth0|bob', relation: 'viewer' })]);
+    });
+
+    test('should refuse revocation by non-owners and of missing tuples', async () => {
+        await request(app)
+            .post('/api/fga/revoke-access')
+            .set('X-Test-User', 'auth0|bob')
+            .send({ resource: 'document:roadmap', relation: 'owner', targetUser: 'auth0|alice' })
+            .expect(403);
+
+        await request(app)
+            .post('/api/fga/revoke-access')
+            .set('X-Test-User', 'auth0|alice')
+            .send({ resource: 'document:roadmap', relation: 'editor', targetUser: 'auth0|bob' })
+            .expect(404);
+    });
+});
+
+describe('Time-bound grants', () => {
+    const { createPermissionCache } = require('../src/permission-cache');
+    let clock;
+    let authorizer;
+    let app;
+
+    beforeEach(() => {
+        clock = Date.parse('2025-10-20T09:00:00Z');
+        const now = () => clock;
+        authorizer = createLocalAuthorizer({ ledger: createGrantLedger({ now }), cache: createPermissionCache(), now });
+        app = buildApp(authorizer);
+    });
+
+    function grant(body, user = 'auth0|alice') {
+        return request(app)
+            .post('/api/fga/grant-access')
+            .set('X-Test-User', user)
+            .send({ resource: 'document:roadmap', relation: 'viewer', targetUser: 'auth0|contractor', ...body });
+    }
+
+    async function canView(userId) {
+        return (await authorizer.check(userId, 'viewer', 'document:roadmap')).allowed;
+    }
+
+    test('should record the expiry and show it in the relation list', async () => {
+        const response = await grant({ expires_at: '2025-10-27T09:00:00Z' }).expect(200);
+
+        expect(response.body.expires_at).toBe('2025-10-27T09:00:00.000Z');
+        expect(response.body.message).toMatch(/until 2025-10-27T09:00:00.000Z/);
+
+        const listing = await request(app)
+            .get('/api/fga/resources/document:roadmap/relations')
+            .set('X-Test-User', 'auth0|alice')
+            .expect(200);
+
+        expect(listing.body.relations.find(entry => entry.user === 'auth0|contractor'))
+            .toMatchObject({ relation: 'viewer', expires_at: '2025-10-27T09:00:00.000Z' });
+    });
+
+    test('should reject invalid and past expiry times', async () => {
+        await grant({ expires_at: 'next week' }).expect(400);
+        await grant({ expires_at: '2025-10-19T09:00:00Z' }).expect(400);
+    });
+
+    test('should revoke grants once they expire', async () => {
+        await grant({ expires_at: '2025-10-27T09:00:00Z' }).expect(200);
+        expect(await canView('auth0|contractor')).toBe(true);
+
+        clock = Date.parse('2025-10-26T09:00:00Z');
+        expect(await authorizer.expireGrants()).toEqual([]);
+
+        clock = Date.parse('2025-10-27T09:00:01Z');
+        const expired = await authorizer.expireGrants();
+
+        expect(expired).toEqual([expect.objectContaining({
+            user: 'user:auth0|contractor',
+            relation: 'viewer',
+            object: 'document:roadmap',
+            granted_by: 'auth0|alice'
+        })]);
+        expect(await canView('auth0|contractor')).toBe(false);
+        expect(await authorizer.expireGrants()).toEqual([]);
+    });
+
+    test('should deny access right after expiry without waiting for a sweep', async () => {
+        await grant({ expires_at: '2025-10-27T09:00:00Z' }).expect(200);
+        expect(await canView('auth0|contractor')).toBe(true);
+
+        clock = Date.parse('2025-10-27T09:00:01Z');
+
+        expect(await canView('auth0|contractor')).toBe(false);
+        expect((await authorizer.batchCheck('auth0|contractor', [{ relation: 'viewer', object: 'document:roadmap' }])).results[0].allowed).toBe(false);
+        expect((await authorizer.readTuples('document:roadmap', { user: 'user:auth0|contractor' })).tuples).toEqual([]);
+        expect(await authorizer.expireGrants()).toEqual([]);
+    });
+
+    test('should make a time-bound grant permanent when granted again without expiry', async () => {
+        await grant({ expires_at: '2025-10-27T09:00:00Z' }).expect(200);
+        const response = await grant({}).expect(200);
+
+        expect(response.body.expires_at).toBeNull();
+
+        clock = Date.parse('2025-11-01T09:00:00Z');
+        expect(await authorizer.expireGrants()).toEqual([]);
+        expect(await canView('auth0|contractor')).toBe(true);
+    });
+
+    test('should not put an expiry on an existing permanent grant', async () => {
+        await grant({}).expect(200);
+        await grant({ expires_at: '2025-10-27T09:00:00Z' }).expect(200);
+
+        clock = Date.parse('2025-11-01T09:00:00Z');
+        expect(await authorizer.expireGrants()).toEqual([]);
+        expect(await canView('auth0|contractor')).toBe(true);
+    });
+
+    test('should drop the expiry when a grant is revoked early', async () => {
+        await grant({ expires_at: '2025-10-27T09:00:00Z' }).expect(200);
+        await request(app)
+            .post('/api/fga/revoke-access')
+            .set('X-Test-User', 'auth0|alice')
+            .send({ resource: 'document:roadmap', relation: 'viewer', targetUser: 'auth0|contractor' })
+            .expect(200);
+
+        clock = Date.parse('2025-11-01T09:00:00Z');
+        expect(await authorizer.expireGrants()).toEqual([]);
+    });
+});
+
+describe('FGA routes (FGA client)', () => {
+    test('should map FGA batch-check and list-objects responses', async () => {
+        const client = {
+            batchCheck: jest.fn(async checks => ({
+                responses: checks.map(check => check.object === 'document:broken'
+                    ? { _request: check, error: new Error('timeout') }
+                    : { _request: check, allowed: check.relation === 'viewer' })
+            })),
+            listObjects: jest.fn(async () => ({ objects: ['document:project-plan'] }))
+        };
+        const app = buildApp(createAuthorizer({ getClient: () => client }));
+
+        const batch = await request(app)
+            .post('/api/fga/batch-check')
+            .set('X-Test-User', 'auth0|bob')
+            .send({
+                checks: [
+                    { resource: 'document:project-plan', relation: 'viewer' },
+                    { resource: 'document:broken', relation: 'viewer' }
+                ]
+            })
+            .expect(200);
+
+        expect(client.batchCheck.mock.calls[0][0][0]).toEqual({ user: 'user:auth0|bob', relation: 'viewer', object: 'document:project-plan' });
+        expect(batch.body.results).toEqual([
+            { resource: 'document:project-plan', relation: 'viewer', allowed: true },
+            { resource: 'document:broken', relation: 'viewer', allowed: false, error: 'timeout' }
+        ]);
+
+        const objects = await request(app)
+            .get('/api/fga/objects?type=document&relation=viewer')
+            .set('X-Test-User', 'auth0|bob')
+            .expect(200);
+
+        expect(objects.body).toMatchObject({ objects: ['document:project-plan'], source: 'fga' });
+    });
+
+    test('should follow read pagination when listing relations', async () => {
+        const pages = [
+            { tuples: [{ key: { user: 'user:auth0|bob', relation: 'owner' }, timestamp: '2025-10-16T10:00:00Z' }], continuation_token: 'next' },
+            { tuples: [{ key: { user: 'user:auth0|carol', relation: 'viewer' }, timestamp: '2025-10-17T10:00:00Z' }], continuation_token: '' }
+        ];
+        const client = {
+            check: jest.fn(async ({ relation }) => ({ allowed: relation === 'owner' })),
+            read: jest.fn(async () => pages.shift())
+        };
+        const app = buildApp(createAuthorizer({ getClient: () => client, relations: FGA_CONFIG.relations }));
+
+        const response = await request(app)
+            .get('/api/fga/resources/document:project-plan/relations')
+            .set('X-Test-User', 'auth0|bob')
+            .expect(200);
+
+        expect(client.read).toHaveBeenCalledTimes(2);
+        expect(client.read.mock.calls[1][1]).toEqual({ continuationToken: 'next' });
+        expect(response.body.relations.map(entry => entry.user)).toEqual(['auth0|bob', 'auth0|carol']);
+        expect(client.check.mock.calls.map(call => call[0].relation)).toEqual(['owner']);
+    });
+});
+
+describe('Permission decision cache', () => {
+    const { createPermissionCache } = require('../src/permission-cache');
+
+    function buildCachedApp(options = {}) {
+        const granted = new Set(['user:auth0|bob viewer document:project-plan']);
+        const client = {
+            check: jest.fn(async ({ user, relation, object }) => ({ allowed: granted.has(`${user} ${relation} ${object}`) })),
+            batchCheck: jest.fn(async checks => ({
+                responses: checks.map(check => ({ _request: check, allowed: granted.has(`${check.user} ${check.relation} ${check.object}`) }))
+            })),
+            write: jest.fn(async ({ writes = [] }) => writes.forEach(tuple => granted.add(`${tuple.user} ${tuple.relation} ${tuple.object}`)))
+        };
+        const cache = createPermissionCache(options);
+        const authorizer = createAuthorizer({
+            getClient: () => client,
+            cache: cache
+        });
+        return { app: buildApp(authorizer), client, cache, authorizer };
+    }
+
+    function check(app, body) {
+        return request(app)
+            .post('/api/fga/check-access')
+            .set('X-Test-User', 'auth0|bob')
+            .send(body)
+            .expect(200);
+    }
+
+    test('should serve repeated checks from the cache and count hits', async () => {
+        const { app, client, cache } = buildCachedApp();
+
+        await check(app, { resource: 'document:project-plan', relation: 'viewer' });
+        const second = await check(app, { resource: 'document:project-plan', relation: 'viewer' });
+
+        expect(second.body).toMatchObject({ allowed: true, cached: true });
+        expect(client.check).toHaveBeenCalledTimes(1);
+        expect(cache.stats()).toMatchObject({ hits: 1, misses: 1, hitRate: 0.5 });
+    });
+
+    test('should expire entries after the TTL', async () => {
+        let clock = 0;
+        const { app, client } = buildCachedApp({ ttlMs: 1000, now: () => clock });
+
+        await check(app, { resource: 'document:project-plan', relation: 'viewer' });
+        clock += 1001;
+        await check(app, { resource: 'document:project-plan', relation: 'viewer' });
+
+        expect(client.check).toHaveBeenCalledTimes(2);
+    });
+
+    test('should bypass the cache for higher consistency requests', async () => {
+        const { app, client, cache } = buildCachedApp();
+
+        await check(app, { resource: 'document:project-plan', relation: 'viewer' });
+        await check(app, { resource: 'document:project-plan', relation: 'viewer', consistency: 'higher_consistency' });
+
+        expect(client.check).toHaveBeenCalledTimes(2);
+        expect(cache.stats().bypasses).toBe(1);
+    });
+
+    test('should invalidate decisions when a grant changes them', async () => {
+        const { app, authorizer } = buildCachedApp();
+
+        const before = await check(app, { resource: 'document:roadmap', relation: 'editor' });
+        expect(before.body.allowed).toBe(false);
+
+        await authorizer.writeTuples({ writes: [{ user: 'user:auth0|bob', relation: 'editor', object: 'document:roadmap' }] });
+
+        const after = await check(app, { resource: 'document:roadmap', relation: 'editor' });
+        expect(after.body).toMatchObject({ allowed: true, cached: false });
+    });
+
+    test('should invalidate every user\'s decisions when an object is made public', async () => {
+        const { authorizer, client } = buildCachedApp();
+        const viewers = new Set();
+        client.check.mockImplementation(async ({ user, object }) => ({ allowed: viewers.has(object) || user === 'user:auth0|alice' }));
+        client.write.mockImplementation(async ({ writes = [] }) => writes.forEach(tuple => viewers.add(tuple.object)));
+
+        expect((await authorizer.check('auth0|bob', 'viewer', 'document:roadmap')).allowed).toBe(false);
+        await authorizer.writeTuples({ writes: [{ user: 'user:*', relation: 'viewer', object: 'document:roadmap' }] });
+
+        expect(await authorizer.check('auth0|bob', 'viewer', 'document:roadmap')).toMatchObject({ allowed: true, cached: false });
+    });
+
+    test('should invalidate decisions on attached objects when a project is made public', async () => {
+        const { authorizer, client } = buildCachedApp();
+        let isPublic = false;
+        client.check.mockImplementation(async () => ({ allowed: isPublic }));
+        client.write.mockImplementation(async () => { isPublic = true; });
+
+        await authorizer.check('auth0|bob', 'viewer', 'document:release-plan');
+        await authorizer.check('auth0|bob', 'member', 'project:beta');
+        await authorizer.writeTuples({ writes: [{ user: 'user:*', relation: 'member', object: 'project:alpha' }] });
+
+        expect(await authorizer.check('auth0|bob', 'viewer', 'document:release-plan')).toMatchObject({ allowed: true, cached: false });
+        expect(await authorizer.check('auth0|bob', 'member', 'project:beta')).toMatchObject({ cached: true });
+    });
+
+    test('should only send cache misses to FGA in a batch', async () => {
+        const { app, client } = buildCachedApp();
+        await check(app, { resource: 'document:project-plan', relation: 'viewer' });
+
+        const response = await request(app)
+            .post('/api/fga/batch-check')
+            .set('X-Test-User', 'auth0|bob')
+            .send({
+                checks: [
+                    { resource: 'document:project-plan', relation: 'viewer' },
+                    { resource: 'document:project-plan', relation: 'owner' }
+                ]
+            })
+            .expect(200);
+
+        expect(client.batchCheck.mock.calls[0][0]).toHaveLength(1);
+        expect(response.body.results.map(result => result.allowed)).toEqual([true, false]);
+    });
+});
@@ -0,0 +1,262 @@
+/**
+ * Project GitHub Integration Tests
+ * Covers repository links, the /api/projects/:id/github routes, approval-gated
+ * issue creation and the agent's blocker summary against a local GitHub API
+ * stand-in
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createProjectStore } = require('../src/project-store');
+const { createDocumentStore } = require('../src/document-store');
+const { createProjectRouter } = require('../src/routes/projects');
+const { createGitHubRouter } = require('../src/routes/github');
+const { createGitHubClient } = require('../src/github-client');
+const { GITHUB_ISSUE_ACTION, createProjectGitHub, validateGitHubIssue, registerGitHubIssueCreation } = require('../src/project-github');
+const { createApprovalStore } = require('../src/approval-store');
+const { createApprovalRequester } = require('../src/approval-requests');
+const { createApprovalActionRunner } = require('../src/approval-actions');
+const { createAuthorizer } = require('../src/authorization');
+const { createLocalFgaClient } = require('../src/fga-local-engine');
+const { createAgent } = require('../src/agent');
+const { createAgentTools } = require('../src/agent-tools');
+const { createLocalProvider } = require('../src/llm-providers');
+const model = require('../config/fga-model.json');
+
+const GITHUB_TOKEN = 'gho_vaulted-github-token';
+const REPOSITORY = 'acme/alpha';
+
+// Stand-in for jwtCheck: the caller is taken from test headers
+function fakeAuthenticate(req, res, next) {
+    req.auth = { payload: { sub: req.get('X-Test-User') || 'auth0|alice', name: 'Alice', permissions: [] } };
+    next();
+}
+
+// Minimal GitHub REST API for one repository
+function startStandInGitHub() {
+    const github = express();
+    const created = [];
+    const issues = [
+        { number: 12, title: 'Login redirect loops on Safari', state: 'open', labels: [{ name: 'release-blocker' }], assignees: [], user: { login: 'bob' }, html_url: 'https://github.test/acme/alpha/issues/12' },
+        { number: 13, title: 'Polish empty states', state: 'open', labels: [{ name: 'enhancement' }], assignees: [{ login: 'carol' }], user: { login: 'carol' }, html_url: 'https://github.test/acme/alpha/issues/13' },
+        { number: 14, title: 'Add token refresh', state: 'open', labels: [], assignees: [], user: { login: 'dave' }, pull_request: { url: 'x' }, html_url: 'https://github.test/acme/alpha/pull/14' }
+    ];
+    const pulls = [
+        { number: 14, title: 'Add token refresh', state: 'open', draft: false, user: { login: 'dave' }, head: { ref: 'token-refresh' }, base: { ref: 'main' }, labels: [], requested_reviewers: [{ login: 'alice' }], html_url: 'https://github.test/acme/alpha/pull/14' },
+        { number: 15, title: 'Bump deps', state: 'open', draft: false, user: { login: 'bot' }, head: { ref: 'deps' }, base: { ref: 'main' }, labels: [], requested_reviewers: [], html_url: 'https://github.test/acme/alpha/pull/15' }
+    ];
+    const commits = [
+        { sha: 'abc123', commit: { message: 'Fix calendar proxy\n\nDetails', author: { name: 'Bob', date: '2030-01-10T10:00:00Z' } }, author: { login: 'bob' }, html_url: 'https://github.test/acme/alpha/commit/abc123' }
+    ];
+
+    github.use(express.json());
+    github.use((req, res, next) => {
+        if (req.get('Authorization') !== `Bearer ${GITHUB_TOKEN}`) {
+            return res.status(401).json({ message: 'Bad credentials' });
+        }
+        next();
+    });
+
+    github.get(`/repos/${REPOSITORY}/issues`, (req, res) => res.json(issues));
+    github.get(`/repos/${REPOSITORY}/pulls`, (req, res) => res.json(pulls));
+    github.get(`/repos/${REPOSITORY}/commits`, (req, res) => res.json(commits));
+    github.post(`/repos/${REPOSITORY}/issues`, (req, res) => {
+        const number = 100 + created.length;
+        created.push(req.body);
+        res.status(201).json({
+            number,
+            title: req.body.title,
+            state: 'open',
+            labels: (req.body.labels || []).map(name => ({ name })),
+            assignees: [],
+            user: { login: 'alice' },
+            html_url: `https://github.test/acme/alpha/issues/${number}`
+        });
+    });
+    github.use((req, res) => res.status(404).json({ message: 'Not Found' }));
+
+    return new Promise(resolve => {
+        const server = github.listen(0, () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                created,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+// Wait for the approval action runner to record the outcome
+async function waitForExecution(approvals, id) {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        const { execution } = approvals.get(id);
+        if (execution) {
+            return execution;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`Request ${id} was never executed`);
+}
+
+describe('Project GitHub integration', () => {
+    let github;
+    let app;
+    let projects;
+    let approvals;
+    let projectGitHub;
+    let requester;
+    let securityEvents;
+    let getTokenVaultToken;
+
+    beforeAll(async () => {
+        github = await startStandInGitHub();
+    });
+
+    afterAll(() => github.close());
+
+    beforeEach(() => {
+        github.created.length = 0;
+        securityEvents = [];
+        getTokenVaultToken = jest.fn(async () => ({ success: true, access_token: GITHUB_TOKEN }));
+        const logSecurityEvent = (event, userId, details) => securityEvents.push({ event, userId, ...details });
+        const tokens = (...args) => getTokenVaultToken(...args);
+
+        const client = createLocalFgaClient({
+            model,
+            seedTuples: [
+                { user: 'user:auth0|alice', relation: 'manager', object: 'project:alpha-release' },
+                { user: 'user:auth0|bob', relation: 'member', object: 'project:alpha-release' }
+            ]
+        });
+        const authorizer = createAuthorizer({ getClient: () => client });
+        const githubClient = createGitHubClient({ apiUrl: github.url });
+
+        projects = createProjectStore();
+        projects.create({ id: 'alpha-release', name: 'Alpha Release', createdBy: null });
+        projects.linkRepository('alpha-release', REPOSITORY);
+
+        approvals = createApprovalStore();
+        const approvalActions = createApprovalActionRunner({ approvals, logSecurityEvent });
+        registerGitHubIssueCreation({ approvalActions, getTokenVaultToken: tokens, githubClient, logSecurityEvent });
+        requester = createApprovalRequester({ approvals, validators: { [GITHUB_ISSUE_ACTION]: validateGitHubIssue }, logSecurityEvent });
+        projectGitHub = createProjectGitHub({ projects, authorizer, getTokenVaultToken: tokens, githubClient });
+
+        app = express();
+        app.use(express.json());
+        app.use('/api/projects/:id/github', createGitHubRouter({ authenticate: fakeAuthenticate, projectGitHub, requester }));
+        app.use('/api/projects', createProjectRouter({
+            authenticate: fakeAuthenticate,
+            projects,
+            documents: createDocumentStore(),
+            authorizer,
+            logSecurityEvent
+        }));
+    });
+
+    test('should let managers link and unlink repositories', async () => {
+        const linked = await request(app).post('/api/projects/alpha-release/repositories').send({ repository: 'acme/docs' }).expect(201);
+        expect(linked.body.project.repositories).toEqual([REPOSITORY, 'acme/docs']);
+
+        await request(app).post('/api/projects/alpha-release/repositories').set('X-Test-User', 'auth0|bob').send({ repository: 'acme/other' }).expect(403);
+        await request(app).post('/api/projects/alpha-release/repositories').send({ repository: 'not a repo' }).expect(400);
+
+        const unlinked = await request(app).delete('/api/projects/alpha-release/repositories/acme/docs').expect(200);
+        expect(unlinked.body.project.repositories).toEqual([REPOSITORY]);
+        expect(securityEvents.map(entry => entry.event)).toEqual(['PROJECT_REPOSITORY_LINKED', 'PROJECT_ACCESS_DENIED', 'PROJECT_REPOSITORY_UNLINKED']);
+    });
+
+    test('should list open issues without pull requests using the vaulted token', async () => {
+        const response = await request(app).get('/api/projects/alpha-release/github/issues').set('X-Test-User', 'auth0|bob').expect(200);
+
+        expect(response.body.repositories).toEqual([REPOSITORY]);
+        expect(response.body.issues.map(issue => issue.number)).toEqual([12, 13]);
+        expect(response.body.issues[0]).toMatchObject({ repository: REPOSITORY, labels: ['release-blocker'], author: 'bob' });
+        expect(getTokenVaultToken).toHaveBeenCalledWith('auth0|bob', 'github');
+        expect(JSON.stringify(response.body)).not.toContain(GITHUB_TOKEN);
+    });
+
+    test('should list pull requests and recent commits', async () => {
+        const pulls = await request(app).get('/api/projects/alpha-release/github/pulls').expect(200);
+        const commits = await request(app).get('/api/projects/alpha-release/github/commits').expect(200);
+
+        expect(pulls.body.pull_requests.map(pull => pull.number)).toEqual([14, 15]);
+        expect(commits.body.commits).toEqual([{
+            repository: REPOSITORY,
+            sha: 'abc123',
+            message: 'Fix calendar proxy',
+            author: 'bob',
+            date: '2030-01-10T10:00:00Z',
+            url: 'https://github.test/acme/alpha/commit/abc123'
+        }]);
+    });
+
+    test('should hide projects from non-members and reject unlinked repositories', async () => {
+        await request(app).get('/api/projects/alpha-release/github/issues').set('X-Test-User', 'auth0|mallory').expect(404);
+        await request(app).get('/api/projects/alpha-release/github/issues?repository=acme/secret').expect(404);
+
+        expect(getTokenVaultToken).not.toHaveBeenCalled();
+    });
+
+    test('should return 400 when GitHub is not connected', async () => {
+        getTokenVaultToken = jest.fn(async () => ({ success: false, message: 'No github token available for user.' }));
+
+        const response = await request(app).get('/api/projects/alpha-release/github/pulls').expect(400);
+
+        expect(response.body.error).toBe('GitHub not connected');
+    });
+
+    test('should report blocker issues and pull requests waiting on review', async () => {
+        const response = await request(app).get('/api/projects/alpha-release/github/blockers').expect(200);
+
+        expect(response.body.project).toBe('alpha-release');
+        expect(response.body.issues.map(issue => issue.number)).toEqual([12]);
+        expect(response.body.pull_requests.map(pull => pull.number)).toEqual([14]);
+    });
+
+    test('should open issues only after approval', async () => {
+        const response = await request(app)
+            .post('/api/projects/alpha-release/github/issues')
+            .set('X-Test-User', 'auth0|bob')
+            .send({ repository: REPOSITORY, title: 'Safari login loop blocks alpha', labels: ['release-blocker'] })
+            .expect(201);
+
+        const stored = approvals.get(response.body.request_id);
+        expect(stored).toMatchObject({ action: GITHUB_ISSUE_ACTION, resource: `github:${REPOSITORY}`, status: 'pending' });
+        expect(github.created).toHaveLength(0);
+
+        approvals.decide(stored.id, { approved: true, approverId: 'auth0|alice' });
+        const execution = await waitForExecution(approvals, stored.id);
+
+        expect(execution).toMatchObject({ status: 'succeeded', result: { repository: REPOSITORY, number: 100 } });
+        expect(github.created).toEqual([{ title: 'Safari login loop blocks alpha', body: '', labels: ['release-blocker'] }]);
+        expect(getTokenVaultToken).toHaveBeenLastCalledWith('auth0|bob', 'github');
+        expect(securityEvents.find(entry => entry.event === 'GITHUB_ISSUE_CREATED')).toMatchObject({ userId: 'auth0|bob', approvedBy: 'auth0|alice', issue: 100 });
+    });
+
+    test('should refuse issues for repositories not linked to the project', async () => {
+        await request(app).post('/api/projects/alpha-release/github/issues').send({ repository: 'acme/secret', title: 'x' }).expect(400);
+        await request(app).post('/api/projects/alpha-release/github/issues').send({ repository: REPOSITORY, title: ' ' }).expect(400);
+
+        expect(approvals.list()).toHaveLength(0);
+    });
+
+    test('should answer what is blocking the alpha release', async () => {
+        const agent = createAgent({
+            provider: createLocalProvider(),
+            tools: createAgentTools({
+                authorizer: { check: async () => ({ allowed: false }) },
+                getTokenVaultToken: getTokenVaultToken,
+                approvalRequester: requester,
+                projectGitHub: projectGitHub
+            })
+        });
+
+        const result = await agent.run({ user: { id: 'auth0|bob', name: 'Bob' }, message: "What's blocking the alpha release?" });
+
+        expect(result.toolCalls[0].name).toBe('get_project_blockers');
+        expect(result.reply).toContain('Alpha Release is blocked by 1 issue and 1 pull request');
+        expect(result.reply).toContain('acme/alpha#12 Login redirect loops on Safari [release-blocker] (unassigned)');
+        expect(result.reply).toContain('PR acme/alpha#14 Add token refresh (awaiting review from alice)');
+        expect(JSON.stringify(result)).not.toContain(GITHUB_TOKEN);
+    });
+});
@@ -3,19 +3,47 @@
  * Tests the complete integration between all components
  */
 
+const http = require('http');
 const request = require('supertest');
-const app = require('./server');
-const { AUTH0_CONFIG, FGA_CONFIG } = require('./auth0-config');
+const app = require('../src/server');
+const { AUTH0_CONFIG, FGA_CONFIG } = require('../config/auth0-config');
 
 describe('AI Project Manager Integration Tests', () => {
     
     describe('Authentication Flow', () => {
-        test('should redirect to Auth0 for login', async () => {
-            const response = await request(app)
+        test('should redirect /login to the configured issuer', async () => {
+            // The sandbox issuer stands in for the Auth0 tenant; it is served by the app itself, so the app has to listen on BASE_URL
+            let loginApp = null;
+            const server = http.createServer((req, res) => loginApp(req, res));
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            const baseUrl = `http://127.0.0.1:${server.address().port}`;
+            const env = { ...process.env };
+            Object.assign(process.env, { SANDBOX_MODE: 'true', BASE_URL: baseUrl });
+
+            try {
+                jest.isolateModules(() => {
+                    loginApp = require('../src/server');
+                });
+
+                const response = await request(server)
+                    .get('/login')
+                    .expect(302);
+
+                const location = new URL(response.headers.location);
+                expect(`${location.origin}${location.pathname}`).toBe(`${baseUrl}/sandbox/authorize`);
+                expect(location.searchParams.get('client_id')).toBe('sandbox-client');
+                expect(location.searchParams.get('redirect_uri')).toBe(`${baseUrl}/callback`);
+            } finally {
+                process.env = env;
+                await new Promise(resolve => server.close(resolve));
+            }
+        });
+
+        test('should not offer /login until Auth0 is configured', async () => {
+            // Tests run without Auth0 credentials, so express-openid-connect and its /login redirect are not mounted
+            await request(app)
                 .get('/login')
-                .expect(302);
-            
-            expect(response.headers.location).toContain(AUTH0_CONFIG.domain);
+                .expect(404);
         });
         
         test('should handle callback with authorization code', async () => {
@@ -0,0 +1,17 @@
+/**
+ * Jest Setup
+ * Points DATA_DIR at a fresh temporary directory for each test file, so
+ * suites that load the server never write stores or the audit log into the
+ * repository's data/ directory, and removes it once the file's tests finish.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-project-manager-test-'));
+process.env.DATA_DIR = dataDir;
+
+afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
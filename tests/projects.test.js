@@ -0,0 +1,172 @@
+/**
+ * Project Routes Tests
+ * Covers project roles, membership management and role inheritance
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createProjectStore } = require('../src/project-store');
+const { createProjectRouter } = require('../src/routes/projects');
+const { createProjectMembers } = require('../src/project-members');
+const { createDocumentStore } = require('../src/document-store');
+const { createDocumentRouter } = require('../src/routes/documents');
+const { createAuthorizer } = require('../src/authorization');
+const { createLocalFgaClient } = require('../src/fga-local-engine');
+const { createApprovalStore } = require('../src/approval-store');
+const { createApprovalActionRunner } = require('../src/approval-actions');
+const { createApprovalRequester } = require('../src/approval-requests');
+const { PROJECT_DELETE_ACTION, validateProjectDeletion, registerProjectDeletion } = require('../src/project-deletion');
+const model = require('../config/fga-model.json');
+
+// Stand-in for jwtCheck: the caller is taken from test headers
+function fakeAuthenticate(req, res, next) {
+    req.auth = { payload: { sub: req.get('X-Test-User'), permissions: [] } };
+    next();
+}
+
+describe('Project routes', () => {
+    let app;
+    let approvals;
+    let projects;
+    let authorizer;
+
+    beforeEach(() => {
+        const client = createLocalFgaClient({ model });
+        authorizer = createAuthorizer({ getClient: () => client });
+        const documents = createDocumentStore();
+        const dependencies = { authenticate: fakeAuthenticate, authorizer, documents, logSecurityEvent: () => {} };
+
+        projects = createProjectStore();
+        approvals = createApprovalStore();
+        const approvalActions = createApprovalActionRunner({ approvals, logSecurityEvent: () => {} });
+        registerProjectDeletion({ approvalActions, projects, documents, authorizer, logSecurityEvent: () => {} });
+        const requester = createApprovalRequester({
+            approvals,
+            validators: { [PROJECT_DELETE_ACTION]: request => validateProjectDeletion(request, projects) },
+            logSecurityEvent: () => {}
+        });
+
+        app = express();
+        app.use(express.json());
+        app.use('/api/projects', createProjectRouter({ ...dependencies, projects, members: createProjectMembers({ authorizer }), requester }));
+        app.use('/api/documents', createDocumentRouter(dependencies));
+    });
+
+    function as(user) {
+        return {
+            post: (url, body) => request(app).post(url).set('X-Test-User', user).send(body),
+            put: (url, body) => request(app).put(url).set('X-Test-User', user).send(body),
+            get: url => request(app).get(url).set('X-Test-User', user),
+            delete: url => request(app).delete(url).set('X-Test-User', user)
+        };
+    }
+
+    async function createProject() {
+        const response = await as('auth0|alice').post('/api/projects', { name: 'Alpha Release' }).expect(201);
+        return response.body.project.id;
+    }
+
+    test('should make the creator the owner and hide the project from non-members', async () => {
+        const id = await createProject();
+
+        const response = await as('auth0|alice').get(`/api/projects/${id}`).expect(200);
+        expect(response.body.project.role).toBe('owner');
+
+        await as('auth0|bob').get(`/api/projects/${id}`).expect(404);
+        expect((await as('auth0|bob').get('/api/projects').expect(200)).body.projects).toEqual([]);
+    });
+
+    test('should let project managers edit attached documents', async () => {
+        const id = await createProject();
+        const doc = (await as('auth0|alice').post('/api/documents', { title: 'Release Plan' }).expect(201)).body.document;
+
+        await as('auth0|alice').post(`/api/projects/${id}/resources`, { type: 'document', id: doc.id }).expect(201);
+        await as('auth0|alice').put(`/api/projects/${id}/members/auth0|bob`, { role: 'manager' }).expect(200);
+        await as('auth0|alice').put(`/api/projects/${id}/members/auth0|carol`, { role: 'member' }).expect(200);
+
+        await as('auth0|bob').put(`/api/documents/${doc.id}`, { content: 'Updated by the manager' }).expect(200);
+        await as('auth0|carol').get(`/api/documents/${doc.id}`).expect(200);
+        await as('auth0|carol').put(`/api/documents/${doc.id}`, { content: 'Members only read' }).expect(403);
+    });
+
+    test('should revoke inherited access when a document is detached', async () => {
+        const id = await createProject();
+        const doc = (await as('auth0|alice').post('/api/documents', { title: 'Budget' }).expect(201)).body.document;
+        await as('auth0|alice').post(`/api/projects/${id}/resources`, { type: 'document', id: doc.id }).expect(201);
+        await as('auth0|alice').put(`/api/projects/${id}/members/auth0|carol`, { role: 'member' }).expect(200);
+
+        await as('auth0|alice').delete(`/api/projects/${id}/resources/document/${doc.id}`).expect(200);
+
+        await as('auth0|carol').get(`/api/documents/${doc.id}`).expect(403);
+    });
+
+    test('should only let owners appoint managers', async () => {
+        const id = await createProject();
+        await as('auth0|alice').put(`/api/projects/${id}/members/auth0|bob`, { role: 'manager' }).expect(200);
+
+        await as('auth0|bob').put(`/api/projects/${id}/members/auth0|carol`, { role: 'member' }).expect(200);
+        await as('auth0|bob').put(`/api/projects/${id}/members/auth0|dave`, { role: 'manager' }).expect(403);
+    });
+
+    test('should require control of a document before attaching it', async () => {
+        const id = await createProject();
+        const doc = (await as('auth0|mallory').post('/api/documents', { title: 'Private' }).expect(201)).body.document;
+
+        await as('auth0|alice').post(`/api/projects/${id}/resources`, { type: 'document', id: doc.id }).expect(403);
+    });
+
+    test('should keep at least one owner', async () => {
+        const id = await createProject();
+
+        await as('auth0|alice').delete(`/api/projects/${id}/members/auth0|alice`).expect(409);
+    });
+
+    test('should replace the old role tuple when a role changes', async () => {
+        const id = await createProject();
+        await as('auth0|alice').put(`/api/projects/${id}/members/auth0|bob`, { role: 'manager' }).expect(200);
+
+        const response = await as('auth0|alice').put(`/api/projects/${id}/members/auth0|bob`, { role: 'member' }).expect(200);
+
+        expect(response.body.project.members).toEqual({ 'auth0|alice': 'owner', 'auth0|bob': 'member' });
+        expect((await authorizer.readTuples(`project:${id}`, { user: 'user:auth0|bob' })).tuples.map(tuple => tuple.relation))
+            .toEqual(['member']);
+        await as('auth0|bob').put(`/api/projects/${id}/members/auth0|carol`, { role: 'member' }).expect(403);
+    });
+
+    test('should count owners from FGA when keeping the last owner', async () => {
+        projects.create({ id: 'seeded', name: 'Seeded' });
+        await authorizer.writeTuples({ writes: [
+            { user: 'user:auth0|alice', relation: 'owner', object: 'project:seeded' },
+            { user: 'user:auth0|bob', relation: 'owner', object: 'project:seeded' },
+            { user: 'user:*', relation: 'member', object: 'project:seeded' }
+        ] });
+
+        const response = await as('auth0|alice').get('/api/projects/seeded').expect(200);
+        expect(response.body.project.members).toEqual({ 'auth0|alice': 'owner', 'auth0|bob': 'owner', '*': 'member' });
+
+        await as('auth0|alice').delete('/api/projects/seeded/members/auth0|bob').expect(200);
+        await as('auth0|alice').put('/api/projects/seeded/members/auth0|alice', { role: 'manager' }).expect(409);
+        await as('auth0|alice').delete('/api/projects/seeded/members/auth0|alice').expect(409);
+    });
+
+    test('should delete a project only once the owner\'s request is approved', async () => {
+        const id = await createProject();
+        await as('auth0|alice').put(`/api/projects/${id}/members/auth0|bob`, { role: 'manager' }).expect(200);
+
+        await as('auth0|bob').delete(`/api/projects/${id}`).expect(403);
+        const response = await as('auth0|alice').delete(`/api/projects/${id}`).expect(202);
+
+        expect(response.body).toMatchObject({ status: 'pending', channel: 'manual' });
+        expect(approvals.get(response.body.request_id)).toMatchObject({ action: 'delete-project', resource: `project:${id}` });
+        await as('auth0|alice').get(`/api/projects/${id}`).expect(200);
+
+        approvals.decide(response.body.request_id, { approved: true, approverId: 'auth0|approver' });
+        while (!approvals.get(response.body.request_id).execution) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+
+        expect(approvals.get(response.body.request_id).execution.status).toBe('succeeded');
+        expect(projects.get(id)).toBeNull();
+        await as('auth0|alice').get(`/api/projects/${id}`).expect(404);
+    });
+});
@@ -0,0 +1,151 @@
+/**
+ * Retrieval-Augmented Generation Tests
+ * Covers chunking, BM25 ranking, following the document store and FGA
+ * filtering of retrieved passages
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { chunkText, createDocumentIndex, followDocumentStore } = require('../src/rag-index');
+const { createDocumentStore } = require('../src/document-store');
+const { createRetriever } = require('../src/rag-retriever');
+const { createRagRouter } = require('../src/routes/rag');
+
+// Stand-in for jwtCheck: the caller is taken from test headers
+function fakeAuthenticate(req, res, next) {
+    req.auth = { payload: { sub: req.get('X-Test-User'), permissions: [] } };
+    next();
+}
+
+// Authorizer backed by a fixed set of `user relation object` grants
+function createStubAuthorizer(grants) {
+    return {
+        async check(userId, relation, object) {
+            return { allowed: grants.includes(`${userId} ${relation} ${object}`), source: 'mock' };
+        }
+    };
+}
+
+function buildIndex() {
+    const index = createDocumentIndex();
+    index.ingest({
+        id: 'security-guidelines',
+        title: 'Security Guidelines',
+        content: 'Release blockers: the alpha release is blocked until token rotation for the release pipeline is complete.'
+    });
+    index.ingest({
+        id: 'project-plan',
+        title: 'Project Plan',
+        content: 'The alpha release ships after the design review. Release notes are drafted by the team.'
+    });
+    index.ingest({
+        id: 'architecture',
+        title: 'Architecture',
+        content: 'Services communicate over HTTPS and every request is authenticated with Auth0.'
+    });
+    return index;
+}
+
+describe('Document index', () => {
+    test('should split long text into overlapping chunks', () => {
+        const words = Array.from({ length: 25 }, (_, i) => `w${i}`).join(' ');
+        const chunks = chunkText(words, { chunkWords: 10, overlapWords: 5 });
+
+        expect(chunks).toHaveLength(4);
+        expect(chunks[1].startsWith('w5 ')).toBe(true);
+        expect(chunks[3].endsWith('w24')).toBe(true);
+    });
+
+    test('should rank the most relevant chunk first', async () => {
+        const results = await buildIndex().search('alpha release blocked');
+
+        expect(results[0].documentId).toBe('security-guidelines');
+        expect(results.map(result => result.documentId)).not.toContain('architecture');
+    });
+
+    test('should replace chunks when a document is re-ingested', async () => {
+        const index = buildIndex();
+        index.ingest({ id: 'architecture', title: 'Architecture', content: 'Now about queues.' });
+
+        expect(await index.search('HTTPS')).toEqual([]);
+        expect(index.stats().documents).toBe(3);
+    });
+});
+
+describe('Document store indexing', () => {
+    test('should index only what the store holds and follow its changes', async () => {
+        const index = buildIndex();
+        index.ingest({ id: 'planted', title: 'Planted', content: 'Text that no stored document contains.' });
+        const documents = createDocumentStore();
+        documents.create({ id: 'architecture', title: 'Architecture', content: 'Services talk over gRPC.', createdBy: null });
+
+        followDocumentStore(index, documents);
+
+        expect(index.ids()).toEqual(['architecture']);
+        expect(await index.search('HTTPS')).toEqual([]);
+
+        const created = documents.create({ title: 'Runbook', content: 'Rotate the signing keys quarterly.', createdBy: 'auth0|alice' });
+        documents.update('architecture', { content: 'Services talk over HTTPS.' }, 'auth0|alice');
+        expect((await index.search('signing keys')).map(result => result.documentId)).toEqual([created.id]);
+        expect((await index.search('HTTPS')).map(result => result.documentId)).toEqual(['architecture']);
+
+        documents.remove(created.id);
+        expect(index.has(created.id)).toBe(false);
+    });
+});
+
+describe('FGA-filtered retrieval', () => {
+    test('should never return passages from documents the user cannot view', async () => {
+        const logged = [];
+        const retriever = createRetriever({
+            index: buildIndex(),
+            authorizer: createStubAuthorizer(['auth0|alice viewer document:project-plan']),
+            logSecurityEvent: (event, userId, details) => logged.push({ event, details })
+        });
+
+        const { passages, citations } = await retriever.retrieve({ id: 'auth0|alice' }, 'alpha release blocked');
+
+        expect(passages.map(passage => passage.document)).toEqual(['document:project-plan']);
+        expect(citations).toEqual([{ document: 'document:project-plan', title: 'Project Plan' }]);
+        expect(logged[0].event).toBe('RAG_RETRIEVAL');
+        expect(logged[0].details.filteredDocuments).toBe(1);
+        expect(logged[0].details).not.toHaveProperty('query');
+    });
+});
+
+describe('RAG routes', () => {
+    let app;
+    let index;
+
+    beforeEach(() => {
+        index = buildIndex();
+        const authorizer = createStubAuthorizer([
+            'auth0|alice viewer document:architecture',
+            'auth0|alice editor document:architecture'
+        ]);
+        app = express();
+        app.use(express.json());
+        app.use('/api/rag', createRagRouter({
+            authenticate: fakeAuthenticate,
+            retriever: createRetriever({ index, authorizer, logSecurityEvent: () => {} })
+        }));
+    });
+
+    test('should answer queries with readable passages only', async () => {
+        const response = await request(app)
+            .post('/api/rag/query')
+            .set('X-Test-User', 'auth0|alice')
+            .send({ query: 'release HTTPS' })
+            .expect(200);
+
+        expect(response.body.citations.map(citation => citation.document)).toEqual(['document:architecture']);
+    });
+
+    test('should not accept free-text documents into the index', async () => {
+        await request(app)
+            .post('/api/rag/documents')
+            .set('X-Test-User', 'auth0|alice')
+            .send({ id: 'architecture', title: 'Architecture', content: 'Queues and workers' })
+            .expect(404);
+    });
+});
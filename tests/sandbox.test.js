@@ -0,0 +1,232 @@
+/**
+ * Sandbox Mode Tests
+ * Covers the local OIDC issuer, JWT-protected routes accepting its tokens and
+ * the Management API stand-in behind Token Vault and Connected Accounts
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const { auth: jwtAuth } = require('express-oauth2-jwt-bearer');
+const { createSandboxIssuer } = require('../src/sandbox-issuer');
+const { createSandboxManagement } = require('../src/sandbox-management');
+const { createTokenVault } = require('../src/token-vault');
+const { createConnectionManager } = require('../src/connections');
+const { getAuthUser } = require('../src/auth-context');
+const providers = require('../config/token-providers.json');
+const { users } = require('../config/sandbox-users.json');
+
+const CLIENT_ID = 'sandbox-client';
+const CLIENT_SECRET = 'sandbox-secret';
+const AUDIENCE = 'https://api.ai-project-manager.com';
+
+// The issuer is mounted on a listening app so its URLs (and JWKS) are reachable
+function startSandbox() {
+    const app = express();
+    return new Promise(resolve => {
+        const server = app.listen(0, () => {
+            const baseUrl = `http://127.0.0.1:${server.address().port}`;
+            let issuer = null;
+            const management = createSandboxManagement({ users, verifyIdToken: token => issuer.verifyToken(token) });
+            issuer = createSandboxIssuer({
+                issuerUrl: `${baseUrl}/sandbox/`,
+                clientId: CLIENT_ID,
+                clientSecret: CLIENT_SECRET,
+                audience: AUDIENCE,
+                directory: management,
+                providers
+            });
+
+            app.use('/sandbox', issuer.router);
+            app.get('/api/me', jwtAuth({ audience: AUDIENCE, issuer: issuer.issuer, jwksUri: issuer.jwksUri, tokenSigningAlg: 'RS256' }),
+                (req, res) => res.json({ user: getAuthUser(req), sandbox: req.auth.payload.sandbox }));
+
+            resolve({ baseUrl, issuer, management, close: () => new Promise(done => server.close(done)) });
+        });
+    });
+}
+
+function pkce() {
+    const verifier = crypto.randomBytes(32).toString('base64url');
+    return { verifier, challenge: crypto.createHash('sha256').update(verifier).digest('base64url') };
+}
+
+describe('Sandbox issuer', () => {
+    let sandbox;
+
+    beforeAll(async () => {
+        sandbox = await startSandbox();
+    });
+
+    afterAll(() => sandbox.close());
+
+    function authorizeParams(extra = {}) {
+        return {
+            client_id: CLIENT_ID,
+            redirect_uri: sandbox.baseUrl,
+            response_type: 'code',
+            scope: 'openid profile email',
+            audience: AUDIENCE,
+            state: 'state-1',
+            ...extra
+        };
+    }
+
+    // Sign in as `userId` through the picker form; resolves to the redirect and the session cookie
+    async function signIn(userId, params) {
+        const response = await request(sandbox.baseUrl)
+            .post('/sandbox/authorize')
+            .type('form')
+            .send({ ...params, user_id: userId })
+            .expect(302);
+        return { location: new URL(response.headers.location), cookie: response.headers['set-cookie'][0].split(';')[0] };
+    }
+
+    test('should publish discovery and signing keys', async () => {
+        const discovery = await request(sandbox.baseUrl).get('/sandbox/.well-known/openid-configuration').expect(200);
+        expect(discovery.body).toMatchObject({
+            issuer: `${sandbox.baseUrl}/sandbox/`,
+            authorization_endpoint: `${sandbox.baseUrl}/sandbox/authorize`,
+            token_endpoint: `${sandbox.baseUrl}/sandbox/oauth/token`,
+            jwks_uri: `${sandbox.baseUrl}/sandbox/.well-known/jwks.json`
+        });
+
+        const jwks = await request(sandbox.baseUrl).get('/sandbox/.well-known/jwks.json').expect(200);
+        expect(jwks.body.keys).toEqual([expect.objectContaining({ kty: 'RSA', alg: 'RS256', use: 'sig' })]);
+        expect(jwks.body.keys[0].d).toBeUndefined();
+    });
+
+    test('should list the seeded users on the sign-in page', async () => {
+        const page = await request(sandbox.baseUrl).get('/sandbox/authorize').query(authorizeParams()).expect(200);
+
+        expect(page.text).toContain('value="demo|admin"');
+        expect(page.text).toContain('Bob Contractor');
+    });
+
+    test('should issue flagged tokens the JWT-protected routes accept', async () => {
+        const { verifier, challenge } = pkce();
+        const params = authorizeParams({ nonce: 'nonce-1', code_challenge: challenge, code_challenge_method: 'S256' });
+        const { location } = await signIn('demo|admin', params);
+
+        expect(location.origin).toBe(sandbox.baseUrl);
+        expect(location.searchParams.get('state')).toBe('state-1');
+
+        const tokens = await request(sandbox.baseUrl)
+            .post('/sandbox/oauth/token')
+            .send({ client_id: CLIENT_ID, grant_type: 'authorization_code', code: location.searchParams.get('code'), code_verifier: verifier, redirect_uri: sandbox.baseUrl })
+            .expect(200);
+
+        const idToken = await sandbox.issuer.verifyToken(tokens.body.id_token);
+        expect(idToken).toMatchObject({ sub: 'demo|admin', aud: CLIENT_ID, nonce: 'nonce-1', sandbox: true });
+
+        const me = await request(sandbox.baseUrl).get('/api/me').set('Authorization', `Bearer ${tokens.body.access_token}`).expect(200);
+        expect(me.body).toEqual({
+            user: {
+                id: 'demo|admin',
+                name: 'Demo Admin',
+                email: 'admin@sandbox.local',
+                permissions: ['read:projects', 'write:projects', 'manage:calendar', 'approve:requests', 'read:audit']
+            },
+            sandbox: true
+        });
+    });
+
+    test('should reject a wrong code verifier and a reused code', async () => {
+        const { verifier, challenge } = pkce();
+        const params = authorizeParams({ code_challenge: challenge, code_challenge_method: 'S256' });
+        const { location } = await signIn('demo|alice', params);
+        const exchange = codeVerifier => request(sandbox.baseUrl)
+            .post('/sandbox/oauth/token')
+            .send({ client_id: CLIENT_ID, grant_type: 'authorization_code', code: location.searchParams.get('code'), code_verifier: codeVerifier, redirect_uri: sandbox.baseUrl });
+
+        const wrong = await exchange('not-the-verifier').expect(400);
+        expect(wrong.body.error).toBe('invalid_grant');
+
+        // A failed exchange still burns the code
+        await exchange(verifier).expect(400);
+    });
+
+    test('should let confidential clients exchange codes with their secret and refresh', async () => {
+        const { location } = await signIn('demo|bob', authorizeParams({ scope: 'openid offline_access' }));
+
+        const tokens = await request(sandbox.baseUrl)
+            .post('/sandbox/oauth/token')
+            .auth(CLIENT_ID, CLIENT_SECRET)
+            .type('form')
+            .send({ grant_type: 'authorization_code', code: location.searchParams.get('code'), redirect_uri: sandbox.baseUrl })
+            .expect(200);
+        expect(tokens.body.refresh_token).toBeDefined();
+
+        const refreshed = await request(sandbox.baseUrl)
+            .post('/sandbox/oauth/token')
+            .auth(CLIENT_ID, CLIENT_SECRET)
+            .type('form')
+            .send({ grant_type: 'refresh_token', refresh_token: tokens.body.refresh_token })
+            .expect(200);
+        expect((await sandbox.issuer.verifyToken(refreshed.body.access_token)).sub).toBe('demo|bob');
+
+        await request(sandbox.baseUrl)
+            .post('/sandbox/oauth/token')
+            .auth(CLIENT_ID, 'wrong-secret')
+            .type('form')
+            .send({ grant_type: 'refresh_token', refresh_token: refreshed.body.refresh_token })
+            .expect(401);
+    });
+
+    test('should refuse redirects to other origins', async () => {
+        await request(sandbox.baseUrl)
+            .get('/sandbox/authorize')
+            .query(authorizeParams({ redirect_uri: 'https://attacker.example/callback' }))
+            .expect(400);
+    });
+
+    test('should answer silent authentication from the sandbox session', async () => {
+        const params = authorizeParams({ prompt: 'none', response_mode: 'web_message' });
+
+        const anonymous = await request(sandbox.baseUrl).get('/sandbox/authorize').query(params).expect(200);
+        expect(anonymous.text).toContain('"error":"login_required"');
+
+        const { cookie } = await signIn('demo|alice', authorizeParams());
+        const silent = await request(sandbox.baseUrl).get('/sandbox/authorize').query(params).set('Cookie', cookie).expect(200);
+        expect(silent.text).toMatch(/"code":"[0-9a-f]+","state":"state-1"/);
+        expect(silent.headers['x-frame-options']).toBe('SAMEORIGIN');
+    });
+
+    test('should hand out flagged demo tokens only for linked connections', async () => {
+        const tokenVault = createTokenVault({ providers, getManagement: () => sandbox.management });
+
+        const github = await tokenVault.getToken('demo|alice', 'github');
+        expect(github).toMatchObject({ success: true, demo: true, expires_in: 3600 });
+        expect(github.access_token).toMatch(/^sandbox_github_/);
+        expect(tokenVault.shapeTokenResponse('github', github).demo).toBe(true);
+
+        const slack = await tokenVault.getToken('demo|alice', 'slack');
+        expect(slack.success).toBe(false);
+    });
+
+    test('should link and unlink provider accounts through the connect flow', async () => {
+        const connections = createConnectionManager({
+            providers,
+            getManagement: () => sandbox.management,
+            auth0: { clientId: CLIENT_ID, clientSecret: CLIENT_SECRET, issuerBaseURL: sandbox.issuer.issuer },
+            redirectUri: `${sandbox.baseUrl}/api/connections/callback`
+        });
+
+        const { authorize_url: authorizeUrl, nonce } = connections.startConnect('demo|bob', 'slack');
+        const consent = await request(authorizeUrl).get('').expect(200);
+        expect(consent.text).toContain('Connect Slack');
+
+        const allowed = await request(sandbox.baseUrl)
+            .post('/sandbox/authorize')
+            .type('form')
+            .send({ ...Object.fromEntries(new URL(authorizeUrl).searchParams), decision: 'allow' })
+            .expect(302);
+        const callback = new URL(allowed.headers.location);
+        await connections.completeConnect({ code: callback.searchParams.get('code'), state: callback.searchParams.get('state'), nonce });
+
+        expect((await connections.list('demo|bob')).find(connection => connection.service === 'slack').connected).toBe(true);
+
+        await connections.disconnect('demo|bob', 'slack');
+        expect((await connections.list('demo|bob')).every(connection => !connection.connected)).toBe(true);
+    });
+});
@@ -0,0 +1,194 @@
+/**
+ * Token Cache Tests
+ * Expiry, refresh ahead of expiry, single-flight fetches and eviction
+ */
+
+const { createTokenCache } = require('../src/token-cache');
+
+// Token Vault stand-in; each call hands out a new token and can be held open with `hold()`
+function createFakeVault({ expiresIn = 3600 } = {}) {
+    const vault = { calls: 0, failWith: null, pending: [] };
+
+    vault.hold = () => {
+        vault.held = true;
+    };
+    vault.release = () => {
+        vault.held = false;
+        vault.pending.splice(0).forEach(resolve => resolve());
+    };
+    vault.fetchToken = async (userId, service) => {
+        vault.calls++;
+        const call = vault.calls;
+        if (vault.held) {
+            await new Promise(resolve => vault.pending.push(resolve));
+        }
+        if (vault.failWith) {
+            return { success: false, message: vault.failWith };
+        }
+        return { success: true, access_token: `${service}-token-${call}`, expires_in: expiresIn, scope: 'read' };
+    };
+
+    return vault;
+}
+
+function createClock(start = 1000000) {
+    const clock = { time: start };
+    clock.now = () => clock.time;
+    clock.advance = seconds => {
+        clock.time += seconds * 1000;
+    };
+    return clock;
+}
+
+// Let background refreshes settle
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Token cache', () => {
+    test('should serve a cached token until it expires', async () => {
+        const vault = createFakeVault({ expiresIn: 3600 });
+        const clock = createClock();
+        const cache = createTokenCache({ fetchToken: vault.fetchToken, refreshMarginMs: 0, now: clock.now });
+
+        const first = await cache.get('auth0|alice', 'github');
+        clock.advance(600);
+        const second = await cache.get('auth0|alice', 'github');
+
+        expect(vault.calls).toBe(1);
+        expect(second.access_token).toBe(first.access_token);
+        expect(second.expires_in).toBe(3000);
+
+        clock.advance(3000);
+        const third = await cache.get('auth0|alice', 'github');
+
+        expect(vault.calls).toBe(2);
+        expect(third.access_token).toBe('github-token-2');
+        expect(cache.stats()).toMatchObject({ hits: 1, misses: 2, fetches: 2, size: 1 });
+    });
+
+    test('should keep tokens apart per user and provider', async () => {
+        const vault = createFakeVault();
+        const cache = createTokenCache({ fetchToken: vault.fetchToken });
+
+        await cache.get('auth0|alice', 'github');
+        await cache.get('auth0|alice', 'slack');
+        await cache.get('auth0|bob', 'github');
+
+        expect(vault.calls).toBe(3);
+        expect(cache.stats().size).toBe(3);
+    });
+
+    test('should refresh in the background within the margin and keep serving the old token', async () => {
+        const vault = createFakeVault({ expiresIn: 3600 });
+        const clock = createClock();
+        const cache = createTokenCache({ fetchToken: vault.fetchToken, refreshMarginMs: 300 * 1000, now: clock.now });
+
+        await cache.get('auth0|alice', 'github');
+        clock.advance(3400);
+
+        const during = await cache.get('auth0|alice', 'github');
+        expect(during.access_token).toBe('github-token-1');
+
+        await flush();
+        const after = await cache.get('auth0|alice', 'github');
+
+        expect(vault.calls).toBe(2);
+        expect(after.access_token).toBe('github-token-2');
+        expect(after.expires_in).toBe(3600);
+        expect(cache.stats()).toMatchObject({ refreshes: 1, refreshFailures: 0 });
+    });
+
+    test('should keep serving the cached token until it expires when a background refresh fails', async () => {
+        const vault = createFakeVault({ expiresIn: 3600 });
+        const clock = createClock();
+        const cache = createTokenCache({ fetchToken: vault.fetchToken, refreshMarginMs: 300 * 1000, now: clock.now });
+
+        await cache.get('auth0|alice', 'github');
+        clock.advance(3400);
+        vault.failWith = 'Token Vault is unavailable';
+
+        await cache.get('auth0|alice', 'github');
+        await flush();
+        const during = await cache.get('auth0|alice', 'github');
+
+        expect(during).toMatchObject({ access_token: 'github-token-1', expires_in: 200 });
+        expect(cache.stats()).toMatchObject({ refreshFailures: 1, size: 1 });
+
+        await flush();
+        clock.advance(200);
+        const after = await cache.get('auth0|alice', 'github');
+
+        expect(after.success).toBe(false);
+        expect(cache.stats().size).toBe(0);
+    });
+
+    test('should collapse concurrent lookups into one Token Vault call', async () => {
+        const vault = createFakeVault();
+        const cache = createTokenCache({ fetchToken: vault.fetchToken });
+
+        vault.hold();
+        const lookups = Promise.all([1, 2, 3].map(() => cache.get('auth0|alice', 'github')));
+        await flush();
+        vault.release();
+        const tokens = await lookups;
+
+        expect(vault.calls).toBe(1);
+        expect(new Set(tokens.map(token => token.access_token)).size).toBe(1);
+        expect(cache.stats()).toMatchObject({ misses: 3, fetches: 1, coalesced: 2 });
+    });
+
+    test('should not cache failures', async () => {
+        const vault = createFakeVault();
+        vault.failWith = 'User has not connected their Slack account';
+        const cache = createTokenCache({ fetchToken: vault.fetchToken });
+
+        await cache.get('auth0|alice', 'slack');
+        vault.failWith = null;
+        const token = await cache.get('auth0|alice', 'slack');
+
+        expect(vault.calls).toBe(2);
+        expect(token.success).toBe(true);
+    });
+
+    test('should evict one provider or all of a user\'s providers', async () => {
+        const vault = createFakeVault();
+        const cache = createTokenCache({ fetchToken: vault.fetchToken });
+
+        await cache.get('auth0|alice', 'github');
+        await cache.get('auth0|alice', 'slack');
+        await cache.get('auth0|bob', 'github');
+
+        expect(cache.evict('auth0|alice', 'github')).toBe(1);
+        await cache.get('auth0|alice', 'github');
+        expect(vault.calls).toBe(4);
+
+        expect(cache.evict('auth0|alice')).toBe(2);
+        expect(cache.stats()).toMatchObject({ size: 1, evictions: 3 });
+    });
+
+    test('should not store a fetch that was in flight when the entry was evicted', async () => {
+        const vault = createFakeVault();
+        const cache = createTokenCache({ fetchToken: vault.fetchToken });
+
+        vault.hold();
+        const lookup = cache.get('auth0|alice', 'github');
+        await flush();
+        cache.evict('auth0|alice', 'github');
+        vault.release();
+        await lookup;
+
+        expect(cache.stats().size).toBe(0);
+    });
+
+    test('should drop the oldest entry when full', async () => {
+        const vault = createFakeVault();
+        const cache = createTokenCache({ fetchToken: vault.fetchToken, maxEntries: 2 });
+
+        await cache.get('auth0|alice', 'github');
+        await cache.get('auth0|bob', 'github');
+        await cache.get('auth0|carol', 'github');
+        await cache.get('auth0|alice', 'github');
+
+        expect(vault.calls).toBe(4);
+        expect(cache.stats().size).toBe(2);
+    });
+});
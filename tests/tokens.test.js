@@ -0,0 +1,136 @@
+/**
+ * Token Vault Route Tests
+ * Covers the provider registry behind /api/tokens/:service and the token cache in front of it
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createTokenVault } = require('../src/token-vault');
+const { createTokenRouter } = require('../src/routes/tokens');
+const { createTokenCache } = require('../src/token-cache');
+const providers = require('../config/token-providers.json');
+
+// Stand-in for jwtCheck: the caller is taken from test headers
+function fakeAuthenticate(req, res, next) {
+    req.auth = { payload: { sub: req.get('X-Test-User') || 'auth0|alice', permissions: [] } };
+    next();
+}
+
+function buildApp({ management, registry = providers, events = [] } = {}) {
+    const tokenVault = createTokenVault({ providers: registry, getManagement: () => management });
+    const tokenCache = createTokenCache({ fetchToken: tokenVault.getToken });
+    const logSecurityEvent = (event, userId, details) => events.push({ event, userId, details });
+    const app = express();
+    app.use('/api/tokens', createTokenRouter({ authenticate: fakeAuthenticate, tokenVault, tokenCache, logSecurityEvent }));
+    return app;
+}
+
+// Management client stand-in that records token requests
+function createFakeManagement(tokens) {
+    const calls = [];
+    return {
+        calls,
+        getAccessToken: async tokenRequest => {
+            calls.push(tokenRequest);
+            return tokens[tokenRequest.connection] || null;
+        }
+    };
+}
+
+describe('Token Vault routes', () => {
+    test('should list the configured providers', async () => {
+        const response = await request(buildApp()).get('/api/tokens').expect(200);
+
+        expect(response.body.providers.map(provider => provider.service)).toEqual(['google-calendar', 'slack', 'github']);
+    });
+
+    test('should report a GitHub token fetched with the configured connection and scopes', async () => {
+        const management = createFakeManagement({
+            github: { access_token: 'gho_123', expires_in: 28800, refresh_token: 'ghr_secret' }
+        });
+
+        const response = await request(buildApp({ management })).get('/api/tokens/github').expect(200);
+
+        expect(management.calls).toEqual([{ user_id: 'auth0|alice', connection: 'github', scope: 'repo,read:org' }]);
+        expect(response.body).toEqual({
+            service: 'github',
+            available: true,
+            expires_in: 28800,
+            scope: 'repo,read:org',
+            token_type: 'Bearer'
+        });
+    });
+
+    test('should never return the access or refresh token', async () => {
+        const management = createFakeManagement({
+            'google-oauth2': { access_token: 'ya29.secret', refresh_token: '1//refresh-secret' }
+        });
+
+        const response = await request(buildApp({ management })).get('/api/tokens/google-calendar').expect(200);
+
+        expect(JSON.stringify(response.body)).not.toMatch(/secret/);
+    });
+
+    test('should copy provider-specific response fields', async () => {
+        const management = createFakeManagement({
+            slack: { access_token: 'xoxp-1', team: { id: 'T1', name: 'Acme' } }
+        });
+
+        const response = await request(buildApp({ management })).get('/api/tokens/slack').expect(200);
+
+        expect(response.body.team).toEqual({ id: 'T1', name: 'Acme' });
+        expect(response.body.expires_in).toBe(3600);
+    });
+
+    test('should serve providers added only through configuration', async () => {
+        const registry = {
+            ...providers,
+            jira: { displayName: 'Jira', connection: 'atlassian', scopes: ['read:jira-work', 'write:jira-work'], tokenType: 'bearer' }
+        };
+        const management = createFakeManagement({ atlassian: { access_token: 'jira-token' } });
+
+        const response = await request(buildApp({ management, registry })).get('/api/tokens/jira').expect(200);
+
+        expect(response.body).toMatchObject({ service: 'jira', scope: 'read:jira-work write:jira-work', token_type: 'bearer' });
+    });
+
+    test('should return 404 for unknown services', async () => {
+        const response = await request(buildApp({ management: createFakeManagement({}) }))
+            .get('/api/tokens/dropbox')
+            .expect(404);
+
+        expect(response.body.message).toMatch(/Unknown token service 'dropbox'/);
+        await request(buildApp()).get('/api/tokens/__proto__').expect(404);
+    });
+
+    test('should return 503 without a Management API client', async () => {
+        await request(buildApp()).get('/api/tokens/google-calendar').expect(503);
+    });
+
+    test('should return 400 when the user has not connected the provider', async () => {
+        const response = await request(buildApp({ management: createFakeManagement({}) }))
+            .get('/api/tokens/google-calendar')
+            .expect(400);
+
+        expect(response.body.message).toMatch(/connect their Google Calendar account/);
+    });
+
+    test('should answer repeat requests from the cache until the user logs out', async () => {
+        const management = createFakeManagement({
+            github: { access_token: 'gho_123', expires_in: 28800 }
+        });
+        const events = [];
+        const app = buildApp({ management, events });
+
+        await request(app).get('/api/tokens/github').expect(200);
+        await request(app).get('/api/tokens/github').expect(200);
+        expect(management.calls).toHaveLength(1);
+
+        const response = await request(app).delete('/api/tokens').expect(200);
+        expect(response.body).toEqual({ evicted: 1 });
+        expect(events).toEqual([{ event: 'TOKEN_CACHE_CLEARED', userId: 'auth0|alice', details: { evicted: 1 } }]);
+
+        await request(app).get('/api/tokens/github').expect(200);
+        expect(management.calls).toHaveLength(2);
+    });
+});